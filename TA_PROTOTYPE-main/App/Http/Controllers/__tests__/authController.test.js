@@ -0,0 +1,172 @@
+// App/Http/Controllers/__tests__/authController.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const authController = require('../authController');
+const TokenService = require('../../../../lib/auth/tokenService');
+const LoginThrottle = require('../../../../lib/auth/loginThrottle');
+const { matches } = require('../../../../lib/db/changeFeed');
+
+function createDatabase(rows) {
+    return {
+        rows,
+        validate(data, rules) {
+            for (const field of Object.keys(rules)) {
+                if (!data[field]) {
+                    throw new Error(`${field} is required`);
+                }
+            }
+        },
+        async getDataByFilters(table, filters = {}) {
+            return rows.filter(row => matches(row, filters));
+        }
+    };
+}
+
+// Minimal Express response: records the status, headers and JSON body
+function createResponse() {
+    const res = { statusCode: 200, headers: {}, body: null };
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.set = (name, value) => {
+        res.headers[name] = value;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+    return res;
+}
+
+async function call(handler, req) {
+    const res = createResponse();
+    await handler({ ip: '10.0.0.1', body: {}, ...req }, res);
+    return res;
+}
+
+describe('authController', () => {
+    let directory;
+    let tokens;
+    let db;
+
+    beforeAll(async () => {
+        db = createDatabase([
+            { id: 1, username: 'alice', password: await bcrypt.hash('correct-horse', 4), role: 'engineer', status: 'active' }
+        ]);
+    });
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-controller-'));
+        tokens = new TokenService({ secret: 'test-secret', revocationFile: path.join(directory, 'revoked.jsonl') });
+        db.rows[0].status = 'active';
+        db.rows[0].must_change_password = 0;
+        authController.initializeController(db);
+        authController.setTokenService(tokens);
+        authController.setLoginThrottle(new LoginThrottle({ maxFailures: 3, maxIpFailures: 10 }));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const login = () => call(authController.login, { body: { username: 'alice', password: 'correct-horse' } });
+
+    test('login returns the user and a token pair', async () => {
+        const res = await login();
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.user).toMatchObject({ id: 1, username: 'alice', role: 'engineer' });
+        expect(res.body.user.password).toBeUndefined();
+        expect(tokens.verifyAccessToken(res.body.accessToken).role).toBe('engineer');
+    });
+
+    test('repeated failed logins lock the account with 429 and Retry-After', async () => {
+        const wrong = { body: { username: 'alice', password: 'wrong-password' } };
+        expect((await call(authController.login, wrong)).statusCode).toBe(401);
+        expect((await call(authController.login, wrong)).statusCode).toBe(401);
+
+        const locked = await call(authController.login, wrong);
+        expect(locked.statusCode).toBe(429);
+        expect(locked.body.code).toBe('ACCOUNT_LOCKED');
+        expect(locked.headers['Retry-After']).toBe(String(locked.body.retryAfter));
+
+        // Even the right password is refused while the lock lasts
+        const res = await login();
+        expect(res.statusCode).toBe(429);
+    });
+
+    test('refresh rotates the token pair and refuses the used refresh token', async () => {
+        const { refreshToken } = (await login()).body;
+
+        const first = await call(authController.refresh, { body: { refreshToken } });
+        expect(first.statusCode).toBe(200);
+        expect(first.body.refreshToken).not.toBe(refreshToken);
+        expect(tokens.verifyAccessToken(first.body.accessToken).sub).toBe('1');
+
+        const replayed = await call(authController.refresh, { body: { refreshToken } });
+        expect(replayed.statusCode).toBe(401);
+        expect(replayed.body.code).toBe('TOKEN_REVOKED');
+
+        const next = await call(authController.refresh, { body: { refreshToken: first.body.refreshToken } });
+        expect(next.statusCode).toBe(200);
+    });
+
+    test('two parallel refreshes with one token issue one pair', async () => {
+        const { refreshToken } = (await login()).body;
+
+        const results = await Promise.all([
+            call(authController.refresh, { body: { refreshToken } }),
+            call(authController.refresh, { body: { refreshToken } })
+        ]);
+
+        expect(results.map(res => res.statusCode).sort()).toEqual([200, 401]);
+        expect(results.find(res => res.statusCode === 401).body.code).toBe('TOKEN_REVOKED');
+    });
+
+    test('refresh issues the current role of the user', async () => {
+        const { refreshToken } = (await login()).body;
+        db.rows[0].role = 'viewer';
+        try {
+            const res = await call(authController.refresh, { body: { refreshToken } });
+            expect(tokens.verifyAccessToken(res.body.accessToken).role).toBe('viewer');
+        } finally {
+            db.rows[0].role = 'engineer';
+        }
+    });
+
+    test('refresh refuses access tokens and disabled accounts', async () => {
+        const { accessToken, refreshToken } = (await login()).body;
+
+        const wrongType = await call(authController.refresh, { body: { refreshToken: accessToken } });
+        expect(wrongType.statusCode).toBe(401);
+        expect(wrongType.body.code).toBe('TOKEN_INVALID');
+
+        db.rows[0].status = 'disabled';
+        const disabled = await call(authController.refresh, { body: { refreshToken } });
+        expect(disabled.statusCode).toBe(401);
+        expect(disabled.body.code).toBe('ACCOUNT_DISABLED');
+    });
+
+    test('refresh waits for the temporary password to be changed', async () => {
+        const { refreshToken } = (await login()).body;
+        db.rows[0].must_change_password = 1;
+
+        const res = await call(authController.refresh, { body: { refreshToken } });
+        expect(res.statusCode).toBe(403);
+        expect(res.body.code).toBe('PASSWORD_CHANGE_REQUIRED');
+    });
+
+    test('logout revokes the access token and the refresh token', async () => {
+        const { accessToken, refreshToken } = (await login()).body;
+        const auth = tokens.verifyAccessToken(accessToken);
+
+        await call(authController.logout, { auth, body: { refreshToken } });
+
+        expect(() => tokens.verifyAccessToken(accessToken)).toThrow('Token has been revoked');
+        expect(() => tokens.verifyRefreshToken(refreshToken)).toThrow('Token has been revoked');
+    });
+});
@@ -0,0 +1,61 @@
+// App/Http/Controllers/__tests__/setpointController.test.js
+const setpointController = require('../setpointController');
+
+function createResponse() {
+    const res = { statusCode: 200, body: null };
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+    return res;
+}
+
+describe('setpointController', () => {
+    let setpoints;
+
+    beforeEach(() => {
+        setpoints = {
+            setSetpoint: jest.fn(async (loop, value) => ({ loop, value, unit: '°C' }))
+        };
+        setpointController.initializeController(setpoints);
+    });
+
+    test('records the change under the logged-in user, whatever the body says', async () => {
+        const res = createResponse();
+        await setpointController.updateSetpoint({
+            params: { loop: 'temperature' },
+            body: { value: 30.5, changedBy: 'someone-else', reason: 'Batch 42 profile' },
+            user: { id: '3', username: 'bob', role: 'operator' },
+            ip: '10.0.0.1'
+        }, res);
+
+        expect(res.statusCode).toBe(200);
+        expect(setpoints.setSetpoint).toHaveBeenCalledWith('temperature', 30.5, {
+            changedBy: 'bob',
+            source: 'api',
+            reason: 'Batch 42 profile',
+            actor: 'bob',
+            ip: '10.0.0.1'
+        });
+    });
+
+    test('maps validation errors to 400 and unknown loops to 404', async () => {
+        const outOfRange = Object.assign(new Error('Too high'), { code: 'SETPOINT_OUT_OF_RANGE' });
+        const unknown = Object.assign(new Error('No such loop'), { code: 'UNKNOWN_LOOP' });
+        setpoints.setSetpoint.mockRejectedValueOnce(outOfRange).mockRejectedValueOnce(unknown);
+        const req = { params: { loop: 'temperature' }, body: { value: 999 }, user: { username: 'bob' } };
+
+        const first = createResponse();
+        await setpointController.updateSetpoint(req, first);
+        expect(first.statusCode).toBe(400);
+        expect(first.body.code).toBe('SETPOINT_OUT_OF_RANGE');
+
+        const second = createResponse();
+        await setpointController.updateSetpoint(req, second);
+        expect(second.statusCode).toBe(404);
+    });
+});
@@ -0,0 +1,86 @@
+// App/Http/Controllers/__tests__/usersController.test.js
+const usersController = require('../usersController');
+const { matches } = require('../../../../lib/db/changeFeed');
+
+function createDatabase(rows) {
+    return {
+        rows,
+        async getDataByFilters(table, filters = {}) {
+            return rows.filter(row => matches(row, filters)).map(row => ({ ...row }));
+        },
+        async updateData(table, data, whereClause, [id]) {
+            Object.assign(rows.find(row => row.id === id), data);
+            return { affectedRows: 1 };
+        },
+        async deleteData(table, whereClause, [id]) {
+            rows.splice(rows.findIndex(row => row.id === id), 1);
+            return { affectedRows: 1 };
+        }
+    };
+}
+
+function createResponse() {
+    const res = { statusCode: 200, body: null };
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+    return res;
+}
+
+describe('usersController', () => {
+    let db;
+    let tokens;
+
+    beforeEach(() => {
+        db = createDatabase([
+            { id: 1, username: 'alice', role: 'admin', status: 'active' },
+            { id: 2, username: 'bob', role: 'viewer', status: 'active' }
+        ]);
+        tokens = { revokeUser: jest.fn() };
+        usersController.initializeController(db);
+        usersController.setTokenService(tokens);
+    });
+
+    async function call(handler, id, body = {}) {
+        const req = { params: { id }, body, user: { id: 1, username: 'alice' }, audit: { record: jest.fn() } };
+        const res = createResponse();
+        await handler(req, res);
+        return { res, audit: req.audit.record };
+    }
+
+    test('a role change is audited with the old and new role', async () => {
+        const { res, audit } = await call(usersController.updateUserRole, 2, { role: 'operator' });
+
+        expect(res.body.data).toMatchObject({ id: 2, role: 'operator' });
+        expect(tokens.revokeUser).toHaveBeenCalledWith(2);
+        expect(audit).toHaveBeenCalledWith('user.role', { details: { userId: 2, username: 'bob', from: 'viewer', to: 'operator' } });
+    });
+
+    test('disable, enable, reset and delete are audited with the target user', async () => {
+        const actions = [
+            [usersController.disableUser, 'user.disable'],
+            [usersController.enableUser, 'user.enable'],
+            [usersController.resetUserPassword, 'user.reset_password'],
+            [usersController.deleteUser, 'user.delete']
+        ];
+        for (const [handler, action] of actions) {
+            const { res, audit } = await call(handler, 2);
+            expect(res.statusCode).toBe(200);
+            expect(audit).toHaveBeenCalledWith(action, { details: { userId: 2, username: 'bob' } });
+        }
+        expect(db.rows.map(row => row.id)).toEqual([1]);
+    });
+
+    test('a refused change is not audited', async () => {
+        const { res, audit } = await call(usersController.disableUser, 1);
+
+        expect(res.statusCode).toBe(409);
+        expect(res.body.code).toBe('SELF_ACTION');
+        expect(audit).not.toHaveBeenCalled();
+    });
+});
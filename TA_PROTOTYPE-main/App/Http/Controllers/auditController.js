@@ -0,0 +1,70 @@
+// App/Http/Controllers/auditController.js
+
+// This variable will hold the audit log instance for this controller.
+let audit;
+
+/**
+ * Initializes the controller with the audit log instance.
+ * @param {object} auditLogInstance - An instance of the AuditLog class.
+ */
+function initializeController(auditLogInstance) {
+    if (!auditLogInstance) {
+        throw new Error("Audit log instance is required for controller initialization.");
+    }
+    audit = auditLogInstance;
+}
+
+// EXAMPLE (GET /api/audit?action=data.*&table=temperature_data&from=2025-01-01T00:00:00Z&limit=50)
+// -> { "success": true, "data": { "total": 3, "limit": 50, "offset": 0, "entries": [...], "status": {...} } }
+//
+// EXAMPLE (GET /api/audit/verify)
+// -> { "success": true, "data": { "valid": true, "entries": 1520, "brokenAt": null } }
+
+
+/**
+ * Lists audit entries, newest first.
+ * Query parameters: 'action' ('data.delete', or a group such as 'data.*'), 'actor', 'origin',
+ * 'table', 'from' and 'to' (ISO timestamps), 'limit' (default 100) and 'offset'.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+function listAuditEntries(req, res) {
+    if (!audit) {
+        return res.status(404).json({ success: false, error: "Audit log disabled" });
+    }
+
+    const { action, actor, origin, table, from, to, limit, offset } = req.query;
+    for (const [name, value] of Object.entries({ from, to })) {
+        if (value !== undefined && Number.isNaN(Date.parse(value))) {
+            return res.status(400).json({ success: false, error: `'${name}' must be an ISO timestamp.` });
+        }
+    }
+
+    const data = audit.list({
+        action, actor, origin, table,
+        from: from && new Date(from).toISOString(),
+        to: to && new Date(to).toISOString(),
+        limit, offset
+    });
+    res.status(200).json({ success: true, data: { ...data, status: audit.getStatus() } });
+}
+
+/**
+ * Checks the hash chain of the audit log: any entry changed or removed outside the
+ * application makes it invalid.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+function verifyAuditLog(req, res) {
+    if (!audit) {
+        return res.status(404).json({ success: false, error: "Audit log disabled" });
+    }
+
+    res.status(200).json({ success: true, data: audit.verify() });
+}
+
+module.exports = {
+    initializeController,
+    listAuditEntries,
+    verifyAuditLog
+};
@@ -1,5 +1,12 @@
-const bcrypt = require('bcryptjs');
+const { findUserById, verifyCredentials, isDisabled, publicUser } = require('../../../lib/auth/credentials');
+const { permissionsFor } = require('../../../lib/auth/permissions');
+const { createUser, changePassword: changeAccountPassword } = require('../../../lib/auth/accounts');
+const LoginThrottle = require('../../../lib/auth/loginThrottle');
+const TokenService = require('../../../lib/auth/tokenService');
+const { statusForAccountError } = require('./usersController');
 let db;
+let tokens = null;
+let throttle = null;
 
 /**
  * Initializes the controller with a database instance.
@@ -10,32 +17,97 @@ function initializeController(databaseInstance) {
     db = databaseInstance;
 }
 
+/**
+ * Sets the token service used to issue and verify JWTs (lib/auth/tokenService.js).
+ * @param {object} tokenServiceInstance - An instance of the TokenService class.
+ */
+function setTokenService(tokenServiceInstance) {
+    tokens = tokenServiceInstance;
+}
+
+/**
+ * Sets the lockout tracker for failed logins (lib/auth/loginThrottle.js).
+ * @param {object} loginThrottleInstance - An instance of the LoginThrottle class.
+ */
+function setLoginThrottle(loginThrottleInstance) {
+    throttle = loginThrottleInstance;
+}
+
+/**
+ * Answers 429 for a locked account or client IP, with a Retry-After header.
+ * @param {object} res - The Express response object.
+ * @param {object} lock - The lockout returned by LoginThrottle.check() or recordFailure().
+ */
+function sendLocked(res, lock) {
+    const error = LoginThrottle.lockedError(lock);
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(429).json({ success: false, error: error.message, code: error.code, retryAfter: error.retryAfter });
+}
+
+// EXAMPLE (POST /api/auth/login)
+// { "username": "operator1", "password": "..." }
+// -> { "success": true, "user": {...}, "tokenType": "Bearer", "accessToken": "...", "refreshToken": "...", "expiresIn": 900 }
+// After too many failures: 429 { "success": false, "error": "...", "code": "ACCOUNT_LOCKED" | "IP_LOCKED", "retryAfter": 900 }
+//
+// EXAMPLE (POST /api/auth/register)
+// { "username": "operator1", "email": "operator1@example.com", "password": "..." }
+//
+// EXAMPLE (POST /api/auth/refresh and POST /api/auth/logout)
+// { "refreshToken": "..." }
+//
+// EXAMPLE (PUT /api/auth/password)
+// { "currentPassword": "...", "newPassword": "..." }
+
 /**
  * Handles user login requests.
+ * Failed attempts count towards a temporary lockout of the username and the client IP.
  * @param {object} req - The Express request object.
  * @param {object} res - The Express response object.
  */
 async function login(req, res) {
     const { username, password } = req.body;
 
-    db.validate(req.body, {
-        username: ['required'],
-        password: ['required']
-    });
     try {
-        const users = await db.getDataByFilters('users', { username });
-        const user = users && users.length > 0 ? users[0] : null;
+        db.validate(req.body, {
+            username: ['required'],
+            password: ['required']
+        });
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
 
-        if (!user) {
-            return res.status(401).json({ success: false, error: 'Invalid email or password.' });
-        }
+    const attempt = { ip: req.ip, username, origin: 'http' };
+    const lock = throttle ? throttle.check(attempt) : null;
+    if (lock) {
+        return sendLocked(res, lock);
+    }
 
-        const passwordIsValid = await bcrypt.compare(password, user.password);
+    try {
+        let user;
+        try {
+            user = await verifyCredentials(db, username, password);
+        } catch (error) {
+            // The password was right, so this does not count as a failure
+            if (error.code === 'ACCOUNT_DISABLED') {
+                return res.status(403).json({ success: false, error: error.message, code: error.code });
+            }
+            throw error;
+        }
 
-        if (passwordIsValid) {
-            const { password, ...userWithoutPassword } = user;
-            res.status(200).json({ success: true, user: userWithoutPassword });
+        if (user) {
+            if (throttle) {
+                throttle.recordSuccess(attempt);
+            }
+            res.status(200).json({
+                success: true,
+                user,
+                ...(tokens ? tokens.issueTokens(user) : {})
+            });
         } else {
+            const lockout = throttle ? throttle.recordFailure(attempt) : null;
+            if (lockout) {
+                return sendLocked(res, lockout);
+            }
             res.status(401).json({ success: false, error: 'Invalid email or password.' });
         }
     } catch (error) {
@@ -50,39 +122,146 @@ async function login(req, res) {
  * @param {object} res - The Express response object.
  */
 async function register(req, res) {
-    const { username, password } = req.body;
+    try {
+        const { username, email, password } = req.body || {};
+        const user = await createUser(db, { username, email, password });
+        res.status(201).json({ success: true, userId: user.id, role: user.role });
+    } catch (error) {
+        if (error.code) {
+            return res.status(statusForAccountError(error)).json({ success: false, error: error.message, code: error.code });
+        }
+        console.error('Registration error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error during registration.' });
+    }
+}
+
+/**
+ * Exchanges a refresh token for a new access and refresh token.
+ * The refresh token is single-use: it is revoked once exchanged.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+async function refresh(req, res) {
+    if (!tokens) {
+        return res.status(503).json({ success: false, error: 'Authentication is not available.' });
+    }
+
+    let payload;
+    try {
+        payload = tokens.verifyRefreshToken((req.body || {}).refreshToken);
+    } catch (error) {
+        return res.status(401).json({ success: false, error: error.message, code: error.code });
+    }
+    // Used up before the first await, so a concurrent refresh with the same token is refused
+    tokens.revoke(payload);
 
-    db.validate(req.body, {
-        username: ['required'],
-        // email: ['required', 'email'],
-        password: ['required']
-    });
     try {
-        const existingUsers = await db.getDataByFilters('users', { username });
-        if (existingUsers && existingUsers.length > 0) {
-            return res.status(409).json({ success: false, error: 'User with this email already exists.' });
+        // Tokens are only issued to users that still exist
+        const user = await findUserById(db, payload.sub);
+        if (!user) {
+            return res.status(401).json({ success: false, error: 'User no longer exists.', code: 'TOKEN_INVALID' });
+        }
+        if (isDisabled(user)) {
+            return res.status(401).json({ success: false, error: 'This account is disabled.', code: 'ACCOUNT_DISABLED' });
+        }
+        // A temporary password has to be changed first (PUT /api/auth/password with the access token of the login)
+        if (publicUser(user).must_change_password) {
+            const error = TokenService.passwordChangeRequired();
+            return res.status(403).json({ success: false, error: error.message, code: error.code });
         }
 
-        const salt = await bcrypt.genSalt(10);
-        const hashedPassword = await bcrypt.hash(password, salt);
+        // The new tokens carry the user's current role
+        res.status(200).json({ success: true, ...tokens.issueTokens(publicUser(user)) });
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error during token refresh.' });
+    }
+}
+
+/**
+ * Revokes the access token of the request and, when given, the refresh token in the body.
+ * Requires the authenticateToken middleware.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+function logout(req, res) {
+    tokens.revoke(req.auth);
 
-        const newUser = {
-            username,
-            password: hashedPassword,
-            // role: 'user'
-        };
+    if (req.body && req.body.refreshToken) {
+        try {
+            const payload = tokens.verifyRefreshToken(req.body.refreshToken);
+            if (payload.sub === req.auth.sub) {
+                tokens.revoke(payload);
+            }
+        } catch (error) {
+            // Already expired or revoked
+        }
+    }
 
-        const result = await db.postData('users', newUser);
-        res.status(201).json({ success: true, userId: result.insertId });
+    res.status(200).json({ success: true, message: 'Logged out.' });
+}
 
+/**
+ * Returns the authenticated user, without the password hash, with the permissions of their role.
+ * Requires the authenticateToken middleware.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+async function me(req, res) {
+    try {
+        const user = await findUserById(db, req.user.id);
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found.' });
+        }
+
+        const profile = publicUser(user);
+        res.status(200).json({ success: true, user: profile, permissions: permissionsFor(profile.role) });
     } catch (error) {
-        console.error('Registration error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error during registration.' });
+        console.error('Profile error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error.' });
+    }
+}
+
+/**
+ * Changes the password of the authenticated user. Every token issued before is revoked
+ * (other sessions are logged out) and a new access and refresh token are returned.
+ * Requires the authenticateToken middleware.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+async function changePassword(req, res) {
+    const { currentPassword, newPassword } = req.body || {};
+
+    try {
+        db.validate(req.body || {}, {
+            currentPassword: ['required'],
+            newPassword: ['required']
+        });
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    try {
+        const user = await changeAccountPassword(db, req.user.id, currentPassword, newPassword);
+        tokens.revokeUser(user.id);
+        res.status(200).json({ success: true, message: 'Password changed.', user, ...tokens.issueTokens(user) });
+    } catch (error) {
+        if (error.code) {
+            return res.status(statusForAccountError(error)).json({ success: false, error: error.message, code: error.code });
+        }
+        console.error('Password change error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error during password change.' });
     }
 }
 
 module.exports = {
     initializeController,
+    setTokenService,
+    setLoginThrottle,
     login,
     register,
+    refresh,
+    logout,
+    me,
+    changePassword,
 };
\ No newline at end of file
@@ -1,23 +1,40 @@
 let db;
+let schemaValidator = null;
 function initializeController(databaseInstance) {
     db = databaseInstance;
 }
 
+// Optional per-table Joi schemas (lib/db/schemaValidator.js)
+function setSchemaValidator(validatorInstance) {
+    schemaValidator = validatorInstance;
+}
+
 async function insertSensorData(req, res) {
-    const { user_id, device_id, ph_reading, temperature_reading, moisture_percentage } = req.body;
+    let { user_id, device_id, ph_reading, temperature_reading, moisture_percentage } = req.body;
 
     try {
-        dbInstance.validate(req.body, {
+        db.validate(req.body, {
             user_id: ['required'],
             device_id: ['required']
         });
 
-        const result = await dbInstance.postData('sensor_data', {
+        // Validate the plain values against the 'sensor_data' schema before they are encrypted
+        if (schemaValidator) {
+            const validation = schemaValidator.validate('sensor_data',
+                { user_id, device_id, ph_reading, temperature_reading, moisture_percentage },
+                { source: 'api:sensor-data' });
+            if (!validation.valid) {
+                return res.status(422).json({ success: false, error: "Schema validation failed.", errors: validation.errors });
+            }
+            ({ user_id, device_id, ph_reading, temperature_reading, moisture_percentage } = validation.value);
+        }
+
+        const result = await db.postData('sensor_data', {
             user_id,
             device_id,
-            ph_reading: dbInstance.encrypt(String(ph_reading)),
-            temperature_reading: dbInstance.encrypt(String(temperature_reading)),
-            moisture_percentage: dbInstance.encrypt(String(moisture_percentage))
+            ph_reading: db.encrypt(String(ph_reading)),
+            temperature_reading: db.encrypt(String(temperature_reading)),
+            moisture_percentage: db.encrypt(String(moisture_percentage))
         });
 
         res.json({ success: true, id: result.insertId, message: "Data received via API and saved." });
@@ -30,15 +47,15 @@ async function insertPh(req, res) {
     const { user_id, device_id, ph_reading } = req.body;
 
     try {
-        dbInstance.validate(req.body, {
+        db.validate(req.body, {
             user_id: ['required'],
             device_id: ['required']
         });
 
-        const result = await dbInstance.postData('ph_data', {
+        const result = await db.postData('ph_data', {
             user_id,
             device_id,
-            ph_reading: dbInstance.encrypt(String(ph_reading)),
+            ph_reading: db.encrypt(String(ph_reading)),
         });
 
         res.json({ success: true, id: result.insertId, message: "Data received via API and saved." });
@@ -49,5 +66,6 @@ async function insertPh(req, res) {
 
 module.exports = {
     initializeController,
+    setSchemaValidator,
     insertSensorData
 };
\ No newline at end of file
@@ -0,0 +1,108 @@
+// App/Http/Controllers/deadLetterController.js
+
+// This variable will hold the dead-letter store instance for this controller.
+let deadLetters;
+
+/**
+ * Initializes the controller with the dead-letter store instance.
+ * @param {object} deadLetterStoreInstance - An instance of the DeadLetterStore class.
+ */
+function initializeController(deadLetterStoreInstance) {
+    if (!deadLetterStoreInstance) {
+        throw new Error("Dead-letter store instance is required for controller initialization.");
+    }
+    deadLetters = deadLetterStoreInstance;
+}
+
+// EXAMPLE (GET /api/dead-letters?sourceType=serial&stage=parse&limit=50)
+// EXAMPLE (POST /api/dead-letters/retry and POST /api/dead-letters/purge)
+// {
+//     "ids": [12, 13, 17]
+// }
+// An empty or missing 'ids' applies to every entry.
+
+
+/**
+ * Lists dead-letter entries, newest first, with the store counters.
+ * Query parameters: 'sourceType', 'sourceId', 'stage', 'limit' (default 100) and 'offset'.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+function listDeadLetters(req, res) {
+    if (!deadLetters) {
+        return res.status(404).json({ success: false, error: "Dead-letter store disabled" });
+    }
+
+    const { sourceType, sourceId, stage, limit, offset } = req.query;
+    const data = deadLetters.list({ sourceType, sourceId, stage, limit, offset });
+    res.status(200).json({ success: true, data: { ...data, status: deadLetters.getStatus() } });
+}
+
+/**
+ * Re-ingests dead-letter entries through the current parser, calibration and schemas.
+ * Entries that are accepted are removed, the others keep their latest failure reason.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+async function retryDeadLetters(req, res) {
+    if (!deadLetters) {
+        return res.status(404).json({ success: false, error: "Dead-letter store disabled" });
+    }
+
+    const ids = parseIds(req.body);
+    if (ids === null) {
+        return res.status(400).json({ success: false, error: "'ids' must be an array of entry IDs." });
+    }
+
+    try {
+        const data = await deadLetters.retry(ids);
+        req.audit.record('deadletter.retry', { details: { ids, retried: data.retried, recovered: data.recovered } });
+        res.status(200).json({
+            success: true,
+            message: `${data.recovered} of ${data.retried} entries were re-ingested.`,
+            data
+        });
+    } catch (err) {
+        res.status(err.code === 'RETRY_IN_PROGRESS' ? 409 : 500).json({ success: false, error: err.message, code: err.code || null });
+    }
+}
+
+/**
+ * Deletes dead-letter entries.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+function purgeDeadLetters(req, res) {
+    if (!deadLetters) {
+        return res.status(404).json({ success: false, error: "Dead-letter store disabled" });
+    }
+
+    const ids = parseIds(req.body);
+    if (ids === null) {
+        return res.status(400).json({ success: false, error: "'ids' must be an array of entry IDs." });
+    }
+
+    const purged = deadLetters.purge(ids);
+    req.audit.record('deadletter.purge', { details: { ids, purged } });
+    res.status(200).json({ success: true, data: { purged, ...deadLetters.getStatus() } });
+}
+
+/**
+ * Reads the 'ids' of a retry/purge request. A missing list means every entry.
+ * @param {object} body - The request body.
+ * @returns {number[]|null} The entry IDs, or null when 'ids' is not an array of numbers.
+ */
+function parseIds(body) {
+    const ids = body && body.ids !== undefined ? body.ids : [];
+    if (!Array.isArray(ids) || ids.some(id => !Number.isInteger(Number(id)))) {
+        return null;
+    }
+    return ids.map(Number);
+}
+
+module.exports = {
+    initializeController,
+    listDeadLetters,
+    retryDeadLetters,
+    purgeDeadLetters
+};
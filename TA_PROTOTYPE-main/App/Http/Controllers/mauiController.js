@@ -2,6 +2,10 @@
 
 // This variable will hold the database instance for this controller.
 let db;
+// Optional per-table Joi schemas, applied to every record before it is inserted.
+let schemaValidator = null;
+// Tables (and columns) this API may read and write.
+let tablePolicy = null;
 
 /**
  * Initializes the controller with the database instance.
@@ -14,6 +18,22 @@ function initializeController(databaseInstance) {
     db = databaseInstance;
 }
 
+/**
+ * Sets the schema validator used to check records before insertion.
+ * @param {object|null} validatorInstance - An instance of SchemaValidator, or null to disable validation.
+ */
+function setSchemaValidator(validatorInstance) {
+    schemaValidator = validatorInstance;
+}
+
+/**
+ * Sets the policy deciding which tables and columns are exposed through this API.
+ * @param {object} policyInstance - An instance of TablePolicy.
+ */
+function setTablePolicy(policyInstance) {
+    tablePolicy = policyInstance;
+}
+
 // EXAMPLE
 // {
 //     "tableName": "activity_logs",
@@ -31,7 +51,7 @@ function initializeController(databaseInstance) {
  * @param {object} res - The Express response object.
  */
 async function genericDataHandler(req, res) {
-    if (!db) {
+    if (!db || !tablePolicy) {
         return res.status(500).json({ success: false, error: "Generic API controller has not been initialized." });
     }
 
@@ -45,6 +65,9 @@ async function genericDataHandler(req, res) {
     if (!Array.isArray(records) || records.length === 0) {
         return res.status(400).json({ success: false, error: "A non-empty 'records' array is required." });
     }
+    if (!tablePolicy.canWrite(tableName)) {
+        return res.status(403).json({ success: false, error: `Table '${tableName}' is not writable through this API.`, code: 'TABLE_NOT_ALLOWED' });
+    }
 
     // --- IMPORTANT SECURITY NOTE ---
     // Because this function is generic, it does not know which fields to encrypt.
@@ -57,10 +80,33 @@ async function genericDataHandler(req, res) {
 
     // 3. Loop through each record and use the generic postData function from your Database class.
     for (let index = 0; index < records.length; index++) {
-        const record = records[index];
+        let record = records[index];
+
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            errors.push({ index: index, record: record, error: "Each record must be an object." });
+            continue;
+        }
+        // Columns outside the table's policy are refused, not silently dropped.
+        const rejectedColumns = tablePolicy.rejectedColumns(tableName, record);
+        if (rejectedColumns.length > 0) {
+            errors.push({ index: index, record: record, error: `Columns not accepted for '${tableName}': ${rejectedColumns.join(', ')}.` });
+            continue;
+        }
+
+        // Records that break the table's schema are reported (and quarantined) instead of inserted.
+        if (schemaValidator) {
+            const validation = schemaValidator.validate(tableName, record, { source: 'api:maui-data' });
+            if (!validation.valid) {
+                errors.push({ index: index, record: record, error: "Schema validation failed.", validationErrors: validation.errors });
+                continue;
+            }
+            record = validation.value;
+        }
+
         try {
             // The postData function is now driven entirely by the API request.
-            const result = await db.postData(tableName, record);
+            const result = await req.audit.track(db, { action: 'data.insert', table: tableName, data: record },
+                db.postData.bind(db, tableName, record));
             insertedIds.push(result.insertId);
         } catch (err) {
             errors.push({ index: index, record: record, error: err.message });
@@ -85,7 +131,55 @@ async function genericDataHandler(req, res) {
     });
 }
 
+// EXAMPLE
+// GET /api/maui-get/sensors_data?filters[device_id]=oven-1&orderBy[column]=id&orderBy[direction]=DESC&limit=10
+
+
+/**
+ * Reads records of a table, as documented in PHP_DOCUMENTATION.MD.
+ * Supports filters[column]=value (equality, combined with AND), orderBy[column] with
+ * orderBy[direction] (ASC or DESC) and limit. Hidden columns are left out of the result.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+async function genericGetHandler(req, res) {
+    if (!db || !tablePolicy) {
+        return res.status(500).json({ success: false, error: "Generic API controller has not been initialized." });
+    }
+
+    const tableName = req.params.table;
+    if (!tableName) {
+        return res.status(400).json({ success: false, error: "Table name is required in URL." });
+    }
+    if (!tablePolicy.canRead(tableName)) {
+        return res.status(403).json({ success: false, error: `Table '${tableName}' is not readable through this API.`, code: 'TABLE_NOT_ALLOWED' });
+    }
+
+    let query;
+    try {
+        query = tablePolicy.readQuery(tableName, req.query);
+    } catch (err) {
+        return res.status(400).json({ success: false, error: err.message, code: err.code || null });
+    }
+
+    try {
+        const rows = await db.getDataByFilters(tableName, query.filters, query.options);
+        const data = (rows || []).map(row => tablePolicy.visibleRow(tableName, row));
+        res.status(200).json({
+            success: true,
+            message: `Successfully retrieved ${data.length} records from '${tableName}'.`,
+            data: data,
+            count: data.length
+        });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+}
+
 module.exports = {
     initializeController,
-    genericDataHandler
+    setSchemaValidator,
+    setTablePolicy,
+    genericDataHandler,
+    genericGetHandler
 };
\ No newline at end of file
@@ -0,0 +1,143 @@
+// App/Http/Controllers/serialController.js
+
+// This variable will hold the serial manager instance for this controller.
+let serial;
+
+/**
+ * Initializes the controller with the serial manager instance.
+ * @param {object} serialManagerInstance - An instance of the SerialManager class.
+ */
+function initializeController(serialManagerInstance) {
+    if (!serialManagerInstance) {
+        throw new Error("Serial manager instance is required for controller initialization.");
+    }
+    serial = serialManagerInstance;
+}
+
+// EXAMPLE
+// {
+//     "deviceId": "oven-1",
+//     "command": "SET_SP",
+//     "params": { "target": "temperature", "value": 30.5 },
+//     "timeout": 3000,
+//     "retries": 1
+// }
+
+
+/**
+ * Sends a command to the serial device and waits for its acknowledgement.
+ * Expects a JSON body with a 'command' string and optional 'params', 'timeout' and 'retries'.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+async function sendCommand(req, res) {
+    if (!serial) {
+        return res.status(503).json({ success: false, error: "Serial communication is not available." });
+    }
+
+    const { command, params, timeout, retries, deviceId } = req.body;
+
+    if (!command || typeof command !== 'string') {
+        return res.status(400).json({ success: false, error: "A 'command' string is required in the request body." });
+    }
+    if (params !== undefined && (params === null || typeof params !== 'object' || Array.isArray(params))) {
+        return res.status(400).json({ success: false, error: "'params' must be an object." });
+    }
+
+    const options = { deviceId };
+    if (timeout !== undefined) options.timeout = Number(timeout);
+    if (retries !== undefined) options.retries = Number(retries);
+
+    req.audit.record('device.command', { details: { command, params: params || {}, deviceId: deviceId || null } });
+    try {
+        const result = await serial.sendCommand(command, params || {}, options);
+        res.status(200).json({
+            success: true,
+            message: `Command '${command}' acknowledged by the device.`,
+            data: result
+        });
+    } catch (err) {
+        res.status(statusForError(err)).json({ success: false, error: err.message, code: err.code || null });
+    }
+}
+
+/**
+ * Lists the registered serial devices with their connection state.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+function listDevices(req, res) {
+    if (!serial) {
+        return res.status(503).json({ success: false, error: "Serial communication is not available." });
+    }
+
+    const data = serial.listDevices();
+    res.status(200).json({ success: true, data, count: data.length });
+}
+
+/**
+ * Returns the status of one device ('deviceId' query parameter) or of every device.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+function getStatus(req, res) {
+    if (!serial) {
+        return res.status(503).json({ success: false, error: "Serial communication is not available." });
+    }
+
+    try {
+        res.status(200).json({ success: true, data: serial.getStatus(req.query.deviceId || null) });
+    } catch (err) {
+        res.status(statusForError(err)).json({ success: false, error: err.message });
+    }
+}
+
+/**
+ * Dry run of port auto-detection: lists every port with the rule it matched (or why it was excluded)
+ * and the port that would be chosen. Optional 'deviceId' query parameter.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+async function previewPorts(req, res) {
+    if (!serial) {
+        return res.status(503).json({ success: false, error: "Serial communication is not available." });
+    }
+
+    try {
+        const data = await serial.previewPortSelection(req.query.deviceId || null);
+        res.status(200).json({ success: true, data });
+    } catch (err) {
+        res.status(statusForError(err)).json({ success: false, error: err.message });
+    }
+}
+
+/**
+ * Maps command channel error codes to HTTP status codes.
+ * @param {Error} err - The error raised by the serial layer.
+ * @returns {number} The HTTP status code.
+ */
+function statusForError(err) {
+    switch (err.code) {
+        case 'UNKNOWN_DEVICE':
+            return 404;
+        case 'NOT_CONNECTED':
+        case 'COMMAND_ABORTED':
+        case 'TOO_MANY_PENDING':
+            return 503;
+        case 'COMMAND_TIMEOUT':
+            return 504;
+        case 'COMMAND_REJECTED':
+            return 502;
+        default:
+            return 500;
+    }
+}
+
+module.exports = {
+    initializeController,
+    sendCommand,
+    listDevices,
+    getStatus,
+    previewPorts,
+    statusForError
+};
@@ -0,0 +1,121 @@
+// App/Http/Controllers/setpointController.js
+const { statusForError } = require('./serialController');
+
+// This variable will hold the setpoint manager instance for this controller.
+let setpoints;
+
+/**
+ * Initializes the controller with the setpoint manager instance.
+ * @param {object} setpointManagerInstance - An instance of the SetpointManager class.
+ */
+function initializeController(setpointManagerInstance) {
+    if (!setpointManagerInstance) {
+        throw new Error("Setpoint manager instance is required for controller initialization.");
+    }
+    setpoints = setpointManagerInstance;
+}
+
+// EXAMPLE (PUT /api/setpoints/temperature)
+// {
+//     "value": 30.5,
+//     "reason": "Batch 42 profile"
+// }
+// The change is recorded under the logged-in user
+
+
+/**
+ * Returns the limits and current value of every control loop.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+async function getSetpoints(req, res) {
+    if (!setpoints) {
+        return res.status(503).json({ success: false, error: "Setpoint control is not available." });
+    }
+
+    try {
+        const data = await setpoints.getSetpoints();
+        res.status(200).json({ success: true, data });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+}
+
+/**
+ * Changes the setpoint of one control loop ('temperature' or 'pressure').
+ * The value is validated against the loop limits, sent to the device and recorded in the history.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+async function updateSetpoint(req, res) {
+    if (!setpoints) {
+        return res.status(503).json({ success: false, error: "Setpoint control is not available." });
+    }
+
+    const { loop } = req.params;
+    const { value, reason } = req.body;
+
+    if (value === undefined || value === null) {
+        return res.status(400).json({ success: false, error: "A 'value' is required in the request body." });
+    }
+
+    try {
+        const data = await setpoints.setSetpoint(loop, value, {
+            changedBy: req.user ? req.user.username : req.ip,
+            source: 'api',
+            reason,
+            actor: (req.user && req.user.username) || null,
+            ip: req.ip
+        });
+        res.status(200).json({
+            success: true,
+            message: `The ${loop} setpoint was changed to ${data.value}${data.unit}.`,
+            data
+        });
+    } catch (err) {
+        res.status(setpointStatusForError(err)).json({ success: false, error: err.message, code: err.code || null });
+    }
+}
+
+/**
+ * Returns recent setpoint changes, newest first.
+ * Query parameters: 'loop' (optional) and 'limit' (default 50).
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+async function getSetpointHistory(req, res) {
+    if (!setpoints) {
+        return res.status(503).json({ success: false, error: "Setpoint control is not available." });
+    }
+
+    try {
+        const data = await setpoints.getHistory({ loop: req.query.loop, limit: req.query.limit });
+        res.status(200).json({ success: true, data, count: data.length });
+    } catch (err) {
+        res.status(setpointStatusForError(err)).json({ success: false, error: err.message });
+    }
+}
+
+/**
+ * Maps setpoint validation errors to HTTP status codes, device errors are mapped like serial commands.
+ * @param {Error} err - The error raised by the setpoint manager.
+ * @returns {number} The HTTP status code.
+ */
+function setpointStatusForError(err) {
+    switch (err.code) {
+        case 'UNKNOWN_LOOP':
+            return 404;
+        case 'SETPOINT_INVALID':
+        case 'SETPOINT_OUT_OF_RANGE':
+            return 400;
+        default:
+            return statusForError(err);
+    }
+}
+
+module.exports = {
+    initializeController,
+    getSetpoints,
+    updateSetpoint,
+    getSetpointHistory
+};
@@ -0,0 +1,188 @@
+// App/Http/Controllers/usersController.js
+const accounts = require('../../../lib/auth/accounts');
+
+// This variable will hold the database instance for this controller.
+let db;
+// Revokes the tokens of disabled, deleted, reset and re-roled users.
+let tokens = null;
+
+/**
+ * Initializes the controller with a database instance.
+ * @param {object} databaseInstance - The connected database instance.
+ */
+function initializeController(databaseInstance) {
+    db = databaseInstance;
+}
+
+/**
+ * Sets the token service, so that disabling, deleting or re-roling a user ends their sessions.
+ * @param {object} tokenServiceInstance - An instance of the TokenService class.
+ */
+function setTokenService(tokenServiceInstance) {
+    tokens = tokenServiceInstance;
+}
+
+/**
+ * Lists the users (without password hashes). Optional 'role' and 'status' query parameters.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+async function listUsers(req, res) {
+    try {
+        const data = await accounts.listUsers(db, { role: req.query.role, status: req.query.status });
+        res.status(200).json({ success: true, data, count: data.length });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+}
+
+/**
+ * Disables a user: logins are refused and their tokens are revoked. Admins cannot disable themselves.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+async function disableUser(req, res) {
+    try {
+        const user = await accounts.setUserStatus(db, req.params.id, 'disabled', req.user.id);
+        req.audit.record('user.disable', { details: { userId: user.id, username: user.username } });
+        if (tokens) {
+            tokens.revokeUser(user.id);
+        }
+        res.status(200).json({ success: true, data: user });
+    } catch (err) {
+        res.status(statusForAccountError(err)).json({ success: false, error: err.message, code: err.code || null });
+    }
+}
+
+/**
+ * Enables a disabled user.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+async function enableUser(req, res) {
+    try {
+        const user = await accounts.setUserStatus(db, req.params.id, 'active', req.user.id);
+        req.audit.record('user.enable', { details: { userId: user.id, username: user.username } });
+        res.status(200).json({ success: true, data: user });
+    } catch (err) {
+        res.status(statusForAccountError(err)).json({ success: false, error: err.message, code: err.code || null });
+    }
+}
+
+/**
+ * Deletes a user and revokes their tokens. Admins cannot delete themselves.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+async function deleteUser(req, res) {
+    try {
+        const user = await accounts.deleteUser(db, req.params.id, req.user.id);
+        req.audit.record('user.delete', { details: { userId: user.id, username: user.username } });
+        if (tokens) {
+            tokens.revokeUser(user.id);
+        }
+        res.status(200).json({ success: true, data: user });
+    } catch (err) {
+        res.status(statusForAccountError(err)).json({ success: false, error: err.message, code: err.code || null });
+    }
+}
+
+// EXAMPLE (PUT /api/users/7/email)
+// {
+//     "email": "operator1@example.com"
+// }
+
+
+/**
+ * Sets or clears (null) the email address of a user.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+async function updateUserEmail(req, res) {
+    try {
+        const user = await accounts.updateEmail(db, req.params.id, (req.body || {}).email);
+        res.status(200).json({ success: true, data: user });
+    } catch (err) {
+        res.status(statusForAccountError(err)).json({ success: false, error: err.message, code: err.code || null });
+    }
+}
+
+/**
+ * Replaces the password of a user with a random temporary password, returned once in the response.
+ * The user has to change it after logging in (must_change_password). Their tokens are revoked.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+async function resetUserPassword(req, res) {
+    try {
+        const { user, temporaryPassword } = await accounts.resetPassword(db, req.params.id, req.user.id);
+        req.audit.record('user.reset_password', { details: { userId: user.id, username: user.username } });
+        if (tokens) {
+            tokens.revokeUser(user.id);
+        }
+        res.status(200).json({ success: true, data: user, temporaryPassword });
+    } catch (err) {
+        res.status(statusForAccountError(err)).json({ success: false, error: err.message, code: err.code || null });
+    }
+}
+
+// EXAMPLE (PUT /api/users/7/role)
+// {
+//     "role": "engineer"
+// }
+
+
+/**
+ * Changes the role of a user ('viewer', 'operator', 'engineer' or 'admin').
+ * The user's tokens are revoked, since they carry the old role: the new role applies from the next login.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+async function updateUserRole(req, res) {
+    try {
+        const { user, previousRole } = await accounts.setUserRole(db, req.params.id, (req.body || {}).role, req.user.id);
+        req.audit.record('user.role', { details: { userId: user.id, username: user.username, from: previousRole, to: user.role } });
+        if (tokens) {
+            tokens.revokeUser(user.id);
+        }
+        res.status(200).json({ success: true, data: user });
+    } catch (err) {
+        res.status(statusForAccountError(err)).json({ success: false, error: err.message, code: err.code || null });
+    }
+}
+
+/**
+ * Maps account error codes (lib/auth/accounts.js) to HTTP status codes.
+ * @param {Error} err - The error raised by the accounts module.
+ * @returns {number} The HTTP status code.
+ */
+function statusForAccountError(err) {
+    switch (err.code) {
+        case 'USER_NOT_FOUND':
+            return 404;
+        case 'SELF_ACTION':
+        case 'USERNAME_TAKEN':
+        case 'EMAIL_TAKEN':
+            return 409;
+        case 'INVALID_INPUT':
+        case 'INVALID_PASSWORD':
+        case 'WEAK_PASSWORD':
+        case 'INVALID_EMAIL':
+            return 400;
+        default:
+            return 500;
+    }
+}
+
+module.exports = {
+    initializeController,
+    setTokenService,
+    listUsers,
+    disableUser,
+    enableUser,
+    deleteUser,
+    updateUserRole,
+    updateUserEmail,
+    resetUserPassword,
+    statusForAccountError
+};
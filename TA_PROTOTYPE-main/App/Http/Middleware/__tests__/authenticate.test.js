@@ -0,0 +1,89 @@
+// App/Http/Middleware/__tests__/authenticate.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { initializeMiddleware, authenticateToken, authenticateForPasswordChange } = require('../authenticate');
+const { requirePermission } = require('../authorize');
+const TokenService = require('../../../../lib/auth/tokenService');
+
+function run(middleware, req) {
+    const res = { statusCode: 200, headers: {}, body: null, nextCalled: false };
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.set = (name, value) => {
+        res.headers[name] = value;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+    middleware(req, res, () => {
+        res.nextCalled = true;
+    });
+    return res;
+}
+
+const bearer = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+
+describe('authenticate and authorize middleware', () => {
+    let directory;
+    let tokens;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'authenticate-'));
+        tokens = new TokenService({ secret: 'test-secret', revocationFile: path.join(directory, 'revoked.jsonl') });
+        initializeMiddleware(tokens);
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('a valid access token sets req.user', () => {
+        const req = bearer(tokens.issueTokens({ id: 3, username: 'bob', role: 'operator' }).accessToken);
+        const res = run(authenticateToken, req);
+
+        expect(res.nextCalled).toBe(true);
+        expect(req.user).toEqual({ id: '3', username: 'bob', role: 'operator' });
+        expect(req.auth.type).toBe('access');
+    });
+
+    test('missing and revoked tokens get 401 with WWW-Authenticate', () => {
+        const missing = run(authenticateToken, { headers: {} });
+        expect(missing.statusCode).toBe(401);
+        expect(missing.body.code).toBe('TOKEN_MISSING');
+        expect(missing.headers['WWW-Authenticate']).toBe('Bearer error="invalid_request"');
+
+        const { accessToken } = tokens.issueTokens({ id: 3, username: 'bob', role: 'operator' });
+        tokens.revokeUser(3);
+        const revoked = run(authenticateToken, bearer(accessToken));
+        expect(revoked.statusCode).toBe(401);
+        expect(revoked.body.code).toBe('TOKEN_REVOKED');
+        expect(revoked.headers['WWW-Authenticate']).toBe('Bearer error="invalid_token"');
+    });
+
+    test('a temporary password only opens the password change routes', () => {
+        const { accessToken } = tokens.issueTokens({ id: 3, username: 'bob', role: 'admin', must_change_password: 1 });
+
+        const refused = run(authenticateToken, bearer(accessToken));
+        expect(refused.statusCode).toBe(403);
+        expect(refused.body.code).toBe('PASSWORD_CHANGE_REQUIRED');
+        expect(refused.nextCalled).toBe(false);
+
+        const req = bearer(accessToken);
+        expect(run(authenticateForPasswordChange, req).nextCalled).toBe(true);
+        expect(req.user.id).toBe('3');
+    });
+
+    test('requirePermission checks the role of req.user', () => {
+        const viewer = run(requirePermission('data:write'), { user: { role: 'viewer' } });
+        expect(viewer.statusCode).toBe(403);
+        expect(viewer.body.code).toBe('FORBIDDEN');
+
+        expect(run(requirePermission('data:write'), { user: { role: 'operator' } }).nextCalled).toBe(true);
+        expect(run(requirePermission('data:read'), {}).statusCode).toBe(403);
+    });
+});
@@ -0,0 +1,38 @@
+// App/Http/Middleware/audit.js
+
+// This variable will hold the audit log instance for this middleware (null = auditing off).
+let auditLog = null;
+
+/**
+ * Sets the audit log the request helpers write to.
+ * @param {object|null} auditLogInstance - An instance of the AuditLog class, or null to disable auditing.
+ */
+function initializeAudit(auditLogInstance) {
+    auditLog = auditLogInstance;
+}
+
+/**
+ * Adds req.audit with the caller filled in: the logged-in user (the client IP when
+ * authentication is off), origin 'http' and the client IP.
+ *   req.audit.record(action, fields)     - Records a control action (AuditLog.record)
+ *   req.audit.track(db, context, run)    - Runs and records a data mutation (AuditLog.trackMutation)
+ * Without an audit log, record() does nothing and track() only runs the mutation.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware.
+ */
+function attachAudit(req, res, next) {
+    // req.user is set later, by authenticateToken on the route
+    const caller = () => ({ actor: req.user ? req.user.username : req.ip, origin: 'http', ip: req.ip });
+
+    req.audit = {
+        record: (action, fields = {}) => (auditLog ? auditLog.record(action, { ...caller(), ...fields }) : null),
+        track: (db, context, run) => (auditLog ? auditLog.trackMutation(db, { ...caller(), ...context }, run) : run())
+    };
+    next();
+}
+
+module.exports = {
+    initializeAudit,
+    attachAudit
+};
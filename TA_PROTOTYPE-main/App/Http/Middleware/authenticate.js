@@ -0,0 +1,80 @@
+// App/Http/Middleware/authenticate.js
+const { normalizeRole } = require('../../../lib/auth/permissions');
+const TokenService = require('../../../lib/auth/tokenService');
+
+// This variable will hold the token service instance for this middleware.
+let tokens;
+
+/**
+ * Initializes the middleware with the token service instance.
+ * @param {object} tokenServiceInstance - An instance of the TokenService class.
+ */
+function initializeMiddleware(tokenServiceInstance) {
+    if (!tokenServiceInstance) {
+        throw new Error("Token service instance is required for middleware initialization.");
+    }
+    tokens = tokenServiceInstance;
+}
+
+/**
+ * Requires a valid access token in the "Authorization: Bearer <token>" header.
+ * On success the caller is available as req.user ({ id, username, role }) and the decoded token as req.auth.
+ * A user with a temporary password (mustChangePassword) is refused with 403 PASSWORD_CHANGE_REQUIRED.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware.
+ */
+function authenticateToken(req, res, next) {
+    authenticate(req, res, next, false);
+}
+
+/**
+ * Like authenticateToken, but also lets a user with a temporary password through.
+ * Only for the routes that change the password or end the session.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware.
+ */
+function authenticateForPasswordChange(req, res, next) {
+    authenticate(req, res, next, true);
+}
+
+function authenticate(req, res, next, allowTemporaryPassword) {
+    if (!tokens) {
+        return res.status(503).json({ success: false, error: "Authentication is not available." });
+    }
+
+    let payload;
+    try {
+        payload = tokens.verifyAccessToken(bearerToken(req));
+    } catch (err) {
+        res.set('WWW-Authenticate', `Bearer error="${err.code === 'TOKEN_MISSING' ? 'invalid_request' : 'invalid_token'}"`);
+        return res.status(401).json({ success: false, error: err.message, code: err.code || null });
+    }
+
+    if (payload.mustChangePassword && !allowTemporaryPassword) {
+        const err = TokenService.passwordChangeRequired();
+        return res.status(403).json({ success: false, error: err.message, code: err.code });
+    }
+    req.auth = payload;
+    req.user = { id: payload.sub, username: payload.username, role: normalizeRole(payload.role) };
+    next();
+}
+
+/**
+ * Reads the token of an "Authorization: Bearer <token>" header.
+ * @param {object} req - The Express request object.
+ * @returns {string|null} The token, or null when the header is missing or not a bearer token.
+ */
+function bearerToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+}
+
+module.exports = {
+    initializeMiddleware,
+    authenticateToken,
+    authenticateForPasswordChange,
+    bearerToken
+};
@@ -0,0 +1,23 @@
+// App/Http/Middleware/authorize.js
+const { hasPermission, forbidden } = require('../../../lib/auth/permissions');
+
+/**
+ * Requires the authenticated user's role to grant a permission (see lib/auth/permissions.js).
+ * Must run after authenticateToken.
+ * @param {string} permission - The permission, e.g. 'setpoint:change'.
+ * @returns {function} The Express middleware.
+ */
+function requirePermission(permission) {
+    return (req, res, next) => {
+        const role = req.user ? req.user.role : null;
+        if (!hasPermission(role, permission)) {
+            const err = forbidden(role, permission);
+            return res.status(403).json({ success: false, error: err.message, code: err.code });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    requirePermission
+};
@@ -8,12 +8,34 @@ const DatabasePanel = ({ isElectron }) => {
   const [filterDateTo, setFilterDateTo] = useState('');
   const [filterRecordType, setFilterRecordType] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [activeView, setActiveView] = useState('records');
+  const [deadLetters, setDeadLetters] = useState([]);
+  const [deadLetterTotal, setDeadLetterTotal] = useState(0);
+  const [deadLetterStatus, setDeadLetterStatus] = useState(null);
+  const [deadLetterSource, setDeadLetterSource] = useState('');
+  const [deadLetterStage, setDeadLetterStage] = useState('');
+  const [selectedDeadLetters, setSelectedDeadLetters] = useState([]);
+  const [expandedDeadLetter, setExpandedDeadLetter] = useState(null);
+  const [deadLetterMessage, setDeadLetterMessage] = useState(null);
 
   useEffect(() => {
     loadRecordCounts();
     loadRecentRecords();
   }, []);
 
+  // New dead-letter entries update the depth counter; the list reloads on demand
+  useEffect(() => {
+    if (!isElectron || !window.api || !window.api.receive) return;
+
+    window.api.receive('dead-letter-added', () => {
+      setDeadLetterStatus(status => (status ? { ...status, depth: status.depth + 1 } : status));
+    });
+
+    return () => {
+      window.api.removeAllListeners('dead-letter-added');
+    };
+  }, [isElectron]);
+
   const loadRecordCounts = async () => {
     try {
       if (isElectron && window.api) {
@@ -108,7 +130,11 @@ const DatabasePanel = ({ isElectron }) => {
   const clearRecords = async (type) => {
     try {
       if (isElectron && window.api) {
-        await window.api.invoke('clear-records', type);
+        const result = await window.api.invoke('clear-records', type);
+        if (result && result.code === 'FORBIDDEN') {
+          alert(result.error);
+          return;
+        }
         alert(`${type} records cleared successfully`);
         loadRecordCounts();
         loadRecentRecords();
@@ -172,7 +198,11 @@ const DatabasePanel = ({ isElectron }) => {
 
     try {
       if (isElectron && window.api) {
-        await window.api.invoke('delete-record', id);
+        const result = await window.api.invoke('delete-record', id);
+        if (result && result.code === 'FORBIDDEN') {
+          alert(result.error);
+          return;
+        }
         setDatabaseRecords(records => records.filter(record => record.id !== id));
         alert('Record deleted successfully');
       } else {
@@ -185,6 +215,122 @@ const DatabasePanel = ({ isElectron }) => {
     }
   };
 
+  const loadDeadLetters = async (sourceType = deadLetterSource, stage = deadLetterStage) => {
+    setIsLoading(true);
+    try {
+      const filters = { sourceType: sourceType || undefined, stage: stage || undefined, limit: 200 };
+      let result;
+
+      if (isElectron && window.api) {
+        result = await window.api.invoke('dead-letter-list', filters);
+      } else {
+        result = { success: true, data: generateSimulatedDeadLetters(filters) };
+      }
+
+      if (!result.success) {
+        setDeadLetterMessage({ type: 'warning', text: result.error });
+        setDeadLetters([]);
+        setDeadLetterTotal(0);
+        return;
+      }
+
+      setDeadLetters(result.data.entries);
+      setDeadLetterTotal(result.data.total);
+      setDeadLetterStatus(result.data.status);
+      setSelectedDeadLetters(selected => selected.filter(id => result.data.entries.some(entry => entry.id === id)));
+    } catch (error) {
+      console.error('Error loading dead letters:', error);
+      setDeadLetters([]);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const generateSimulatedDeadLetters = (filters) => {
+    const now = new Date();
+    const entries = [
+      { id: 3, sourceType: 'websocket', sourceId: 'client_1', parser: 'json', stage: 'schema', reason: '"temperature" must be less than or equal to 150', raw: '{"type":"sensor_data","data":{"temperature":412}}' },
+      { id: 2, sourceType: 'serial', sourceId: 'default', port: 'COM3', parser: 'csv', stage: 'parse', reason: 'Expected 2 fields, got 1', raw: '24.1' },
+      { id: 1, sourceType: 'serial', sourceId: 'default', port: 'COM3', parser: 'csv', stage: 'required', reason: "Missing required field 'pressure'", raw: '24.3,' }
+    ]
+      .map((entry, index) => ({ ...entry, createdAt: new Date(now.getTime() - index * 60000).toISOString(), retries: 0 }))
+      .filter(entry => !filters.sourceType || entry.sourceType === filters.sourceType)
+      .filter(entry => !filters.stage || entry.stage === filters.stage);
+
+    return { total: entries.length, entries, status: { depth: 3 } };
+  };
+
+  const toggleDeadLetter = (id) => {
+    setSelectedDeadLetters(selected => (
+      selected.includes(id) ? selected.filter(selectedId => selectedId !== id) : [...selected, id]
+    ));
+  };
+
+  const toggleAllDeadLetters = () => {
+    setSelectedDeadLetters(selected => (
+      selected.length === deadLetters.length ? [] : deadLetters.map(entry => entry.id)
+    ));
+  };
+
+  // Re-ingest the selected entries (after fixing the parser, calibration or schema config)
+  const retryDeadLetters = async () => {
+    if (selectedDeadLetters.length === 0) return;
+
+    try {
+      if (isElectron && window.api) {
+        const result = await window.api.invoke('dead-letter-retry', selectedDeadLetters);
+        if (!result.success) {
+          setDeadLetterMessage({ type: 'danger', text: result.error });
+          return;
+        }
+        const { retried, recovered, failed } = result.data;
+        setDeadLetterMessage({
+          type: failed > 0 ? 'warning' : 'success',
+          text: `${recovered} of ${retried} entries re-ingested${failed > 0 ? `, ${failed} still failing` : ''}`
+        });
+        setSelectedDeadLetters([]);
+        loadDeadLetters();
+      } else {
+        setDeadLetterMessage({ type: 'info', text: 'Retry dead letters (Demo mode - not implemented)' });
+      }
+    } catch (error) {
+      console.error('Error retrying dead letters:', error);
+      setDeadLetterMessage({ type: 'danger', text: 'Error retrying dead letters' });
+    }
+  };
+
+  const purgeDeadLetters = async () => {
+    if (selectedDeadLetters.length === 0) return;
+    if (!window.confirm(`Are you sure you want to purge ${selectedDeadLetters.length} dead-letter entries? This action cannot be undone.`)) return;
+
+    try {
+      if (isElectron && window.api) {
+        const result = await window.api.invoke('dead-letter-purge', selectedDeadLetters);
+        if (!result.success) {
+          setDeadLetterMessage({ type: 'danger', text: result.error });
+          return;
+        }
+        setDeadLetterMessage({ type: 'success', text: `${result.data.purged} entries purged` });
+        setSelectedDeadLetters([]);
+        loadDeadLetters();
+      } else {
+        setDeadLetters(entries => entries.filter(entry => !selectedDeadLetters.includes(entry.id)));
+        setSelectedDeadLetters([]);
+        setDeadLetterMessage({ type: 'info', text: 'Entries purged (Demo mode)' });
+      }
+    } catch (error) {
+      console.error('Error purging dead letters:', error);
+      setDeadLetterMessage({ type: 'danger', text: 'Error purging dead letters' });
+    }
+  };
+
+  const stageBadge = (stage) => ({
+    parse: 'danger',
+    transform: 'warning',
+    required: 'secondary',
+    schema: 'info'
+  }[stage] || 'secondary');
+
   const exportAllData = () => {
     if (databaseRecords.length === 0) {
       alert('No data to export');
@@ -213,6 +359,33 @@ const DatabasePanel = ({ isElectron }) => {
           <i className="fas fa-database"></i> DATABASE MANAGEMENT
         </div>
 
+        <ul className="nav nav-tabs mb-3">
+          <li className="nav-item">
+            <button
+              className={`nav-link ${activeView === 'records' ? 'active' : ''}`}
+              onClick={() => setActiveView('records')}
+            >
+              <i className="fas fa-table"></i> Records
+            </button>
+          </li>
+          <li className="nav-item">
+            <button
+              className={`nav-link ${activeView === 'dead-letters' ? 'active' : ''}`}
+              onClick={() => {
+                setActiveView('dead-letters');
+                loadDeadLetters();
+              }}
+            >
+              <i className="fas fa-exclamation-triangle"></i> Dead Letters
+              {deadLetterStatus && deadLetterStatus.depth > 0 && (
+                <span className="badge bg-danger ms-1">{deadLetterStatus.depth}</span>
+              )}
+            </button>
+          </li>
+        </ul>
+
+        {activeView === 'records' ? (
+        <>
         <div className="row">
           <div className="col-md-4">
             <div className="control-panel">
@@ -384,6 +557,169 @@ const DatabasePanel = ({ isElectron }) => {
             </div>
           </div>
         </div>
+        </>
+        ) : (
+        <>
+        <div className="row">
+          <div className="col-md-8">
+            <div className="control-panel">
+              <h6 className="mb-3"><i className="fas fa-filter"></i> Dead-Letter Filters</h6>
+              <div className="row">
+                <div className="col-md-6 mb-2">
+                  <label className="form-label" style={{ fontSize: '11px' }}>Source:</label>
+                  <select
+                    className="form-select form-select-sm"
+                    value={deadLetterSource}
+                    onChange={(e) => {
+                      setDeadLetterSource(e.target.value);
+                      loadDeadLetters(e.target.value, deadLetterStage);
+                    }}
+                  >
+                    <option value="">All Sources</option>
+                    <option value="serial">Serial</option>
+                    <option value="websocket">WebSocket</option>
+                  </select>
+                </div>
+                <div className="col-md-6 mb-2">
+                  <label className="form-label" style={{ fontSize: '11px' }}>Failed At:</label>
+                  <select
+                    className="form-select form-select-sm"
+                    value={deadLetterStage}
+                    onChange={(e) => {
+                      setDeadLetterStage(e.target.value);
+                      loadDeadLetters(deadLetterSource, e.target.value);
+                    }}
+                  >
+                    <option value="">All Stages</option>
+                    <option value="parse">Parse</option>
+                    <option value="transform">Calibration</option>
+                    <option value="required">Required Fields</option>
+                    <option value="schema">Schema</option>
+                  </select>
+                </div>
+              </div>
+              <div className="alert alert-info mb-0">
+                Showing {deadLetters.length} of {deadLetterTotal} entries
+                {deadLetterStatus && ` (${deadLetterStatus.depth} stored)`}
+              </div>
+            </div>
+          </div>
+
+          <div className="col-md-4">
+            <div className="control-panel">
+              <h6 className="mb-3"><i className="fas fa-tools"></i> Actions</h6>
+              <button
+                className="btn btn-success btn-sm w-100 mb-1"
+                onClick={() => loadDeadLetters()}
+                disabled={isLoading}
+              >
+                <i className="fas fa-sync"></i> Refresh
+              </button>
+              <button
+                className="btn btn-warning btn-sm w-100 mb-1"
+                onClick={retryDeadLetters}
+                disabled={isLoading || selectedDeadLetters.length === 0}
+              >
+                <i className="fas fa-redo"></i> Retry Selected ({selectedDeadLetters.length})
+              </button>
+              <button
+                className="btn btn-danger btn-sm w-100"
+                onClick={purgeDeadLetters}
+                disabled={isLoading || selectedDeadLetters.length === 0}
+              >
+                <i className="fas fa-trash"></i> Purge Selected ({selectedDeadLetters.length})
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {deadLetterMessage && (
+          <div className={`alert alert-${deadLetterMessage.type} mt-3 mb-0`}>
+            {deadLetterMessage.text}
+            <button type="button" className="btn-close float-end" onClick={() => setDeadLetterMessage(null)}></button>
+          </div>
+        )}
+
+        <div className="row mt-3">
+          <div className="col-12">
+            <div className="table-responsive" style={{ maxHeight: '500px', overflowY: 'auto' }}>
+              <table className="table table-bordered data-table">
+                <thead className="sticky-top">
+                  <tr>
+                    <th>
+                      <input
+                        type="checkbox"
+                        checked={deadLetters.length > 0 && selectedDeadLetters.length === deadLetters.length}
+                        onChange={toggleAllDeadLetters}
+                      />
+                    </th>
+                    <th>ID</th>
+                    <th>Received</th>
+                    <th>Source</th>
+                    <th>Parser</th>
+                    <th>Stage</th>
+                    <th>Reason</th>
+                    <th>Retries</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {isLoading ? (
+                    <tr>
+                      <td colSpan="8" className="text-center">
+                        <div className="loading-spinner"></div> Loading dead letters...
+                      </td>
+                    </tr>
+                  ) : deadLetters.length > 0 ? (
+                    deadLetters.map((entry) => (
+                      <React.Fragment key={entry.id}>
+                        <tr
+                          onClick={() => setExpandedDeadLetter(expandedDeadLetter === entry.id ? null : entry.id)}
+                          style={{ cursor: 'pointer' }}
+                        >
+                          <td onClick={(e) => e.stopPropagation()}>
+                            <input
+                              type="checkbox"
+                              checked={selectedDeadLetters.includes(entry.id)}
+                              onChange={() => toggleDeadLetter(entry.id)}
+                            />
+                          </td>
+                          <td>{entry.id}</td>
+                          <td>{new Date(entry.createdAt).toLocaleString()}</td>
+                          <td>
+                            {entry.sourceType}{entry.sourceId ? `:${entry.sourceId}` : ''}
+                            {entry.port && <small className="text-muted"> ({entry.port})</small>}
+                          </td>
+                          <td>{entry.parser || '--'}</td>
+                          <td>
+                            <span className={`badge bg-${stageBadge(entry.stage)}`}>{entry.stage}</span>
+                          </td>
+                          <td>{entry.reason}</td>
+                          <td>{entry.retries}</td>
+                        </tr>
+                        {expandedDeadLetter === entry.id && (
+                          <tr>
+                            <td colSpan="8">
+                              <small className="text-muted">Raw payload{entry.encoding === 'hex' ? ' (hex)' : ''}:</small>
+                              <pre className="mb-0" style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-all' }}>{entry.raw}</pre>
+                            </td>
+                          </tr>
+                        )}
+                      </React.Fragment>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan="8" className="text-center">
+                        No dead letters. Every reading was ingested.
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+        </>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,315 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import authFetch, { storeTokens } from '../authFetch';
+
+const API_URL = 'http://localhost:3001/api';
+const ROLES = ['viewer', 'operator', 'engineer', 'admin'];
+
+// Electron IPC and the REST API both answer with { success, data, error }
+const callApi = async (isElectron, ipcCall, path, init) => {
+  if (isElectron && window.api) {
+    return ipcCall();
+  }
+  const response = await authFetch(`${API_URL}${path}`, init);
+  return response.json();
+};
+
+const jsonBody = (method, body) => ({
+  method,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+const UsersPanel = ({ isElectron }) => {
+  const [users, setUsers] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [editingEmail, setEditingEmail] = useState(null);
+  const [emailDraft, setEmailDraft] = useState('');
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+
+  const loadUsers = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const result = await callApi(
+        isElectron,
+        () => window.api.listUsers({ status: statusFilter || undefined }),
+        `/users${statusFilter ? `?status=${statusFilter}` : ''}`
+      );
+      if (result.success) {
+        setUsers(result.data);
+      } else {
+        setUsers([]);
+        setMessage({ type: 'warning', text: result.error });
+      }
+    } catch (error) {
+      console.error('Error loading users:', error);
+      setMessage({ type: 'danger', text: 'User management unavailable' });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [isElectron, statusFilter]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  // Runs an admin action, shows its outcome and reloads the list
+  const runAction = async (ipcCall, path, init, successText) => {
+    setMessage(null);
+    try {
+      const result = await callApi(isElectron, ipcCall, path, init);
+      if (!result.success) {
+        setMessage({ type: 'danger', text: result.error });
+        return null;
+      }
+      setMessage({ type: 'success', text: successText(result) });
+      await loadUsers();
+      return result;
+    } catch (error) {
+      console.error('User action failed:', error);
+      setMessage({ type: 'danger', text: 'User action failed' });
+      return null;
+    }
+  };
+
+  const changeRole = (user, role) => runAction(
+    () => window.api.setUserRole(user.id, role),
+    `/users/${user.id}/role`,
+    jsonBody('PUT', { role }),
+    () => `${user.username} is now ${role}`
+  );
+
+  const toggleStatus = (user) => {
+    const disable = user.status !== 'disabled';
+    return runAction(
+      () => (disable ? window.api.disableUser(user.id) : window.api.enableUser(user.id)),
+      `/users/${user.id}/${disable ? 'disable' : 'enable'}`,
+      { method: 'POST' },
+      () => `${user.username} ${disable ? 'disabled' : 'enabled'}`
+    );
+  };
+
+  const resetPassword = (user) => {
+    if (!window.confirm(`Reset the password of ${user.username}? Their sessions are ended.`)) return;
+    return runAction(
+      () => window.api.resetUserPassword(user.id),
+      `/users/${user.id}/reset-password`,
+      { method: 'POST' },
+      (result) => `Temporary password for ${user.username}: ${result.temporaryPassword || result.data.temporaryPassword} (shown once)`
+    );
+  };
+
+  const deleteUser = (user) => {
+    if (!window.confirm(`Delete ${user.username}? This cannot be undone.`)) return;
+    return runAction(
+      () => window.api.deleteUser(user.id),
+      `/users/${user.id}`,
+      { method: 'DELETE' },
+      () => `${user.username} deleted`
+    );
+  };
+
+  const saveEmail = async (user) => {
+    const result = await runAction(
+      () => window.api.setUserEmail(user.id, emailDraft || null),
+      `/users/${user.id}/email`,
+      jsonBody('PUT', { email: emailDraft || null }),
+      () => `Email of ${user.username} updated`
+    );
+    if (result) {
+      setEditingEmail(null);
+    }
+  };
+
+  const changeOwnPassword = async () => {
+    const result = await runAction(
+      () => window.api.changePassword(currentPassword, newPassword),
+      '/auth/password',
+      jsonBody('PUT', { currentPassword, newPassword }),
+      () => 'Your password was changed. Other sessions were logged out.'
+    );
+    if (result) {
+      // The REST API revokes the old tokens and returns a new pair
+      if (result.accessToken) {
+        storeTokens(result);
+      }
+      setCurrentPassword('');
+      setNewPassword('');
+    }
+  };
+
+  return (
+    <div className="tab-pane fade show active" role="tabpanel">
+      <div className="row">
+        <div className="col-md-8">
+          <div className="control-panel">
+            <div className="d-flex align-items-center justify-content-between mb-3">
+              <h6 className="mb-0"><i className="fas fa-users-cog"></i> Users</h6>
+              <select
+                className="form-select form-select-sm"
+                style={{ width: 'auto' }}
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+              >
+                <option value="">All Users</option>
+                <option value="active">Active</option>
+                <option value="disabled">Disabled</option>
+              </select>
+            </div>
+
+            {message && (
+              <div className={`alert alert-${message.type} py-1 px-2`} style={{ fontSize: '12px' }}>
+                {message.text}
+              </div>
+            )}
+
+            <div className="table-responsive" style={{ maxHeight: '500px', overflowY: 'auto' }}>
+              <table className="table table-bordered data-table">
+                <thead className="sticky-top">
+                  <tr>
+                    <th>ID</th>
+                    <th>Username</th>
+                    <th>Email</th>
+                    <th>Role</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {isLoading ? (
+                    <tr>
+                      <td colSpan="6" className="text-center">
+                        <div className="loading-spinner"></div> Loading users...
+                      </td>
+                    </tr>
+                  ) : users.length > 0 ? (
+                    users.map((user) => (
+                      <tr key={user.id}>
+                        <td>{user.id}</td>
+                        <td>
+                          {user.username}
+                          {user.must_change_password && (
+                            <span className="badge bg-warning ms-1" title="Has to change the temporary password">temp</span>
+                          )}
+                        </td>
+                        <td>
+                          {editingEmail === user.id ? (
+                            <div className="input-group input-group-sm">
+                              <input
+                                type="email"
+                                className="form-control"
+                                value={emailDraft}
+                                onChange={(e) => setEmailDraft(e.target.value)}
+                              />
+                              <button className="btn btn-primary" onClick={() => saveEmail(user)} title="Save">
+                                <i className="fas fa-check"></i>
+                              </button>
+                              <button className="btn btn-secondary" onClick={() => setEditingEmail(null)} title="Cancel">
+                                <i className="fas fa-times"></i>
+                              </button>
+                            </div>
+                          ) : (
+                            <span
+                              style={{ cursor: 'pointer' }}
+                              title="Edit email"
+                              onClick={() => {
+                                setEditingEmail(user.id);
+                                setEmailDraft(user.email || '');
+                              }}
+                            >
+                              {user.email || '--'} <i className="fas fa-pen" style={{ fontSize: '10px' }}></i>
+                            </span>
+                          )}
+                        </td>
+                        <td>
+                          <select
+                            className="form-select form-select-sm"
+                            value={user.role}
+                            onChange={(e) => changeRole(user, e.target.value)}
+                          >
+                            {ROLES.map(role => (
+                              <option key={role} value={role}>{role}</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td>
+                          <span className={`badge bg-${user.status === 'disabled' ? 'secondary' : 'success'}`}>
+                            {user.status}
+                          </span>
+                        </td>
+                        <td className="text-nowrap">
+                          <button
+                            className={`btn btn-${user.status === 'disabled' ? 'success' : 'warning'} btn-sm me-1`}
+                            onClick={() => toggleStatus(user)}
+                            title={user.status === 'disabled' ? 'Enable' : 'Disable'}
+                          >
+                            <i className={`fas fa-${user.status === 'disabled' ? 'user-check' : 'user-slash'}`}></i>
+                          </button>
+                          <button
+                            className="btn btn-info btn-sm me-1"
+                            onClick={() => resetPassword(user)}
+                            title="Reset Password"
+                          >
+                            <i className="fas fa-key"></i>
+                          </button>
+                          <button
+                            className="btn btn-danger btn-sm"
+                            onClick={() => deleteUser(user)}
+                            title="Delete User"
+                          >
+                            <i className="fas fa-trash"></i>
+                          </button>
+                        </td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan="6" className="text-center">
+                        No users found.
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+
+        <div className="col-md-4">
+          <div className="control-panel">
+            <h6 className="mb-3"><i className="fas fa-lock"></i> Change My Password</h6>
+            <div className="mb-2">
+              <label className="form-label" style={{ fontSize: '11px' }}>Current Password:</label>
+              <input
+                type="password"
+                className="form-control form-control-sm"
+                value={currentPassword}
+                onChange={(e) => setCurrentPassword(e.target.value)}
+              />
+            </div>
+            <div className="mb-2">
+              <label className="form-label" style={{ fontSize: '11px' }}>New Password (8+ characters):</label>
+              <input
+                type="password"
+                className="form-control form-control-sm"
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+              />
+            </div>
+            <button
+              className="btn btn-primary btn-sm w-100"
+              onClick={changeOwnPassword}
+              disabled={!currentPassword || !newPassword}
+            >
+              <i className="fas fa-save"></i> Change Password
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UsersPanel;
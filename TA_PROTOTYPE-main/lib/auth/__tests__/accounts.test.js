@@ -0,0 +1,106 @@
+// lib/auth/__tests__/accounts.test.js
+const accounts = require('../accounts');
+const { matches } = require('../../db/changeFeed');
+
+// In-memory users table with the database calls accounts.js makes. Every call yields
+// to the event loop, like a real database round trip
+function createDatabase(rows = []) {
+    const tick = () => new Promise(resolve => setImmediate(resolve));
+    return {
+        rows,
+        validate(data, rules) {
+            for (const [field, checks] of Object.entries(rules)) {
+                if (checks.includes('required') && !data[field]) {
+                    throw new Error(`${field} is required`);
+                }
+            }
+        },
+        async getDataByFilters(table, filters = {}, options = {}) {
+            await tick();
+            const found = rows.filter(row => matches(row, filters)).map(row => ({ ...row }));
+            return options.limit ? found.slice(0, options.limit) : found;
+        },
+        async postData(table, data) {
+            await tick();
+            const id = rows.length + 1;
+            rows.push({ id, ...data });
+            return { insertId: id };
+        },
+        async updateData(table, data, whereClause, [id]) {
+            await tick();
+            const row = rows.find(candidate => candidate.id === id);
+            Object.assign(row, data);
+            return { affectedRows: 1 };
+        }
+    };
+}
+
+describe('accounts', () => {
+    test('the first account becomes admin, the others viewer', async () => {
+        const db = createDatabase();
+        const first = await accounts.createUser(db, { username: 'alice', password: 'correct-horse' });
+        const second = await accounts.createUser(db, { username: 'bob', password: 'correct-horse' });
+
+        expect(first.role).toBe('admin');
+        expect(second.role).toBe('viewer');
+        expect(first.password).toBeUndefined();
+        expect(db.rows[0].password).not.toBe('correct-horse');
+    });
+
+    test('concurrent registrations make only one admin', async () => {
+        const db = createDatabase();
+        const created = await Promise.all(['a', 'b', 'c'].map(username =>
+            accounts.createUser(db, { username, password: 'correct-horse' })));
+
+        expect(created.map(user => user.role)).toEqual(['admin', 'viewer', 'viewer']);
+    });
+
+    test('concurrent registrations of one username create it once', async () => {
+        const db = createDatabase();
+        const results = await Promise.allSettled([
+            accounts.createUser(db, { username: 'alice', password: 'correct-horse' }),
+            accounts.createUser(db, { username: 'alice', password: 'correct-horse' })
+        ]);
+
+        expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+        expect(results[1].reason.code).toBe('USERNAME_TAKEN');
+        expect(db.rows).toHaveLength(1);
+    });
+
+    test('a failed registration does not block the next one', async () => {
+        const db = createDatabase();
+        await expect(accounts.createUser(db, { username: 'alice' })).rejects.toMatchObject({ code: 'INVALID_INPUT' });
+        await expect(accounts.createUser(db, { username: 'alice', password: 'correct-horse' })).resolves.toMatchObject({ role: 'admin' });
+    });
+
+    test('registration needs MIN_PASSWORD_LENGTH characters', async () => {
+        const db = createDatabase();
+        const short = 'x'.repeat(accounts.MIN_PASSWORD_LENGTH - 1);
+
+        await expect(accounts.createUser(db, { username: 'alice', password: short })).rejects.toMatchObject({ code: 'WEAK_PASSWORD' });
+        expect(db.rows).toHaveLength(0);
+    });
+
+    test('ensureAdmin promotes an existing account once', async () => {
+        const db = createDatabase([{ id: 1, username: 'alice', role: 'viewer' }, { id: 2, username: 'bob' }]);
+
+        await expect(accounts.ensureAdmin(db, 'alice')).resolves.toMatchObject({ user: { role: 'admin' }, previousRole: 'viewer' });
+        await expect(accounts.ensureAdmin(db, 'alice')).resolves.toMatchObject({ previousRole: null });
+        await expect(accounts.ensureAdmin(db, 'bob')).resolves.toMatchObject({ previousRole: 'viewer' });
+        await expect(accounts.ensureAdmin(db, 'mallory')).rejects.toMatchObject({ code: 'USER_NOT_FOUND' });
+        expect(db.rows.map(row => row.role)).toEqual(['admin', 'admin']);
+    });
+
+    test('a password change checks the current password and clears must_change_password', async () => {
+        const db = createDatabase();
+        const user = await accounts.createUser(db, { username: 'alice', password: 'correct-horse' });
+        db.rows[0].must_change_password = 1;
+
+        await expect(accounts.changePassword(db, user.id, 'wrong', 'battery-staple')).rejects.toMatchObject({ code: 'INVALID_PASSWORD' });
+        await expect(accounts.changePassword(db, user.id, 'correct-horse', 'short')).rejects.toMatchObject({ code: 'WEAK_PASSWORD' });
+
+        const changed = await accounts.changePassword(db, user.id, 'correct-horse', 'battery-staple');
+        expect(changed.must_change_password).toBe(false);
+        expect(db.rows[0].must_change_password).toBe(0);
+    });
+});
@@ -0,0 +1,94 @@
+// lib/auth/__tests__/loginThrottle.test.js
+const LoginThrottle = require('../loginThrottle');
+
+describe('LoginThrottle', () => {
+    const OPTIONS = { maxFailures: 3, maxIpFailures: 5, failureWindow: 60000, lockoutDuration: 30000 };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    const fail = (throttle, attempt, times) => {
+        let lock = null;
+        for (let i = 0; i < times; i++) {
+            lock = throttle.recordFailure({ origin: 'http', ...attempt });
+        }
+        return lock;
+    };
+
+    test('locks a username after maxFailures, from any IP', () => {
+        const throttle = new LoginThrottle(OPTIONS);
+        expect(fail(throttle, { ip: '10.0.0.1', username: 'operator1' }, 2)).toBeNull();
+
+        const lock = throttle.recordFailure({ ip: '10.0.0.2', username: 'Operator1', origin: 'http' });
+        expect(lock).toMatchObject({ scope: 'user', key: 'operator1', failures: 3, retryAfter: 30 });
+        expect(throttle.check({ ip: '10.0.0.3', username: 'OPERATOR1' })).toMatchObject({ scope: 'user' });
+        expect(throttle.check({ ip: '10.0.0.3', username: 'operator2' })).toBeNull();
+    });
+
+    test('locks an IP after maxIpFailures, for any username', () => {
+        const throttle = new LoginThrottle(OPTIONS);
+        const users = ['a', 'b', 'c', 'd', 'e'];
+        const locks = users.map(username => throttle.recordFailure({ ip: '10.0.0.9', username, origin: 'websocket' }));
+
+        expect(locks.slice(0, 4)).toEqual([null, null, null, null]);
+        expect(locks[4]).toMatchObject({ scope: 'ip', key: '10.0.0.9', failures: 5 });
+        expect(throttle.check({ ip: '10.0.0.9', username: 'f' })).toMatchObject({ scope: 'ip' });
+        expect(throttle.check({ ip: '10.0.0.10', username: 'f' })).toBeNull();
+    });
+
+    test('a lockout ends after lockoutDuration', () => {
+        const throttle = new LoginThrottle(OPTIONS);
+        fail(throttle, { ip: '10.0.0.1', username: 'operator1' }, 3);
+
+        jest.advanceTimersByTime(29000);
+        expect(throttle.check({ ip: '10.0.0.1', username: 'operator1' }).retryAfter).toBe(1);
+        jest.advanceTimersByTime(1000);
+        expect(throttle.check({ ip: '10.0.0.1', username: 'operator1' })).toBeNull();
+    });
+
+    test('failures outside the window are forgotten', () => {
+        const throttle = new LoginThrottle(OPTIONS);
+        fail(throttle, { ip: '10.0.0.1', username: 'operator1' }, 2);
+        jest.advanceTimersByTime(60000);
+
+        expect(throttle.recordFailure({ ip: '10.0.0.1', username: 'operator1', origin: 'http' })).toBeNull();
+        expect(throttle.check({ ip: '10.0.0.1', username: 'operator1' })).toBeNull();
+    });
+
+    test('a successful login clears the failures of the username', () => {
+        const throttle = new LoginThrottle(OPTIONS);
+        fail(throttle, { ip: '10.0.0.1', username: 'operator1' }, 2);
+        throttle.recordSuccess({ username: 'operator1' });
+
+        expect(fail(throttle, { ip: '10.0.0.1', username: 'operator1' }, 2)).toBeNull();
+    });
+
+    test('lockouts are written to the audit log and counted', () => {
+        const throttle = new LoginThrottle(OPTIONS);
+        const auditLog = { record: jest.fn() };
+        throttle.setAuditLog(auditLog);
+
+        fail(throttle, { ip: '10.0.0.1', username: 'operator1' }, 3);
+        throttle.check({ ip: '10.0.0.1', username: 'operator1' });
+
+        expect(auditLog.record).toHaveBeenCalledWith('auth.lockout', expect.objectContaining({
+            actor: 'operator1',
+            origin: 'http',
+            ip: '10.0.0.1',
+            details: expect.objectContaining({ scope: 'user', failures: 3 })
+        }));
+        expect(throttle.getStatus()).toMatchObject({ failures: 3, lockouts: 1, blocked: 1 });
+        expect(throttle.getStatus().lockedUsers).toEqual([{ key: 'operator1', lockedUntil: '2026-01-01T00:00:30.000Z' }]);
+    });
+
+    test('lockedError carries the code and Retry-After of the lock', () => {
+        expect(LoginThrottle.lockedError({ scope: 'user', retryAfter: 12 })).toMatchObject({ code: 'ACCOUNT_LOCKED', retryAfter: 12 });
+        expect(LoginThrottle.lockedError({ scope: 'ip', retryAfter: 3 })).toMatchObject({ code: 'IP_LOCKED', retryAfter: 3 });
+    });
+});
@@ -0,0 +1,65 @@
+// lib/auth/__tests__/permissions.test.js
+const {
+    ROLES,
+    PERMISSIONS,
+    hasPermission,
+    normalizeRole,
+    permissionsFor,
+    forbidden,
+    isProtectedTable,
+    protectedTable
+} = require('../permissions');
+
+describe('permissions', () => {
+    test('each role has the permissions of the roles before it', () => {
+        for (const permission of Object.keys(PERMISSIONS)) {
+            const minimum = ROLES.indexOf(PERMISSIONS[permission]);
+            ROLES.forEach((role, index) => {
+                expect(hasPermission(role, permission)).toBe(index >= minimum);
+            });
+        }
+    });
+
+    test('grants the documented minimum roles', () => {
+        expect(hasPermission('viewer', 'data:read')).toBe(true);
+        expect(hasPermission('viewer', 'data:write')).toBe(false);
+        expect(hasPermission('operator', 'setpoint:change')).toBe(true);
+        expect(hasPermission('operator', 'data:delete')).toBe(false);
+        expect(hasPermission('engineer', 'audit:read')).toBe(true);
+        expect(hasPermission('engineer', 'users:manage')).toBe(false);
+        expect(hasPermission('admin', 'database:query')).toBe(true);
+    });
+
+    test('unknown roles get nothing and unknown permissions throw', () => {
+        expect(hasPermission('root', 'data:read')).toBe(false);
+        expect(hasPermission(undefined, 'data:read')).toBe(false);
+        expect(() => hasPermission('admin', 'data:everything')).toThrow("Unknown permission 'data:everything'");
+    });
+
+    test('normalizeRole falls back for unknown roles', () => {
+        expect(normalizeRole('engineer')).toBe('engineer');
+        expect(normalizeRole('root')).toBe('viewer');
+        expect(normalizeRole(null, 'operator')).toBe('operator');
+    });
+
+    test('permissionsFor lists what a role may do', () => {
+        expect(permissionsFor('viewer')).toEqual(['data:read']);
+        expect(permissionsFor('admin')).toEqual(Object.keys(PERMISSIONS));
+        expect(permissionsFor('nobody')).toEqual([]);
+    });
+
+    test('forbidden errors name the permission and the role it needs', () => {
+        const error = forbidden('viewer', 'data:delete');
+        expect(error.code).toBe('FORBIDDEN');
+        expect(error.permission).toBe('data:delete');
+        expect(error.message).toContain('engineer');
+    });
+
+    test('the account tables are protected whatever their spelling', () => {
+        expect(isProtectedTable('users')).toBe(true);
+        expect(isProtectedTable(' Users ')).toBe(true);
+        expect(isProtectedTable('sensors_data')).toBe(false);
+        expect(isProtectedTable(undefined)).toBe(false);
+        expect(protectedTable('users')).toMatchObject({ code: 'FORBIDDEN', permission: 'users:manage' });
+    });
+});
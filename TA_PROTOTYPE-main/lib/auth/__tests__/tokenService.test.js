@@ -0,0 +1,120 @@
+// lib/auth/__tests__/tokenService.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TokenService = require('../tokenService');
+
+const USER = { id: 7, username: 'operator1', role: 'operator' };
+
+describe('TokenService', () => {
+    let directory;
+    let revocationFile;
+
+    const createService = (options = {}) => new TokenService({ secret: 'test-secret', revocationFile, ...options });
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'token-service-'));
+        revocationFile = path.join(directory, 'revoked-tokens.jsonl');
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const codeOf = (fn) => {
+        try {
+            fn();
+        } catch (error) {
+            return error.code;
+        }
+        return null;
+    };
+
+    test('issues access and refresh tokens carrying the user claims', () => {
+        const service = createService();
+        const tokens = service.issueTokens(USER);
+
+        expect(tokens.tokenType).toBe('Bearer');
+        expect(tokens.expiresIn).toBe(service.options.accessTokenTtl);
+        const payload = service.verifyAccessToken(tokens.accessToken);
+        expect(payload).toMatchObject({ sub: '7', username: 'operator1', role: 'operator', type: 'access' });
+        expect(payload.mustChangePassword).toBeUndefined();
+        expect(service.verifyRefreshToken(tokens.refreshToken).type).toBe('refresh');
+    });
+
+    test('normalizes unknown roles to the default role', () => {
+        const service = createService();
+        const payload = service.verifyAccessToken(service.issueTokens({ ...USER, role: 'superuser' }).accessToken);
+        expect(payload.role).toBe('viewer');
+    });
+
+    test('marks the tokens of a user with a temporary password', () => {
+        const service = createService();
+        const tokens = service.issueTokens({ ...USER, must_change_password: 1 });
+        expect(service.verifyAccessToken(tokens.accessToken).mustChangePassword).toBe(true);
+    });
+
+    test('refuses missing, foreign, expired and wrong-type tokens', () => {
+        const service = createService();
+        const tokens = service.issueTokens(USER);
+
+        expect(codeOf(() => service.verifyAccessToken(undefined))).toBe('TOKEN_MISSING');
+        expect(codeOf(() => service.verifyAccessToken(tokens.refreshToken))).toBe('TOKEN_INVALID');
+        expect(codeOf(() => service.verifyRefreshToken(tokens.accessToken))).toBe('TOKEN_INVALID');
+        expect(codeOf(() => createService({ secret: 'other-secret' }).verifyAccessToken(tokens.accessToken))).toBe('TOKEN_INVALID');
+
+        const expired = createService({ accessTokenTtl: -10 }).issueTokens(USER);
+        expect(codeOf(() => service.verifyAccessToken(expired.accessToken))).toBe('TOKEN_EXPIRED');
+    });
+
+    test('a revoked token stays revoked after a restart', () => {
+        const service = createService();
+        const tokens = service.issueTokens(USER);
+        service.revoke(service.verifyRefreshToken(tokens.refreshToken));
+
+        expect(codeOf(() => service.verifyRefreshToken(tokens.refreshToken))).toBe('TOKEN_REVOKED');
+        expect(service.verifyAccessToken(tokens.accessToken).sub).toBe('7');
+
+        const restarted = createService();
+        expect(codeOf(() => restarted.verifyRefreshToken(tokens.refreshToken))).toBe('TOKEN_REVOKED');
+        expect(restarted.getStatus().revoked).toBe(1);
+    });
+
+    test('revokeUser refuses every earlier token of the user, also after a restart', () => {
+        const service = createService();
+        const before = service.issueTokens(USER);
+        const otherUser = service.issueTokens({ ...USER, id: 8 });
+
+        service.revokeUser(7);
+
+        expect(codeOf(() => service.verifyAccessToken(before.accessToken))).toBe('TOKEN_REVOKED');
+        expect(codeOf(() => service.verifyRefreshToken(before.refreshToken))).toBe('TOKEN_REVOKED');
+        expect(service.verifyAccessToken(otherUser.accessToken).sub).toBe('8');
+        expect(codeOf(() => createService().verifyAccessToken(before.accessToken))).toBe('TOKEN_REVOKED');
+    });
+
+    test('tokens issued after revokeUser are valid', () => {
+        const service = createService();
+        service.revokeUser(7);
+        const after = service.issueTokens(USER);
+        expect(service.verifyAccessToken(after.accessToken).sub).toBe('7');
+    });
+
+    test('revokeUser notifies the listeners until they unsubscribe', () => {
+        const service = createService();
+        const listener = jest.fn();
+        const failing = jest.fn(() => {
+            throw new Error('listener failed');
+        });
+        const unsubscribe = service.onUserRevoked(listener);
+        service.onUserRevoked(failing);
+
+        service.revokeUser(7);
+        expect(listener).toHaveBeenCalledWith('7');
+        expect(failing).toHaveBeenCalled();
+
+        unsubscribe();
+        service.revokeUser(8);
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+});
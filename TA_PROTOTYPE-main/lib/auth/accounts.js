@@ -0,0 +1,196 @@
+// lib/auth/accounts.js
+// User lifecycle shared by the REST API and the IPC handlers: registration, listing,
+// disabling and enabling, deleting, email changes, password changes and admin-initiated
+// resets, role changes. Failures throw an Error with a code: INVALID_INPUT, USERNAME_TAKEN,
+// USER_NOT_FOUND, SELF_ACTION, INVALID_PASSWORD, WEAK_PASSWORD, INVALID_EMAIL or EMAIL_TAKEN.
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { findUser, findUserById, publicUser } = require('./credentials');
+const { ROLES, DEFAULT_ROLE, isRole } = require('./permissions');
+
+const STATUSES = ['active', 'disabled'];
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Registrations run one at a time, so two concurrent sign-ups cannot both see an empty
+// users table (and both become admin) or both pass the username check
+let registrationChain = Promise.resolve();
+
+function accountError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+async function requireUser(db, id) {
+    const user = await findUserById(db, id);
+    if (!user) {
+        throw accountError('USER_NOT_FOUND', 'User not found');
+    }
+    return user;
+}
+
+// Admins act on other accounts; their own goes through the self-service routes
+function refuseSelf(user, actorId, action) {
+    if (actorId !== undefined && actorId !== null && String(user.id) === String(actorId)) {
+        throw accountError('SELF_ACTION', `You cannot ${action} your own account`);
+    }
+}
+
+function hashPassword(password) {
+    return bcrypt.hash(String(password), 10);
+}
+
+function requireStrongPassword(password) {
+    if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+        throw accountError('WEAK_PASSWORD', `The password needs at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+}
+
+// { username, email (optional), password }. The first account becomes admin, the others DEFAULT_ROLE
+function createUser(db, details = {}) {
+    const created = registrationChain.then(() => insertUser(db, details));
+    registrationChain = created.catch(() => {});
+    return created;
+}
+
+async function insertUser(db, { username, email, password } = {}) {
+    try {
+        db.validate({ username, email, password }, {
+            username: ['required'],
+            email: ['email'],
+            password: ['required']
+        });
+    } catch (error) {
+        throw accountError('INVALID_INPUT', error.message);
+    }
+    requireStrongPassword(password);
+
+    if (await findUser(db, { username })) {
+        throw accountError('USERNAME_TAKEN', 'User with this username already exists');
+    }
+    if (email && await findUser(db, { email })) {
+        throw accountError('EMAIL_TAKEN', 'User with this email already exists');
+    }
+
+    // The first account administers the others
+    const anyUsers = await db.getDataByFilters('users', {}, { limit: 1 });
+    const newUser = {
+        username,
+        email: email || null,
+        password: await hashPassword(password),
+        role: anyUsers && anyUsers.length > 0 ? DEFAULT_ROLE : 'admin',
+        status: 'active'
+    };
+    const result = await db.postData('users', newUser);
+    return publicUser({ id: result.insertId, ...newUser });
+}
+
+// Users without the password hash, optionally filtered by { role, status }
+async function listUsers(db, filters = {}) {
+    const users = (await db.getDataByFilters('users')).map(publicUser);
+    return users
+        .filter(user => !filters.role || user.role === filters.role)
+        .filter(user => !filters.status || user.status === filters.status);
+}
+
+async function setUserStatus(db, id, status, actorId = null) {
+    if (!STATUSES.includes(status)) {
+        throw new Error(`Unknown status '${status}'`);
+    }
+    const user = await requireUser(db, id);
+    if (status === 'disabled') {
+        refuseSelf(user, actorId, 'disable');
+    }
+    await db.updateData('users', { status }, 'id = ?', [user.id]);
+    return publicUser({ ...user, status });
+}
+
+// An admin cannot take the admin role from themselves (someone has to keep it).
+// Returns the updated user and the role it had before
+async function setUserRole(db, id, role, actorId = null) {
+    if (!isRole(role)) {
+        throw accountError('INVALID_INPUT', `'role' must be one of: ${ROLES.join(', ')}`);
+    }
+    const user = await requireUser(db, id);
+    if (role !== 'admin') {
+        refuseSelf(user, actorId, 'remove the admin role from');
+    }
+    await db.updateData('users', { role }, 'id = ?', [user.id]);
+    return { user: publicUser({ ...user, role }), previousRole: user.role };
+}
+
+// Startup bootstrap (ADMIN_USERNAME): makes an existing account admin, for deployments
+// whose accounts predate roles and all became viewers. previousRole is null when it already was
+async function ensureAdmin(db, username) {
+    const user = await findUser(db, { username });
+    if (!user) {
+        throw accountError('USER_NOT_FOUND', `User '${username}' not found`);
+    }
+    if (user.role === 'admin') {
+        return { user: publicUser(user), previousRole: null };
+    }
+    await db.updateData('users', { role: 'admin' }, 'id = ?', [user.id]);
+    return { user: publicUser({ ...user, role: 'admin' }), previousRole: user.role || DEFAULT_ROLE };
+}
+
+async function deleteUser(db, id, actorId = null) {
+    const user = await requireUser(db, id);
+    refuseSelf(user, actorId, 'delete');
+    await db.deleteData('users', 'id = ?', [user.id]);
+    return publicUser(user);
+}
+
+// null or '' clears the address
+async function updateEmail(db, id, email) {
+    const user = await requireUser(db, id);
+    const address = email ? String(email).trim() : null;
+    if (address) {
+        try {
+            db.validate({ email: address }, { email: ['email'] });
+        } catch (error) {
+            throw accountError('INVALID_EMAIL', error.message);
+        }
+        const owner = await findUser(db, { email: address });
+        if (owner && String(owner.id) !== String(user.id)) {
+            throw accountError('EMAIL_TAKEN', 'Another user already has this email');
+        }
+    }
+    await db.updateData('users', { email: address }, 'id = ?', [user.id]);
+    return publicUser({ ...user, email: address });
+}
+
+// Self-service change: the current password must be given
+async function changePassword(db, id, currentPassword, newPassword) {
+    const user = await requireUser(db, id);
+    if (!user.password || !(await bcrypt.compare(String(currentPassword || ''), user.password))) {
+        throw accountError('INVALID_PASSWORD', 'Current password is incorrect');
+    }
+    requireStrongPassword(newPassword);
+    await db.updateData('users', { password: await hashPassword(newPassword), must_change_password: 0 }, 'id = ?', [user.id]);
+    return publicUser({ ...user, must_change_password: 0 });
+}
+
+// Admin reset: a random temporary password, returned once, to be changed at the next login
+async function resetPassword(db, id, actorId = null) {
+    const user = await requireUser(db, id);
+    refuseSelf(user, actorId, 'reset the password of');
+    const temporaryPassword = crypto.randomBytes(9).toString('base64url');
+    await db.updateData('users', { password: await hashPassword(temporaryPassword), must_change_password: 1 }, 'id = ?', [user.id]);
+    return { user: publicUser({ ...user, must_change_password: 1 }), temporaryPassword };
+}
+
+module.exports = {
+    STATUSES,
+    MIN_PASSWORD_LENGTH,
+    createUser,
+    listUsers,
+    setUserStatus,
+    setUserRole,
+    ensureAdmin,
+    deleteUser,
+    updateEmail,
+    changePassword,
+    resetPassword
+};
@@ -0,0 +1,55 @@
+// lib/auth/credentials.js
+// Username/password check shared by the REST login and the Electron (IPC) login.
+
+const bcrypt = require('bcryptjs');
+const { normalizeRole } = require('./permissions');
+
+async function findUser(db, filters) {
+    const users = await db.getDataByFilters('users', filters);
+    return users && users.length > 0 ? users[0] : null;
+}
+
+// Token subjects are strings, MySQL IDs are numbers
+function findUserById(db, id) {
+    const numericId = Number(id);
+    return findUser(db, { id: Number.isInteger(numericId) ? numericId : id });
+}
+
+// Resolves the user row (role normalized, without the password hash), or null.
+// A disabled account with the right password throws with code ACCOUNT_DISABLED
+async function verifyCredentials(db, username, password) {
+    const user = await findUser(db, { username });
+    if (!user || !user.password || !(await bcrypt.compare(String(password), user.password))) {
+        return null;
+    }
+    if (isDisabled(user)) {
+        const error = new Error('This account is disabled');
+        error.code = 'ACCOUNT_DISABLED';
+        throw error;
+    }
+    return publicUser(user);
+}
+
+// Users created before the status column existed are active
+function isDisabled(user) {
+    return user.status === 'disabled';
+}
+
+// A user row as it may be returned to clients
+function publicUser(user) {
+    const { password, ...rest } = user;
+    return {
+        ...rest,
+        role: normalizeRole(user.role),
+        status: isDisabled(user) ? 'disabled' : 'active',
+        must_change_password: Boolean(Number(user.must_change_password))
+    };
+}
+
+module.exports = {
+    findUser,
+    findUserById,
+    verifyCredentials,
+    isDisabled,
+    publicUser
+};
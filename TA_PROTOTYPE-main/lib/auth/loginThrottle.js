@@ -0,0 +1,144 @@
+// lib/auth/loginThrottle.js
+// Temporary lockout after repeated failed logins, shared by the REST login and the
+// WebSocket 'auth' message. Failures are counted per username and per client IP within
+// a sliding window. Reaching the limit locks that username (from any IP) or that IP
+// (for any username) for lockoutDuration. Lockouts are written to the audit log.
+
+const alert = require('../alert');
+
+class LoginThrottle {
+    constructor(options = {}) {
+        this.options = {
+            maxFailures: 5,                   // Failures per username before it is locked
+            maxIpFailures: 20,                // Failures per IP before it is locked
+            failureWindow: 15 * 60 * 1000,    // Failures older than this are forgotten (ms)
+            lockoutDuration: 15 * 60 * 1000,  // How long a lockout lasts (ms)
+            ...options
+        };
+
+        this.auditLog = null;
+        this.users = new Map();               // username -> { failures: [timestamps], lockedUntil }
+        this.ips = new Map();                 // ip -> { failures: [timestamps], lockedUntil }
+        this.stats = {
+            failures: 0,
+            lockouts: 0,
+            blocked: 0
+        };
+    }
+
+    setAuditLog(auditLog) {
+        this.auditLog = auditLog;
+    }
+
+    // null when the attempt may proceed, else { scope: 'user'|'ip', key, lockedUntil, retryAfter (s) }
+    check({ ip, username }) {
+        const now = Date.now();
+        const lock = this._lock('user', this.users, LoginThrottle.userKey(username), now) ||
+            this._lock('ip', this.ips, ip, now);
+        if (lock) {
+            this.stats.blocked++;
+        }
+        return lock;
+    }
+
+    // Count a failed attempt. Returns the lockout it caused, or null
+    recordFailure({ ip, username, origin }) {
+        const now = Date.now();
+        this.stats.failures++;
+        this._prune(now);
+
+        const userLock = this._count('user', this.users, LoginThrottle.userKey(username), this.options.maxFailures, now);
+        const ipLock = this._count('ip', this.ips, ip, this.options.maxIpFailures, now);
+        const lock = userLock || ipLock;
+        if (lock) {
+            this.stats.lockouts++;
+            const target = lock.scope === 'user' ? `account '${username}'` : `IP ${ip}`;
+            alert.warning('AUTH', `Locked ${target} for ${Math.round(this.options.lockoutDuration / 1000)}s after ${lock.failures} failed logins (${origin})`);
+            if (this.auditLog) {
+                this.auditLog.record('auth.lockout', {
+                    actor: username || null,
+                    origin,
+                    ip: ip || null,
+                    details: { scope: lock.scope, failures: lock.failures, lockedUntil: new Date(lock.lockedUntil).toISOString() }
+                });
+            }
+        }
+        return lock;
+    }
+
+    // A successful login clears the failures of the username
+    recordSuccess({ username }) {
+        this.users.delete(LoginThrottle.userKey(username));
+    }
+
+    getStatus() {
+        const now = Date.now();
+        this._prune(now);
+        const locked = (entries) => [...entries]
+            .filter(([, state]) => state.lockedUntil > now)
+            .map(([key, state]) => ({ key, lockedUntil: new Date(state.lockedUntil).toISOString() }));
+        return {
+            maxFailures: this.options.maxFailures,
+            maxIpFailures: this.options.maxIpFailures,
+            failureWindow: this.options.failureWindow,
+            lockoutDuration: this.options.lockoutDuration,
+            lockedUsers: locked(this.users),
+            lockedIps: locked(this.ips),
+            ...this.stats
+        };
+    }
+
+    // Usernames are matched case-insensitively (like the MySQL default collation)
+    static userKey(username) {
+        return username ? String(username).trim().toLowerCase() : null;
+    }
+
+    // Error for a refused attempt: code ACCOUNT_LOCKED or IP_LOCKED, with retryAfter (s)
+    static lockedError(lock) {
+        const error = new Error(lock.scope === 'user' ?
+            `Too many failed logins for this account. Try again in ${lock.retryAfter}s` :
+            `Too many failed logins from this address. Try again in ${lock.retryAfter}s`);
+        error.code = lock.scope === 'user' ? 'ACCOUNT_LOCKED' : 'IP_LOCKED';
+        error.retryAfter = lock.retryAfter;
+        return error;
+    }
+
+    _lock(scope, entries, key, now) {
+        const state = key ? entries.get(key) : null;
+        if (!state || !(state.lockedUntil > now)) {
+            return null;
+        }
+        return { scope, key, lockedUntil: state.lockedUntil, retryAfter: Math.ceil((state.lockedUntil - now) / 1000) };
+    }
+
+    _count(scope, entries, key, limit, now) {
+        if (!key) {
+            return null;
+        }
+        const state = entries.get(key) || { failures: [], lockedUntil: 0 };
+        state.failures.push(now);
+        entries.set(key, state);
+        if (state.failures.length < limit) {
+            return null;
+        }
+
+        const failures = state.failures.length;
+        state.failures = [];
+        state.lockedUntil = now + this.options.lockoutDuration;
+        return { scope, key, failures, lockedUntil: state.lockedUntil, retryAfter: Math.ceil(this.options.lockoutDuration / 1000) };
+    }
+
+    // Forget failures outside the window and expired lockouts
+    _prune(now) {
+        for (const entries of [this.users, this.ips]) {
+            for (const [key, state] of entries) {
+                state.failures = state.failures.filter(time => now - time < this.options.failureWindow);
+                if (state.failures.length === 0 && !(state.lockedUntil > now)) {
+                    entries.delete(key);
+                }
+            }
+        }
+    }
+}
+
+module.exports = LoginThrottle;
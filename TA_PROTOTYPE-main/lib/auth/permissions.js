@@ -0,0 +1,82 @@
+// lib/auth/permissions.js
+// Roles and the permissions they grant. Roles are ordered: each role has the
+// permissions of the roles before it. A permission names the lowest role allowed.
+// The same table is enforced by the REST API, the IPC handlers and the WebSocket server.
+
+const ROLES = ['viewer', 'operator', 'engineer', 'admin'];
+
+const DEFAULT_ROLE = 'viewer';
+
+const PERMISSIONS = {
+    'data:read': 'viewer',              // Readings, records, device and database status
+    'data:write': 'operator',           // Insert readings and records
+    'device:control': 'operator',       // Serial commands, reconnect, port switching
+    'setpoint:change': 'operator',      // Change control loop setpoints
+    'data:update': 'engineer',          // Update records
+    'data:delete': 'engineer',          // Delete records, clear tables, purge dead letters
+    'system:configure': 'engineer',     // Recordings, replays, buffer replay, dead-letter retry
+    'audit:read': 'engineer',           // Audit trail of data mutations and control actions
+    'database:query': 'admin',          // Raw SQL and transactions
+    'users:manage': 'admin'             // User accounts and roles
+};
+
+// Tables of user accounts and credentials. The generic data paths (IPC data handlers,
+// WebSocket db_* messages, table policies) refuse them whatever the role: accounts are
+// only read and changed through the user management API ('users:manage')
+const PROTECTED_TABLES = ['users'];
+
+function isRole(role) {
+    return ROLES.includes(role);
+}
+
+// Unknown or missing roles (users created before roles existed) fall back to the default
+function normalizeRole(role, fallback = DEFAULT_ROLE) {
+    return isRole(role) ? role : fallback;
+}
+
+function hasPermission(role, permission) {
+    const minimumRole = PERMISSIONS[permission];
+    if (!minimumRole) {
+        throw new Error(`Unknown permission '${permission}'`);
+    }
+    return isRole(role) && ROLES.indexOf(role) >= ROLES.indexOf(minimumRole);
+}
+
+// Table names are compared case-insensitively (MySQL on Windows and macOS)
+function isProtectedTable(table) {
+    return typeof table === 'string' && PROTECTED_TABLES.includes(table.trim().toLowerCase());
+}
+
+function permissionsFor(role) {
+    return Object.keys(PERMISSIONS).filter(permission => hasPermission(role, permission));
+}
+
+// Error (code FORBIDDEN) for a role that lacks a permission
+function forbidden(role, permission) {
+    const error = new Error(`Permission denied: '${permission}' requires the ${PERMISSIONS[permission]} role (current role: ${role || 'none'})`);
+    error.code = 'FORBIDDEN';
+    error.permission = permission;
+    return error;
+}
+
+// Error (code FORBIDDEN) for a generic data call on a protected table
+function protectedTable(table) {
+    const error = new Error(`Table '${table}' is not available here: user accounts are managed through the user management API`);
+    error.code = 'FORBIDDEN';
+    error.permission = 'users:manage';
+    return error;
+}
+
+module.exports = {
+    ROLES,
+    DEFAULT_ROLE,
+    PERMISSIONS,
+    PROTECTED_TABLES,
+    isRole,
+    normalizeRole,
+    hasPermission,
+    isProtectedTable,
+    permissionsFor,
+    forbidden,
+    protectedTable
+};
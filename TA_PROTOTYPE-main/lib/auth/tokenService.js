@@ -0,0 +1,235 @@
+// lib/auth/tokenService.js
+// Issues and verifies the JWTs of the REST API. A login returns a short-lived access
+// token (sent as "Authorization: Bearer ...") and a long-lived refresh token that is
+// exchanged for a new pair at /api/auth/refresh. Refresh tokens are single-use.
+// Every token carries a jti. Revoked jtis (logout, used refresh tokens) are kept in a
+// JSON-lines file until the token would have expired anyway, so they stay revoked
+// across restarts. All tokens of a user can be revoked at once (account disabled or
+// deleted, password changed, role changed): tokens issued before that moment are refused,
+// and listeners (onUserRevoked) end the user's live sessions, such as WebSocket clients.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const alert = require('../alert');
+const { normalizeRole } = require('./permissions');
+
+class TokenService {
+    constructor(options = {}) {
+        this.options = {
+            secret: null,                 // HMAC secret (null = random, tokens die with the process)
+            accessTokenTtl: 15 * 60,      // Access token lifetime (s)
+            refreshTokenTtl: 7 * 24 * 3600, // Refresh token lifetime (s)
+            issuer: 'monitor-framework',
+            revocationFile: path.join('buffer', 'revoked-tokens.jsonl'),
+            ...options
+        };
+
+        if (!this.options.secret) {
+            this.options.secret = crypto.randomBytes(32).toString('hex');
+            alert.warning('AUTH', 'JWT_SECRET is not set, using a random secret (tokens are invalid after a restart)');
+        }
+
+        this.revoked = new Map();         // jti -> exp (unix seconds)
+        this.revokedUsers = new Map();    // sub -> { before (ms), exp (unix seconds) }
+        this.userRevocationListeners = new Set();
+        this._load();
+    }
+
+    // Access and refresh token for a user row ({ id, username, role, ... }). Users with a
+    // temporary password get tokens marked mustChangePassword, only good for changing it
+    issueTokens(user) {
+        const claims = { sub: String(user.id), username: user.username, role: normalizeRole(user.role) };
+        if (Number(user.must_change_password)) {
+            claims.mustChangePassword = true;
+        }
+        return {
+            tokenType: 'Bearer',
+            accessToken: this._sign({ ...claims, type: 'access' }, this.options.accessTokenTtl),
+            refreshToken: this._sign({ ...claims, type: 'refresh' }, this.options.refreshTokenTtl),
+            expiresIn: this.options.accessTokenTtl
+        };
+    }
+
+    // Returns the decoded payload. Throws with code TOKEN_MISSING, TOKEN_EXPIRED,
+    // TOKEN_INVALID or TOKEN_REVOKED
+    verifyAccessToken(token) {
+        return this._verify(token, 'access');
+    }
+
+    verifyRefreshToken(token) {
+        return this._verify(token, 'refresh');
+    }
+
+    // Revoke a verified payload until it expires
+    revoke(payload) {
+        if (!payload || !payload.jti || this.revoked.has(payload.jti)) {
+            return;
+        }
+        this.revoked.set(payload.jti, payload.exp);
+        try {
+            this._ensureDirectory();
+            fs.appendFileSync(this.options.revocationFile, JSON.stringify({ jti: payload.jti, exp: payload.exp }) + '\n');
+        } catch (error) {
+            alert.error('AUTH', `Could not write ${this.options.revocationFile}`, error);
+        }
+        this._prune();
+    }
+
+    // Revoke every token issued to a user until now
+    revokeUser(userId) {
+        const sub = String(userId);
+        const before = Date.now();
+        const exp = Math.floor(before / 1000) + Math.max(this.options.accessTokenTtl, this.options.refreshTokenTtl);
+        this.revokedUsers.set(sub, { before, exp });
+        try {
+            this._ensureDirectory();
+            fs.appendFileSync(this.options.revocationFile, JSON.stringify({ sub, before, exp }) + '\n');
+        } catch (error) {
+            alert.error('AUTH', `Could not write ${this.options.revocationFile}`, error);
+        }
+        this._prune();
+
+        for (const listener of this.userRevocationListeners) {
+            try {
+                listener(sub);
+            } catch (error) {
+                alert.warning('AUTH', `User revocation listener failed: ${error.message}`);
+            }
+        }
+    }
+
+    // Call listener(userId) whenever revokeUser() runs. Returns the unsubscribe function
+    onUserRevoked(listener) {
+        this.userRevocationListeners.add(listener);
+        return () => this.userRevocationListeners.delete(listener);
+    }
+
+    isRevoked(jti) {
+        return this.revoked.has(jti);
+    }
+
+    getStatus() {
+        return {
+            issuer: this.options.issuer,
+            accessTokenTtl: this.options.accessTokenTtl,
+            refreshTokenTtl: this.options.refreshTokenTtl,
+            revoked: this.revoked.size,
+            revokedUsers: this.revokedUsers.size
+        };
+    }
+
+    // issuedAtMs orders tokens against revokeUser() within the same second
+    _sign(claims, ttl) {
+        return jwt.sign({ ...claims, issuedAtMs: Date.now() }, this.options.secret, {
+            expiresIn: ttl,
+            issuer: this.options.issuer,
+            jwtid: crypto.randomUUID()
+        });
+    }
+
+    _verify(token, type) {
+        if (!token) {
+            throw TokenService._error('TOKEN_MISSING', 'Authentication token is required');
+        }
+
+        let payload;
+        try {
+            payload = jwt.verify(token, this.options.secret, { issuer: this.options.issuer });
+        } catch (error) {
+            throw error.name === 'TokenExpiredError' ?
+                TokenService._error('TOKEN_EXPIRED', 'Token has expired') :
+                TokenService._error('TOKEN_INVALID', 'Token is invalid');
+        }
+
+        if (payload.type !== type) {
+            throw TokenService._error('TOKEN_INVALID', `Wrong token type (expected ${type})`);
+        }
+        if (this.revoked.has(payload.jti)) {
+            throw TokenService._error('TOKEN_REVOKED', 'Token has been revoked');
+        }
+        const userRevocation = this.revokedUsers.get(payload.sub);
+        if (userRevocation && (payload.issuedAtMs || payload.iat * 1000) < userRevocation.before) {
+            throw TokenService._error('TOKEN_REVOKED', 'Token has been revoked');
+        }
+        return payload;
+    }
+
+    // Error (code PASSWORD_CHANGE_REQUIRED) for a user who still has a temporary password
+    static passwordChangeRequired() {
+        return TokenService._error('PASSWORD_CHANGE_REQUIRED', 'Change the temporary password before using this account');
+    }
+
+    static _error(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    _load() {
+        if (!fs.existsSync(this.options.revocationFile)) {
+            return;
+        }
+        const lines = fs.readFileSync(this.options.revocationFile, 'utf8').split('\n');
+        for (const line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+            try {
+                const entry = JSON.parse(line);
+                if (entry.sub !== undefined) {
+                    this.revokedUsers.set(entry.sub, { before: entry.before, exp: entry.exp });
+                } else {
+                    this.revoked.set(entry.jti, entry.exp);
+                }
+            } catch (error) {
+                // A partial line from a crash mid-append
+            }
+        }
+        this._prune(true);
+    }
+
+    // Forget revocations of tokens that have expired anyway, and compact the file
+    _prune(force = false) {
+        const now = Math.floor(Date.now() / 1000);
+        let removed = 0;
+        for (const [jti, exp] of this.revoked) {
+            if (exp && exp < now) {
+                this.revoked.delete(jti);
+                removed++;
+            }
+        }
+        for (const [sub, { exp }] of this.revokedUsers) {
+            if (exp && exp < now) {
+                this.revokedUsers.delete(sub);
+                removed++;
+            }
+        }
+        if (removed === 0 && !force) {
+            return;
+        }
+
+        const tempPath = `${this.options.revocationFile}.tmp`;
+        try {
+            this._ensureDirectory();
+            const lines = [...this.revoked].map(([jti, exp]) => JSON.stringify({ jti, exp }) + '\n');
+            for (const [sub, { before, exp }] of this.revokedUsers) {
+                lines.push(JSON.stringify({ sub, before, exp }) + '\n');
+            }
+            fs.writeFileSync(tempPath, lines.join(''));
+            fs.renameSync(tempPath, this.options.revocationFile);
+        } catch (error) {
+            alert.error('AUTH', `Could not rewrite ${this.options.revocationFile}`, error);
+        }
+    }
+
+    _ensureDirectory() {
+        const directory = path.dirname(this.options.revocationFile);
+        if (!fs.existsSync(directory)) {
+            fs.mkdirSync(directory, { recursive: true });
+        }
+    }
+}
+
+module.exports = TokenService;
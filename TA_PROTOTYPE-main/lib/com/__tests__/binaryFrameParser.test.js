@@ -0,0 +1,87 @@
+// lib/com/__tests__/binaryFrameParser.test.js
+const BinaryFrameParser = require('../binaryFrameParser');
+const checksum = require('../checksum');
+
+describe('BinaryFrameParser', () => {
+    // Feeds chunks to the parser and collects the payloads and frame errors it reports
+    function feed(parser, ...chunks) {
+        const payloads = [];
+        const errors = [];
+        jest.spyOn(parser, 'push').mockImplementation(payload => payloads.push(payload.toString()));
+        parser.on('frame-error', error => errors.push(error));
+        for (const chunk of chunks) {
+            parser.write(chunk);
+        }
+        return { payloads, errors };
+    }
+
+    test('encodeFrame wraps the payload in marker, length and CRC', () => {
+        const crc = checksum.crc16Modbus(Buffer.from([0x02, 0x68, 0x69])).toString(16).padStart(4, '0');
+        expect(BinaryFrameParser.encodeFrame('hi').toString('hex')).toBe(`aa55026869${crc}`);
+        expect(BinaryFrameParser.encodeFrame('hi', { crc: 'none', startMarker: [0x7E] }).toString('hex')).toBe('7e026869');
+        expect(() => BinaryFrameParser.encodeFrame(Buffer.alloc(300))).toThrow('exceeds maxPayloadLength 255');
+    });
+
+    test('extracts frames split across chunks and skips noise between them', () => {
+        const parser = new BinaryFrameParser();
+        const first = BinaryFrameParser.encodeFrame('one');
+        const second = BinaryFrameParser.encodeFrame('two');
+
+        const { payloads, errors } = feed(parser,
+            Buffer.from([0x00, 0x13]),
+            first.subarray(0, 4),
+            Buffer.concat([first.subarray(4), Buffer.from([0xFF]), second]));
+
+        expect(payloads).toEqual(['one', 'two']);
+        expect(errors).toEqual([]);
+        expect(parser.getStats()).toMatchObject({ framesReceived: 2, corruptFrames: 0, bytesDiscarded: 3 });
+    });
+
+    test('rejects a frame whose CRC does not match and resynchronises', () => {
+        const parser = new BinaryFrameParser();
+        const corrupt = BinaryFrameParser.encodeFrame('bad');
+        corrupt[corrupt.length - 1] ^= 0xFF;
+
+        const { payloads, errors } = feed(parser, Buffer.concat([corrupt, BinaryFrameParser.encodeFrame('good')]));
+
+        expect(payloads).toEqual(['good']);
+        expect(errors).toHaveLength(1);
+        expect(errors[0]).toMatchObject({ type: 'crc', message: expect.stringContaining('crc16-modbus mismatch') });
+        expect(parser.getStats()).toMatchObject({ framesReceived: 1, crcErrors: 1, corruptFrames: 1 });
+    });
+
+    test('a payload changed in transit fails the CRC', () => {
+        const parser = new BinaryFrameParser({ crc: 'crc32' });
+        const frame = BinaryFrameParser.encodeFrame('21.5', { crc: 'crc32' });
+        frame[4] = '9'.charCodeAt(0);
+
+        const { payloads, errors } = feed(parser, frame);
+        expect(payloads).toEqual([]);
+        expect(errors[0].type).toBe('crc');
+    });
+
+    test('refuses declared lengths above maxPayloadLength', () => {
+        const options = { lengthBytes: 2, maxPayloadLength: 16 };
+        const parser = new BinaryFrameParser(options);
+
+        const { payloads, errors } = feed(parser, Buffer.from([0xAA, 0x55, 0x10, 0x00]), BinaryFrameParser.encodeFrame('ok', options));
+
+        expect(payloads).toEqual(['ok']);
+        expect(errors[0]).toMatchObject({ type: 'length' });
+        expect(parser.getStats().lengthErrors).toBe(1);
+    });
+
+    test('supports little-endian length and CRC fields', () => {
+        const options = { lengthBytes: 2, littleEndian: true, crc: 'crc16-ccitt' };
+        const frame = BinaryFrameParser.encodeFrame('le', options);
+        expect(frame.subarray(2, 4).toString('hex')).toBe('0200');
+
+        expect(feed(new BinaryFrameParser(options), frame).payloads).toEqual(['le']);
+    });
+
+    test('refuses invalid options', () => {
+        expect(() => new BinaryFrameParser({ crc: 'md5' })).toThrow("Unsupported CRC 'md5'");
+        expect(() => new BinaryFrameParser({ lengthBytes: 4 })).toThrow('lengthBytes must be 1 or 2');
+        expect(() => new BinaryFrameParser({ startMarker: [] })).toThrow('startMarker must be a non-empty array');
+    });
+});
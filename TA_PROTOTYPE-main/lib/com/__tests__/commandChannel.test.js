@@ -0,0 +1,111 @@
+// lib/com/__tests__/commandChannel.test.js
+const CommandChannel = require('../commandChannel');
+
+describe('CommandChannel', () => {
+    let written;
+    let channel;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        written = [];
+        channel = new CommandChannel(async (message) => {
+            written.push(JSON.parse(message));
+        }, { timeout: 1000, retries: 1 });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    // Lets the write promise chain of _transmit settle
+    const settle = async () => {
+        for (let i = 0; i < 5; i++) {
+            await Promise.resolve();
+        }
+    };
+
+    test('sends the command with an ID and resolves on its acknowledgement', async () => {
+        const sent = channel.send('SET_SP', { value: 30.5 });
+        await settle();
+        expect(written).toEqual([{ id: 1, cmd: 'SET_SP', params: { value: 30.5 } }]);
+
+        expect(channel.handleResponse('{"ack":1,"status":"ok","result":{"value":30.5}}')).toBe(true);
+        await expect(sent).resolves.toMatchObject({ id: 1, command: 'SET_SP', status: 'ok', result: { value: 30.5 }, attempts: 1 });
+        expect(channel.hasPending()).toBe(false);
+    });
+
+    test('only acknowledgements of pending IDs are consumed', async () => {
+        const sent = channel.send('START');
+        await settle();
+
+        expect(channel.handleResponse('{"ack":7,"status":"ok"}')).toBe(false);
+        expect(channel.handleResponse('{"temperature":21.5}')).toBe(false);
+        expect(channel.handleResponse('not json')).toBe(false);
+        expect(channel.hasPending()).toBe(true);
+
+        expect(channel.handleResponse('{"ack":1}')).toBe(true);
+        await sent;
+        // A duplicate of an acknowledgement already handled is telemetry again
+        expect(channel.handleResponse('{"ack":1}')).toBe(false);
+        expect(channel.getStats()).toMatchObject({ acknowledged: 1, unmatchedAcks: 2 });
+    });
+
+    test('takes an already parsed line', async () => {
+        const sent = channel.send('START');
+        await settle();
+
+        expect(channel.handleResponse('ignored', { ack: 1, status: 'ok' })).toBe(true);
+        await expect(sent).resolves.toMatchObject({ id: 1 });
+    });
+
+    test('an error status rejects with COMMAND_REJECTED', async () => {
+        const sent = channel.send('SET_SP', { value: 999 });
+        await settle();
+
+        channel.handleResponse('{"ack":1,"status":"error","error":"out of range"}');
+        await expect(sent).rejects.toMatchObject({ code: 'COMMAND_REJECTED', message: expect.stringContaining('out of range') });
+    });
+
+    test('retries a missing acknowledgement, then rejects with COMMAND_TIMEOUT', async () => {
+        const sent = channel.send('START');
+        const outcome = sent.catch(error => error);
+        await settle();
+
+        jest.advanceTimersByTime(1000);
+        await settle();
+        expect(written).toHaveLength(2);
+        expect(written[1].id).toBe(1);
+
+        jest.advanceTimersByTime(1000);
+        expect(await outcome).toMatchObject({ code: 'COMMAND_TIMEOUT' });
+        expect(channel.getStats()).toMatchObject({ retries: 1, timedOut: 1, pending: 0 });
+    });
+
+    test('rejectAll aborts the waiting commands', async () => {
+        const sent = channel.send('START');
+        await settle();
+
+        channel.rejectAll('port closed');
+        await expect(sent).rejects.toMatchObject({ code: 'COMMAND_ABORTED' });
+    });
+
+    test('returns a rejected promise when every ID is waiting', async () => {
+        for (let id = 1; id <= 65535; id++) {
+            channel.pending.set(id, {});
+        }
+
+        const sent = channel.send('START');
+        expect(sent).toBeInstanceOf(Promise);
+        await expect(sent).rejects.toMatchObject({ code: 'TOO_MANY_PENDING' });
+    });
+
+    test('skips IDs still pending after wrap-around', async () => {
+        channel.nextId = 65535;
+        channel.pending.set(1, {});
+
+        channel.send('A');
+        channel.send('B');
+        await settle();
+        expect(written.map(message => message.id)).toEqual([65535, 2]);
+    });
+});
@@ -0,0 +1,88 @@
+// lib/com/__tests__/frameParsers.test.js
+const frameParsers = require('../frameParsers');
+const checksum = require('../checksum');
+
+describe('checksum', () => {
+    const check = Buffer.from('123456789', 'ascii');
+
+    test('matches the standard check values', () => {
+        expect(checksum.crc16Modbus(check)).toBe(0x4B37);
+        expect(checksum.crc16Ccitt(check)).toBe(0x29B1);
+        expect(checksum.crc32(check)).toBe(0xCBF43926);
+        expect(checksum.xor8(Buffer.from([0x0F, 0xF0, 0x01]))).toBe(0xFE);
+        expect(checksum.sum8(Buffer.from([0xFF, 0x02]))).toBe(0x01);
+    });
+});
+
+describe('frameParsers', () => {
+    afterEach(() => {
+        frameParsers.unregisterParser('pipe');
+    });
+
+    test('maps positional values onto fieldMapping', () => {
+        const config = { fieldMapping: ['temperature', 'pressure'] };
+
+        expect(frameParsers.parseFrame('csv', '21.5, 1.02', config)).toEqual({ temperature: 21.5, pressure: 1.02 });
+        expect(frameParsers.parseFrame('json-array', '[21.5,"ok"]', config)).toEqual({ temperature: 21.5, pressure: 'ok' });
+        expect(() => frameParsers.parseFrame('csv', '21.5', config)).toThrow('csv data mismatch. Expected 2 items, got 1');
+    });
+
+    test('json parsers use the line already parsed by the caller', () => {
+        const json = { temperature: 21.5 };
+        expect(frameParsers.parseFrame('json-object', 'not parsed again', {}, { json })).toBe(json);
+        expect(() => frameParsers.parseFrame('json-object', '[1,2]', {})).toThrow('Expected a JSON object');
+    });
+
+    test('parses key-value pairs with configurable separators', () => {
+        const config = { parserOptions: { pairDelimiter: ';', keyValueSeparator: ':' } };
+
+        expect(frameParsers.parseFrame('key-value', 'temp:25.1;state:run', config)).toEqual({ temp: 25.1, state: 'run' });
+        expect(() => frameParsers.parseFrame('key-value', 'temp25.1', config)).toThrow("Malformed key-value pair: 'temp25.1'");
+    });
+
+    test('checks the NMEA checksum', () => {
+        const config = { fieldMapping: ['temperature', 'pressure'] };
+
+        expect(frameParsers.parseFrame('nmea', '$TASEN,25.1,1.02*48', config)).toEqual({ sentence: 'TASEN', temperature: 25.1, pressure: 1.02 });
+        expect(() => frameParsers.parseFrame('nmea', '$TASEN,25.1,1.02*49', config)).toThrow('NMEA checksum mismatch (expected 49, got 48)');
+        expect(() => frameParsers.parseFrame('nmea', '$TASEN,25.1,1.02', { ...config, parserOptions: { requireChecksum: true } }))
+            .toThrow('NMEA checksum missing');
+    });
+
+    test('decodes Modbus registers and rejects a CRC mismatch', () => {
+        const config = { fieldMapping: ['temperature', 'pressure'], parserOptions: { registerScale: 0.1 } };
+
+        expect(frameParsers.parseFrame('modbus-hex', '01 03 04 00 FA 00 64 DB E9', config))
+            .toEqual({ slave_id: 1, function_code: 3, temperature: 25, pressure: 10 });
+        expect(() => frameParsers.parseFrame('modbus-hex', '01030400fa0064dbea', config)).toThrow('Modbus CRC mismatch');
+    });
+
+    test('checks the length and checksum of length-prefixed frames', () => {
+        const config = { parserOptions: { binaryFields: [{ name: 'temperature', type: 'uint16', scale: 0.1 }, { name: 'pressure', type: 'uint16' }] } };
+
+        expect(frameParsers.parseFrame('length-prefixed', '04 00FA 0064 5E', config)).toEqual({ temperature: 25, pressure: 100 });
+        expect(() => frameParsers.parseFrame('length-prefixed', '04 00FA 0064 5F', config)).toThrow('Checksum mismatch (expected 95, got 94)');
+        expect(() => frameParsers.parseFrame('length-prefixed', '05 00FA 0064 5E', config)).toThrow('Frame length mismatch');
+    });
+
+    test('required fields combine the configuration and the parser schema', () => {
+        const config = { requiredFields: ['temperature'], fieldMapping: ['temperature'] };
+
+        expect(frameParsers.getRequiredFields('nmea', config)).toEqual(['temperature', 'sentence']);
+        expect(frameParsers.findMissingField({ temperature: 21, sentence: ' ' }, ['temperature', 'sentence'])).toBe('sentence');
+        expect(frameParsers.findMissingField({ temperature: 0, sentence: 'TASEN' }, ['temperature', 'sentence'])).toBeNull();
+    });
+
+    test('custom parsers can be registered and listed', () => {
+        frameParsers.registerParser('pipe', {
+            description: 'a|b',
+            schema: () => [{ name: 'a', required: true }, { name: 'b' }],
+            parse: input => input.split('|')
+        });
+
+        expect(frameParsers.parseFrame('pipe', 'x|y')).toEqual({ a: 'x', b: 'y' });
+        expect(frameParsers.listParsers().map(parser => parser.name)).toContain('pipe');
+        expect(() => frameParsers.registerParser('broken', {})).toThrow("Parser 'broken' must provide a parse");
+        expect(() => frameParsers.parseFrame('xml', '<a/>')).toThrow('Unsupported dataType: xml');
+    });
+});
@@ -0,0 +1,92 @@
+// lib/com/__tests__/messageGuard.test.js
+const MessageGuard = require('../messageGuard');
+
+describe('MessageGuard', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    const ping = { type: 'ping' };
+
+    test('allows a burst of messages, then rate limits with a retry delay', () => {
+        const guard = new MessageGuard({ rateLimits: { default: { burst: 3, perSecond: 2 } } });
+
+        expect([1, 2, 3].map(() => guard.check('client-1', ping))).toEqual([null, null, null]);
+        expect(guard.check('client-1', ping)).toEqual({ code: 'RATE_LIMITED', message: "Too many 'ping' messages", retryAfter: 500 });
+        expect(guard.getStatus()).toMatchObject({ rateLimited: 1, byType: { ping: { rateLimited: 1, invalidMessage: 0 } } });
+    });
+
+    test('refills the bucket at perSecond', () => {
+        const guard = new MessageGuard({ rateLimits: { default: { burst: 1, perSecond: 2 } } });
+        expect(guard.check('client-1', ping)).toBeNull();
+        expect(guard.check('client-1', ping)).toMatchObject({ code: 'RATE_LIMITED' });
+
+        jest.advanceTimersByTime(499);
+        expect(guard.check('client-1', ping)).toMatchObject({ code: 'RATE_LIMITED' });
+        jest.advanceTimersByTime(1);
+        expect(guard.check('client-1', ping)).toBeNull();
+    });
+
+    test('keeps one bucket per client and message type', () => {
+        const guard = new MessageGuard({
+            rateLimits: { default: { burst: 1, perSecond: 1 }, sensor_data: { burst: 2, perSecond: 1 } }
+        });
+        const reading = { type: 'sensor_data', data: { temperature: 21.5 } };
+
+        expect(guard.check('client-1', ping)).toBeNull();
+        expect(guard.check('client-1', ping)).toMatchObject({ code: 'RATE_LIMITED' });
+        expect(guard.check('client-2', ping)).toBeNull();
+        expect(guard.check('client-1', reading)).toBeNull();
+        expect(guard.check('client-1', reading)).toBeNull();
+        expect(guard.check('client-1', reading)).toMatchObject({ code: 'RATE_LIMITED' });
+    });
+
+    test('auth messages have a strict default limit', () => {
+        const guard = new MessageGuard();
+        const auth = { type: 'auth', username: 'alice', password: 'guess' };
+        const results = Array.from({ length: 6 }, () => guard.check('client-1', auth));
+
+        expect(results.slice(0, 5)).toEqual([null, null, null, null, null]);
+        expect(results[5]).toMatchObject({ code: 'RATE_LIMITED', retryAfter: 5000 });
+    });
+
+    test('refuses unknown types and messages without their fields', () => {
+        const guard = new MessageGuard();
+
+        expect(guard.check('client-1', {})).toEqual({ code: 'INVALID_MESSAGE', message: 'Message has no type' });
+        expect(guard.check('client-1', { type: 'db_drop' })).toMatchObject({ code: 'INVALID_MESSAGE' });
+        expect(guard.check('client-1', { type: 'db_read', data: {} }).message).toContain('"table" is required');
+        expect(guard.check('client-1', { type: 'db_read', data: { table: 'users; DROP TABLE x' } })).toMatchObject({ code: 'INVALID_MESSAGE' });
+        expect(guard.check('client-1', { type: 'auth', username: 'alice' })).toMatchObject({ code: 'INVALID_MESSAGE' });
+        expect(guard.check('client-1', { type: 'db_read', table: 'sensors_data' })).toBeNull();
+        expect(guard.check('client-1', { type: 'db_delete', data: { table: 'sensors_data', where: { id: 4 } } })).toBeNull();
+        expect(guard.check('client-1', { type: 'db_update', data: { table: 'sensors_data', data: { status: 'ok' }, where: { id: 4 } } })).toBeNull();
+    });
+
+    test('a client reaching maxViolations within the window is abusive', () => {
+        const guard = new MessageGuard({ maxViolations: 3, violationWindow: 10000 });
+
+        expect(guard.recordViolation('client-1', 'invalidMessage')).toBe(false);
+        expect(guard.recordViolation('client-1', 'rateLimited')).toBe(false);
+        jest.advanceTimersByTime(10000);
+        expect(guard.recordViolation('client-1', 'invalidJson')).toBe(false);
+        expect(guard.recordViolation('client-1', 'invalidJson')).toBe(false);
+        expect(guard.recordViolation('client-1', 'invalidJson')).toBe(true);
+
+        expect(guard.getClientViolations('client-1')).toEqual({ recent: 3, total: 5 });
+        expect(guard.getStatus().invalidJson).toBe(3);
+        guard.forgetClient('client-1');
+        expect(guard.getClientViolations('client-1')).toEqual({ recent: 0, total: 0 });
+    });
+
+    test('maxViolations 0 never disconnects', () => {
+        const guard = new MessageGuard({ maxViolations: 0 });
+        const results = Array.from({ length: 50 }, () => guard.recordViolation('client-1', 'invalidMessage'));
+        expect(results.every(abusive => abusive === false)).toBe(true);
+    });
+});
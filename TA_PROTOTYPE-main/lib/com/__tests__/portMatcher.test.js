@@ -0,0 +1,63 @@
+// lib/com/__tests__/portMatcher.test.js
+const PortMatcher = require('../portMatcher');
+
+describe('PortMatcher', () => {
+    const ports = [
+        { path: '/dev/ttyS0' },
+        { path: '/dev/ttyUSB0', manufacturer: 'FTDI', vendorId: '0403', serialNumber: 'FT111' },
+        { path: '/dev/ttyACM0', manufacturer: 'Arduino (www.arduino.cc)', vendorId: '2341', serialNumber: 'AR222' }
+    ];
+
+    test('globs are case-insensitive and accept arrays', () => {
+        expect(PortMatcher.globMatch('*arduino*', 'Arduino LLC')).toBe(true);
+        expect(PortMatcher.globMatch('ttyUSB?', 'ttyUSB1')).toBe(true);
+        expect(PortMatcher.globMatch(['1a86', '10c4'], '10C4')).toBe(true);
+        expect(PortMatcher.globMatch('a.b', 'axb')).toBe(false);
+        expect(PortMatcher.globMatch('*', undefined)).toBe(false);
+    });
+
+    test('picks the highest-priority match with the default rules', () => {
+        const result = new PortMatcher().evaluate(ports);
+
+        expect(result).toMatchObject({ selected: '/dev/ttyACM0', matched: true, priority: 100 });
+        expect(result.candidates.map(candidate => candidate.reason)).toEqual([
+            'no rule matched',
+            "matched rule 'ftdi-vid' (priority 70)",
+            "matched rule 'arduino-vid' (priority 100)"
+        ]);
+    });
+
+    test('every field of a rule has to match', () => {
+        const matcher = new PortMatcher({ rules: [{ name: 'ftdi-board', vendorId: '0403', serialNumber: 'FT9*', priority: 5 }] });
+
+        expect(matcher.matchRule(ports[1])).toBeNull();
+        expect(matcher.evaluate(ports)).toMatchObject({ selected: '/dev/ttyS0', matched: false, reason: '/dev/ttyS0: no rule matched, using the first available port' });
+    });
+
+    test('skips ports claimed by other devices', () => {
+        const result = new PortMatcher().evaluate(ports, ['/dev/ttyACM0']);
+
+        expect(result.selected).toBe('/dev/ttyUSB0');
+        expect(result.candidates[2].reason).toBe('in use by another device');
+    });
+
+    test('a pinned serial number never falls back to another board', () => {
+        expect(new PortMatcher({ pinnedSerialNumber: 'FT111' }).evaluate(ports)).toMatchObject({ selected: '/dev/ttyUSB0' });
+
+        const missing = new PortMatcher({ pinnedSerialNumber: 'XX999' }).evaluate(ports);
+        expect(missing).toMatchObject({ selected: null, reason: 'Pinned device (serial number XX999) not found' });
+    });
+
+    test('without fallback an unmatched port is not used', () => {
+        const result = new PortMatcher({ fallbackToFirstPort: false }).evaluate([ports[0]]);
+
+        expect(result).toMatchObject({ selected: null, reason: 'No serial port matched the port match rules' });
+        expect(new PortMatcher().evaluate([]).reason).toBe('No serial ports available');
+    });
+
+    test('refuses rules without match fields', () => {
+        expect(() => new PortMatcher({ rules: [{ name: 'empty', priority: 1 }] })).toThrow('Port match rule empty has no match fields');
+        expect(() => new PortMatcher({ rules: {} })).toThrow('Port match rules must be an array');
+        expect(new PortMatcher({ rules: [{ path: '/dev/tty*' }] }).getRules()).toEqual([{ path: '/dev/tty*', name: 'rule-1', priority: 0 }]);
+    });
+});
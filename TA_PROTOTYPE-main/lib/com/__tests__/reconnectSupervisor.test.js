@@ -0,0 +1,89 @@
+// lib/com/__tests__/reconnectSupervisor.test.js
+const ReconnectSupervisor = require('../reconnectSupervisor');
+
+describe('ReconnectSupervisor', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('delays grow exponentially up to maxDelay', () => {
+        const supervisor = new ReconnectSupervisor({ initialDelay: 1000, maxDelay: 5000, jitter: 0 });
+
+        expect([0, 1, 2, 3].map(attempt => supervisor.getDelay(attempt))).toEqual([1000, 2000, 4000, 5000]);
+    });
+
+    test('jitter stays within its fraction and never passes maxDelay', () => {
+        const supervisor = new ReconnectSupervisor({ initialDelay: 1000, maxDelay: 1100, jitter: 0.2 });
+
+        for (let i = 0; i < 50; i++) {
+            expect(supervisor.getDelay(0)).toBeGreaterThanOrEqual(800);
+            expect(supervisor.getDelay(0)).toBeLessThanOrEqual(1100);
+        }
+    });
+
+    test('runs the attempts on schedule and gives up after maxAttempts', () => {
+        const supervisor = new ReconnectSupervisor({ initialDelay: 100, jitter: 0, maxAttempts: 2 });
+        const attempts = [];
+        const attempt = (number) => attempts.push(number);
+
+        expect(supervisor.schedule(attempt)).toEqual({ attempt: 1, delay: 100 });
+        jest.advanceTimersByTime(99);
+        expect(attempts).toEqual([]);
+        jest.advanceTimersByTime(1);
+        expect(supervisor.schedule(attempt)).toEqual({ attempt: 2, delay: 200 });
+        jest.advanceTimersByTime(200);
+
+        expect(attempts).toEqual([1, 2]);
+        expect(supervisor.schedule(attempt)).toBeNull();
+        expect(supervisor.getStats()).toMatchObject({ attempts: 2, gaveUp: true, giveUps: 1, totalAttempts: 2, pending: false });
+    });
+
+    test('neverGiveUp keeps retrying', () => {
+        const supervisor = new ReconnectSupervisor({ initialDelay: 10, jitter: 0, maxAttempts: 1, neverGiveUp: true });
+        supervisor.attempts = 5;
+
+        expect(supervisor.schedule(() => {})).toEqual({ attempt: 6, delay: 320 });
+        expect(supervisor.getStats().maxAttempts).toBeNull();
+    });
+
+    test('triggerNow runs a pending attempt early and restarts after giving up', () => {
+        const supervisor = new ReconnectSupervisor({ initialDelay: 1000, jitter: 0, maxAttempts: 1 });
+        const attempts = [];
+        const attempt = (number) => attempts.push(number);
+
+        expect(supervisor.triggerNow(attempt)).toBe(false);
+        supervisor.schedule(attempt);
+        expect(supervisor.triggerNow(attempt)).toBe(true);
+        jest.advanceTimersByTime(1000);
+        expect(attempts).toEqual([1]);
+
+        expect(supervisor.schedule(attempt)).toBeNull();
+        expect(supervisor.triggerNow(attempt)).toBe(true);
+        expect(attempts).toEqual([1, 1]);
+        expect(supervisor.getStats().hotPlugTriggers).toBe(2);
+    });
+
+    test('recordSuccess closes the outage and resets the attempts', () => {
+        const supervisor = new ReconnectSupervisor({ initialDelay: 100, jitter: 0 });
+        supervisor.markDisconnected(new Error('port closed'));
+        supervisor.schedule(() => {});
+        jest.advanceTimersByTime(100);
+        jest.advanceTimersByTime(400);
+
+        supervisor.recordSuccess();
+
+        expect(supervisor.getStats()).toMatchObject({
+            attempts: 0,
+            successfulReconnects: 1,
+            lastError: 'port closed',
+            lastOutageMs: 500,
+            longestOutageMs: 500,
+            disconnectedSince: null
+        });
+        expect(supervisor.schedule(() => {}).delay).toBe(100);
+    });
+});
@@ -0,0 +1,53 @@
+// lib/com/__tests__/serialCommunicator.test.js
+const SerialCommunicator = require('../serialCommunicator');
+const alert = require('../../alert');
+
+describe('SerialCommunicator frame processing', () => {
+    let db;
+    let logged;
+    let spies;
+
+    beforeEach(() => {
+        db = {
+            encrypt: jest.fn(value => `enc(${value})`),
+            postData: jest.fn(async () => ({ insertId: 1 }))
+        };
+        logged = [];
+        const capture = (...args) => logged.push(args.map(arg => (typeof arg === 'string' ? arg : JSON.stringify(arg))).join(' '));
+        spies = [
+            jest.spyOn(alert, 'debug').mockImplementation(capture),
+            jest.spyOn(alert, 'success').mockImplementation(capture),
+            jest.spyOn(console, 'log').mockImplementation(capture),
+            jest.spyOn(console, 'error').mockImplementation(capture)
+        ];
+    });
+
+    afterEach(() => {
+        spies.forEach(spy => spy.mockRestore());
+    });
+
+    const communicator = (config = {}) => new SerialCommunicator({
+        dataType: 'json-object',
+        dbTableName: 'sensors_data',
+        fieldsToEncrypt: ['operator_badge'],
+        ...config
+    }, db, null);
+
+    test('stores the encrypted field and never logs its plain value', async () => {
+        const serial = communicator();
+
+        expect(serial._processFrame('{"temperature":21.5,"operator_badge":"BADGE-4711"}', 'raw')).toEqual({ accepted: true });
+        await Promise.resolve();
+
+        expect(db.postData).toHaveBeenCalledWith('sensors_data', { temperature: 21.5, operator_badge: 'enc(BADGE-4711)' });
+        expect(logged.some(line => line.includes('BADGE-4711'))).toBe(false);
+        expect(alert.debug).toHaveBeenCalledWith('SERIAL', expect.stringContaining('"operator_badge":"[encrypted]"'));
+    });
+
+    test('a frame that fails to parse does not log the raw line when fields are encrypted', () => {
+        const serial = communicator({ dataType: 'json-object' });
+
+        expect(serial._processFrame('{"operator_badge":"BADGE-4711"', '{"operator_badge":"BADGE-4711"')).toMatchObject({ accepted: false, stage: 'parse' });
+        expect(logged.some(line => line.includes('BADGE-4711'))).toBe(false);
+    });
+});
@@ -0,0 +1,102 @@
+// lib/com/__tests__/serialSession.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SessionRecorder, SessionReplayer, SESSION_FORMAT_VERSION, resolveSessionFile } = require('../serialSession');
+
+describe('serial sessions', () => {
+    let directory;
+    let filePath;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'serial-session-'));
+        filePath = path.join(directory, 'nested', 'run.jsonl');
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const writeSession = (entries) => {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    };
+
+    test('the recorder writes a header and timed lines', async () => {
+        const recorder = new SessionRecorder(filePath, { port: 'COM3', dataType: 'csv' });
+        recorder.start();
+        recorder.record('21.5,1.2');
+        recorder.record('21.6,1.2');
+        const status = await recorder.stop();
+
+        expect(status).toEqual({ filePath, isRecording: false, linesRecorded: 2 });
+        const [header, first, second] = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        expect(header).toMatchObject({ type: 'header', version: SESSION_FORMAT_VERSION, port: 'COM3', dataType: 'csv' });
+        expect(first.line).toBe('21.5,1.2');
+        expect(second.t).toBeGreaterThanOrEqual(first.t);
+    });
+
+    test('replays the lines in order at max speed', async () => {
+        writeSession([
+            { type: 'header', version: 1, port: 'COM3' },
+            { t: 0, line: 'a' },
+            { t: 5000, line: 'b' },
+            { t: 9000, line: 'c' }
+        ]);
+        const replayer = new SessionReplayer(filePath, { speed: 'max' });
+        const lines = [];
+
+        const result = await replayer.start(line => lines.push(line));
+
+        expect(lines).toEqual(['a', 'b', 'c']);
+        expect(result).toMatchObject({ linesReplayed: 3, stopped: false });
+        expect(replayer.getStatus()).toMatchObject({ speed: 'max', isReplaying: false, header: { port: 'COM3' } });
+    });
+
+    test('waits the recorded delay between consecutive lines', async () => {
+        writeSession([{ t: 0, line: 'a' }, { t: 100, line: 'b' }]);
+        const replayer = new SessionReplayer(filePath, { speed: 10 });
+        const waits = [];
+        const wait = replayer._wait.bind(replayer);
+        replayer._wait = (delay) => {
+            waits.push(delay);
+            return wait(delay);
+        };
+
+        await replayer.start(() => {});
+        expect(waits).toEqual([0, 100]);
+    });
+
+    test('stop() ends a replay that is waiting', async () => {
+        writeSession([{ t: 0, line: 'a' }, { t: 60000, line: 'b' }]);
+        const replayer = new SessionReplayer(filePath);
+        const lines = [];
+
+        const replay = replayer.start(line => {
+            lines.push(line);
+            setImmediate(() => replayer.stop());
+        });
+
+        await expect(replay).resolves.toMatchObject({ linesReplayed: 1, stopped: true });
+        expect(lines).toEqual(['a']);
+    });
+
+    test('refuses a missing file and a second start', async () => {
+        await expect(new SessionReplayer(path.join(directory, 'none.jsonl')).start(() => {})).rejects.toThrow('Session file not found');
+
+        writeSession([{ t: 0, line: 'a' }]);
+        const replayer = new SessionReplayer(filePath, { speed: 0 });
+        const first = replayer.start(() => {});
+        await expect(replayer.start(() => {})).rejects.toThrow('Replay already in progress');
+        await first;
+    });
+
+    test('resolveSessionFile keeps names inside the session directory', () => {
+        expect(resolveSessionFile(directory, 'run.jsonl')).toBe(path.join(directory, 'run.jsonl'));
+        expect(resolveSessionFile(directory, 'day1/run.jsonl')).toBe(path.join(directory, 'day1', 'run.jsonl'));
+
+        expect(() => resolveSessionFile(directory, '../escape.jsonl')).toThrow('Session files must be inside');
+        expect(() => resolveSessionFile(directory, '/etc/passwd')).toThrow('Session files must be inside');
+        expect(() => resolveSessionFile(directory, '')).toThrow('A session file name is required');
+    });
+});
@@ -0,0 +1,94 @@
+// lib/com/__tests__/serialSimulator.test.js
+const SerialSimulator = require('../serialSimulator');
+
+describe('SerialSimulator', () => {
+    const fields = {
+        level: { waveform: 'constant', base: 5, precision: 0 },
+        step: { waveform: 'step', base: 0, amplitude: 10, period: 20, precision: 0 },
+        ramp: { waveform: 'ramp', base: 0, amplitude: 10, period: 10, precision: 1 },
+        sine: { waveform: 'sine', base: 0, amplitude: 2, period: 40, precision: 2 }
+    };
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('generates each waveform from the elapsed time', () => {
+        const simulator = new SerialSimulator({ simulator: { fields } });
+
+        expect(simulator.generateReading(0)).toEqual({ level: 5, step: 0, ramp: 0, sine: 0 });
+        expect(simulator.generateReading(10)).toEqual({ level: 5, step: 10, ramp: 0, sine: 2 });
+        expect(simulator.generateReading(25)).toEqual({ level: 5, step: 0, ramp: 5, sine: -1.41 });
+    });
+
+    test('keeps noise within its amplitude', () => {
+        const simulator = new SerialSimulator({ simulator: { fields: { value: { base: 10, noise: 0.5 } } } });
+
+        for (let i = 0; i < 50; i++) {
+            const { value } = simulator.generateReading(i);
+            expect(value).toBeGreaterThanOrEqual(9.5);
+            expect(value).toBeLessThanOrEqual(10.5);
+        }
+    });
+
+    test('formats frames in every data type', () => {
+        const reading = { temperature: 21.5, pressure: 1.2 };
+        const format = (dataType) => new SerialSimulator({
+            simulator: { dataType, fields: { temperature: {}, pressure: {} } }
+        }).formatFrame(reading);
+
+        expect(format('json-object')).toBe('{"temperature":21.5,"pressure":1.2}');
+        expect(format('json-array')).toBe('[21.5,1.2]');
+        expect(format('csv')).toBe('21.5,1.2');
+        expect(format('raw')).toBe('temperature=21.5 pressure=1.2');
+        expect(() => format('xml')).toThrow('Unsupported dataType: xml');
+    });
+
+    test('refuses unknown waveforms', () => {
+        expect(() => new SerialSimulator({ simulator: { fields: { value: { waveform: 'square' } } } }))
+            .toThrow("Unsupported waveform 'square' for field 'value'");
+    });
+
+    test('emits a frame per interval once open, and stops when closed', () => {
+        jest.useFakeTimers();
+        const simulator = new SerialSimulator({ simulator: { interval: 100, fields: { value: { base: 1 } } } });
+        const lines = [];
+        jest.spyOn(simulator, 'push').mockImplementation(chunk => lines.push(chunk));
+
+        simulator.open();
+        jest.advanceTimersByTime(350);
+        expect(lines).toEqual(['{"value":1}\r\n', '{"value":1}\r\n', '{"value":1}\r\n']);
+
+        simulator.close();
+        jest.advanceTimersByTime(500);
+        expect(lines).toHaveLength(3);
+        expect(simulator.getStatus()).toMatchObject({ isOpen: false, framesSent: 3, framesDropped: 0 });
+    });
+
+    test('drops frames at dropoutRate', () => {
+        jest.useFakeTimers();
+        const simulator = new SerialSimulator({ simulator: { interval: 100, dropoutRate: 1 } });
+        simulator.open();
+        jest.advanceTimersByTime(300);
+
+        expect(simulator.getStatus()).toMatchObject({ framesSent: 0, framesDropped: 3 });
+        simulator.close();
+        jest.runOnlyPendingTimers();
+    });
+
+    test('acknowledges JSON commands after commandLatency', () => {
+        jest.useFakeTimers();
+        const simulator = new SerialSimulator({ simulator: { interval: 60000, commandLatency: 20 } });
+        const lines = [];
+        jest.spyOn(simulator, 'push').mockImplementation(chunk => lines.push(chunk));
+        simulator.open();
+        jest.advanceTimersByTime(1);
+
+        simulator.write('{"id":7,"cmd":"SET_SP","params":{"value":30}}\nnot a command\n');
+        jest.advanceTimersByTime(20);
+
+        expect(lines).toEqual(['{"ack":7,"status":"ok","cmd":"SET_SP"}\r\n']);
+        simulator.close();
+        jest.runOnlyPendingTimers();
+    });
+});
@@ -0,0 +1,92 @@
+// lib/com/__tests__/stalenessWatchdog.test.js
+const StalenessWatchdog = require('../stalenessWatchdog');
+
+describe('StalenessWatchdog', () => {
+    let handlers;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        handlers = { onStale: jest.fn(), onRecovered: jest.fn(), onAction: jest.fn() };
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    const watchdog = (options = {}) => new StalenessWatchdog({ type: 'serial', id: 'oven-1' },
+        { warningAfter: 1000, criticalAfter: 3000, checkInterval: 500, ...options }, handlers);
+
+    test('escalates from warning to critical while the source stays silent', () => {
+        const dog = watchdog();
+        dog.start();
+
+        jest.advanceTimersByTime(1000);
+        expect(dog.level).toBe('warning');
+        jest.advanceTimersByTime(2000);
+        expect(dog.level).toBe('critical');
+
+        expect(handlers.onStale).toHaveBeenCalledTimes(2);
+        expect(handlers.onStale.mock.calls[1][0]).toMatchObject({ type: 'stale', source: 'serial', sourceId: 'oven-1', level: 'critical', silentMs: 3000 });
+        expect(handlers.onAction).not.toHaveBeenCalled();
+        dog.stop();
+    });
+
+    test('data arriving again reports the recovery once', () => {
+        const dog = watchdog();
+        dog.start();
+        jest.advanceTimersByTime(1500);
+
+        dog.touch();
+        dog.touch();
+
+        expect(handlers.onRecovered).toHaveBeenCalledTimes(1);
+        expect(handlers.onRecovered.mock.calls[0][0]).toMatchObject({ type: 'recovered', level: 'ok', previousLevel: 'warning', staleForMs: 1500 });
+        expect(dog.getStatus()).toMatchObject({ level: 'ok', warnings: 1, recoveries: 1, staleSince: null });
+        dog.stop();
+    });
+
+    test('repeats the critical action after the cooldown only', () => {
+        const dog = watchdog({ action: 'reconnect', actionCooldown: 2000 });
+        dog.start();
+
+        jest.advanceTimersByTime(3000);
+        expect(handlers.onAction).toHaveBeenCalledTimes(1);
+        expect(handlers.onAction.mock.calls[0]).toEqual(['reconnect', expect.objectContaining({ action: 'reconnect', level: 'critical' })]);
+        jest.advanceTimersByTime(1500);
+        expect(handlers.onAction).toHaveBeenCalledTimes(1);
+        jest.advanceTimersByTime(500);
+        expect(handlers.onAction).toHaveBeenCalledTimes(2);
+        dog.stop();
+    });
+
+    test('criticalAfter 0 stops at the warning level', () => {
+        const dog = watchdog({ criticalAfter: 0, action: 'reset' });
+        dog.start();
+        jest.advanceTimersByTime(60000);
+
+        expect(dog.level).toBe('warning');
+        expect(handlers.onAction).not.toHaveBeenCalled();
+        dog.stop();
+    });
+
+    test('a failing handler does not stop the watchdog', () => {
+        handlers.onStale.mockImplementation(() => { throw new Error('boom'); });
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const dog = watchdog();
+        dog.start();
+
+        jest.advanceTimersByTime(3000);
+
+        expect(dog.level).toBe('critical');
+        expect(consoleError).toHaveBeenCalledWith('Staleness watchdog onStale handler failed:', expect.any(Error));
+        consoleError.mockRestore();
+        dog.stop();
+    });
+
+    test('does not start when disabled', () => {
+        const dog = watchdog({ enabled: false });
+        dog.start();
+
+        expect(dog.isRunning()).toBe(false);
+    });
+});
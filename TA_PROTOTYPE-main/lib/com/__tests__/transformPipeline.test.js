@@ -0,0 +1,58 @@
+// lib/com/__tests__/transformPipeline.test.js
+const TransformPipeline = require('../transformPipeline');
+
+describe('TransformPipeline', () => {
+    test('runs the steps of each field in order', () => {
+        const pipeline = new TransformPipeline({
+            version: 'oven-1/2026-10',
+            fields: {
+                temperature: [
+                    { type: 'linear', scale: 0.0625, offset: -40 },
+                    { type: 'offset', value: 0.3 },
+                    { type: 'unit', from: '°C', to: 'F' },
+                    { type: 'round', decimals: 1 }
+                ],
+                pressure: [{ type: 'polynomial', coefficients: [1, 2, 3] }]
+            }
+        });
+
+        expect(pipeline.apply({ temperature: '1000', pressure: 2, status: 'run' })).toEqual({ temperature: 73, pressure: 17, status: 'run' });
+        expect(pipeline.getStatus()).toMatchObject({ version: 'oven-1/2026-10', fields: { temperature: ['linear', 'offset', 'unit', 'round'] }, records: 1 });
+    });
+
+    test('converts pressure units through kilopascal', () => {
+        const pipeline = new TransformPipeline({ fields: { pressure: [{ type: 'unit', from: 'bar', to: 'psi' }, { type: 'round', decimals: 2 }] } });
+
+        expect(pipeline.apply({ pressure: 1 }).pressure).toBe(14.5);
+    });
+
+    test('clamps out-of-range values and counts them', () => {
+        const pipeline = new TransformPipeline({ fields: { level: [{ type: 'clamp', min: 0, max: 100 }] } });
+
+        expect(pipeline.apply({ level: -5 }).level).toBe(0);
+        expect(pipeline.apply({ level: 50 }).level).toBe(50);
+        expect(pipeline.apply({ level: 120 }).level).toBe(100);
+        expect(pipeline.getStatus().clamped).toBe(2);
+    });
+
+    test('leaves missing fields alone and refuses non-numeric values', () => {
+        const pipeline = new TransformPipeline({ fields: { temperature: [{ type: 'offset', value: 1 }] } });
+
+        expect(pipeline.apply({ pressure: 1 })).toEqual({ pressure: 1 });
+        expect(pipeline.apply({ temperature: '' })).toEqual({ temperature: '' });
+        expect(() => pipeline.apply({ temperature: 'hot' })).toThrow(expect.objectContaining({ code: 'TRANSFORM_FAILED' }));
+        expect(pipeline.getStatus()).toMatchObject({ errors: 1, lastError: "'temperature' value 'hot' is not numeric" });
+    });
+
+    test('refuses invalid definitions up front', () => {
+        const build = (steps) => () => new TransformPipeline({ fields: { value: steps } });
+
+        expect(build([{ type: 'log' }])).toThrow("Transform step 1 of 'value': unknown type 'log'");
+        expect(build([{ type: 'unit', from: 'C', to: 'bar' }])).toThrow('cannot convert temperature (C) to pressure (bar)');
+        expect(build([{ type: 'unit', from: 'C', to: 'rankine' }])).toThrow("unknown unit 'rankine'");
+        expect(build([{ type: 'clamp', min: 5, max: 1 }])).toThrow("clamp 'min' is greater than 'max'");
+        expect(build([{ type: 'polynomial', coefficients: [] }])).toThrow("'coefficients' must be a non-empty array");
+        expect(build([{ type: 'linear', scale: 'x' }])).toThrow("'x' is not a number");
+        expect(build({ type: 'offset' })).toThrow("Transform steps for 'value' must be an array");
+    });
+});
@@ -0,0 +1,80 @@
+// lib/com/__tests__/webSocketCommunicator.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const WebSocketHandler = require('../webSocketCommunicator');
+const AuditLog = require('../../db/auditLog');
+
+describe('WebSocketHandler db_update and db_delete', () => {
+    let directory;
+    let auditLog;
+    let db;
+    let handler;
+    let ws;
+    const client = { id: 'client-1', username: 'alice', ip: '10.0.0.1', role: 'engineer', isAuthenticated: true };
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'websocket-'));
+        auditLog = new AuditLog({ filePath: path.join(directory, 'audit.jsonl') });
+        db = {
+            updateData: jest.fn(async () => ({ affectedRows: 1 })),
+            deleteData: jest.fn(async () => ({ affectedRows: 1 })),
+            getDataByFilters: jest.fn(async () => [{ id: 4, status: 'fault' }]),
+            query: jest.fn()
+        };
+        handler = new WebSocketHandler({ enableDatabaseSync: false, logLevel: 'error' }, db, null, { auditLog });
+        ws = { readyState: WebSocket.OPEN, send: jest.fn() };
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const lastReply = () => JSON.parse(ws.send.mock.calls[ws.send.mock.calls.length - 1][0]);
+
+    test('db_update runs with the where conditions as bound values', async () => {
+        await handler._handleDatabaseUpdate(ws, client, {
+            type: 'db_update',
+            data: { table: 'sensors_data', data: { status: 'ok' }, where: { id: 4 } }
+        });
+
+        expect(lastReply()).toMatchObject({ type: 'db_update_response', success: true });
+        expect(db.updateData).toHaveBeenCalledWith('sensors_data', { status: 'ok' }, '`id` = ?', [4]);
+        expect(db.getDataByFilters).toHaveBeenCalledWith('sensors_data', { id: 4 }, { limit: 101 });
+        expect(db.query).not.toHaveBeenCalled();
+        expect(auditLog.list().entries[0]).toMatchObject({ action: 'data.update', actor: 'alice', filter: { whereParams: [4] } });
+    });
+
+    test('db_update accepts a whereClause of column = ? conditions', async () => {
+        await handler._handleDatabaseUpdate(ws, client, {
+            type: 'db_update',
+            data: { table: 'sensors_data', data: { status: 'ok' }, whereClause: 'device_id = ? AND status = ?', whereParams: ['oven-1', 'fault'] }
+        });
+
+        expect(db.updateData).toHaveBeenCalledWith('sensors_data', { status: 'ok' }, '`device_id` = ? AND `status` = ?', ['oven-1', 'fault']);
+    });
+
+    test('db_update refuses raw SQL and missing conditions', async () => {
+        const messages = [
+            { table: 'sensors_data', data: { status: 'ok' }, whereClause: '1=1 OR id > ?', whereParams: [0] },
+            { table: 'sensors_data', data: { status: 'ok' }, whereClause: "id = 4; DROP TABLE users" },
+            { table: 'sensors_data', data: { status: 'ok' } }
+        ];
+        for (const data of messages) {
+            await handler._handleDatabaseUpdate(ws, client, { type: 'db_update', data });
+            expect(lastReply()).toMatchObject({ type: 'db_update_response', success: false });
+        }
+
+        expect(db.updateData).not.toHaveBeenCalled();
+        expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test('db_delete refuses a delete without conditions', async () => {
+        await handler._handleDatabaseDelete(ws, client, { type: 'db_delete', data: { table: 'sensors_data', where: {} } });
+        expect(lastReply()).toMatchObject({ type: 'db_delete_response', success: false });
+
+        await handler._handleDatabaseDelete(ws, client, { type: 'db_delete', data: { table: 'sensors_data', where: { id: 4 } } });
+        expect(db.deleteData).toHaveBeenCalledWith('sensors_data', '`id` = ?', [4]);
+    });
+});
@@ -0,0 +1,183 @@
+// lib/com/binaryFrameParser.js
+// Stream parser for binary telemetry frames:
+//   [start marker][length][payload ... length bytes][CRC]
+// The CRC covers the length field and the payload. Valid payloads are pushed as
+// Buffers; corrupt frames are reported with a 'frame-error' event and the parser
+// resynchronises on the next start marker.
+
+const { Transform } = require('stream');
+const checksum = require('./checksum');
+
+const CRC_ALGORITHMS = {
+    'crc16-modbus': { size: 2, compute: checksum.crc16Modbus },
+    'crc16-ccitt': { size: 2, compute: checksum.crc16Ccitt },
+    'crc32': { size: 4, compute: checksum.crc32 },
+    'none': { size: 0, compute: () => 0 }
+};
+
+const DEFAULT_OPTIONS = {
+    startMarker: [0xAA, 0x55],   // Start-of-frame bytes
+    lengthBytes: 1,              // Size of the length field (1 or 2)
+    littleEndian: false,         // Byte order of the length field and CRC
+    crc: 'crc16-modbus',         // crc16-modbus, crc16-ccitt, crc32, none
+    maxPayloadLength: 255        // Larger declared lengths are treated as corrupt
+};
+
+class BinaryFrameParser extends Transform {
+    constructor(options = {}) {
+        super({ readableObjectMode: true });
+
+        this.options = BinaryFrameParser.normalizeOptions(options);
+        this.marker = Buffer.from(this.options.startMarker);
+        this.crc = CRC_ALGORITHMS[this.options.crc];
+        this.buffer = Buffer.alloc(0);
+
+        this.stats = {
+            framesReceived: 0,
+            corruptFrames: 0,
+            crcErrors: 0,
+            lengthErrors: 0,
+            bytesDiscarded: 0
+        };
+    }
+
+    static normalizeOptions(options = {}) {
+        const normalized = { ...DEFAULT_OPTIONS, ...options };
+
+        if (!CRC_ALGORITHMS[normalized.crc]) {
+            throw new Error(`Unsupported CRC '${normalized.crc}'. Supported: ${Object.keys(CRC_ALGORITHMS).join(', ')}`);
+        }
+        if (![1, 2].includes(normalized.lengthBytes)) {
+            throw new Error('lengthBytes must be 1 or 2');
+        }
+        if (!Array.isArray(normalized.startMarker) || normalized.startMarker.length === 0) {
+            throw new Error('startMarker must be a non-empty array of bytes');
+        }
+        return normalized;
+    }
+
+    // Build a complete frame around a payload (used for commands and test fixtures)
+    static encodeFrame(payload, options = {}) {
+        const opts = BinaryFrameParser.normalizeOptions(options);
+        const crc = CRC_ALGORITHMS[opts.crc];
+        const data = Buffer.from(payload);
+
+        if (data.length > opts.maxPayloadLength) {
+            throw new Error(`Payload length ${data.length} exceeds maxPayloadLength ${opts.maxPayloadLength}`);
+        }
+
+        const length = Buffer.alloc(opts.lengthBytes);
+        BinaryFrameParser._writeUInt(length, data.length, opts.lengthBytes, opts.littleEndian);
+
+        const crcBuffer = Buffer.alloc(crc.size);
+        if (crc.size > 0) {
+            BinaryFrameParser._writeUInt(crcBuffer, crc.compute(Buffer.concat([length, data])), crc.size, opts.littleEndian);
+        }
+
+        return Buffer.concat([Buffer.from(opts.startMarker), length, data, crcBuffer]);
+    }
+
+    getStats() {
+        return { ...this.stats };
+    }
+
+    _transform(chunk, encoding, callback) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        this._extractFrames();
+        callback();
+    }
+
+    _flush(callback) {
+        if (this.buffer.length > 0) {
+            this.stats.bytesDiscarded += this.buffer.length;
+            this.buffer = Buffer.alloc(0);
+        }
+        callback();
+    }
+
+    _extractFrames() {
+        const headerSize = this.marker.length + this.options.lengthBytes;
+
+        while (this.buffer.length > 0) {
+            const start = this.buffer.indexOf(this.marker);
+
+            if (start === -1) {
+                // Keep a possible partial marker at the end of the buffer
+                const keep = Math.min(this.buffer.length, this.marker.length - 1);
+                this._discard(this.buffer.length - keep);
+                return;
+            }
+            if (start > 0) {
+                this._discard(start);
+            }
+            if (this.buffer.length < headerSize) {
+                return;
+            }
+
+            const length = BinaryFrameParser._readUInt(this.buffer, this.marker.length, this.options.lengthBytes, this.options.littleEndian);
+            if (length > this.options.maxPayloadLength) {
+                this.stats.lengthErrors++;
+                this._reportCorruptFrame('length', `Declared payload length ${length} exceeds maximum ${this.options.maxPayloadLength}`, this.buffer.subarray(0, headerSize));
+                this._discard(1);
+                continue;
+            }
+
+            const frameSize = headerSize + length + this.crc.size;
+            if (this.buffer.length < frameSize) {
+                return;
+            }
+
+            const frame = this.buffer.subarray(0, frameSize);
+            const covered = frame.subarray(this.marker.length, headerSize + length);
+            const payload = frame.subarray(headerSize, headerSize + length);
+
+            if (this.crc.size > 0) {
+                const received = BinaryFrameParser._readUInt(frame, headerSize + length, this.crc.size, this.options.littleEndian);
+                const computed = this.crc.compute(covered);
+                if (received !== computed) {
+                    this.stats.crcErrors++;
+                    this._reportCorruptFrame('crc', `${this.options.crc} mismatch (expected ${computed.toString(16)}, got ${received.toString(16)})`, frame);
+                    this._discard(1);
+                    continue;
+                }
+            }
+
+            this.stats.framesReceived++;
+            this.push(Buffer.from(payload));
+            this.buffer = this.buffer.subarray(frameSize);
+        }
+    }
+
+    _discard(count) {
+        if (count <= 0) return;
+        this.stats.bytesDiscarded += count;
+        this.buffer = this.buffer.subarray(count);
+    }
+
+    _reportCorruptFrame(type, message, frame) {
+        this.stats.corruptFrames++;
+        this.emit('frame-error', {
+            type,
+            message,
+            frame: frame.toString('hex'),
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    static _readUInt(buffer, offset, size, littleEndian) {
+        return littleEndian ? buffer.readUIntLE(offset, size) : buffer.readUIntBE(offset, size);
+    }
+
+    static _writeUInt(buffer, value, size, littleEndian) {
+        if (littleEndian) {
+            buffer.writeUIntLE(value, 0, size);
+        } else {
+            buffer.writeUIntBE(value, 0, size);
+        }
+    }
+}
+
+BinaryFrameParser.CRC_ALGORITHMS = Object.keys(CRC_ALGORITHMS);
+BinaryFrameParser.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = BinaryFrameParser;
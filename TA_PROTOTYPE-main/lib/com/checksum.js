@@ -0,0 +1,73 @@
+// lib/com/checksum.js
+// Checksum and CRC helpers for serial frame validation
+
+// CRC-16/MODBUS (poly 0xA001 reflected, init 0xFFFF)
+function crc16Modbus(buffer) {
+    let crc = 0xFFFF;
+    for (const byte of buffer) {
+        crc ^= byte;
+        for (let i = 0; i < 8; i++) {
+            crc = (crc & 1) ? (crc >>> 1) ^ 0xA001 : crc >>> 1;
+        }
+    }
+    return crc & 0xFFFF;
+}
+
+// CRC-16/CCITT-FALSE (poly 0x1021, init 0xFFFF)
+function crc16Ccitt(buffer) {
+    let crc = 0xFFFF;
+    for (const byte of buffer) {
+        crc ^= byte << 8;
+        for (let i = 0; i < 8; i++) {
+            crc = (crc & 0x8000) ? (crc << 1) ^ 0x1021 : crc << 1;
+        }
+    }
+    return crc & 0xFFFF;
+}
+
+// CRC-32 (IEEE 802.3, as used by zlib/Ethernet)
+let crc32Table = null;
+function crc32(buffer) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = crc32Table[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// 8-bit XOR of all bytes (NMEA style)
+function xor8(buffer) {
+    let value = 0;
+    for (const byte of buffer) {
+        value ^= byte;
+    }
+    return value;
+}
+
+// 8-bit sum of all bytes, modulo 256
+function sum8(buffer) {
+    let value = 0;
+    for (const byte of buffer) {
+        value = (value + byte) & 0xFF;
+    }
+    return value;
+}
+
+module.exports = {
+    crc16Modbus,
+    crc16Ccitt,
+    crc32,
+    xor8,
+    sum8
+};
@@ -0,0 +1,202 @@
+// lib/com/commandChannel.js
+// Request/response layer on top of a serial link.
+// Outgoing commands are JSON messages carrying an ID:   {"id":7,"cmd":"SET_SP","params":{...}}
+// The device acknowledges with a JSON message:          {"ack":7,"status":"ok","result":{...}}
+// A status of "error" (or ok:false) rejects the command; missing acks are retried
+// and finally rejected with a timeout.
+
+const alert = require('../alert');
+
+const MAX_COMMAND_ID = 65535;
+
+class CommandChannel {
+    constructor(writeFn, options = {}) {
+        this.write = writeFn; // (message: string) => Promise
+        this.options = {
+            timeout: 2000,        // Time to wait for an acknowledgement (ms)
+            retries: 2,           // Re-transmissions before giving up
+            idField: 'id',
+            commandField: 'cmd',
+            paramsField: 'params',
+            ackField: 'ack',
+            ...options
+        };
+        this.nextId = 1;
+        this.pending = new Map();
+        this.stats = {
+            sent: 0,
+            acknowledged: 0,
+            rejected: 0,
+            timedOut: 0,
+            retries: 0,
+            unmatchedAcks: 0
+        };
+    }
+
+    // Send a command and resolve once the device acknowledges it
+    send(command, params = {}, options = {}) {
+        if (!command || typeof command !== 'string') {
+            return Promise.reject(new Error('Command name must be a non-empty string'));
+        }
+
+        const id = this._allocateId();
+        if (id === null) {
+            const error = new Error(`Too many pending commands (${MAX_COMMAND_ID})`);
+            error.code = 'TOO_MANY_PENDING';
+            return Promise.reject(error);
+        }
+        const message = JSON.stringify({
+            [this.options.idField]: id,
+            [this.options.commandField]: command,
+            [this.options.paramsField]: params
+        });
+
+        return new Promise((resolve, reject) => {
+            const entry = {
+                id,
+                command,
+                message,
+                attempts: 0,
+                timeout: options.timeout || this.options.timeout,
+                retries: options.retries !== undefined ? options.retries : this.options.retries,
+                firstSentAt: Date.now(),
+                timer: null,
+                resolve,
+                reject
+            };
+
+            this.pending.set(id, entry);
+            this.stats.sent++;
+            this._transmit(entry);
+        });
+    }
+
+    // Returns true if the message acknowledged a pending command (and must not be treated as
+    // telemetry). response is the message already parsed with parseJson(), so the line is
+    // only parsed once; without it the message is parsed here
+    handleResponse(message, response = CommandChannel.parseJson(message)) {
+        if (!response || typeof response !== 'object' || Array.isArray(response)) {
+            return false;
+        }
+
+        const ackId = response[this.options.ackField];
+        if (ackId === undefined || ackId === null) {
+            return false;
+        }
+
+        // Acks of no pending command (late, duplicate, or a telemetry field named like the
+        // ack field) are left to the caller. Counted, and only logged at debug level: a device
+        // sending such a field in every line would flood the log otherwise
+        const entry = this.pending.get(Number(ackId));
+        if (!entry) {
+            this.stats.unmatchedAcks++;
+            alert.debug('SERIAL', `Acknowledgement for command ${ackId} matches no pending command, handled as telemetry`);
+            return false;
+        }
+
+        clearTimeout(entry.timer);
+        this.pending.delete(entry.id);
+
+        const roundTripMs = Date.now() - entry.firstSentAt;
+        if (response.status === 'error' || response.ok === false) {
+            this.stats.rejected++;
+            const error = new Error(`Device rejected command '${entry.command}': ${response.error || response.message || 'unknown error'}`);
+            error.code = 'COMMAND_REJECTED';
+            error.response = response;
+            entry.reject(error);
+            return true;
+        }
+
+        this.stats.acknowledged++;
+        entry.resolve({
+            id: entry.id,
+            command: entry.command,
+            status: response.status || 'ok',
+            result: response.result !== undefined ? response.result : null,
+            attempts: entry.attempts,
+            roundTripMs
+        });
+        return true;
+    }
+
+    // Fail every outstanding command (e.g. when the port closes)
+    rejectAll(reason) {
+        for (const entry of this.pending.values()) {
+            clearTimeout(entry.timer);
+            const error = new Error(`Command '${entry.command}' aborted: ${reason}`);
+            error.code = 'COMMAND_ABORTED';
+            entry.reject(error);
+        }
+        this.pending.clear();
+    }
+
+    hasPending() {
+        return this.pending.size > 0;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            pending: this.pending.size
+        };
+    }
+
+    // A JSON line ('{...}' or '[...]') as a value, or undefined for anything else
+    static parseJson(message) {
+        const text = typeof message === 'string' ? message.trim() : '';
+        if (!text.startsWith('{') && !text.startsWith('[')) {
+            return undefined;
+        }
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+    _transmit(entry) {
+        entry.attempts++;
+
+        Promise.resolve()
+            .then(() => this.write(entry.message))
+            .then(() => {
+                if (!this.pending.has(entry.id)) return;
+                entry.timer = setTimeout(() => this._handleTimeout(entry), entry.timeout);
+            })
+            .catch((error) => {
+                if (!this.pending.has(entry.id)) return;
+                this.pending.delete(entry.id);
+                entry.reject(error);
+            });
+    }
+
+    _handleTimeout(entry) {
+        if (!this.pending.has(entry.id)) return;
+
+        if (entry.attempts <= entry.retries) {
+            this.stats.retries++;
+            alert.warning('SERIAL', `No acknowledgement for command '${entry.command}' (id ${entry.id}), retrying (${entry.attempts}/${entry.retries})`);
+            this._transmit(entry);
+            return;
+        }
+
+        this.pending.delete(entry.id);
+        this.stats.timedOut++;
+        const error = new Error(`Command '${entry.command}' (id ${entry.id}) timed out after ${entry.attempts} attempt(s)`);
+        error.code = 'COMMAND_TIMEOUT';
+        entry.reject(error);
+    }
+
+    // The next free ID, or null when every ID is waiting for an acknowledgement
+    _allocateId() {
+        // Skip IDs still waiting for an acknowledgement after wrap-around
+        while (this.pending.size < MAX_COMMAND_ID) {
+            const id = this.nextId;
+            this.nextId = this.nextId >= MAX_COMMAND_ID ? 1 : this.nextId + 1;
+            if (!this.pending.has(id)) return id;
+        }
+        return null;
+    }
+}
+
+module.exports = CommandChannel;
@@ -0,0 +1,377 @@
+// lib/com/frameParsers.js
+// Registry of named frame parsers used by SerialCommunicator.
+//
+// A parser definition looks like:
+//   {
+//       description: 'Human readable summary',
+//       schema: (options, config) => [{ name, type, required }],  // declared fields
+//       parse: (input, options, config, context) => object | array
+//   }
+// parse() returns either a named record (object) or positional values (array).
+// Positional values are mapped onto config.fieldMapping, or onto the schema field
+// names when no mapping is configured, so that mapping and required-field checks
+// behave the same for every format. context.json is the input already parsed as JSON
+// (undefined when it wasn't), so JSON parsers don't parse a line twice.
+
+const checksum = require('./checksum');
+
+const parsers = new Map();
+
+function registerParser(name, definition) {
+    if (!name || typeof name !== 'string') {
+        throw new Error('Parser name must be a non-empty string');
+    }
+    if (!definition || typeof definition.parse !== 'function') {
+        throw new Error(`Parser '${name}' must provide a parse(input, options, config) function`);
+    }
+
+    parsers.set(name, {
+        name,
+        description: definition.description || '',
+        schema: typeof definition.schema === 'function' ? definition.schema : () => [],
+        parse: definition.parse
+    });
+}
+
+function unregisterParser(name) {
+    return parsers.delete(name);
+}
+
+function hasParser(name) {
+    return parsers.has(name);
+}
+
+function getParser(name) {
+    const parser = parsers.get(name);
+    if (!parser) {
+        throw new Error(`Unsupported dataType: ${name}`);
+    }
+    return parser;
+}
+
+function listParsers(config = {}) {
+    return Array.from(parsers.values()).map(parser => ({
+        name: parser.name,
+        description: parser.description,
+        fields: parser.schema(config.parserOptions || {}, config)
+    }));
+}
+
+// Parse one frame with the named parser and return a record ready for validation
+function parseFrame(name, input, config = {}, context = {}) {
+    const parser = getParser(name);
+    const options = config.parserOptions || {};
+    const result = parser.parse(input, options, config, context);
+
+    if (!Array.isArray(result)) {
+        return result;
+    }
+
+    const fieldMapping = config.fieldMapping || [];
+    const fieldNames = fieldMapping.length > 0 ?
+        fieldMapping :
+        parser.schema(options, config).map(field => field.name);
+
+    if (result.length !== fieldNames.length) {
+        throw new Error(`${name} data mismatch. Expected ${fieldNames.length} items, got ${result.length}`);
+    }
+
+    const record = {};
+    fieldNames.forEach((field, i) => {
+        record[field] = result[i];
+    });
+    return record;
+}
+
+// Required fields = configured requiredFields plus fields the parser schema marks as required
+function getRequiredFields(name, config = {}) {
+    const required = new Set(config.requiredFields || []);
+    if (hasParser(name)) {
+        getParser(name).schema(config.parserOptions || {}, config)
+            .filter(field => field.required)
+            .forEach(field => required.add(field.name));
+    }
+    return Array.from(required);
+}
+
+// Returns the first missing required field, or null if the record is complete
+function findMissingField(record, requiredFields = []) {
+    for (const field of requiredFields) {
+        if (record[field] === undefined || record[field] === null || String(record[field]).trim() === '') {
+            return field;
+        }
+    }
+    return null;
+}
+
+// Convert numeric strings to numbers, leave everything else untouched
+function coerceValue(value) {
+    const val = String(value).trim();
+    return !isNaN(parseFloat(val)) && isFinite(val) && val !== '' ? Number(val) : val;
+}
+
+function mappedSchema(config, type = 'any') {
+    return (config.fieldMapping || []).map(name => ({ name, type }));
+}
+
+function toBuffer(input) {
+    if (Buffer.isBuffer(input)) return input;
+    const hex = String(input).replace(/\s+/g, '');
+    if (!/^([0-9a-fA-F]{2})+$/.test(hex)) {
+        throw new Error('Frame is not a valid hex string');
+    }
+    return Buffer.from(hex, 'hex');
+}
+
+const BINARY_TYPES = {
+    uint8: { size: 1, read: (buf, offset) => buf.readUInt8(offset) },
+    int8: { size: 1, read: (buf, offset) => buf.readInt8(offset) },
+    uint16: { size: 2, read: (buf, offset, le) => le ? buf.readUInt16LE(offset) : buf.readUInt16BE(offset) },
+    int16: { size: 2, read: (buf, offset, le) => le ? buf.readInt16LE(offset) : buf.readInt16BE(offset) },
+    uint32: { size: 4, read: (buf, offset, le) => le ? buf.readUInt32LE(offset) : buf.readUInt32BE(offset) },
+    int32: { size: 4, read: (buf, offset, le) => le ? buf.readInt32LE(offset) : buf.readInt32BE(offset) },
+    float32: { size: 4, read: (buf, offset, le) => le ? buf.readFloatLE(offset) : buf.readFloatBE(offset) }
+};
+
+// Decode a payload according to [{ name, type, scale }] field definitions
+function decodeBinaryFields(payload, fields, littleEndian = false) {
+    const record = {};
+    let offset = 0;
+
+    for (const field of fields) {
+        const type = BINARY_TYPES[field.type];
+        if (!type) {
+            throw new Error(`Unsupported binary field type '${field.type}' for field '${field.name}'`);
+        }
+        if (offset + type.size > payload.length) {
+            throw new Error(`Payload too short for field '${field.name}' (need ${offset + type.size} bytes, got ${payload.length})`);
+        }
+        const value = type.read(payload, offset, littleEndian);
+        record[field.name] = field.scale ? value * field.scale : value;
+        offset += type.size;
+    }
+
+    return record;
+}
+
+// ---------------------------------------------------------------------------
+// Built-in parsers
+// ---------------------------------------------------------------------------
+
+registerParser('json-object', {
+    description: 'JSON object per line, keys are used as field names',
+    schema: (options, config) => mappedSchema(config),
+    parse: (input, options, config, context = {}) => {
+        const data = context.json !== undefined ? context.json : JSON.parse(input);
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Expected a JSON object');
+        }
+        return data;
+    }
+});
+
+registerParser('json-array', {
+    description: 'JSON array per line, values mapped to fieldMapping',
+    schema: (options, config) => mappedSchema(config),
+    parse: (input, options, config, context = {}) => {
+        const data = context.json !== undefined ? context.json : JSON.parse(input);
+        if (!Array.isArray(data)) {
+            throw new Error('Expected a JSON array');
+        }
+        return data;
+    }
+});
+
+registerParser('csv', {
+    description: 'Delimited values (csvDelimiter) mapped to fieldMapping',
+    schema: (options, config) => mappedSchema(config, 'number|string'),
+    parse: (input, options, config) => input.split(config.csvDelimiter || ',').map(coerceValue)
+});
+
+registerParser('raw', {
+    description: 'Stores the untouched line as raw_data',
+    schema: () => [
+        { name: 'raw_data', type: 'string', required: true },
+        { name: 'timestamp', type: 'string' }
+    ],
+    parse: (input) => ({ raw_data: input, timestamp: new Date().toISOString() })
+});
+
+// temp=25.1,pressure=1.02  (pairDelimiter and keyValueSeparator are configurable)
+registerParser('key-value', {
+    description: 'key=value pairs separated by pairDelimiter',
+    schema: (options, config) => mappedSchema(config, 'number|string'),
+    parse: (input, options) => {
+        const pairDelimiter = options.pairDelimiter || ',';
+        const separator = options.keyValueSeparator || '=';
+        const record = {};
+
+        for (const pair of input.split(pairDelimiter)) {
+            if (!pair.trim()) continue;
+            const index = pair.indexOf(separator);
+            if (index === -1) {
+                throw new Error(`Malformed key-value pair: '${pair}'`);
+            }
+            record[pair.slice(0, index).trim()] = coerceValue(pair.slice(index + separator.length));
+        }
+
+        if (Object.keys(record).length === 0) {
+            throw new Error('No key-value pairs found');
+        }
+        return record;
+    }
+});
+
+// $TASEN,25.1,1.02*48  (XOR checksum of the characters between '$' and '*')
+registerParser('nmea', {
+    description: 'NMEA-like sentences with optional XOR checksum, values mapped to fieldMapping',
+    schema: (options, config) => [
+        { name: 'sentence', type: 'string', required: true },
+        ...mappedSchema(config, 'number|string')
+    ],
+    parse: (input, options, config) => {
+        const match = input.match(/^\$([^*]+)(?:\*([0-9A-Fa-f]{2}))?$/);
+        if (!match) {
+            throw new Error('Malformed NMEA sentence');
+        }
+
+        const body = match[1];
+        if (match[2] !== undefined) {
+            const expected = parseInt(match[2], 16);
+            const actual = checksum.xor8(Buffer.from(body, 'ascii'));
+            if (expected !== actual) {
+                throw new Error(`NMEA checksum mismatch (expected ${match[2]}, got ${actual.toString(16).toUpperCase().padStart(2, '0')})`);
+            }
+        } else if (options.requireChecksum) {
+            throw new Error('NMEA checksum missing');
+        }
+
+        const [sentence, ...values] = body.split(',');
+        if (options.sentence && sentence !== options.sentence) {
+            throw new Error(`Unexpected NMEA sentence '${sentence}' (expected '${options.sentence}')`);
+        }
+
+        const fieldMapping = config.fieldMapping || [];
+        if (fieldMapping.length > 0 && values.length !== fieldMapping.length) {
+            throw new Error(`nmea data mismatch. Expected ${fieldMapping.length} items, got ${values.length}`);
+        }
+
+        const record = { sentence };
+        values.forEach((value, i) => {
+            record[fieldMapping[i] || `field_${i + 1}`] = coerceValue(value);
+        });
+        return record;
+    }
+});
+
+// Modbus RTU read response as hex: [slave][function][byteCount][registers...][CRC16 LE]
+registerParser('modbus-hex', {
+    description: 'Modbus RTU read-register response as hex, registers mapped to fieldMapping',
+    schema: (options, config) => [
+        { name: 'slave_id', type: 'number', required: true },
+        { name: 'function_code', type: 'number' },
+        ...mappedSchema(config, 'number')
+    ],
+    parse: (input, options, config) => {
+        const frame = toBuffer(input);
+        if (frame.length < 5) {
+            throw new Error(`Modbus frame too short (${frame.length} bytes)`);
+        }
+
+        const body = frame.subarray(0, frame.length - 2);
+        const receivedCrc = frame.readUInt16LE(frame.length - 2);
+        const computedCrc = checksum.crc16Modbus(body);
+        if (receivedCrc !== computedCrc) {
+            throw new Error(`Modbus CRC mismatch (expected ${computedCrc.toString(16)}, got ${receivedCrc.toString(16)})`);
+        }
+
+        const functionCode = body[1];
+        if (functionCode & 0x80) {
+            throw new Error(`Modbus exception response (function ${functionCode & 0x7F}, code ${body[2]})`);
+        }
+
+        const byteCount = body[2];
+        const data = body.subarray(3);
+        if (data.length !== byteCount || byteCount % 2 !== 0) {
+            throw new Error(`Modbus byte count mismatch (declared ${byteCount}, got ${data.length})`);
+        }
+
+        const registers = [];
+        for (let offset = 0; offset < data.length; offset += 2) {
+            const raw = options.signed ? data.readInt16BE(offset) : data.readUInt16BE(offset);
+            registers.push(options.registerScale ? raw * options.registerScale : raw);
+        }
+
+        const fieldMapping = config.fieldMapping || [];
+        if (fieldMapping.length > 0 && registers.length !== fieldMapping.length) {
+            throw new Error(`modbus-hex data mismatch. Expected ${fieldMapping.length} registers, got ${registers.length}`);
+        }
+
+        const record = { slave_id: body[0], function_code: functionCode };
+        registers.forEach((value, i) => {
+            record[fieldMapping[i] || `register_${i}`] = value;
+        });
+        return record;
+    }
+});
+
+// [length][payload ... length bytes][checksum]  (hex string or Buffer)
+// payload is decoded with parserOptions.binaryFields: [{ name, type, scale }]
+registerParser('length-prefixed', {
+    description: 'Length-prefixed binary frame with sum8/xor8 checksum, decoded with binaryFields',
+    schema: (options) => (options.binaryFields || []).map(field => ({
+        name: field.name,
+        type: field.type,
+        required: field.required !== false
+    })),
+    parse: (input, options) => {
+        const frame = toBuffer(input);
+        if (frame.length < 2) {
+            throw new Error(`Frame too short (${frame.length} bytes)`);
+        }
+
+        const length = frame[0];
+        if (frame.length !== length + 2) {
+            throw new Error(`Frame length mismatch (declared ${length}, got ${frame.length - 2})`);
+        }
+
+        const payload = frame.subarray(1, 1 + length);
+        const algorithm = options.checksum || 'sum8';
+        if (!['sum8', 'xor8'].includes(algorithm)) {
+            throw new Error(`Unsupported checksum '${algorithm}' for length-prefixed frames`);
+        }
+        const expected = frame[frame.length - 1];
+        const actual = checksum[algorithm](payload);
+        if (expected !== actual) {
+            throw new Error(`Checksum mismatch (expected ${expected}, got ${actual})`);
+        }
+
+        return decodeBinaryFields(payload, options.binaryFields || [], options.littleEndian);
+    }
+});
+
+// Payload of a binary frame (framing: 'binary'), decoded with binaryFields.
+// Framing and CRC are already verified by BinaryFrameParser.
+registerParser('binary', {
+    description: 'Payload of a CRC-checked binary frame, decoded with binaryFields',
+    schema: (options) => (options.binaryFields || []).map(field => ({
+        name: field.name,
+        type: field.type,
+        required: field.required !== false
+    })),
+    parse: (input, options) => decodeBinaryFields(toBuffer(input), options.binaryFields || [], options.littleEndian)
+});
+
+module.exports = {
+    registerParser,
+    unregisterParser,
+    hasParser,
+    getParser,
+    listParsers,
+    parseFrame,
+    getRequiredFields,
+    findMissingField,
+    coerceValue,
+    decodeBinaryFields,
+    BINARY_TYPES
+};
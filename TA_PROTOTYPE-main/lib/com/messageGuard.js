@@ -0,0 +1,205 @@
+// lib/com/messageGuard.js
+// Checks each WebSocket client message before it is handled:
+//   - the message has a known 'type' and the fields of that type (Joi schemas below)
+//   - the client stays within a token bucket per message type (burst, then perSecond)
+// Each rejected message is a violation. A client reaching maxViolations within
+// violationWindow is reported as abusive, and the handler disconnects it.
+// Fields are read from message.data or, like the handlers do, from the message itself.
+
+const Joi = require('joi');
+
+const TABLE = Joi.string().max(64).pattern(/^[A-Za-z0-9_-]+$/);
+const WHERE = {
+    whereClause: Joi.string().allow('').max(2000),
+    whereParams: Joi.array().max(100)
+};
+const ROW = Joi.object().max(200);
+
+// Fields of each message type. Extra fields are allowed (requestId, type, ...)
+const MESSAGE_FIELDS = {
+    auth: Joi.object({
+        token: Joi.string().max(4096),
+        username: Joi.string().max(255),
+        password: Joi.string().max(1024)
+    }).or('token', 'username').with('username', 'password'),
+    heartbeat: Joi.object(),
+    ping: Joi.object(),
+    sensor_data: ROW,
+    db_create: Joi.object({
+        table: TABLE.required(),
+        data: Joi.alternatives(ROW, Joi.array().items(ROW).min(1).max(1000)).required()
+    }),
+    db_read: Joi.object({
+        table: TABLE.required(),
+        filters: Joi.object().max(50),
+        options: Joi.object({ limit: Joi.number().integer().min(1).max(10000) })
+    }),
+    db_update: Joi.object({
+        table: TABLE.required(),
+        data: ROW.min(1).required(),
+        where: Joi.object().max(50),
+        ...WHERE
+    }),
+    db_delete: Joi.object({
+        table: TABLE.required(),
+        where: Joi.object().max(50),
+        ...WHERE
+    }),
+    db_subscribe: Joi.object({
+        table: TABLE.required(),
+        filters: Joi.object().max(50)
+    }),
+    db_unsubscribe: Joi.object({
+        table: TABLE.required()
+    }),
+    join_room: Joi.object({
+        roomId: Joi.string().max(128).required()
+    }),
+    leave_room: Joi.object({
+        roomId: Joi.string().max(128).required()
+    })
+};
+const MESSAGE_SCHEMAS = Object.fromEntries(
+    Object.entries(MESSAGE_FIELDS).map(([type, schema]) => [type, schema.unknown(true)])
+);
+
+// Types whose fields are on the message itself, never in message.data
+const TOP_LEVEL_TYPES = ['auth', 'heartbeat', 'ping'];
+
+class MessageGuard {
+    constructor(options = {}) {
+        this.options = {
+            rateLimits: {},           // type -> { burst, perSecond }, 'default' for the other types
+            maxViolations: 20,        // Violations within violationWindow before a client is abusive (0 = never)
+            violationWindow: 60000,   // ms
+            ...options
+        };
+        this.rateLimits = {
+            default: { burst: 20, perSecond: 10 },
+            sensor_data: { burst: 100, perSecond: 50 },
+            auth: { burst: 5, perSecond: 0.2 },         // Password checks are slow on purpose
+            ...this.options.rateLimits
+        };
+
+        this.clients = new Map();     // clientId -> { buckets: Map(type -> { tokens, updatedAt }), violations: [timestamps], total }
+        this.stats = {
+            checked: 0,
+            invalidJson: 0,
+            invalidMessage: 0,
+            rateLimited: 0,
+            payloadTooLarge: 0,
+            disconnected: 0,
+            byType: {}                // type -> { invalidMessage, rateLimited }
+        };
+    }
+
+    // null when the message may be handled, else { code, message, retryAfter (ms, rate limits only) }
+    check(clientId, message) {
+        this.stats.checked++;
+        const type = message && typeof message === 'object' ? message.type : undefined;
+        const schema = typeof type === 'string' ? MESSAGE_SCHEMAS[type] : null;
+        if (!schema) {
+            this._count(null, 'invalidMessage');
+            return { code: 'INVALID_MESSAGE', message: type === undefined ? 'Message has no type' : `Unknown message type: ${type}` };
+        }
+
+        const retryAfter = this._take(clientId, type);
+        if (retryAfter > 0) {
+            this._count(type, 'rateLimited');
+            return { code: 'RATE_LIMITED', message: `Too many '${type}' messages`, retryAfter };
+        }
+
+        const fields = TOP_LEVEL_TYPES.includes(type) ? message :
+            (message.data || (type === 'sensor_data' && message.payload) || message);
+        const { error } = schema.validate(fields, { convert: false });
+        if (error) {
+            this._count(type, 'invalidMessage');
+            return { code: 'INVALID_MESSAGE', message: `Invalid '${type}' message: ${error.message}` };
+        }
+        return null;
+    }
+
+    // Count a violation of the client. Returns true when the client is now abusive
+    recordViolation(clientId, kind) {
+        if (kind === 'invalidJson' || kind === 'payloadTooLarge') {
+            this.stats[kind]++;
+        }
+        const now = Date.now();
+        const state = this._client(clientId);
+        state.total++;
+        state.violations = state.violations.filter(time => now - time < this.options.violationWindow);
+        state.violations.push(now);
+        return this.options.maxViolations > 0 && state.violations.length >= this.options.maxViolations;
+    }
+
+    recordDisconnect() {
+        this.stats.disconnected++;
+    }
+
+    // Violations of one client: { recent (within violationWindow), total }
+    getClientViolations(clientId) {
+        const state = this.clients.get(clientId);
+        if (!state) {
+            return { recent: 0, total: 0 };
+        }
+        const now = Date.now();
+        return {
+            recent: state.violations.filter(time => now - time < this.options.violationWindow).length,
+            total: state.total
+        };
+    }
+
+    forgetClient(clientId) {
+        this.clients.delete(clientId);
+    }
+
+    getStatus() {
+        return {
+            rateLimits: this.rateLimits,
+            maxViolations: this.options.maxViolations,
+            violationWindow: this.options.violationWindow,
+            ...this.stats
+        };
+    }
+
+    // Take a token from the client's bucket for the type. 0 when there was one, else the
+    // time until the next token (ms)
+    _take(clientId, type) {
+        const limit = this.rateLimits[type] || this.rateLimits.default;
+        if (!limit || !(limit.perSecond > 0)) {
+            return 0;
+        }
+        const now = Date.now();
+        const state = this._client(clientId);
+        const bucket = state.buckets.get(type) || { tokens: limit.burst, updatedAt: now };
+        bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * limit.perSecond);
+        bucket.updatedAt = now;
+        state.buckets.set(type, bucket);
+
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return 0;
+        }
+        return Math.ceil((1 - bucket.tokens) / limit.perSecond * 1000);
+    }
+
+    _client(clientId) {
+        let state = this.clients.get(clientId);
+        if (!state) {
+            state = { buckets: new Map(), violations: [], total: 0 };
+            this.clients.set(clientId, state);
+        }
+        return state;
+    }
+
+    _count(type, kind) {
+        this.stats[kind]++;
+        if (type) {
+            const counts = this.stats.byType[type] || { invalidMessage: 0, rateLimited: 0 };
+            counts[kind]++;
+            this.stats.byType[type] = counts;
+        }
+    }
+}
+
+module.exports = MessageGuard;
@@ -0,0 +1,166 @@
+// lib/com/portMatcher.js
+// Declarative serial port selection.
+// A rule matches a port when every field it sets (vendorId, productId, serialNumber,
+// manufacturer, path) matches the port's value. Values are case-insensitive globs
+// ('*' and '?') or arrays of globs. The highest-priority match wins; ports with the
+// same priority keep the order reported by the OS.
+// A pinned serial number restricts selection to that board, with no fallback.
+
+const DEFAULT_PORT_MATCH_RULES = [
+    { name: 'arduino-vid', vendorId: '2341', priority: 100 },
+    { name: 'arduino', manufacturer: '*arduino*', priority: 100 },
+    { name: 'esp32', manufacturer: '*esp32*', priority: 90 },
+    { name: 'silicon-labs-vid', vendorId: '10c4', priority: 80 },
+    { name: 'silicon-labs', manufacturer: '*silicon labs*', priority: 80 },
+    { name: 'ch340-vid', vendorId: '1a86', priority: 80 },
+    { name: 'ch340', manufacturer: '*ch340*', priority: 80 },
+    { name: 'ftdi-vid', vendorId: '0403', priority: 70 },
+    { name: 'ftdi', manufacturer: '*ftdi*', priority: 70 },
+    { name: 'prolific', manufacturer: '*prolific*', priority: 60 }
+];
+
+const MATCH_FIELDS = ['vendorId', 'productId', 'serialNumber', 'manufacturer', 'path'];
+
+class PortMatcher {
+    constructor(options = {}) {
+        this.options = {
+            rules: null,                  // null = DEFAULT_PORT_MATCH_RULES
+            pinnedSerialNumber: null,     // Only ever use the board with this USB serial number (glob)
+            fallbackToFirstPort: true,    // Use the first free port when no rule matches (never when pinned)
+            ...options
+        };
+        this.rules = PortMatcher.normalizeRules(this.options.rules || DEFAULT_PORT_MATCH_RULES);
+    }
+
+    static normalizeRules(rules) {
+        if (!Array.isArray(rules)) {
+            throw new Error('Port match rules must be an array');
+        }
+        return rules.map((rule, index) => {
+            const fields = MATCH_FIELDS.filter(field => rule[field] !== undefined && rule[field] !== null);
+            if (fields.length === 0) {
+                throw new Error(`Port match rule ${rule.name || index} has no match fields (${MATCH_FIELDS.join(', ')})`);
+            }
+            return {
+                ...rule,
+                name: rule.name || `rule-${index + 1}`,
+                priority: Number(rule.priority) || 0,
+                fields
+            };
+        });
+    }
+
+    // Case-insensitive glob match ('*' any run of characters, '?' one character)
+    static globMatch(pattern, value) {
+        if (value === undefined || value === null) {
+            return false;
+        }
+        return [].concat(pattern).some(single => {
+            const regex = String(single)
+                .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+                .replace(/\*/g, '.*')
+                .replace(/\?/g, '.');
+            return new RegExp(`^${regex}$`, 'i').test(String(value));
+        });
+    }
+
+    // Highest-priority rule matching a port, or null
+    matchRule(port) {
+        let best = null;
+        for (const rule of this.rules) {
+            const matches = rule.fields.every(field => PortMatcher.globMatch(rule[field], port[field]));
+            if (matches && (!best || rule.priority > best.priority)) {
+                best = rule;
+            }
+        }
+        return best;
+    }
+
+    // Evaluate every port and explain the decision (used for selection and dry runs)
+    // claimedPorts: paths owned by other devices
+    evaluate(ports, claimedPorts = []) {
+        const pinned = this.options.pinnedSerialNumber;
+
+        const candidates = ports.map((port, index) => {
+            const candidate = {
+                path: port.path,
+                manufacturer: port.manufacturer || null,
+                vendorId: port.vendorId || null,
+                productId: port.productId || null,
+                serialNumber: port.serialNumber || null,
+                eligible: false,
+                matched: false,
+                rule: null,
+                priority: null,
+                reason: null,
+                order: index
+            };
+
+            if (claimedPorts.includes(port.path)) {
+                candidate.reason = 'in use by another device';
+                return candidate;
+            }
+            if (pinned && !PortMatcher.globMatch(pinned, port.serialNumber)) {
+                candidate.reason = `serial number ${port.serialNumber || '(none)'} does not match pinned ${pinned}`;
+                return candidate;
+            }
+
+            const rule = this.matchRule(port);
+            if (rule) {
+                candidate.eligible = true;
+                candidate.matched = true;
+                candidate.rule = rule.name;
+                candidate.priority = rule.priority;
+                candidate.reason = `matched rule '${rule.name}' (priority ${rule.priority})`;
+            } else if (pinned) {
+                // The pinned board is wanted even if no rule describes it
+                candidate.eligible = true;
+                candidate.priority = 0;
+                candidate.reason = `pinned serial number ${pinned}`;
+            } else {
+                candidate.reason = 'no rule matched';
+            }
+            return candidate;
+        });
+
+        const ranked = candidates
+            .filter(candidate => candidate.eligible)
+            .sort((a, b) => (b.priority - a.priority) || (a.order - b.order));
+
+        let selected = ranked[0] || null;
+        let reason;
+        if (selected) {
+            reason = `${selected.path}: ${selected.reason}`;
+        } else if (!pinned && this.options.fallbackToFirstPort) {
+            selected = candidates.find(candidate => candidate.reason === 'no rule matched') || null;
+            if (selected) {
+                selected.eligible = true;
+                selected.priority = 0;
+                selected.reason = 'fallback: first available port';
+                reason = `${selected.path}: no rule matched, using the first available port`;
+            }
+        }
+        if (!selected) {
+            reason = pinned ?
+                `Pinned device (serial number ${pinned}) not found` :
+                (candidates.length > 0 ? 'No serial port matched the port match rules' : 'No serial ports available');
+        }
+
+        return {
+            selected: selected ? selected.path : null,
+            matched: selected ? selected.matched : false,
+            priority: selected ? selected.priority : null,
+            reason,
+            pinnedSerialNumber: pinned,
+            candidates: candidates.map(({ order, ...candidate }) => candidate)
+        };
+    }
+
+    getRules() {
+        return this.rules.map(({ fields, ...rule }) => rule);
+    }
+}
+
+PortMatcher.DEFAULT_PORT_MATCH_RULES = DEFAULT_PORT_MATCH_RULES;
+
+module.exports = PortMatcher;
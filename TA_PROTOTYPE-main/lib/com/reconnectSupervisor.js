@@ -0,0 +1,164 @@
+// lib/com/reconnectSupervisor.js
+// Reconnect scheduling for a serial link.
+// Delays grow exponentially from initialDelay by multiplier up to maxDelay, with
+// +/- jitter so several devices unplugged together don't retry in lockstep.
+// After maxAttempts the supervisor gives up, unless neverGiveUp is set, in which
+// case it keeps retrying at maxDelay. A pending attempt can be brought forward
+// (e.g. when the port reappears) with triggerNow().
+
+class ReconnectSupervisor {
+    constructor(options = {}) {
+        this.options = {
+            initialDelay: 3000,   // Delay before the first attempt (ms)
+            maxDelay: 60000,      // Upper bound for the delay (ms)
+            multiplier: 2,        // Delay growth factor per attempt
+            jitter: 0.2,          // Random spread, fraction of the delay (0 = none)
+            maxAttempts: 10,      // Attempts before giving up (ignored when neverGiveUp)
+            neverGiveUp: false,   // Keep retrying forever
+            ...options
+        };
+        this.timer = null;
+        this.attempts = 0;              // Attempts in the current outage
+        this.nextAttemptAt = null;
+        this.nextDelay = null;
+        this.gaveUp = false;
+        this.disconnectedSince = null;
+        this.stats = {
+            totalAttempts: 0,
+            successfulReconnects: 0,
+            hotPlugTriggers: 0,
+            giveUps: 0,
+            lastAttemptAt: null,
+            lastReconnectAt: null,
+            lastError: null,
+            lastOutageMs: null,
+            longestOutageMs: 0
+        };
+    }
+
+    // Delay before the given attempt (0-based), including jitter
+    getDelay(attempt) {
+        const { initialDelay, maxDelay, multiplier, jitter } = this.options;
+        const base = Math.min(maxDelay, initialDelay * Math.pow(multiplier, attempt));
+        const spread = base * Math.max(0, Math.min(jitter, 1));
+        const delay = base - spread + Math.random() * spread * 2;
+        return Math.round(Math.max(0, Math.min(delay, maxDelay)));
+    }
+
+    isPending() {
+        return this.timer !== null;
+    }
+
+    canRetry() {
+        return this.options.neverGiveUp || this.attempts < this.options.maxAttempts;
+    }
+
+    // Mark the link as down (start of an outage), keeps the first timestamp
+    markDisconnected(error = null) {
+        if (!this.disconnectedSince) {
+            this.disconnectedSince = Date.now();
+        }
+        if (error) {
+            this.stats.lastError = error.message || String(error);
+        }
+    }
+
+    // Schedule the next attempt. Returns { attempt, delay } or null when giving up.
+    // attemptFn is called with the attempt number (1-based)
+    schedule(attemptFn) {
+        this.cancel();
+        this.markDisconnected();
+
+        if (!this.canRetry()) {
+            if (!this.gaveUp) {
+                this.gaveUp = true;
+                this.stats.giveUps++;
+            }
+            return null;
+        }
+
+        const delay = this.getDelay(this.attempts);
+        this.gaveUp = false;
+        this.nextDelay = delay;
+        this.nextAttemptAt = Date.now() + delay;
+        this.timer = setTimeout(() => this._attempt(attemptFn), delay);
+
+        return { attempt: this.attempts + 1, delay };
+    }
+
+    // Run the next attempt immediately (hot-plug). After giving up this starts a
+    // fresh round of attempts. Returns false when no reconnect is outstanding.
+    triggerNow(attemptFn) {
+        if (!this.isPending() && !this.gaveUp) {
+            return false;
+        }
+        this.cancel();
+        if (this.gaveUp) {
+            this.attempts = 0;
+            this.gaveUp = false;
+        }
+        this.stats.hotPlugTriggers++;
+        this._attempt(attemptFn);
+        return true;
+    }
+
+    cancel() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.nextAttemptAt = null;
+        this.nextDelay = null;
+    }
+
+    // Link is up again: close the outage and start the next one from initialDelay
+    recordSuccess() {
+        this.cancel();
+        if (this.disconnectedSince) {
+            const outage = Date.now() - this.disconnectedSince;
+            this.stats.lastOutageMs = outage;
+            this.stats.longestOutageMs = Math.max(this.stats.longestOutageMs, outage);
+            if (this.attempts > 0) {
+                this.stats.successfulReconnects++;
+                this.stats.lastReconnectAt = new Date().toISOString();
+            }
+        }
+        this.attempts = 0;
+        this.gaveUp = false;
+        this.disconnectedSince = null;
+    }
+
+    // Manual reconnect or intentional disconnect: forget the current outage
+    reset() {
+        this.cancel();
+        this.attempts = 0;
+        this.gaveUp = false;
+        this.disconnectedSince = null;
+    }
+
+    getStats() {
+        return {
+            attempts: this.attempts,
+            maxAttempts: this.options.neverGiveUp ? null : this.options.maxAttempts,
+            neverGiveUp: this.options.neverGiveUp,
+            pending: this.isPending(),
+            gaveUp: this.gaveUp,
+            nextDelay: this.nextDelay,
+            nextAttemptAt: this.nextAttemptAt ? new Date(this.nextAttemptAt).toISOString() : null,
+            disconnectedSince: this.disconnectedSince ? new Date(this.disconnectedSince).toISOString() : null,
+            ...this.stats
+        };
+    }
+
+    _attempt(attemptFn) {
+        this.timer = null;
+        this.nextAttemptAt = null;
+        this.nextDelay = null;
+        this.attempts++;
+        this.stats.totalAttempts++;
+        this.stats.lastAttemptAt = new Date().toISOString();
+        attemptFn(this.attempts);
+    }
+}
+
+module.exports = ReconnectSupervisor;
@@ -1,41 +1,126 @@
 // SerialCommunicator.js
 const { SerialPort, ReadlineParser } = require('serialport');
+const path = require('path');
+const SerialSimulator = require('./serialSimulator');
+const { SessionRecorder, SessionReplayer } = require('./serialSession');
+const frameParsers = require('./frameParsers');
+const BinaryFrameParser = require('./binaryFrameParser');
+const CommandChannel = require('./commandChannel');
+const PortMatcher = require('./portMatcher');
+const ReconnectSupervisor = require('./reconnectSupervisor');
+const StalenessWatchdog = require('./stalenessWatchdog');
+const TransformPipeline = require('./transformPipeline');
 const alert = require('../alert');
 
 class SerialCommunicator {
-    constructor(config, dbInstance, windowInstance) {
+    // services: { writeBuffer, ingestionBatcher, schemaValidator, deadLetterStore }, each optional
+    constructor(config, dbInstance, windowInstance, services = {}) {
+        const { writeBuffer = null, ingestionBatcher = null, schemaValidator = null, deadLetterStore = null } = services;
+
         this.config = {
+            deviceId: null,               // Device registry ID (set by SerialManager)
+            deviceIdField: null,          // Column tagged with deviceId on every stored record (null = no tag)
+            claimedPorts: null,           // () => [paths] owned by other devices, skipped by auto-detection
             portPath: null,
             baudRate: 9600,
-            dataType: 'json-object',
+            dataType: 'json-object',      // Name of a registered frame parser (see frameParsers.js)
+            parserOptions: {},            // Parser-specific options (pairDelimiter, binaryFields, ...)
             lineDelimiter: '\r\n',
+            framing: 'line',              // 'line' (ReadlineParser) or 'binary' (BinaryFrameParser)
+            binaryFraming: {},            // startMarker, lengthBytes, littleEndian, crc, maxPayloadLength
             csvDelimiter: ',',
             fieldMapping: [],
+            transforms: null,             // Per-field calibration/unit conversion { version, fields } (see transformPipeline.js)
+            calibrationVersionField: 'calibration_version', // Column tagged with transforms.version (null = no tag)
             dbTableName: null,
             requiredFields: [],
             fieldsToEncrypt: [],
             autoReconnect: true,          // Enable/disable auto-reconnection
-            reconnectDelay: 3000,         // Delay between reconnection attempts (ms)
-            maxReconnectAttempts: 10,     // Maximum reconnection attempts
+            reconnectDelay: 3000,         // Delay before the first reconnection attempt (ms)
+            reconnectMaxDelay: 60000,     // Upper bound for the backoff delay (ms)
+            reconnectBackoffMultiplier: 2, // Delay growth factor per failed attempt
+            reconnectJitter: 0.2,         // Random spread of each delay (fraction, 0 = none)
+            maxReconnectAttempts: 10,     // Maximum reconnection attempts (ignored when neverGiveUp)
+            neverGiveUp: false,           // Keep reconnecting forever at reconnectMaxDelay
+            hotPlugDetection: true,       // Reconnect as soon as the device's port reappears
+            hotPlugPollInterval: 2000,    // Port list polling interval while disconnected (ms)
             connectionTimeout: 5000,      // Connection timeout (ms)
+            staleWarningAfter: 30000,     // No data for this long raises a 'warning' stale event (ms)
+            staleCriticalAfter: 120000,   // No data for this long raises a 'critical' stale event (ms, 0 = off)
+            staleCheckInterval: 5000,     // How often the data watchdog checks for silence (ms)
+            staleAction: 'none',          // On critical: 'none', 'reconnect' or 'reset' (sends resetCommand)
+            resetCommand: 'RESET',        // Command that resets the device (staleAction 'reset')
             portScanInterval: 15000,      // Interval to scan for better ports (ms)
             enableDynamicPortSwitching: true, // Enable automatic switching to potential ports
+            portMatchRules: null,         // Port selection rules (null = built-in Arduino/ESP32 rules, see portMatcher.js)
+            pinnedSerialNumber: null,     // Only connect to the board with this USB serial number
+            fallbackToFirstPort: true,    // Use the first free port when no rule matches (ignored when pinned)
+            simulator: false,             // Use the built-in simulated device instead of real hardware
+            simulatorOptions: {},         // Simulated device options (interval, dropoutRate, fields)
+            commandTimeout: 2000,         // Time to wait for a command acknowledgement (ms)
+            commandRetries: 2,            // Command re-transmissions before timing out
+            setpointCommand: 'SET_SP',    // Command name used to change a control loop setpoint
+            recordSessions: false,        // Record every raw line to a session file while connected
+            sessionDir: 'sessions',       // Directory for recorded session files
 
             ...config
         };
         this.db = dbInstance;
         this.mainWindow = windowInstance;
+        this.writeBuffer = writeBuffer;         // Durable queue for writes during DB outages (lib/db/writeAheadBuffer.js)
+        this.ingestionBatcher = ingestionBatcher; // Groups readings into multi-row inserts (lib/db/ingestionBatcher.js)
+        this.schemaValidator = schemaValidator; // Per-table Joi schemas (lib/db/schemaValidator.js)
+        this.deadLetterStore = deadLetterStore; // Readings that could not be ingested (lib/db/deadLetterStore.js)
         this.arduinoPort = null;
         this.parser = null;
         this.isConnecting = false;
         this.isIntentionallyDisconnected = false;  // Track if disconnect was intentional
-        this.reconnectAttempts = 0;
-        this.reconnectTimer = null;
-        this.connectionCheckInterval = null;
+        this.reconnectSupervisor = new ReconnectSupervisor({
+            initialDelay: this.config.reconnectDelay,
+            maxDelay: this.config.reconnectMaxDelay,
+            multiplier: this.config.reconnectBackoffMultiplier,
+            jitter: this.config.reconnectJitter,
+            maxAttempts: this.config.maxReconnectAttempts,
+            neverGiveUp: this.config.neverGiveUp
+        });
+        this.hotPlugTimer = null;               // Port list polling while waiting to reconnect
+        this.knownPorts = null;                 // Port paths seen by the last hot-plug poll
+        this.dataWatchdog = new StalenessWatchdog(
+            { type: 'serial', id: this.config.deviceId || 'serial' },
+            {
+                warningAfter: this.config.staleWarningAfter,
+                criticalAfter: this.config.staleCriticalAfter,
+                checkInterval: this.config.staleCheckInterval,
+                action: this.config.staleAction
+            },
+            {
+                onStale: event => this._handleStaleData(event),
+                onRecovered: event => this._handleDataRecovered(event),
+                onAction: action => this._runStaleAction(action)
+            }
+        );
         this.portScanTimer = null;              // Timer for periodic port scanning
         this.lastDataReceived = Date.now();
         this.currentPortPath = null;            // Track current connected port
         this.isConnectedToPotentialPort = false; // Track if connected to ideal port
+        this.recorder = null;                   // Active session recorder
+        this.replayer = null;                   // Active session replayer
+        this.transformPipeline = this.config.transforms ? new TransformPipeline(this.config.transforms) : null;
+        this.portMatcher = new PortMatcher({
+            rules: this.config.portMatchRules,
+            pinnedSerialNumber: this.config.pinnedSerialNumber,
+            fallbackToFirstPort: this.config.fallbackToFirstPort
+        });
+        this.commandChannel = new CommandChannel(message => this._write(message), {
+            timeout: this.config.commandTimeout,
+            retries: this.config.commandRetries
+        });
+        this.frameStats = {                     // Binary framing counters (persist across reconnects)
+            framesReceived: 0,
+            corruptFrames: 0,
+            crcErrors: 0,
+            lengthErrors: 0
+        };
         
         // Connection states
         this.connectionStates = {
@@ -56,15 +141,35 @@ class SerialCommunicator {
     // Get current connection status
     getStatus() {
         return {
+            deviceId: this.config.deviceId,
             state: this.currentState,
             isConnected: this.isConnected(),
             port: this.getPortInfo(),
-            reconnectAttempts: this.reconnectAttempts,
+            reconnectAttempts: this.reconnectSupervisor.attempts,
             maxReconnectAttempts: this.config.maxReconnectAttempts,
             autoReconnect: this.config.autoReconnect,
+            reconnect: this.getReconnectStatus(),
             lastDataReceived: this.lastDataReceived,
+            staleness: this.dataWatchdog.getStatus(),
             isConnectedToPotentialPort: this.isConnectedToPotentialPort,
-            currentPortPath: this.currentPortPath
+            currentPortPath: this.currentPortPath,
+            parser: this.config.dataType,
+            framing: this.config.framing,
+            frameStats: this.config.framing === 'binary' ? { ...this.frameStats } : null,
+            commands: this.commandChannel.getStats(),
+            transforms: this.transformPipeline ? this.transformPipeline.getStatus() : null,
+            simulator: this.config.simulator && this.arduinoPort ? this.arduinoPort.getStatus() : null,
+            recording: this.recorder ? this.recorder.getStatus() : null,
+            replay: this.replayer ? this.replayer.getStatus() : null
+        };
+    }
+
+    // Reconnect supervisor statistics (backoff state, outages, hot-plug)
+    getReconnectStatus() {
+        return {
+            ...this.reconnectSupervisor.getStats(),
+            hotPlugDetection: this._hotPlugEnabled(),
+            watchingForDevice: this.hotPlugTimer !== null
         };
     }
 
@@ -92,14 +197,16 @@ class SerialCommunicator {
         this._setState(this.connectionStates.CONNECTING, 'Initiating connection...');
 
         try {
-            if (!this.config.portPath) {
+            if (this.config.simulator) {
+                await this._connectToPort(this.config.portPath || 'simulator://device');
+            } else if (!this.config.portPath) {
                 await this._autoDetectAndConnect();
             } else {
                 await this._connectToPort(this.config.portPath);
             }
             
-            // Start periodic port scanning if enabled
-            if (this.config.enableDynamicPortSwitching) {
+            // Start periodic port scanning if enabled (never for the simulated device)
+            if (this.config.enableDynamicPortSwitching && !this.config.simulator) {
                 this._startPortScanning();
             }
         } catch (error) {
@@ -109,7 +216,7 @@ class SerialCommunicator {
             
             // Start reconnection if auto-reconnect is enabled
             if (this.config.autoReconnect && !this.isIntentionallyDisconnected) {
-                this._scheduleReconnection();
+                this._scheduleReconnection(error);
             }
         } finally {
             this.isConnecting = false;
@@ -142,51 +249,34 @@ class SerialCommunicator {
         }
     }
 
-    // Scan for better ports and switch if found
+    // Scan for a port matching a higher-priority rule than the current one and switch to it
     async _scanForBetterPort() {
-        // Don't scan if we're already connected to a potential port or if we're in the middle of connecting
-        if (this.isConnectedToPotentialPort || this.isConnecting || !this.isConnected()) {
+        if (this.isConnecting || !this.isConnected()) {
             return;
         }
 
         try {
             alert.debug('SERIAL', 'Scanning for better Arduino/ESP32 ports...');
             const ports = await SerialPort.list();
-            
-            // Look for potential ports
-            const potentialPorts = ports.filter(p => {
-                const manufacturer = (p.manufacturer || '').toLowerCase();
-                const vendorId = p.vendorId;
-
-                return manufacturer.includes('arduino') ||
-                    manufacturer.includes('esp32') ||
-                    manufacturer.includes('silicon labs') ||
-                    manufacturer.includes('ch340') ||
-                    manufacturer.includes('ftdi') ||
-                    manufacturer.includes('prolific') ||
-                    vendorId === '10C4' || // Silicon Labs
-                    vendorId === '1A86' || // CH340
-                    vendorId === '0403' || // FTDI
-                    vendorId === '2341';   // Arduino
-            });
+            const selection = this.portMatcher.evaluate(ports, this._claimedPorts());
 
-            // Check if we found a potential port that's different from current
-            if (potentialPorts.length > 0) {
-                const bestPotentialPort = potentialPorts[0].path;
-                
-                if (bestPotentialPort !== this.currentPortPath) {
-                    alert.serial.portDetected(bestPotentialPort, `Better than current: ${this.currentPortPath}`);
-                    
-                    this._sendToRenderer('serial-port-status', {
-                        state: 'better_port_detected',
-                        message: `Better port detected: ${bestPotentialPort}`,
-                        currentPort: this.currentPortPath,
-                        newPort: bestPotentialPort,
-                        timestamp: new Date().toISOString()
-                    });
+            const current = selection.candidates.find(candidate => candidate.path === this.currentPortPath);
+            const currentPriority = current && current.matched ? current.priority : -Infinity;
 
-                    await this._switchToPort(bestPotentialPort);
-                }
+            if (selection.matched && selection.selected !== this.currentPortPath && selection.priority > currentPriority) {
+                alert.serial.portDetected(selection.selected, `Better than current: ${this.currentPortPath} (${selection.reason})`);
+
+                this._sendToRenderer('serial-port-status', {
+                    state: 'better_port_detected',
+                    message: `Better port detected: ${selection.selected}`,
+                    currentPort: this.currentPortPath,
+                    newPort: selection.selected,
+                    reason: selection.reason,
+                    timestamp: new Date().toISOString()
+                });
+
+                await this._switchToPort(selection.selected);
+                this.isConnectedToPotentialPort = this.currentPortPath === selection.selected;
             }
         } catch (error) {
             console.error('Error scanning for better ports:', error);
@@ -218,7 +308,7 @@ class SerialCommunicator {
             
             // Try to reconnect to original port or find any available port
             if (this.config.autoReconnect && !this.isIntentionallyDisconnected) {
-                this._scheduleReconnection();
+                this._scheduleReconnection(error);
             }
         }
     }
@@ -231,11 +321,9 @@ class SerialCommunicator {
             message: 'Manual reconnection initiated...'
         });
 
-        // Cancel any existing reconnection timer
+        // Cancel any pending reconnection and start counting attempts from zero
         this._cancelReconnection();
-        
-        // Reset attempts for manual reconnection
-        this.reconnectAttempts = 0;
+        this.reconnectSupervisor.reset();
         this.isIntentionallyDisconnected = false;
         
         // Close existing connection if any
@@ -250,9 +338,12 @@ class SerialCommunicator {
         alert.info('SERIAL', 'Intentional disconnect requested');
         this.isIntentionallyDisconnected = true;
         this._cancelReconnection();
+        this.reconnectSupervisor.reset();
         this._stopConnectionMonitoring();
         this._stopPortScanning();
+        this.commandChannel.rejectAll('serial port disconnected');
         await this._closeConnection();
+        await this.stopRecording();
         this._setState(this.connectionStates.DISCONNECTED, 'Intentionally disconnected');
     }
 
@@ -265,43 +356,58 @@ class SerialCommunicator {
                 path: p.path,
                 manufacturer: p.manufacturer,
                 vendorId: p.vendorId,
-                productId: p.productId
+                productId: p.productId,
+                serialNumber: p.serialNumber
             })));
 
-            // Look for common Arduino/ESP32 identifiers
-            const potentialPorts = ports.filter(p => {
-                const manufacturer = (p.manufacturer || '').toLowerCase();
-                const vendorId = p.vendorId;
-
-                return manufacturer.includes('arduino') ||
-                    manufacturer.includes('esp32') ||
-                    manufacturer.includes('silicon labs') ||
-                    manufacturer.includes('ch340') ||
-                    manufacturer.includes('ftdi') ||
-                    manufacturer.includes('prolific') ||
-                    vendorId === '10C4' || // Silicon Labs
-                    vendorId === '1A86' || // CH340
-                    vendorId === '0403' || // FTDI
-                    vendorId === '2341';   // Arduino
-            });
-
-            if (potentialPorts.length > 0) {
-                console.log('Found potential Arduino/ESP32 ports:', potentialPorts);
-                this.isConnectedToPotentialPort = true;
-                await this._connectToPort(potentialPorts[0].path);
-            } else if (ports.length > 0) {
-                console.log('No obvious Arduino/ESP32 ports found, trying first available port...');
-                this.isConnectedToPotentialPort = false;
-                await this._connectToPort(ports[0].path);
-            } else {
-                throw new Error('No serial ports available');
+            const selection = this.portMatcher.evaluate(ports, this._claimedPorts());
+            if (!selection.selected) {
+                throw new Error(selection.reason);
             }
+
+            console.log(`Selected port ${selection.reason}`);
+            this.isConnectedToPotentialPort = selection.matched;
+            await this._connectToPort(selection.selected);
         } catch (error) {
             console.error('Error during auto-detection:', error);
             throw error;
         }
     }
 
+    // Dry run: which port auto-detection would choose right now, and why
+    async previewPortSelection() {
+        if (this.config.simulator) {
+            const simulatedPath = this.config.portPath || 'simulator://device';
+            return {
+                selected: simulatedPath,
+                matched: true,
+                priority: null,
+                reason: 'simulated device',
+                pinnedSerialNumber: null,
+                candidates: [],
+                currentPortPath: this.currentPortPath,
+                rules: this.portMatcher.getRules()
+            };
+        }
+
+        const ports = await SerialPort.list();
+        const selection = this.portMatcher.evaluate(ports, this._claimedPorts());
+        if (this.config.portPath) {
+            selection.reason = `fixed portPath ${this.config.portPath} (auto-detection would choose ${selection.selected || 'nothing'}: ${selection.reason})`;
+            selection.selected = this.config.portPath;
+        }
+        return {
+            ...selection,
+            currentPortPath: this.currentPortPath,
+            rules: this.portMatcher.getRules()
+        };
+    }
+
+    // Ports already used by other registered devices
+    _claimedPorts() {
+        return typeof this.config.claimedPorts === 'function' ? this.config.claimedPorts() : [];
+    }
+
     async _connectToPort(portPath) {
         return new Promise((resolve, reject) => {
             alert.debug('SERIAL', `Attempting connection to ${portPath} @ ${this.config.baudRate} baud`);
@@ -320,11 +426,7 @@ class SerialCommunicator {
                 reject(new Error(`Connection timeout after ${this.config.connectionTimeout}ms`));
             }, this.config.connectionTimeout);
 
-            this.arduinoPort = new SerialPort({
-                path: portPath,
-                baudRate: this.config.baudRate,
-                autoOpen: false
-            });
+            this.arduinoPort = this._createPort(portPath);
 
             // Set up event listeners before opening
             this.arduinoPort.on('open', () => {
@@ -332,14 +434,15 @@ class SerialCommunicator {
                 alert.serial.connected(portPath, this.config.baudRate);
                 this.currentPortPath = portPath;
                 this._setState(this.connectionStates.CONNECTED, `Connected to ${portPath}`);
-                this.reconnectAttempts = 0;
+                this._handleReconnected();
                 this.lastDataReceived = Date.now();
 
                 // Set up parser after successful connection
-                this.parser = this.arduinoPort.pipe(new ReadlineParser({
-                    delimiter: this.config.lineDelimiter
-                }));
-                this.parser.on('data', data => this._handleData(data));
+                this._setupParser();
+
+                if (this.config.recordSessions && !this.recorder) {
+                    this.startRecording();
+                }
 
                 // Start connection monitoring
                 this._startConnectionMonitoring();
@@ -366,7 +469,7 @@ class SerialCommunicator {
                     this._sendToRenderer('serial-connection-lost', {
                         port: portPath,
                         timestamp: new Date().toISOString(),
-                        reconnectAttempts: this.reconnectAttempts
+                        reconnectAttempts: this.reconnectSupervisor.attempts
                     });
                 }
 
@@ -394,67 +497,223 @@ class SerialCommunicator {
         });
     }
 
-    _scheduleReconnection() {
-        if (this.reconnectAttempts >= this.config.maxReconnectAttempts) {
-            console.log(`Max reconnection attempts (${this.config.maxReconnectAttempts}) reached. Stopping auto-reconnection.`);
-            this._setState(this.connectionStates.ERROR, `Max reconnection attempts reached (${this.config.maxReconnectAttempts})`);
-            this._sendToRenderer('serial-reconnect-status', {
-                status: 'max_attempts_reached',
-                attempts: this.reconnectAttempts,
-                maxAttempts: this.config.maxReconnectAttempts
+    // Pipe the port through the line or binary frame parser
+    _setupParser() {
+        if (this.config.framing === 'binary') {
+            this.parser = this.arduinoPort.pipe(new BinaryFrameParser(this.config.binaryFraming));
+            this.parser.on('data', payload => {
+                if (this.recorder) {
+                    this.recorder.record(payload.toString('hex'));
+                }
+                this._handleBinaryFrame(payload);
             });
+            this.parser.on('frame-error', frameError => this._handleCorruptFrame(frameError));
             return;
         }
 
-        this._setState(this.connectionStates.RECONNECTING, `Reconnecting in ${this.config.reconnectDelay / 1000}s... (Attempt ${this.reconnectAttempts + 1}/${this.config.maxReconnectAttempts})`);
-        
-        this._sendToRenderer('serial-reconnect-status', {
-            status: 'scheduled',
-            attempts: this.reconnectAttempts,
-            maxAttempts: this.config.maxReconnectAttempts,
-            delay: this.config.reconnectDelay
+        this.parser = this.arduinoPort.pipe(new ReadlineParser({
+            delimiter: this.config.lineDelimiter
+        }));
+        this.parser.on('data', data => {
+            if (this.recorder) {
+                this.recorder.record(data);
+            }
+            this._handleData(data);
         });
+    }
 
-        this.reconnectTimer = setTimeout(() => {
-            this.reconnectAttempts++;
-            console.log(`Reconnection attempt ${this.reconnectAttempts}/${this.config.maxReconnectAttempts}`);
-            
-            this._sendToRenderer('serial-reconnect-status', {
-                status: 'attempting',
-                attempts: this.reconnectAttempts,
-                maxAttempts: this.config.maxReconnectAttempts
+    // Create a real serial port, or the simulated device when simulator mode is enabled
+    _createPort(portPath) {
+        if (this.config.simulator) {
+            return new SerialSimulator({
+                path: portPath,
+                baudRate: this.config.baudRate,
+                simulator: {
+                    dataType: this.config.dataType,
+                    lineDelimiter: this.config.lineDelimiter,
+                    csvDelimiter: this.config.csvDelimiter,
+                    fieldMapping: this.config.fieldMapping,
+                    ...this.config.simulatorOptions
+                }
             });
-            
-            this.connect();
-        }, this.config.reconnectDelay);
+        }
+
+        return new SerialPort({
+            path: portPath,
+            baudRate: this.config.baudRate,
+            autoOpen: false
+        });
+    }
+
+    // Schedule the next reconnection attempt with exponential backoff (see reconnectSupervisor.js)
+    _scheduleReconnection(error = null) {
+        const supervisor = this.reconnectSupervisor;
+        supervisor.markDisconnected(error);
+
+        const scheduled = supervisor.schedule(attempt => this._attemptReconnection(attempt));
+        if (!scheduled) {
+            alert.warning('SERIAL', `Max reconnection attempts (${this.config.maxReconnectAttempts}) reached. Stopping auto-reconnection${this._hotPlugEnabled() ? ', waiting for the device to be plugged in again' : ''}.`);
+            this._setState(this.connectionStates.ERROR, `Max reconnection attempts reached (${this.config.maxReconnectAttempts})`);
+            this._sendReconnectStatus('max_attempts_reached');
+            this._startHotPlugWatch();
+            return;
+        }
+
+        this._setState(this.connectionStates.RECONNECTING, `Reconnecting in ${(scheduled.delay / 1000).toFixed(1)}s... (Attempt ${this._formatAttempt(scheduled.attempt)})`);
+        this._sendReconnectStatus('scheduled', { delay: scheduled.delay });
+        this._startHotPlugWatch();
+    }
+
+    _attemptReconnection(attempt) {
+        alert.debug('SERIAL', `Reconnection attempt ${this._formatAttempt(attempt)}`);
+        this._sendReconnectStatus('attempting');
+        this.connect();
     }
 
     _cancelReconnection() {
-        if (this.reconnectTimer) {
-            clearTimeout(this.reconnectTimer);
-            this.reconnectTimer = null;
-            console.log('Reconnection timer cancelled');
+        if (this.reconnectSupervisor.isPending()) {
+            alert.debug('SERIAL', 'Reconnection timer cancelled');
+        }
+        this.reconnectSupervisor.cancel();
+        this._stopHotPlugWatch();
+    }
+
+    // Connection (re)established: close the outage in the statistics
+    _handleReconnected() {
+        const wasReconnecting = this.reconnectSupervisor.attempts > 0;
+        this.reconnectSupervisor.recordSuccess();
+        this._stopHotPlugWatch();
+        if (wasReconnecting) {
+            this._sendReconnectStatus('reconnected');
+        }
+    }
+
+    _formatAttempt(attempt) {
+        return this.config.neverGiveUp ? `${attempt}` : `${attempt}/${this.config.maxReconnectAttempts}`;
+    }
+
+    // 'attempts' and 'maxAttempts' are kept for existing listeners, 'stats' has the full picture
+    _sendReconnectStatus(status, extra = {}) {
+        this._sendToRenderer('serial-reconnect-status', {
+            status,
+            attempts: this.reconnectSupervisor.attempts,
+            maxAttempts: this.config.neverGiveUp ? null : this.config.maxReconnectAttempts,
+            ...extra,
+            stats: this.reconnectSupervisor.getStats(),
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    _hotPlugEnabled() {
+        return this.config.hotPlugDetection && !this.config.simulator;
+    }
+
+    // Poll the port list while disconnected; keeps running after giving up so a
+    // re-plugged device still comes back
+    _startHotPlugWatch() {
+        if (!this._hotPlugEnabled() || this.hotPlugTimer) {
+            return;
+        }
+
+        this.knownPorts = null;
+        const poll = () => this._checkHotPlug().catch(error => {
+            alert.debug('SERIAL', `Hot-plug check failed: ${error.message}`);
+        });
+        this.hotPlugTimer = setInterval(poll, this.config.hotPlugPollInterval);
+        poll();
+        alert.debug('SERIAL', `Hot-plug detection started (interval: ${this.config.hotPlugPollInterval}ms)`);
+    }
+
+    _stopHotPlugWatch() {
+        if (this.hotPlugTimer) {
+            clearInterval(this.hotPlugTimer);
+            this.hotPlugTimer = null;
+            this.knownPorts = null;
+        }
+    }
+
+    async _checkHotPlug() {
+        if (this.isConnecting || this.isConnected() || this.isIntentionallyDisconnected) {
+            return;
         }
+
+        const ports = await SerialPort.list();
+        const previous = this.knownPorts;
+        this.knownPorts = new Set(ports.map(port => port.path));
+        if (!previous) {
+            return; // First snapshot, nothing to compare against
+        }
+
+        const added = ports.filter(port => !previous.has(port.path));
+        const portPath = this._findReappearedPort(added);
+        if (!portPath) {
+            return;
+        }
+
+        alert.serial.portDetected(portPath, 'Device plugged in, reconnecting now');
+        this._sendReconnectStatus('device_detected', { port: portPath });
+
+        this.reconnectSupervisor.triggerNow(attempt => this._attemptReconnection(attempt));
     }
 
+    // The newly added port this device would connect to, if any
+    _findReappearedPort(addedPorts) {
+        if (addedPorts.length === 0) {
+            return null;
+        }
+        if (this.config.portPath) {
+            const fixed = addedPorts.find(port => port.path === this.config.portPath);
+            return fixed ? fixed.path : null;
+        }
+        return this.portMatcher.evaluate(addedPorts, this._claimedPorts()).selected;
+    }
+
+    // Watch for data silence while the port is open (see stalenessWatchdog.js)
     _startConnectionMonitoring() {
-        // Monitor connection health by checking for regular data
-        this.connectionCheckInterval = setInterval(() => {
-            const timeSinceLastData = Date.now() - this.lastDataReceived;
-            
-            // If no data received for more than 30 seconds, consider connection potentially dead
-            if (timeSinceLastData > 30000 && this.isConnected()) {
-                console.warn(`No data received for ${timeSinceLastData / 1000}s. Connection may be unstable.`);
-                this._sendToRenderer('serial-port-error', `No data received for ${Math.floor(timeSinceLastData / 1000)} seconds`);
-            }
-        }, 10000); // Check every 10 seconds
+        this.dataWatchdog.start();
     }
 
     _stopConnectionMonitoring() {
-        if (this.connectionCheckInterval) {
-            clearInterval(this.connectionCheckInterval);
-            this.connectionCheckInterval = null;
+        this.dataWatchdog.stop();
+    }
+
+    _handleStaleData(event) {
+        const seconds = Math.floor(event.silentMs / 1000);
+        const message = `${this._deviceLabel()}No data received for ${seconds}s (${event.level})`;
+        if (event.level === 'critical') {
+            alert.error('SERIAL', message);
+        } else {
+            alert.warning('SERIAL', message);
         }
+        this._sendToRenderer('serial-data-stale', event);
+        // Kept for listeners that only show error strings
+        this._sendToRenderer('serial-port-error', `No data received for ${seconds} seconds`);
+    }
+
+    _handleDataRecovered(event) {
+        alert.success('SERIAL', `${this._deviceLabel()}Data flow recovered after ${Math.round(event.staleForMs / 1000)}s`);
+        this._sendToRenderer('serial-data-recovered', event);
+    }
+
+    // Escalation for critical staleness
+    async _runStaleAction(action) {
+        try {
+            if (action === 'reconnect') {
+                alert.warning('SERIAL', `${this._deviceLabel()}Data stale, forcing reconnect`);
+                await this.forceReconnect();
+            } else if (action === 'reset') {
+                alert.warning('SERIAL', `${this._deviceLabel()}Data stale, sending ${this.config.resetCommand}`);
+                await this.sendCommand(this.config.resetCommand);
+            } else {
+                alert.warning('SERIAL', `Unknown staleAction '${action}'`);
+            }
+        } catch (error) {
+            alert.serial.error(`Stale data ${action}`, error);
+        }
+    }
+
+    _deviceLabel() {
+        return this.config.deviceId ? `[${this.config.deviceId}] ` : '';
     }
 
     async _closeConnection() {
@@ -483,6 +742,9 @@ class SerialCommunicator {
     _handleData(rawString) {
         const trimmedData = rawString.trim();
         this.lastDataReceived = Date.now(); // Update last data received timestamp
+        if (trimmedData) {
+            this.dataWatchdog.touch();
+        }
         
         alert.debug('SERIAL', `Raw data: ${trimmedData}`);
 
@@ -494,88 +756,171 @@ class SerialCommunicator {
 
         // Skip empty data
         if (!trimmedData) {
-            console.log('Skipping empty data');
             return;
         }
 
-        let parsedData, dataForDb = {};
+        // Command acknowledgements are consumed here and never stored as telemetry. A JSON
+        // line is parsed once, for both
+        const json = CommandChannel.parseJson(trimmedData);
+        if (this.commandChannel.handleResponse(trimmedData, json)) {
+            return;
+        }
 
-        try {
-            switch (this.config.dataType) {
-                case 'json-object':
-                    dataForDb = JSON.parse(trimmedData);
-                    console.log('Parsed JSON object:', dataForDb);
-                    break;
-
-                case 'json-array':
-                    parsedData = JSON.parse(trimmedData);
-                    if (!Array.isArray(parsedData) || parsedData.length !== this.config.fieldMapping.length) {
-                        throw new Error(`Array data mismatch. Expected ${this.config.fieldMapping.length} items, got ${parsedData.length}`);
-                    }
-                    this.config.fieldMapping.forEach((field, i) => {
-                        dataForDb[field] = parsedData[i];
-                    });
-                    console.log('Parsed JSON array:', dataForDb);
-                    break;
+        this._processFrame(trimmedData, trimmedData, { json });
+    }
 
-                case 'csv':
-                    parsedData = trimmedData.split(this.config.csvDelimiter);
-                    if (parsedData.length !== this.config.fieldMapping.length) {
-                        throw new Error(`CSV data mismatch. Expected ${this.config.fieldMapping.length} items, got ${parsedData.length}`);
-                    }
-                    this.config.fieldMapping.forEach((field, i) => {
-                        const val = parsedData[i].trim();
-                        dataForDb[field] = !isNaN(parseFloat(val)) && isFinite(val) && val !== '' ? Number(val) : val;
-                    });
-                    console.log('Parsed CSV:', dataForDb);
-                    break;
+    // Handle a CRC-verified payload from the binary frame parser
+    _handleBinaryFrame(payload) {
+        const hexPayload = payload.toString('hex');
+        this.lastDataReceived = Date.now();
+        this.dataWatchdog.touch();
+        this.frameStats.framesReceived++;
+
+        alert.debug('SERIAL', `Binary frame: ${hexPayload}`);
+
+        this._sendToRenderer('serial-data-received', {
+            raw: hexPayload,
+            timestamp: new Date().toLocaleTimeString(),
+            port: this.currentPortPath
+        });
+
+        if (this.commandChannel.hasPending() && this.commandChannel.handleResponse(payload.toString('utf8'))) {
+            return;
+        }
+
+        this._processFrame(payload, hexPayload);
+    }
+
+    // Count and report a corrupt binary frame instead of storing it
+    _handleCorruptFrame(frameError) {
+        this.lastDataReceived = Date.now();
+        this.frameStats.corruptFrames++;
+        if (frameError.type === 'crc') {
+            this.frameStats.crcErrors++;
+        } else if (frameError.type === 'length') {
+            this.frameStats.lengthErrors++;
+        }
+
+        alert.warning('SERIAL', `Corrupt frame discarded (${frameError.type}): ${frameError.message}`);
+        this._sendToRenderer('serial-port-error', `Corrupt Frame (${frameError.type}): ${frameError.message}`);
+    }
+
+    // Parse, validate and store one frame. Frames that fail go to the dead-letter store.
+    // options.json: the frame already parsed as JSON (see frameParsers.parseFrame).
+    // Returns { accepted: true } or { accepted: false, stage, reason }
+    _processFrame(frame, rawForLog, options = {}) {
+        const { deadLetter = true, json } = options;
+        let dataForDb = {};
+        let stage = 'parse';
 
-                case 'raw':
-                    dataForDb = { raw_data: trimmedData, timestamp: new Date().toISOString() };
-                    console.log('Raw data stored:', dataForDb);
-                    break;
+        try {
+            // Parse with the registered parser selected by dataType (see frameParsers.js)
+            dataForDb = frameParsers.parseFrame(this.config.dataType, frame, this.config, { json });
+            alert.debug('SERIAL', `Parsed ${this.config.dataType}: ${JSON.stringify(this._redactForLog(dataForDb))}`);
+
+            // Calibrate and convert raw values, and record which calibration was used
+            if (this.transformPipeline) {
+                stage = 'transform';
+                dataForDb = this.transformPipeline.apply(dataForDb);
+                if (this.config.calibrationVersionField && this.transformPipeline.version !== null) {
+                    dataForDb[this.config.calibrationVersionField] = this.transformPipeline.version;
+                }
+            }
 
-                default:
-                    throw new Error(`Unsupported dataType: ${this.config.dataType}`);
+            // Validate required fields (configured + declared by the parser schema)
+            const missingField = frameParsers.findMissingField(
+                dataForDb,
+                frameParsers.getRequiredFields(this.config.dataType, this.config)
+            );
+            if (missingField) {
+                console.warn(`Data missing required field '${missingField}', skipping database insert`);
+                return this._rejectFrame('required', frame, `Missing required field '${missingField}'`, deadLetter);
             }
 
-            console.log('Processed Data (before validation):', dataForDb);
+            // Tag the record with the device it came from (multi-device setups)
+            if (this.config.deviceId && this.config.deviceIdField) {
+                dataForDb[this.config.deviceIdField] = this.config.deviceId;
+            }
 
-            // Validate required fields
-            if (this.config.requiredFields.length > 0) {
-                for (const field of this.config.requiredFields) {
-                    if (dataForDb[field] === undefined || dataForDb[field] === null || String(dataForDb[field]).trim() === '') {
-                        console.warn(`Data missing required field '${field}', skipping database insert`);
-                        return;
-                    }
+            // Enforce the table schema (types, ranges, enums) on the final record
+            if (this.schemaValidator && this.config.dbTableName) {
+                const validation = this.schemaValidator.validate(this.config.dbTableName, dataForDb, {
+                    source: `serial:${this.config.deviceId || this.currentPortPath}`
+                });
+                if (!validation.valid) {
+                    const reasons = validation.errors.map(error => error.message).join('; ');
+                    alert.warning('SERIAL', `Reading rejected by ${this.config.dbTableName} schema: ${reasons}`);
+                    this._sendToRenderer('serial-port-error', `Validation Error: ${reasons}`);
+                    return this._rejectFrame('schema', frame, reasons, deadLetter);
                 }
+                dataForDb = validation.value;
             }
 
             // Save to Database
             if (this.config.dbTableName && this.db) {
                 this._saveToDatabase(dataForDb);
             } else {
-                console.log('Database save skipped: no table name or DB instance');
+                alert.debug('SERIAL', 'Database save skipped: no table name or DB instance');
             }
+            return { accepted: true };
 
         } catch (err) {
             console.error('Data Handling Error:', err.message);
-            console.error('Raw data that caused error:', trimmedData);
+            // The raw frame holds the plain values of fieldsToEncrypt
+            if (!this.config.fieldsToEncrypt || this.config.fieldsToEncrypt.length === 0) {
+                console.error('Raw data that caused error:', rawForLog);
+            }
             this._sendToRenderer('serial-port-error', `Data Error: ${err.message}`);
+            return this._rejectFrame(stage, frame, err.message, deadLetter);
         }
     }
 
+    // A record for the log, with the fields configured in fieldsToEncrypt hidden (their
+    // plain values must not end up in log files, and their encrypted values are of no use there)
+    _redactForLog(data) {
+        const hidden = this.config.fieldsToEncrypt || [];
+        const shown = { ...data };
+        for (const field of hidden) {
+            if (shown[field] !== undefined && shown[field] !== null) {
+                shown[field] = '[encrypted]';
+            }
+        }
+        return shown;
+    }
+
+    // Keep a rejected frame in the dead-letter store (see deadLetterStore.js)
+    _rejectFrame(stage, frame, reason, deadLetter = true) {
+        if (deadLetter && this.deadLetterStore) {
+            const entry = this.deadLetterStore.add({
+                sourceType: 'serial',
+                sourceId: this.config.deviceId,
+                port: this.currentPortPath,
+                parser: this.config.dataType,
+                table: this.config.dbTableName,
+                stage,
+                reason,
+                raw: frame
+            });
+            this._sendToRenderer('dead-letter-added', entry);
+        }
+        return { accepted: false, stage, reason };
+    }
+
+    // Run a dead-letter entry through the current parser and validation (retry after a config fix)
+    reprocessDeadLetter(entry) {
+        const frame = entry.encoding === 'hex' ? Buffer.from(entry.raw, 'hex') : entry.raw;
+        return this._processFrame(frame, entry.raw, { deadLetter: false });
+    }
+
     _saveToDatabase(dataForDb) {
         let dataToInsert = { ...dataForDb };
 
         // Handle encryption if configured
         if (this.db.encrypt && this.config.fieldsToEncrypt && this.config.fieldsToEncrypt.length > 0) {
-            console.log('Encrypting fields:', this.config.fieldsToEncrypt);
             for (const field of this.config.fieldsToEncrypt) {
                 if (dataToInsert.hasOwnProperty(field) && dataToInsert[field] !== null && dataToInsert[field] !== undefined) {
                     try {
                         dataToInsert[field] = this.db.encrypt(String(dataToInsert[field]));
-                        console.log(`Field '${field}' encrypted.`);
                     } catch (encError) {
                         console.error(`Error encrypting field '${field}':`, encError);
                         this._sendToRenderer('serial-port-error', `Encryption Error for ${field}: ${encError.message}`);
@@ -584,10 +929,24 @@ class SerialCommunicator {
             }
         }
 
-        console.log('Data for DB (final):', dataToInsert);
-
-        this.db.postData(this.config.dbTableName, dataToInsert)
-            .then(res => {
+        alert.debug('SERIAL', `Saving to ${this.config.dbTableName}: ${JSON.stringify(this._redactForLog(dataToInsert))}`);
+
+        // With a batcher, readings are inserted in batches; with a write buffer, readings
+        // taken while the database is unreachable are queued on disk
+        const source = `serial:${this.config.deviceId || this.currentPortPath}`;
+        const writer = this.ingestionBatcher || this.writeBuffer;
+        const write = writer ?
+            writer.write(this.config.dbTableName, dataToInsert, { source }) :
+            this.db.postData(this.config.dbTableName, dataToInsert).then(result => ({ buffered: false, result }));
+
+        write
+            .then(outcome => {
+                if (outcome.buffered) {
+                    alert.debug('SERIAL', `Database unavailable, reading buffered (seq ${outcome.seq}, depth ${outcome.depth})`);
+                    this._sendToRenderer('database-buffer-status', { ...this.writeBuffer.getStatus(), source });
+                    return;
+                }
+                const res = outcome.result;
                 alert.success('SERIAL', `Data saved to ${this.config.dbTableName} (ID: ${res.insertId})`);
                 this._sendToRenderer('database-insert-success', {
                     table: this.config.dbTableName,
@@ -602,26 +961,63 @@ class SerialCommunicator {
             });
     }
 
-    // Method to send data to Arduino/ESP32
-    sendData(data) {
-        if (this.arduinoPort && this.arduinoPort.isOpen) {
-            this.arduinoPort.write(data + '\n', (err) => {
+    // Method to send data to Arduino/ESP32 (resolves once written, no acknowledgement)
+    async sendData(data) {
+        try {
+            await this._write(data);
+        } catch (err) {
+            console.error('Error sending data:', err.message);
+            this._sendToRenderer('serial-port-error', `Send Error: ${err.message}`);
+            throw err;
+        }
+    }
+
+    // Send a command with an ID and resolve when the device acknowledges it
+    // options: { timeout, retries }
+    async sendCommand(command, params = {}, options = {}) {
+        try {
+            const result = await this.commandChannel.send(command, params, options);
+            alert.success('SERIAL', `Command '${command}' acknowledged (id ${result.id}, ${result.roundTripMs}ms)`);
+            return result;
+        } catch (err) {
+            alert.serial.error(`Command '${command}'`, err);
+            this._sendToRenderer('serial-port-error', `Command Error: ${err.message}`);
+            throw err;
+        }
+    }
+
+    // Change the setpoint of a control loop on the device (e.g. 'temperature', 30.5)
+    async sendSetpoint(loop, value, options = {}) {
+        return await this.sendCommand(this.config.setpointCommand, { loop, value }, options);
+    }
+
+    // Write one message to the port, framed for the configured framing mode
+    _write(data) {
+        return new Promise((resolve, reject) => {
+            if (!this.isConnected()) {
+                console.warn('Cannot send data: port not open');
+                const error = new Error('Cannot send data: port not connected');
+                error.code = 'NOT_CONNECTED';
+                return reject(error);
+            }
+
+            const payload = this.config.framing === 'binary' ?
+                BinaryFrameParser.encodeFrame(Buffer.from(String(data)), this.config.binaryFraming) :
+                data + '\n';
+
+            this.arduinoPort.write(payload, (err) => {
                 if (err) {
-                    console.error('Error sending data:', err);
-                    this._sendToRenderer('serial-port-error', `Send Error: ${err.message}`);
-                } else {
-                    console.log('Data sent:', data);
-                    this._sendToRenderer('serial-data-sent', {
-                        data: data,
-                        port: this.currentPortPath,
-                        timestamp: new Date().toISOString()
-                    });
+                    return reject(err);
                 }
+                alert.debug('SERIAL', `Data sent: ${data}`);
+                this._sendToRenderer('serial-data-sent', {
+                    data: data,
+                    port: this.currentPortPath,
+                    timestamp: new Date().toISOString()
+                });
+                resolve();
             });
-        } else {
-            console.warn('Cannot send data: port not open');
-            this._sendToRenderer('serial-port-error', 'Cannot send data: port not connected');
-        }
+        });
     }
 
     // Get connection status
@@ -644,7 +1040,9 @@ class SerialCommunicator {
 
     // Manual method to trigger port scanning
     async scanForBetterPorts() {
-        if (this.config.enableDynamicPortSwitching) {
+        if (this.config.simulator) {
+            console.log('Port scanning is not available for the simulated device');
+        } else if (this.config.enableDynamicPortSwitching) {
             await this._scanForBetterPort();
         } else {
             console.log('Dynamic port switching is disabled');
@@ -655,7 +1053,7 @@ class SerialCommunicator {
     setDynamicPortSwitching(enabled) {
         this.config.enableDynamicPortSwitching = enabled;
         
-        if (enabled && this.isConnected()) {
+        if (enabled && this.isConnected() && !this.config.simulator) {
             this._startPortScanning();
         } else {
             this._stopPortScanning();
@@ -664,9 +1062,97 @@ class SerialCommunicator {
         console.log(`Dynamic port switching ${enabled ? 'enabled' : 'disabled'}`);
     }
 
+    // Start recording raw lines to a session file (defaults to a timestamped file in sessionDir)
+    startRecording(filePath = null) {
+        if (this.recorder) {
+            return this.recorder.getStatus();
+        }
+
+        const sessionFile = filePath ||
+            path.join(this.config.sessionDir, `serial-${this.config.deviceId ? this.config.deviceId + '-' : ''}${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`);
+
+        this.recorder = new SessionRecorder(sessionFile, {
+            deviceId: this.config.deviceId,
+            port: this.currentPortPath,
+            baudRate: this.config.baudRate,
+            dataType: this.config.dataType,
+            framing: this.config.framing,
+            lineDelimiter: this.config.lineDelimiter
+        });
+        this.recorder.start();
+
+        this._sendToRenderer('serial-session-status', {
+            status: 'recording_started',
+            ...this.recorder.getStatus(),
+            timestamp: new Date().toISOString()
+        });
+        return this.recorder.getStatus();
+    }
+
+    async stopRecording() {
+        if (!this.recorder) {
+            return null;
+        }
+
+        const recorder = this.recorder;
+        this.recorder = null;
+        const status = await recorder.stop();
+
+        this._sendToRenderer('serial-session-status', {
+            status: 'recording_stopped',
+            ...status,
+            timestamp: new Date().toISOString()
+        });
+        return status;
+    }
+
+    // Replay a recorded session through the normal data handling path
+    // options.speed: 1 = real time, N = N times faster, 'max' = as fast as possible
+    async replaySession(filePath, options = {}) {
+        if (this.replayer && this.replayer.isReplaying) {
+            throw new Error('A session replay is already in progress');
+        }
+
+        this.replayer = new SessionReplayer(filePath, options);
+        this._sendToRenderer('serial-session-status', {
+            status: 'replay_started',
+            ...this.replayer.getStatus(),
+            timestamp: new Date().toISOString()
+        });
+
+        try {
+            const result = await this.replayer.start(line => {
+                if (this.config.framing === 'binary') {
+                    this._handleBinaryFrame(Buffer.from(line, 'hex'));
+                } else {
+                    this._handleData(line);
+                }
+            });
+            this._sendToRenderer('serial-session-status', {
+                status: 'replay_finished',
+                ...result,
+                timestamp: new Date().toISOString()
+            });
+            return result;
+        } catch (error) {
+            alert.serial.error('Session replay', error);
+            this._sendToRenderer('serial-port-error', `Replay Error: ${error.message}`);
+            throw error;
+        }
+    }
+
+    stopReplay() {
+        if (this.replayer && this.replayer.isReplaying) {
+            this.replayer.stop();
+            return true;
+        }
+        return false;
+    }
+
+    // The device ID is sent as a second argument so existing listeners keep working
     _sendToRenderer(channel, data) {
         if (this.mainWindow && this.mainWindow.webContents) {
-            this.mainWindow.webContents.send(channel, data);
+            this.mainWindow.webContents.send(channel, data, this.config.deviceId);
         }
     }
 
@@ -676,7 +1162,10 @@ class SerialCommunicator {
         this._cancelReconnection();
         this._stopConnectionMonitoring();
         this._stopPortScanning();
+        this.stopReplay();
+        this.commandChannel.rejectAll('serial communicator closed');
         await this._closeConnection();
+        await this.stopRecording();
         this._setState(this.connectionStates.DISCONNECTED, 'SerialCommunicator closed');
     }
 }
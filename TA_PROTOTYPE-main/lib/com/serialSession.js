@@ -0,0 +1,208 @@
+// lib/com/serialSession.js
+// Record raw serial lines to a session file and replay them later.
+// Session files are JSON Lines: one header object followed by { t, line } entries,
+// where t is a monotonic offset in milliseconds from the start of the recording.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const alert = require('../alert');
+
+const SESSION_FORMAT_VERSION = 1;
+
+class SessionRecorder {
+    constructor(filePath, metadata = {}) {
+        this.filePath = filePath;
+        this.metadata = metadata;
+        this.stream = null;
+        this.startTime = null;
+        this.linesRecorded = 0;
+    }
+
+    start() {
+        if (this.stream) return;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.stream = fs.createWriteStream(this.filePath, { flags: 'w' });
+        this.stream.on('error', (error) => {
+            alert.error('SESSION', `Recording to ${this.filePath} failed`, error);
+        });
+
+        this.startTime = process.hrtime.bigint();
+        this.linesRecorded = 0;
+        this._writeEntry({
+            type: 'header',
+            version: SESSION_FORMAT_VERSION,
+            startedAt: new Date().toISOString(),
+            ...this.metadata
+        });
+
+        alert.info('SESSION', `Recording serial session to ${this.filePath}`);
+    }
+
+    record(rawLine) {
+        if (!this.stream) return;
+
+        const elapsedMs = Number(process.hrtime.bigint() - this.startTime) / 1e6;
+        this._writeEntry({ t: Number(elapsedMs.toFixed(3)), line: rawLine });
+        this.linesRecorded++;
+    }
+
+    stop() {
+        return new Promise((resolve) => {
+            if (!this.stream) return resolve(this.getStatus());
+
+            const stream = this.stream;
+            this.stream = null;
+            stream.end(() => {
+                alert.info('SESSION', `Recording stopped: ${this.linesRecorded} lines written to ${this.filePath}`);
+                resolve(this.getStatus());
+            });
+        });
+    }
+
+    isRecording() {
+        return this.stream !== null;
+    }
+
+    getStatus() {
+        return {
+            filePath: this.filePath,
+            isRecording: this.isRecording(),
+            linesRecorded: this.linesRecorded
+        };
+    }
+
+    _writeEntry(entry) {
+        this.stream.write(JSON.stringify(entry) + '\n');
+    }
+}
+
+class SessionReplayer {
+    // speed: 1 = real time, N = N times faster, 'max' (or 0) = as fast as possible
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.speed = options.speed === undefined ? 1 : options.speed;
+        this.isReplaying = false;
+        this.isStopped = false;
+        this.linesReplayed = 0;
+        this.header = null;
+        this.pendingTimer = null;
+    }
+
+    // Feed every recorded line to onLine in order, honouring the recorded timing
+    async start(onLine) {
+        if (this.isReplaying) {
+            throw new Error('Replay already in progress');
+        }
+        if (!fs.existsSync(this.filePath)) {
+            throw new Error(`Session file not found: ${this.filePath}`);
+        }
+
+        this.isReplaying = true;
+        this.isStopped = false;
+        this.linesReplayed = 0;
+        const startedAt = Date.now();
+        let previousOffset = null;
+
+        alert.info('SESSION', `Replaying ${this.filePath} at ${this._isMaxSpeed() ? 'max' : this.speed + 'x'} speed`);
+
+        const input = readline.createInterface({
+            input: fs.createReadStream(this.filePath),
+            crlfDelay: Infinity
+        });
+
+        try {
+            for await (const text of input) {
+                if (this.isStopped) break;
+                if (!text.trim()) continue;
+
+                const entry = JSON.parse(text);
+                if (entry.type === 'header') {
+                    this.header = entry;
+                    continue;
+                }
+
+                const delay = previousOffset === null ? 0 : entry.t - previousOffset;
+                previousOffset = entry.t;
+                await this._wait(delay);
+                if (this.isStopped) break;
+
+                onLine(entry.line);
+                this.linesReplayed++;
+            }
+        } finally {
+            input.close();
+            this.isReplaying = false;
+        }
+
+        const result = {
+            filePath: this.filePath,
+            linesReplayed: this.linesReplayed,
+            durationMs: Date.now() - startedAt,
+            stopped: this.isStopped
+        };
+        alert.info('SESSION', `Replay finished: ${result.linesReplayed} lines in ${result.durationMs}ms`);
+        return result;
+    }
+
+    stop() {
+        this.isStopped = true;
+        if (this.pendingTimer) {
+            clearTimeout(this.pendingTimer.timer);
+            this.pendingTimer.resolve();
+            this.pendingTimer = null;
+        }
+    }
+
+    getStatus() {
+        return {
+            filePath: this.filePath,
+            speed: this._isMaxSpeed() ? 'max' : this.speed,
+            isReplaying: this.isReplaying,
+            linesReplayed: this.linesReplayed,
+            header: this.header
+        };
+    }
+
+    _isMaxSpeed() {
+        return this.speed === 'max' || Number(this.speed) === 0;
+    }
+
+    _wait(recordedDelayMs) {
+        if (this._isMaxSpeed() || recordedDelayMs <= 0) {
+            // Yield to the event loop so async DB writes can progress
+            return new Promise(resolve => setImmediate(resolve));
+        }
+
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                this.pendingTimer = null;
+                resolve();
+            }, recordedDelayMs / Number(this.speed));
+            this.pendingTimer = { timer, resolve };
+        });
+    }
+}
+
+// Path of a session file named by an untrusted caller (the renderer): a name relative to
+// sessionDir. Absolute paths and names leading out of sessionDir are refused
+function resolveSessionFile(sessionDir, fileName) {
+    if (typeof fileName !== 'string' || !fileName.trim()) {
+        throw new Error('A session file name is required');
+    }
+    const directory = path.resolve(sessionDir);
+    const filePath = path.resolve(directory, fileName);
+    const relative = path.relative(directory, filePath);
+    if (path.isAbsolute(fileName) || !relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+        throw new Error(`Session files must be inside ${sessionDir}: ${fileName}`);
+    }
+    return filePath;
+}
+
+module.exports = {
+    SessionRecorder,
+    SessionReplayer,
+    SESSION_FORMAT_VERSION,
+    resolveSessionFile
+};
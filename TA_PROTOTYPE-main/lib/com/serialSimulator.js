@@ -0,0 +1,242 @@
+// lib/com/serialSimulator.js
+// Simulated serial device - emits sensor frames without any attached hardware.
+// Exposes the subset of the SerialPort API used by SerialCommunicator
+// (open/close/write, isOpen, path, baudRate, 'open'/'close'/'error' events, pipe).
+
+const { Duplex } = require('stream');
+const alert = require('../alert');
+
+const SUPPORTED_WAVEFORMS = ['constant', 'step', 'ramp', 'sine', 'noise'];
+
+class SerialSimulator extends Duplex {
+    constructor(options = {}) {
+        super({ autoDestroy: false, emitClose: false });
+
+        this.path = options.path || 'simulator';
+        this.baudRate = options.baudRate || 9600;
+        this.isOpen = false;
+
+        this.config = {
+            dataType: 'json-object',
+            lineDelimiter: '\r\n',
+            csvDelimiter: ',',
+            fieldMapping: [],
+            interval: 1000,          // Time between frames (ms)
+            dropoutRate: 0,          // Probability (0-1) that a frame is silently dropped
+            commandLatency: 20,      // Delay before acknowledging a command (ms)
+            fields: SerialSimulator.defaultFields(),
+            ...options.simulator
+        };
+
+        this.startedAt = null;
+        this.frameTimer = null;
+        this.framesSent = 0;
+        this.framesDropped = 0;
+
+        this._validateFields();
+    }
+
+    // Default temperature/pressure profile used when no fields are configured
+    static defaultFields() {
+        return {
+            temperature: { waveform: 'sine', base: 27.5, amplitude: 2.5, period: 60, noise: 0.2, precision: 1 },
+            pressure: { waveform: 'ramp', base: 1.0, amplitude: 0.5, period: 120, noise: 0.02, precision: 2 }
+        };
+    }
+
+    open(callback) {
+        if (this.isOpen) {
+            const err = new Error(`Simulated port ${this.path} is already open`);
+            if (callback) return callback(err);
+            return this.emit('error', err);
+        }
+
+        // Open asynchronously, like a real port
+        setImmediate(() => {
+            this.isOpen = true;
+            this.startedAt = Date.now();
+            this._startFrames();
+            alert.info('SIMULATOR', `Simulated device started on ${this.path} (${this.config.dataType}, every ${this.config.interval}ms)`);
+            if (callback) callback(null);
+            this.emit('open');
+        });
+    }
+
+    close(callback) {
+        if (!this.isOpen) {
+            const err = new Error(`Simulated port ${this.path} is not open`);
+            if (callback) return callback(err);
+            return this.emit('error', err);
+        }
+
+        setImmediate(() => {
+            this._stopFrames();
+            this.isOpen = false;
+            alert.info('SIMULATOR', `Simulated device stopped on ${this.path} (${this.framesSent} sent, ${this.framesDropped} dropped)`);
+            if (callback) callback(null);
+            this.emit('close');
+        });
+    }
+
+    // Generate the next reading for every configured field
+    generateReading(elapsedSeconds = this._elapsedSeconds()) {
+        const reading = {};
+        for (const [name, spec] of Object.entries(this.config.fields)) {
+            reading[name] = this._computeValue(spec, elapsedSeconds);
+        }
+        return reading;
+    }
+
+    // Serialize a reading in the configured dataType (without the line delimiter)
+    formatFrame(reading) {
+        const fieldOrder = this.config.fieldMapping.length > 0 ?
+            this.config.fieldMapping :
+            Object.keys(this.config.fields);
+
+        switch (this.config.dataType) {
+            case 'json-object':
+                return JSON.stringify(reading);
+
+            case 'json-array':
+                return JSON.stringify(fieldOrder.map(field => reading[field]));
+
+            case 'csv':
+                return fieldOrder.map(field => reading[field]).join(this.config.csvDelimiter);
+
+            case 'raw':
+                return fieldOrder.map(field => `${field}=${reading[field]}`).join(' ');
+
+            default:
+                throw new Error(`Unsupported dataType: ${this.config.dataType}`);
+        }
+    }
+
+    getStatus() {
+        return {
+            path: this.path,
+            isOpen: this.isOpen,
+            dataType: this.config.dataType,
+            interval: this.config.interval,
+            dropoutRate: this.config.dropoutRate,
+            fields: Object.keys(this.config.fields),
+            framesSent: this.framesSent,
+            framesDropped: this.framesDropped
+        };
+    }
+
+    // Duplex internals: frames are pushed by the timer, commands from the host are acknowledged
+    _read() {}
+
+    _write(chunk, encoding, callback) {
+        for (const line of chunk.toString().split('\n')) {
+            if (line.trim()) {
+                this._handleCommand(line.trim());
+            }
+        }
+        callback();
+    }
+
+    // Acknowledge JSON commands ({"id":1,"cmd":"..."}) the same way a device firmware would
+    _handleCommand(line) {
+        alert.debug('SIMULATOR', `Command received: ${line}`);
+
+        let command;
+        try {
+            command = JSON.parse(line);
+        } catch (error) {
+            return;
+        }
+        if (command === null || typeof command !== 'object' || command.id === undefined) {
+            return;
+        }
+
+        const ack = { ack: command.id, status: 'ok', cmd: command.cmd };
+        setTimeout(() => {
+            if (this.isOpen) {
+                this.push(JSON.stringify(ack) + this.config.lineDelimiter);
+            }
+        }, this.config.commandLatency);
+    }
+
+    _startFrames() {
+        this._stopFrames();
+        this.frameTimer = setInterval(() => this._emitFrame(), this.config.interval);
+    }
+
+    _stopFrames() {
+        if (this.frameTimer) {
+            clearInterval(this.frameTimer);
+            this.frameTimer = null;
+        }
+    }
+
+    _emitFrame() {
+        if (!this.isOpen) return;
+
+        if (this.config.dropoutRate > 0 && Math.random() < this.config.dropoutRate) {
+            this.framesDropped++;
+            alert.debug('SIMULATOR', 'Frame dropped (simulated dropout)');
+            return;
+        }
+
+        try {
+            const frame = this.formatFrame(this.generateReading());
+            this.push(frame + this.config.lineDelimiter);
+            this.framesSent++;
+        } catch (error) {
+            this.emit('error', error);
+        }
+    }
+
+    _computeValue(spec, t) {
+        const base = spec.base || 0;
+        const amplitude = spec.amplitude || 0;
+        const period = spec.period || 60;
+        let value;
+
+        switch (spec.waveform || 'constant') {
+            case 'step':
+                // Alternates between base and base + amplitude every half period
+                value = Math.floor(t / (period / 2)) % 2 === 0 ? base : base + amplitude;
+                break;
+
+            case 'ramp':
+                // Sawtooth from base to base + amplitude over one period
+                value = base + amplitude * ((t % period) / period);
+                break;
+
+            case 'sine':
+                value = base + amplitude * Math.sin((2 * Math.PI * t) / period);
+                break;
+
+            case 'noise':
+            case 'constant':
+            default:
+                value = base;
+                break;
+        }
+
+        if (spec.noise) {
+            value += (Math.random() * 2 - 1) * spec.noise;
+        }
+
+        const precision = spec.precision !== undefined ? spec.precision : 2;
+        return Number(value.toFixed(precision));
+    }
+
+    _elapsedSeconds() {
+        return this.startedAt ? (Date.now() - this.startedAt) / 1000 : 0;
+    }
+
+    _validateFields() {
+        for (const [name, spec] of Object.entries(this.config.fields)) {
+            if (spec.waveform && !SUPPORTED_WAVEFORMS.includes(spec.waveform)) {
+                throw new Error(`Unsupported waveform '${spec.waveform}' for field '${name}'. Supported: ${SUPPORTED_WAVEFORMS.join(', ')}`);
+            }
+        }
+    }
+}
+
+SerialSimulator.SUPPORTED_WAVEFORMS = SUPPORTED_WAVEFORMS;
+
+module.exports = SerialSimulator;
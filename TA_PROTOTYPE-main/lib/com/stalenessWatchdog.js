@@ -0,0 +1,167 @@
+// lib/com/stalenessWatchdog.js
+// Watches a data source for silence and escalates in two steps:
+//   ok -> warning  after warningAfter ms without data
+//      -> critical after criticalAfter ms without data (runs the configured action)
+// Data arriving again (touch) emits a 'recovered' event. The action is repeated
+// every actionCooldown ms while the source stays critical.
+
+const LEVELS = { ok: 0, warning: 1, critical: 2 };
+
+class StalenessWatchdog {
+    // handlers: { onStale(event), onRecovered(event), onAction(action, event) }
+    constructor(source, options = {}, handlers = {}) {
+        this.source = source;       // e.g. { type: 'serial', id: 'oven-1' }
+        this.options = {
+            enabled: true,
+            warningAfter: 30000,    // Silence before a warning (ms)
+            criticalAfter: 120000,  // Silence before critical (ms, 0 = no critical level)
+            checkInterval: 5000,    // How often silence is checked (ms)
+            action: 'none',         // Run on critical: 'none', 'reconnect' or 'reset'
+            actionCooldown: null,   // Minimum time between actions (ms, null = criticalAfter)
+            ...options
+        };
+        this.handlers = handlers;
+        this.timer = null;
+        this.level = 'ok';
+        this.lastDataAt = Date.now();
+        this.staleSince = null;
+        this.lastActionAt = null;
+        this.stats = {
+            warnings: 0,
+            criticals: 0,
+            recoveries: 0,
+            actions: 0,
+            lastEvent: null
+        };
+    }
+
+    start() {
+        if (!this.options.enabled || this.timer) {
+            return;
+        }
+        // Silence is measured from start, a source that was stale stays stale until data arrives
+        this.lastDataAt = Date.now();
+        this.timer = setInterval(() => this.check(), this.options.checkInterval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    isRunning() {
+        return this.timer !== null;
+    }
+
+    // Data received from the source
+    touch() {
+        const now = Date.now();
+        this.lastDataAt = now;
+
+        if (this.level !== 'ok') {
+            const event = this._event('recovered', {
+                level: 'ok',
+                previousLevel: this.level,
+                staleForMs: now - this.staleSince
+            });
+            this.level = 'ok';
+            this.staleSince = null;
+            this.lastActionAt = null;
+            this.stats.recoveries++;
+            this._emit('onRecovered', event);
+        }
+    }
+
+    // Escalate when the silence crossed a threshold (called on every interval)
+    check() {
+        const silentMs = Date.now() - this.lastDataAt;
+        const { warningAfter, criticalAfter } = this.options;
+
+        let level = 'ok';
+        if (criticalAfter > 0 && silentMs >= criticalAfter) {
+            level = 'critical';
+        } else if (silentMs >= warningAfter) {
+            level = 'warning';
+        }
+
+        if (LEVELS[level] > LEVELS[this.level]) {
+            if (!this.staleSince) {
+                this.staleSince = this.lastDataAt;
+            }
+            this.level = level;
+            this.stats[level === 'critical' ? 'criticals' : 'warnings']++;
+            const event = this._event('stale', { silentMs });
+            this._emit('onStale', event);
+            if (level === 'critical') {
+                this._runAction(event);
+            }
+        } else if (level === 'critical') {
+            this._runAction(this._event('stale', { silentMs }));
+        }
+
+        return this.level;
+    }
+
+    getStatus() {
+        return {
+            enabled: this.options.enabled,
+            running: this.isRunning(),
+            level: this.level,
+            lastDataAt: new Date(this.lastDataAt).toISOString(),
+            silentMs: Date.now() - this.lastDataAt,
+            staleSince: this.staleSince ? new Date(this.staleSince).toISOString() : null,
+            warningAfter: this.options.warningAfter,
+            criticalAfter: this.options.criticalAfter,
+            action: this.options.action,
+            ...this.stats
+        };
+    }
+
+    _runAction(event) {
+        const { action, criticalAfter } = this.options;
+        if (!action || action === 'none') {
+            return;
+        }
+
+        const cooldown = this.options.actionCooldown !== null ? this.options.actionCooldown : criticalAfter;
+        if (this.lastActionAt && Date.now() - this.lastActionAt < cooldown) {
+            return;
+        }
+
+        this.lastActionAt = Date.now();
+        this.stats.actions++;
+        this._emit('onAction', action, { ...event, action });
+    }
+
+    _event(type, extra = {}) {
+        const event = {
+            type,
+            source: this.source.type,
+            sourceId: this.source.id,
+            level: this.level,
+            lastDataAt: new Date(this.lastDataAt).toISOString(),
+            staleSince: this.staleSince ? new Date(this.staleSince).toISOString() : null,
+            warningAfter: this.options.warningAfter,
+            criticalAfter: this.options.criticalAfter,
+            action: this.options.action,
+            ...extra,
+            timestamp: new Date().toISOString()
+        };
+        this.stats.lastEvent = { type, level: event.level, timestamp: event.timestamp };
+        return event;
+    }
+
+    _emit(handler, ...args) {
+        if (typeof this.handlers[handler] === 'function') {
+            try {
+                this.handlers[handler](...args);
+            } catch (error) {
+                console.error(`Staleness watchdog ${handler} handler failed:`, error);
+            }
+        }
+    }
+}
+
+module.exports = StalenessWatchdog;
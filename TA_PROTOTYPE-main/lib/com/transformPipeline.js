@@ -0,0 +1,198 @@
+// lib/com/transformPipeline.js
+// Per-field transformation of parsed readings, applied before validation and storage.
+// A definition names a calibration version and a list of steps per field:
+//   {
+//     "version": "oven-1/2026-10",
+//     "fields": {
+//       "temperature": [
+//         { "type": "linear", "scale": 0.0625, "offset": -40 },
+//         { "type": "offset", "value": 0.3 },
+//         { "type": "unit", "from": "C", "to": "F" },
+//         { "type": "clamp", "min": -40, "max": 300 },
+//         { "type": "round", "decimals": 2 }
+//       ],
+//       "pressure": [{ "type": "polynomial", "coefficients": [0.12, 0.004, 0.0000015] }]
+//     }
+//   }
+// Steps run in order. Fields without steps, and fields missing from a reading, are left alone.
+
+// Unit conversions go through a base unit per quantity (kelvin, kilopascal)
+const UNITS = {
+    C: { quantity: 'temperature', toBase: value => value + 273.15, fromBase: value => value - 273.15 },
+    F: { quantity: 'temperature', toBase: value => (value - 32) * 5 / 9 + 273.15, fromBase: value => (value - 273.15) * 9 / 5 + 32 },
+    K: { quantity: 'temperature', toBase: value => value, fromBase: value => value },
+    bar: { quantity: 'pressure', toBase: value => value * 100, fromBase: value => value / 100 },
+    psi: { quantity: 'pressure', toBase: value => value * 6.894757293168, fromBase: value => value / 6.894757293168 },
+    kPa: { quantity: 'pressure', toBase: value => value, fromBase: value => value }
+};
+
+const UNIT_ALIASES = { '°C': 'C', '°F': 'F', celsius: 'C', fahrenheit: 'F', kelvin: 'K', kpa: 'kPa' };
+
+const STEP_TYPES = ['linear', 'polynomial', 'offset', 'unit', 'clamp', 'round'];
+
+class TransformPipeline {
+    constructor(definition = {}) {
+        this.version = definition.version !== undefined && definition.version !== null ?
+            String(definition.version) : null;
+        this.fields = TransformPipeline.normalizeFields(definition.fields || {});
+        this.stats = {
+            records: 0,
+            clamped: 0,
+            errors: 0,
+            lastError: null
+        };
+    }
+
+    // Validate the step definitions up front so a bad config fails at startup, not per reading
+    static normalizeFields(fields) {
+        if (typeof fields !== 'object' || Array.isArray(fields)) {
+            throw new Error("Transform 'fields' must be an object of field -> steps");
+        }
+
+        const normalized = {};
+        for (const [field, steps] of Object.entries(fields)) {
+            if (!Array.isArray(steps)) {
+                throw new Error(`Transform steps for '${field}' must be an array`);
+            }
+            normalized[field] = steps.map((step, index) => TransformPipeline.normalizeStep(field, step, index));
+        }
+        return normalized;
+    }
+
+    static normalizeStep(field, step, index) {
+        const where = `Transform step ${index + 1} of '${field}'`;
+        if (!step || !STEP_TYPES.includes(step.type)) {
+            throw new Error(`${where}: unknown type '${step && step.type}' (expected ${STEP_TYPES.join(', ')})`);
+        }
+
+        switch (step.type) {
+            case 'linear':
+                return { type: 'linear', scale: TransformPipeline._number(step.scale, 1, where), offset: TransformPipeline._number(step.offset, 0, where) };
+            case 'polynomial':
+                if (!Array.isArray(step.coefficients) || step.coefficients.length === 0) {
+                    throw new Error(`${where}: 'coefficients' must be a non-empty array (c0 + c1*x + c2*x^2 ...)`);
+                }
+                return { type: 'polynomial', coefficients: step.coefficients.map(value => TransformPipeline._number(value, null, where)) };
+            case 'offset':
+                return { type: 'offset', value: TransformPipeline._number(step.value, null, where) };
+            case 'unit': {
+                const from = TransformPipeline.resolveUnit(step.from, where);
+                const to = TransformPipeline.resolveUnit(step.to, where);
+                if (UNITS[from].quantity !== UNITS[to].quantity) {
+                    throw new Error(`${where}: cannot convert ${UNITS[from].quantity} (${from}) to ${UNITS[to].quantity} (${to})`);
+                }
+                return { type: 'unit', from, to };
+            }
+            case 'clamp': {
+                const min = step.min !== undefined && step.min !== null ? TransformPipeline._number(step.min, null, where) : null;
+                const max = step.max !== undefined && step.max !== null ? TransformPipeline._number(step.max, null, where) : null;
+                if (min === null && max === null) {
+                    throw new Error(`${where}: clamp needs 'min' and/or 'max'`);
+                }
+                if (min !== null && max !== null && min > max) {
+                    throw new Error(`${where}: clamp 'min' is greater than 'max'`);
+                }
+                return { type: 'clamp', min, max };
+            }
+            default: // 'round'
+                return { type: 'round', decimals: Math.max(0, Math.round(TransformPipeline._number(step.decimals, 2, where))) };
+        }
+    }
+
+    static resolveUnit(unit, where) {
+        const name = UNITS[unit] ? unit : UNIT_ALIASES[unit] || UNIT_ALIASES[String(unit).toLowerCase()];
+        if (!name) {
+            throw new Error(`${where}: unknown unit '${unit}' (expected ${Object.keys(UNITS).join(', ')})`);
+        }
+        return name;
+    }
+
+    static _number(value, fallback, where) {
+        if (value === undefined || value === null) {
+            if (fallback === null) {
+                throw new Error(`${where}: a numeric value is required`);
+            }
+            return fallback;
+        }
+        const number = Number(value);
+        if (!Number.isFinite(number)) {
+            throw new Error(`${where}: '${value}' is not a number`);
+        }
+        return number;
+    }
+
+    hasTransforms() {
+        return Object.keys(this.fields).length > 0;
+    }
+
+    // Returns a transformed copy of the reading. Throws (code TRANSFORM_FAILED) when a
+    // configured field holds a value that isn't a number
+    apply(reading) {
+        const result = { ...reading };
+
+        for (const [field, steps] of Object.entries(this.fields)) {
+            const raw = result[field];
+            if (raw === undefined || raw === null || raw === '') {
+                continue;
+            }
+
+            let value = typeof raw === 'number' ? raw : Number(raw);
+            if (!Number.isFinite(value)) {
+                this.stats.errors++;
+                this.stats.lastError = `'${field}' value '${raw}' is not numeric`;
+                const error = new Error(`Cannot transform ${this.stats.lastError}`);
+                error.code = 'TRANSFORM_FAILED';
+                throw error;
+            }
+
+            for (const step of steps) {
+                value = this._applyStep(step, value);
+            }
+            result[field] = value;
+        }
+
+        this.stats.records++;
+        return result;
+    }
+
+    getStatus() {
+        return {
+            version: this.version,
+            fields: Object.fromEntries(Object.entries(this.fields).map(([field, steps]) => [field, steps.map(step => step.type)])),
+            ...this.stats
+        };
+    }
+
+    _applyStep(step, value) {
+        switch (step.type) {
+            case 'linear':
+                return value * step.scale + step.offset;
+            case 'polynomial':
+                // Horner's method: c0 + x*(c1 + x*(c2 + ...))
+                return step.coefficients.reduceRight((total, coefficient) => total * value + coefficient, 0);
+            case 'offset':
+                return value + step.value;
+            case 'unit':
+                return step.from === step.to ? value : UNITS[step.to].fromBase(UNITS[step.from].toBase(value));
+            case 'clamp': {
+                let clamped = value;
+                if (step.min !== null && clamped < step.min) clamped = step.min;
+                if (step.max !== null && clamped > step.max) clamped = step.max;
+                if (clamped !== value) {
+                    this.stats.clamped++;
+                }
+                return clamped;
+            }
+            case 'round': {
+                const factor = Math.pow(10, step.decimals);
+                return Math.round(value * factor) / factor;
+            }
+            default:
+                return value;
+        }
+    }
+}
+
+TransformPipeline.UNITS = Object.keys(UNITS);
+
+module.exports = TransformPipeline;
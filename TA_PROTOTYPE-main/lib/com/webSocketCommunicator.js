@@ -1,42 +1,116 @@
 // WebSocketHandler.js - Enhanced with database sync capabilities
 const WebSocket = require('ws');
-const crypto = require('crypto');
+const StalenessWatchdog = require('./stalenessWatchdog');
+const MessageGuard = require('./messageGuard');
 const alert = require('../alert');
+const { hasPermission, forbidden, normalizeRole, isProtectedTable, protectedTable } = require('../auth/permissions');
+const LoginThrottle = require('../auth/loginThrottle');
+const TokenService = require('../auth/tokenService');
+const { verifyCredentials } = require('../auth/credentials');
+const ChangeFeed = require('../db/changeFeed');
+
+// Permission needed per client message type (see lib/auth/permissions.js).
+// auth, heartbeat, ping and leave_room need none
+const MESSAGE_PERMISSIONS = {
+    sensor_data: 'data:write',
+    db_create: 'data:write',
+    db_read: 'data:read',
+    db_update: 'data:update',
+    db_delete: 'data:delete',
+    db_subscribe: 'data:read',
+    db_unsubscribe: 'data:read',
+    join_room: 'data:read'
+};
+
+// Message types that name a table (refused for the protected account tables)
+const TABLE_MESSAGES = ['db_create', 'db_read', 'db_update', 'db_delete', 'db_subscribe'];
+
+// Message types accepted before the client has authenticated (when authentication is on)
+const PUBLIC_MESSAGES = ['auth', 'heartbeat', 'ping'];
+
+// db_change 'action' of each change feed type
+const CHANGE_ACTIONS = { inserted: 'create', updated: 'update', deleted: 'delete' };
+
+// Longest delay setTimeout accepts (ms)
+const MAX_TIMER_DELAY = 2147483647;
 
 class WebSocketHandler {
-    constructor(config, dbInstance, windowInstance) {
+    // services: { writeBuffer, ingestionBatcher, schemaValidator, deadLetterStore, loginThrottle, auditLog, tokenService }, each optional
+    constructor(config, dbInstance, windowInstance, services = {}) {
+        const {
+            writeBuffer = null,
+            ingestionBatcher = null,
+            schemaValidator = null,
+            deadLetterStore = null,
+            loginThrottle = null,
+            auditLog = null,
+            tokenService = null
+        } = services;
+
         this.config = {
             port: 8080,
             host: '0.0.0.0',
-            enableAuthentication: false,
-            authToken: null,
+            enableAuthentication: false, // Clients log in with a user account or a REST access token
+            authGracePeriod: 30000, // Time to send a new token once the current one expires (ms)
             dbTableName: 'sensors_data',
             requiredFields: [],
             fieldsToEncrypt: [],
             enableHeartbeat: true,
             heartbeatInterval: 30000, // 30 seconds
             maxConnections: 10,
+            maxPayload: 1024 * 1024, // Larger messages close the connection with 1009 (bytes)
+            rateLimits: {}, // Token bucket per client and message type: { type: { burst, perSecond } }, 'default' for the rest
+            maxViolations: 20, // Rejected messages within violationWindow before the client is disconnected with 4002
+            violationWindow: 60000, // ms
             enableDataValidation: true,
             logLevel: 'info', // 'debug', 'info', 'warn', 'error'
             enableDatabaseSync: true, // NEW: Enable real-time database sync
             enableRoomBroadcast: true, // NEW: Enable room-based broadcasting
+            staleWarningAfter: 0, // No sensor data for this long raises a 'warning' stale event (ms, 0 = watchdog off)
+            staleCriticalAfter: 0, // No sensor data for this long raises a 'critical' stale event (ms, 0 = off)
+            staleCheckInterval: 5000, // How often the data watchdog checks for silence (ms)
+            staleAction: 'none', // On critical: 'none', 'reconnect' (close sensor clients) or 'reset' (send a reset message)
+            clientRole: 'operator', // Role of every client when authentication is off (viewer, operator, engineer, admin)
             
             ...config
         };
 
         this.db = dbInstance;
         this.mainWindow = windowInstance;
+        this.writeBuffer = writeBuffer; // Durable queue for writes during DB outages (lib/db/writeAheadBuffer.js)
+        this.ingestionBatcher = ingestionBatcher; // Groups readings into multi-row inserts (lib/db/ingestionBatcher.js)
+        this.schemaValidator = schemaValidator; // Per-table Joi schemas (lib/db/schemaValidator.js)
+        this.deadLetterStore = deadLetterStore; // Messages that could not be ingested (lib/db/deadLetterStore.js)
+        this.loginThrottle = loginThrottle; // Lockout after repeated failed 'auth' messages, shared with the REST login (lib/auth/loginThrottle.js)
+        this.auditLog = auditLog; // Records db_create/db_update/db_delete (lib/db/auditLog.js)
+        this.tokenService = tokenService; // Issues and verifies the JWTs of the user accounts, shared with the REST API (lib/auth/tokenService.js)
+        this.stopRevocationListener = null;
         this.server = null;
         this.clients = new Map(); // Store client connections with metadata
         this.rooms = new Map(); // NEW: Store room subscriptions
-        this.dbSubscriptions = new Map(); // NEW: Store database subscriptions
+        this.dbSubscriptions = new Map(); // table -> { clients: Map(clientId -> filters), feed, unsubscribe }
         this.isRunning = false;
         this.connectionCount = 0;
-        
-        // Generate auth token if authentication is enabled but no token provided
-        if (this.config.enableAuthentication && !this.config.authToken) {
-            this.config.authToken = this._generateAuthToken();
-        }
+        this.messageGuard = new MessageGuard({
+            rateLimits: this.config.rateLimits,
+            maxViolations: this.config.maxViolations,
+            violationWindow: this.config.violationWindow
+        });
+        this.dataWatchdog = new StalenessWatchdog(
+            { type: 'websocket', id: 'server' },
+            {
+                enabled: this.config.staleWarningAfter > 0,
+                warningAfter: this.config.staleWarningAfter,
+                criticalAfter: this.config.staleCriticalAfter,
+                checkInterval: this.config.staleCheckInterval,
+                action: this.config.staleAction
+            },
+            {
+                onStale: event => this._handleStaleData(event),
+                onRecovered: event => this._handleDataRecovered(event),
+                onAction: action => this._runStaleAction(action)
+            }
+        );
     }
 
     // Start WebSocket server
@@ -50,16 +124,26 @@ class WebSocketHandler {
             this.server = new WebSocket.Server({
                 port: this.config.port,
                 host: this.config.host,
-                maxPayload: 1024 * 1024, // 1MB max payload
+                maxPayload: this.config.maxPayload,
             });
 
             this._setupServerEventHandlers();
             this.isRunning = true;
+            this.dataWatchdog.start();
             
             alert.websocket.serverStarted(this.config.port);
             
+            if (this.tokenService) {
+                // Disabled, deleted, reset or re-roled users lose their sessions right away
+                this.stopRevocationListener = this.tokenService.onUserRevoked(userId => this._revokeUserSessions(userId));
+            }
+
             if (this.config.enableAuthentication) {
-                this._log('info', `Authentication enabled. Token: ${this.config.authToken}`);
+                if (this.tokenService) {
+                    this._log('info', 'Authentication enabled (user accounts and access tokens)');
+                } else {
+                    this._log('warn', 'Authentication enabled without a token service, every client will be refused');
+                }
             }
 
             this._sendToRenderer('websocket-server-status', {
@@ -67,7 +151,6 @@ class WebSocketHandler {
                 port: this.config.port,
                 host: this.config.host,
                 authEnabled: this.config.enableAuthentication,
-                authToken: this.config.enableAuthentication ? this.config.authToken : null,
                 timestamp: new Date().toISOString()
             });
 
@@ -97,6 +180,19 @@ class WebSocketHandler {
             });
             this.clients.clear();
 
+            // Stop listening for database changes
+            this.dbSubscriptions.forEach(subscription => {
+                if (subscription.unsubscribe) {
+                    subscription.unsubscribe();
+                }
+            });
+            this.dbSubscriptions.clear();
+
+            if (this.stopRevocationListener) {
+                this.stopRevocationListener();
+                this.stopRevocationListener = null;
+            }
+
             // Close server
             if (this.server) {
                 this.server.close(() => {
@@ -106,6 +202,7 @@ class WebSocketHandler {
 
             this.isRunning = false;
             this.connectionCount = 0;
+            this.dataWatchdog.stop();
 
             this._sendToRenderer('websocket-server-status', {
                 status: 'stopped',
@@ -160,8 +257,17 @@ class WebSocketHandler {
             connectedAt: new Date(),
             lastHeartbeat: new Date(),
             isAuthenticated: !this.config.enableAuthentication, // Auto-auth if disabled
+            // With authentication on, the identity and role come from the client's access token
+            user: null,
+            username: null,
+            role: this.config.enableAuthentication ? null : normalizeRole(this.config.clientRole, 'operator'),
+            token: null,
+            tokenExpiresAt: null,
+            expiryTimer: null,
+            graceTimer: null,
             dataReceived: 0,
-            lastDataTime: null
+            lastDataTime: null,
+            lastSensorDataTime: null
         };
 
         this.clients.set(ws, clientData);
@@ -183,6 +289,13 @@ class WebSocketHandler {
             timestamp: new Date().toISOString()
         });
 
+        // An access token in the connection URL (?token=...) or an "Authorization: Bearer"
+        // header authenticates the client right away, like an 'auth' message
+        const connectionToken = this._connectionToken(request);
+        if (this.config.enableAuthentication && connectionToken) {
+            this._handleAuthentication(ws, clientData, { type: 'auth', token: connectionToken });
+        }
+
         // Log client connection with enhanced alert system
         alert.websocket.clientConnected(clientId, this.connectionCount);
         
@@ -206,6 +319,13 @@ class WebSocketHandler {
         });
 
         ws.on('error', (error) => {
+            // ws closes the connection itself (1009) after a message over maxPayload
+            if (error.code === 'WS_ERR_UNSUPPORTED_MESSAGE_LENGTH') {
+                this.messageGuard.recordViolation(clientData.id, 'payloadTooLarge');
+                this.messageGuard.recordDisconnect();
+                this._log('warn', `Client ${clientData.id} sent a message over ${this.config.maxPayload} bytes, disconnected`);
+                return;
+            }
             this._log('error', `Client ${clientData.id} error: ${error.message}`);
             this._sendToRenderer('websocket-client-error', {
                 clientId: clientData.id,
@@ -222,13 +342,47 @@ class WebSocketHandler {
 
     // Handle incoming messages from clients
     _handleClientMessage(ws, clientData, rawData) {
+        let message = null;
         try {
-            const message = JSON.parse(rawData.toString());
+            message = JSON.parse(rawData.toString());
             this._log('debug', `Message from ${clientData.id}:`, message);
 
             clientData.lastDataTime = new Date();
             clientData.dataReceived++;
 
+            const rejection = this.messageGuard.check(clientData.id, message);
+            if (rejection) {
+                this._sendToClient(ws, {
+                    type: 'error',
+                    code: rejection.code,
+                    message: rejection.message,
+                    requestType: message && message.type,
+                    ...(rejection.retryAfter ? { retryAfter: rejection.retryAfter } : {}),
+                    timestamp: new Date().toISOString()
+                });
+                this._recordViolation(ws, clientData);
+                return;
+            }
+
+            if (this.config.enableAuthentication && !PUBLIC_MESSAGES.includes(message.type) && !this._sessionValid(ws, clientData)) {
+                this._sendToClient(ws, {
+                    type: 'error',
+                    code: 'AUTH_REQUIRED',
+                    message: 'Authentication required',
+                    requestType: message.type,
+                    timestamp: new Date().toISOString()
+                });
+                return;
+            }
+
+            const permission = MESSAGE_PERMISSIONS[message.type];
+            if (permission && !this._checkPermission(ws, clientData, message.type, permission)) {
+                return;
+            }
+            if (TABLE_MESSAGES.includes(message.type) && !this._checkTable(ws, clientData, message)) {
+                return;
+            }
+
             // Handle different message types
             switch (message.type) {
                 case 'auth':
@@ -292,16 +446,43 @@ class WebSocketHandler {
 
         } catch (error) {
             this._log('error', `Error parsing message from ${clientData.id}: ${error.message}`);
+            if (message === null) {
+                this._deadLetter(rawData.toString(), { stage: 'parse', reason: `Invalid JSON: ${error.message}` }, {
+                    clientId: clientData.id,
+                    clientIp: clientData.ip,
+                    receivedAt: new Date().toISOString()
+                });
+            }
             this._sendToClient(ws, {
                 type: 'error',
                 message: 'Invalid JSON format',
                 timestamp: new Date().toISOString()
             });
+            if (message === null) {
+                this._recordViolation(ws, clientData, 'invalidJson');
+            }
         }
     }
 
-    // Handle authentication
-    _handleAuthentication(ws, clientData, message) {
+    // Count a rejected message; a client with maxViolations within violationWindow is disconnected
+    _recordViolation(ws, clientData, kind) {
+        if (!this.messageGuard.recordViolation(clientData.id, kind) || ws.readyState !== WebSocket.OPEN) {
+            return;
+        }
+        this.messageGuard.recordDisconnect();
+        this._log('warn', `Client ${clientData.id} (${clientData.ip}) sent ${this.config.maxViolations} rejected messages within ${Math.round(this.config.violationWindow / 1000)}s, disconnecting`);
+        this._sendToRenderer('websocket-client-error', {
+            clientId: clientData.id,
+            error: 'Disconnected for too many rejected messages',
+            timestamp: new Date().toISOString()
+        });
+        ws.close(4002, 'Too many rejected messages');
+    }
+
+    // Handle authentication: { token } (a REST access token) or { username, password }.
+    // A password login answers with a token pair, so the client can refresh it at
+    // /api/auth/refresh and send the new access token before the current one expires
+    async _handleAuthentication(ws, clientData, message) {
         if (!this.config.enableAuthentication) {
             this._sendToClient(ws, {
                 type: 'auth_response',
@@ -312,41 +493,212 @@ class WebSocketHandler {
             return;
         }
 
-        if (message.token === this.config.authToken) {
-            clientData.isAuthenticated = true;
-            this._log('info', `Client ${clientData.id} authenticated successfully`);
-            
-            this._sendToClient(ws, {
-                type: 'auth_response',
-                success: true,
-                message: 'Authentication successful',
-                timestamp: new Date().toISOString()
-            });
+        // Failures count per client IP and, for a password login, per username
+        const attempt = { ip: clientData.ip, username: message.token ? null : message.username, origin: 'websocket' };
+        const lock = this.loginThrottle ? this.loginThrottle.check(attempt) : null;
+        if (lock) {
+            this._rejectLockedClient(ws, clientData, lock);
+            return;
+        }
+
+        let payload;
+        let tokens = null;
+        try {
+            ({ payload, tokens } = await this._verifyAuthMessage(message));
+        } catch (error) {
+            this._log('warn', `Authentication failed for client ${clientData.id}: ${error.message}`);
+
+            // Guessed passwords and forged tokens count towards a lockout; expired or revoked tokens do not
+            const guessed = error.code === 'INVALID_CREDENTIALS' || error.code === 'TOKEN_INVALID';
+            const lockout = this.loginThrottle && guessed ? this.loginThrottle.recordFailure(attempt) : null;
+            if (lockout) {
+                this._rejectLockedClient(ws, clientData, lockout);
+                return;
+            }
 
-            this._sendToRenderer('websocket-client-authenticated', {
-                clientId: clientData.id,
-                ip: clientData.ip,
-                timestamp: new Date().toISOString()
-            });
-        } else {
-            this._log('warn', `Authentication failed for client ${clientData.id}`);
-            
             this._sendToClient(ws, {
                 type: 'auth_response',
                 success: false,
-                message: 'Invalid authentication token',
+                message: error.message,
+                code: error.code || null,
                 timestamp: new Date().toISOString()
             });
-            
-            // Close connection after failed auth
-            setTimeout(() => {
-                if (ws.readyState === WebSocket.OPEN) {
-                    ws.close(1008, 'Authentication failed');
-                }
-            }, 1000);
+
+            // An expired token can be refreshed and sent again; other failures end the connection
+            if (error.code !== 'TOKEN_EXPIRED') {
+                setTimeout(() => {
+                    if (ws.readyState === WebSocket.OPEN) {
+                        ws.close(1008, 'Authentication failed');
+                    }
+                }, 1000);
+            }
+            return;
+        }
+
+        if (this.loginThrottle) {
+            this.loginThrottle.recordSuccess({ username: payload.username });
+        }
+        this._startSession(ws, clientData, payload, tokens ? tokens.accessToken : message.token);
+        this._log('info', `Client ${clientData.id} authenticated as ${clientData.username} (${clientData.role})`);
+
+        this._sendToClient(ws, {
+            type: 'auth_response',
+            success: true,
+            message: 'Authentication successful',
+            user: clientData.user,
+            expiresAt: clientData.tokenExpiresAt.toISOString(),
+            ...(tokens || {}),
+            timestamp: new Date().toISOString()
+        });
+
+        this._sendToRenderer('websocket-client-authenticated', {
+            clientId: clientData.id,
+            ip: clientData.ip,
+            username: clientData.username,
+            role: clientData.role,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // Resolves { payload, tokens } for a valid 'auth' message (tokens only for a password
+    // login). Throws with the code of the token service, INVALID_CREDENTIALS, ACCOUNT_DISABLED,
+    // PASSWORD_CHANGE_REQUIRED (temporary password) or AUTH_UNAVAILABLE
+    async _verifyAuthMessage(message) {
+        if (!this.tokenService) {
+            const error = new Error('Authentication is not available');
+            error.code = 'AUTH_UNAVAILABLE';
+            throw error;
+        }
+        if (message.token) {
+            const payload = this.tokenService.verifyAccessToken(message.token);
+            if (payload.mustChangePassword) {
+                throw TokenService.passwordChangeRequired();
+            }
+            return { payload, tokens: null };
+        }
+        if (!message.username || !message.password) {
+            const error = new Error('Send an access token or a username and password');
+            error.code = 'TOKEN_MISSING';
+            throw error;
+        }
+
+        const user = await verifyCredentials(this.db, message.username, message.password);
+        if (!user) {
+            const error = new Error('Invalid username or password');
+            error.code = 'INVALID_CREDENTIALS';
+            throw error;
+        }
+        if (user.must_change_password) {
+            throw TokenService.passwordChangeRequired();
+        }
+        const tokens = this.tokenService.issueTokens(user);
+        return { payload: this.tokenService.verifyAccessToken(tokens.accessToken), tokens };
+    }
+
+    // Attach the identity of a verified access token to the client. When the token expires
+    // the client is asked for a new one (see _sessionValid)
+    _startSession(ws, clientData, payload, token) {
+        this._clearSessionTimers(clientData);
+        clientData.isAuthenticated = true;
+        clientData.user = { id: payload.sub, username: payload.username, role: normalizeRole(payload.role) };
+        clientData.username = payload.username;
+        clientData.role = clientData.user.role;
+        clientData.token = token;
+        clientData.tokenExpiresAt = new Date(payload.exp * 1000);
+
+        const delay = Math.min(Math.max(clientData.tokenExpiresAt.getTime() - Date.now(), 0), MAX_TIMER_DELAY);
+        clientData.expiryTimer = setTimeout(() => this._sessionValid(ws, clientData), delay);
+    }
+
+    // Re-validate the client's access token (expiry, revocation). An invalid token ends the
+    // session: the client gets 'auth_expired' and authGracePeriod to send a new one
+    _sessionValid(ws, clientData) {
+        if (!clientData.isAuthenticated) {
+            return false;
+        }
+        try {
+            this.tokenService.verifyAccessToken(clientData.token);
+            return true;
+        } catch (error) {
+            this._endSession(ws, clientData, error);
+            return false;
         }
     }
 
+    _endSession(ws, clientData, error) {
+        this._clearSessionTimers(clientData);
+        clientData.isAuthenticated = false;
+        clientData.token = null;
+        this._log('info', `Session of client ${clientData.id} (${clientData.username}) ended: ${error.message}`);
+
+        this._sendToClient(ws, {
+            type: 'auth_expired',
+            code: error.code || 'TOKEN_INVALID',
+            message: `${error.message}. Send a new access token within ${Math.round(this.config.authGracePeriod / 1000)}s`,
+            gracePeriod: this.config.authGracePeriod,
+            timestamp: new Date().toISOString()
+        });
+
+        clientData.graceTimer = setTimeout(() => {
+            if (!clientData.isAuthenticated && ws.readyState === WebSocket.OPEN) {
+                ws.close(4001, 'Authentication expired');
+            }
+        }, this.config.authGracePeriod);
+    }
+
+    // End the sessions of a user whose tokens were revoked (see TokenService.onUserRevoked)
+    _revokeUserSessions(userId) {
+        this.clients.forEach((clientData, ws) => {
+            if (clientData.isAuthenticated && clientData.user && String(clientData.user.id) === String(userId)) {
+                const error = new Error('Token has been revoked');
+                error.code = 'TOKEN_REVOKED';
+                this._endSession(ws, clientData, error);
+            }
+        });
+    }
+
+    _clearSessionTimers(clientData) {
+        clearTimeout(clientData.expiryTimer);
+        clearTimeout(clientData.graceTimer);
+        clientData.expiryTimer = null;
+        clientData.graceTimer = null;
+    }
+
+    // Access token of the connection request: ?token=... or "Authorization: Bearer ..."
+    _connectionToken(request) {
+        try {
+            const token = new URL(request.url || '/', 'ws://localhost').searchParams.get('token');
+            if (token) {
+                return token;
+            }
+        } catch (error) {
+            // Malformed URL: no token
+        }
+        const [scheme, token] = (request.headers.authorization || '').split(' ');
+        return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+    }
+
+    // Refuse an 'auth' message from a locked client IP or username and close the connection
+    _rejectLockedClient(ws, clientData, lock) {
+        const error = LoginThrottle.lockedError(lock);
+        this._log('warn', `Authentication refused for client ${clientData.id}: ${error.code}`);
+
+        this._sendToClient(ws, {
+            type: 'auth_response',
+            success: false,
+            message: error.message,
+            code: error.code,
+            retryAfter: error.retryAfter,
+            timestamp: new Date().toISOString()
+        });
+
+        setTimeout(() => {
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.close(1008, 'Too many failed authentication attempts');
+            }
+        }, 1000);
+    }
+
     // Handle sensor data
     _handleSensorData(ws, clientData, message) {
         if (this.config.enableAuthentication && !clientData.isAuthenticated) {
@@ -360,28 +712,26 @@ class WebSocketHandler {
 
         try {
             const sensorData = message.data || message.payload || message;
-            
-            // Validate required fields
-            if (this.config.enableDataValidation && !this._validateSensorData(sensorData)) {
+            const meta = { clientId: clientData.id, clientIp: clientData.ip, receivedAt: new Date().toISOString() };
+            const prepared = this._prepareSensorRecord(sensorData, meta);
+
+            if (!prepared.accepted) {
+                this._deadLetter(message, prepared, meta);
                 this._sendToClient(ws, {
                     type: 'data_response',
                     success: false,
-                    message: 'Data validation failed',
+                    message: prepared.stage === 'schema' ? 'Schema validation failed' : 'Data validation failed',
+                    ...(prepared.errors ? { errors: prepared.errors } : {}),
                     timestamp: new Date().toISOString()
                 });
                 return;
             }
 
-            // Add metadata
-            const dataToSave = {
-                ...sensorData,
-                client_id: clientData.id,
-                client_ip: clientData.ip,
-                received_at: new Date().toISOString()
-            };
+            clientData.lastSensorDataTime = new Date();
+            this.dataWatchdog.touch();
 
             // Save to database
-            this._saveToDatabase(dataToSave, ws, clientData);
+            this._saveToDatabase(prepared.record, ws, clientData);
 
             this._log('info', `Sensor data received from ${clientData.id}:`, sensorData);
 
@@ -403,6 +753,81 @@ class WebSocketHandler {
         }
     }
 
+    // Check sensor data and build the record to store (sensor data plus client metadata).
+    // Returns { accepted: true, record } or { accepted: false, stage, reason, errors }
+    _prepareSensorRecord(sensorData, meta) {
+        // Validate required fields
+        if (this.config.enableDataValidation && !this._validateSensorData(sensorData)) {
+            return { accepted: false, stage: 'required', reason: 'Missing required fields' };
+        }
+
+        // Add metadata
+        const record = {
+            ...sensorData,
+            client_id: meta.clientId,
+            client_ip: meta.clientIp,
+            received_at: meta.receivedAt
+        };
+
+        // Enforce the table schema (types, ranges, enums) on the final record
+        if (this.schemaValidator) {
+            const validation = this.schemaValidator.validate(this.config.dbTableName, record, {
+                source: `websocket:${meta.clientId}`
+            });
+            if (!validation.valid) {
+                this._log('warn', `Sensor data from ${meta.clientId} rejected by ${this.config.dbTableName} schema`);
+                return {
+                    accepted: false,
+                    stage: 'schema',
+                    reason: validation.errors.map(error => error.message).join('; '),
+                    errors: validation.errors
+                };
+            }
+            return { accepted: true, record: validation.value };
+        }
+
+        return { accepted: true, record };
+    }
+
+    // Keep a rejected message in the dead-letter store (see deadLetterStore.js)
+    _deadLetter(raw, rejection, meta) {
+        if (!this.deadLetterStore) {
+            return;
+        }
+        const entry = this.deadLetterStore.add({
+            sourceType: 'websocket',
+            sourceId: meta.clientId,
+            parser: 'json',
+            table: this.config.dbTableName,
+            stage: rejection.stage,
+            reason: rejection.reason,
+            raw: typeof raw === 'string' ? raw : JSON.stringify(raw),
+            meta
+        });
+        this._sendToRenderer('dead-letter-added', entry);
+    }
+
+    // Run a dead-letter entry through the current validation and store it (retry after a config fix).
+    // The original client ID, IP and receive time are kept
+    reprocessDeadLetter(entry) {
+        let message;
+        try {
+            message = JSON.parse(entry.raw);
+        } catch (error) {
+            return { accepted: false, stage: 'parse', reason: `Invalid JSON: ${error.message}` };
+        }
+
+        const meta = entry.meta || { clientId: entry.sourceId, clientIp: null, receivedAt: entry.createdAt };
+        const sensorData = message.data || message.payload || message;
+        const prepared = this._prepareSensorRecord(sensorData, meta);
+        if (!prepared.accepted) {
+            return prepared;
+        }
+
+        this._saveToDatabase(prepared.record, null, { id: meta.clientId });
+        return { accepted: true };
+    }
+
     // Handle heartbeat
     _handleHeartbeat(ws, clientData, message) {
         clientData.lastHeartbeat = new Date();
@@ -449,8 +874,27 @@ class WebSocketHandler {
                 }
             }
 
-            const result = await this.db.postData(this.config.dbTableName, dataToInsert);
-            
+            // With a batcher, data is inserted in batches; with a write buffer, data received
+            // while the database is unreachable is queued on disk
+            const source = `websocket:${clientData.id}`;
+            const writer = this.ingestionBatcher || this.writeBuffer;
+            const outcome = writer ?
+                await writer.write(this.config.dbTableName, dataToInsert, { source }) :
+                { buffered: false, result: await this.db.postData(this.config.dbTableName, dataToInsert) };
+
+            if (outcome.buffered) {
+                this._log('debug', `Database unavailable, data from ${clientData.id} buffered (seq ${outcome.seq}, depth ${outcome.depth})`);
+                this._sendToClient(ws, {
+                    type: 'data_response',
+                    success: true,
+                    buffered: true,
+                    timestamp: new Date().toISOString()
+                });
+                this._sendToRenderer('database-buffer-status', { ...this.writeBuffer.getStatus(), source });
+                return;
+            }
+
+            const result = outcome.result;
             this._log('info', `Data saved to database (${this.config.dbTableName}): ID ${result.insertId}`);
 
             // Send success response to client
@@ -490,6 +934,11 @@ class WebSocketHandler {
 
     // Handle client disconnection
     _handleClientDisconnection(ws, clientData, code, reason) {
+        this._clearSessionTimers(clientData);
+        this.messageGuard.forgetClient(clientData.id);
+        for (const table of [...this.dbSubscriptions.keys()]) {
+            this._removeDbSubscription(clientData.id, table);
+        }
         this.clients.delete(ws);
         alert.websocket.clientDisconnected(clientData.id, this.connectionCount);
         
@@ -526,7 +975,7 @@ class WebSocketHandler {
 
     // Send message to specific client
     _sendToClient(ws, message) {
-        if (ws.readyState === WebSocket.OPEN) {
+        if (ws && ws.readyState === WebSocket.OPEN) {
             try {
                 ws.send(JSON.stringify(message));
             } catch (error) {
@@ -570,7 +1019,8 @@ class WebSocketHandler {
                 this.clients.get(ws).id === clientId
             );
             
-            if (ws && ws.readyState === WebSocket.OPEN) {
+            // Clients waiting to re-authenticate get no room data
+            if (ws && ws.readyState === WebSocket.OPEN && this.clients.get(ws).isAuthenticated) {
                 try {
                     ws.send(messageStr);
                     sentCount++;
@@ -584,6 +1034,19 @@ class WebSocketHandler {
         return sentCount;
     }
 
+    // Run a database change for a client and record it in the audit log
+    _audited(clientData, context, run) {
+        if (!this.auditLog) {
+            return run();
+        }
+        return this.auditLog.trackMutation(this.db, {
+            actor: clientData.username || clientData.id,
+            origin: 'websocket',
+            ip: clientData.ip,
+            ...context
+        }, run);
+    }
+
     // NEW: Database operation handlers
     async _handleDatabaseCreate(ws, clientData, message) {
         if (!this._checkAuthAndSend(ws, clientData)) return;
@@ -600,7 +1063,8 @@ class WebSocketHandler {
                 return;
             }
 
-            const result = await this.db.postData(table, data);
+            const result = await this._audited(clientData, { action: 'data.insert', table, data },
+                () => this.db.postData(table, data));
             
             this._sendToClient(ws, {
                 type: 'db_create_response',
@@ -609,15 +1073,13 @@ class WebSocketHandler {
                 timestamp: new Date().toISOString()
             });
 
-            // Broadcast to room subscribers if enabled
-            if (this.config.enableDatabaseSync) {
-                this.broadcastToRoom(`db_${table}`, {
-                    type: 'db_change',
-                    action: 'create',
+            // A database without a change feed only reports the writes of this server
+            if (this.config.enableDatabaseSync && !this._hasChangeFeed()) {
+                const rows = Array.isArray(data) ? data : [data];
+                this._deliverChange({
                     table,
-                    data: result,
-                    clientId: clientData.id,
-                    timestamp: new Date().toISOString()
+                    type: 'inserted',
+                    rows: rows.map(row => (result && result.insertId !== undefined ? { ...row, id: result.insertId } : row))
                 });
             }
 
@@ -675,7 +1137,7 @@ class WebSocketHandler {
         if (!this._checkAuthAndSend(ws, clientData)) return;
 
         try {
-            const { table, data, whereClause, whereParams } = message.data || message;
+            const { table, data } = message.data || message;
             if (!table || !data) {
                 this._sendToClient(ws, {
                     type: 'db_update_response',
@@ -686,7 +1148,20 @@ class WebSocketHandler {
                 return;
             }
 
-            const result = await this.db.updateData(table, data, whereClause || '', whereParams || []);
+            const conditions = this._boundConditions(message.data || message);
+            if (!conditions) {
+                this._sendToClient(ws, {
+                    type: 'db_update_response',
+                    success: false,
+                    error: "db_update needs conditions: 'where': { column: value }",
+                    timestamp: new Date().toISOString()
+                });
+                return;
+            }
+            const filter = ChangeFeed.filtersToWhere(conditions);
+
+            const result = await this._audited(clientData, { action: 'data.update', table, data, ...filter },
+                () => this.db.updateData(table, data, filter.whereClause, filter.whereParams));
             
             this._sendToClient(ws, {
                 type: 'db_update_response',
@@ -695,16 +1170,9 @@ class WebSocketHandler {
                 timestamp: new Date().toISOString()
             });
 
-            // Broadcast to room subscribers if enabled
-            if (this.config.enableDatabaseSync) {
-                this.broadcastToRoom(`db_${table}`, {
-                    type: 'db_change',
-                    action: 'update',
-                    table,
-                    data: { whereClause, whereParams, updateData: data },
-                    clientId: clientData.id,
-                    timestamp: new Date().toISOString()
-                });
+            // A database without a change feed only reports the writes of this server
+            if (this.config.enableDatabaseSync && !this._hasChangeFeed()) {
+                this._deliverChange({ table, type: 'updated', changes: data, filter });
             }
 
             this._log('info', `Database update via WebSocket: ${table} by ${clientData.id}`);
@@ -720,11 +1188,19 @@ class WebSocketHandler {
         }
     }
 
+    // The { column: value } conditions of a db_update/db_delete: 'where', or the same as
+    // 'column = ? AND ...' in whereClause/whereParams. null when there are none or the clause
+    // holds anything else. The statement is rebuilt with bound values, never passed on as SQL
+    _boundConditions({ where, whereClause, whereParams }) {
+        const conditions = where || ChangeFeed.whereToFilters(whereClause || '', whereParams || []);
+        return conditions && Object.keys(conditions).length > 0 ? conditions : null;
+    }
+
     async _handleDatabaseDelete(ws, clientData, message) {
         if (!this._checkAuthAndSend(ws, clientData)) return;
 
         try {
-            const { table, whereClause, whereParams } = message.data || message;
+            const { table } = message.data || message;
             if (!table) {
                 this._sendToClient(ws, {
                     type: 'db_delete_response',
@@ -735,9 +1211,22 @@ class WebSocketHandler {
                 return;
             }
 
-            const result = await this.db.deleteData ? 
-                await this.db.deleteData(table, whereClause || '', whereParams || []) :
-                await this.db.table(table).where(whereClause || {}).delete();
+            const conditions = this._boundConditions(message.data || message);
+            if (!conditions) {
+                this._sendToClient(ws, {
+                    type: 'db_delete_response',
+                    success: false,
+                    error: "db_delete needs conditions: 'where': { column: value }",
+                    timestamp: new Date().toISOString()
+                });
+                return;
+            }
+            const filter = ChangeFeed.filtersToWhere(conditions);
+
+            const result = await this._audited(clientData, { action: 'data.delete', table, ...filter },
+                () => (this.db.deleteData ?
+                    this.db.deleteData(table, filter.whereClause, filter.whereParams) :
+                    this.db.table(table).where(conditions).delete()));
             
             this._sendToClient(ws, {
                 type: 'db_delete_response',
@@ -746,16 +1235,9 @@ class WebSocketHandler {
                 timestamp: new Date().toISOString()
             });
 
-            // Broadcast to room subscribers if enabled
-            if (this.config.enableDatabaseSync) {
-                this.broadcastToRoom(`db_${table}`, {
-                    type: 'db_change',
-                    action: 'delete',
-                    table,
-                    data: { whereClause, whereParams },
-                    clientId: clientData.id,
-                    timestamp: new Date().toISOString()
-                });
+            // A database without a change feed only reports the writes of this server
+            if (this.config.enableDatabaseSync && !this._hasChangeFeed()) {
+                this._deliverChange({ table, type: 'deleted', filter });
             }
 
             this._log('info', `Database delete via WebSocket: ${table} by ${clientData.id}`);
@@ -771,6 +1253,9 @@ class WebSocketHandler {
         }
     }
 
+    // Subscribe the client to the changes of a table. Its filters ({ column: value }) are
+    // evaluated here, per client, against the changed rows: it only receives matching rows.
+    // Subscribing to the same table again replaces the filters
     _handleDatabaseSubscribe(ws, clientData, message) {
         if (!this._checkAuthAndSend(ws, clientData)) return;
 
@@ -786,40 +1271,20 @@ class WebSocketHandler {
                 return;
             }
 
-            const roomId = `db_${table}`;
-            
-            // Add client to room
-            if (!this.rooms.has(roomId)) {
-                this.rooms.set(roomId, { 
-                    clients: new Set(), 
-                    table, 
-                    filters: filters || {},
-                    createdAt: new Date() 
-                });
-            }
-            
-            this.rooms.get(roomId).clients.add(clientData.id);
-            
-            // If database supports real-time subscriptions (like Firestore)
-            if (this.db.subscribe && !this.dbSubscriptions.has(roomId)) {
-                const unsubscribe = this.db.subscribe(table, (changes) => {
-                    this.broadcastToRoom(roomId, {
-                        type: 'db_realtime',
-                        table,
-                        changes,
-                        timestamp: new Date().toISOString()
-                    });
-                }, filters);
-                
-                this.dbSubscriptions.set(roomId, unsubscribe);
-                this._log('info', `Real-time database subscription created for ${table}`);
+            let subscription = this.dbSubscriptions.get(table);
+            if (!subscription) {
+                subscription = this._createDbSubscription(table);
+                this.dbSubscriptions.set(table, subscription);
+                this._log('info', `Database change subscription created for ${table} (${subscription.feed})`);
             }
-            
+            subscription.clients.set(clientData.id, filters || {});
+
             this._sendToClient(ws, {
                 type: 'db_subscribe_response',
                 success: true,
                 table,
-                roomId,
+                filters: filters || {},
+                feed: subscription.feed,
                 timestamp: new Date().toISOString()
             });
 
@@ -840,25 +1305,8 @@ class WebSocketHandler {
         const { table } = message.data || message;
         if (!table) return;
 
-        const roomId = `db_${table}`;
-        
-        if (this.rooms.has(roomId)) {
-            this.rooms.get(roomId).clients.delete(clientData.id);
-            
-            // Remove room if no clients left
-            if (this.rooms.get(roomId).clients.size === 0) {
-                // Unsubscribe from database if applicable
-                const unsubscribe = this.dbSubscriptions.get(roomId);
-                if (unsubscribe) {
-                    unsubscribe();
-                    this.dbSubscriptions.delete(roomId);
-                }
-                
-                this.rooms.delete(roomId);
-                this._log('info', `Database subscription removed for ${table} (no clients left)`);
-            }
-        }
-        
+        this._removeDbSubscription(clientData.id, table);
+
         this._sendToClient(ws, {
             type: 'db_unsubscribe_response',
             success: true,
@@ -869,6 +1317,113 @@ class WebSocketHandler {
         this._log('info', `Client ${clientData.id} unsubscribed from database table: ${table}`);
     }
 
+    // One source of changes per table, shared by its subscribers:
+    //   'adapter'   the change feed of the DatabaseAdapter (every write, every backend)
+    //   'firestore' a Firestore snapshot listener (legacy FirebaseDB without the adapter)
+    //   'local'     only the writes made through this server
+    _createDbSubscription(table) {
+        const subscription = { clients: new Map(), feed: 'local', unsubscribe: null };
+        if (this._hasChangeFeed()) {
+            subscription.feed = 'adapter';
+            subscription.unsubscribe = this.db.onChange(table, change => this._deliverChange(change));
+        } else if (typeof this.db.subscribe === 'function') {
+            const unsubscribe = this.db.subscribe(table, snapshot => this._deliverSnapshot(table, snapshot));
+            if (typeof unsubscribe === 'function') {
+                subscription.feed = 'firestore';
+                subscription.unsubscribe = unsubscribe;
+            }
+        }
+        return subscription;
+    }
+
+    _removeDbSubscription(clientId, table) {
+        const subscription = this.dbSubscriptions.get(table);
+        if (!subscription || !subscription.clients.delete(clientId) || subscription.clients.size > 0) {
+            return;
+        }
+        if (subscription.unsubscribe) {
+            subscription.unsubscribe();
+        }
+        this.dbSubscriptions.delete(table);
+        this._log('info', `Database subscription removed for ${table} (no clients left)`);
+    }
+
+    _hasChangeFeed() {
+        return Boolean(this.db) && typeof this.db.onChange === 'function';
+    }
+
+    // Send a change (see lib/db/changeFeed.js) to each subscriber with matching rows. An update
+    // matches when the row matched the filters before or after it. Changes whose rows are not
+    // known only go to subscribers without filters
+    _deliverChange(change) {
+        const subscription = this.dbSubscriptions.get(change.table);
+        if (!subscription) {
+            return;
+        }
+        const rows = change.rows || null;
+        const previousRows = change.previousRows || null;
+
+        subscription.clients.forEach((filters, clientId) => {
+            let matching = null;
+            if (rows) {
+                matching = rows.map((row, index) => index).filter(index =>
+                    ChangeFeed.matches(rows[index], filters) ||
+                    (previousRows !== null && ChangeFeed.matches(previousRows[index], filters)));
+                if (matching.length === 0) {
+                    return;
+                }
+            } else if (Object.keys(filters).length > 0) {
+                return;
+            }
+
+            this._sendToSubscriber(clientId, {
+                type: 'db_change',
+                action: CHANGE_ACTIONS[change.type],
+                table: change.table,
+                ...(change.source ? { source: change.source } : {}),
+                rows: matching ? matching.map(index => rows[index]) : null,
+                ...(previousRows ? { previousRows: matching.map(index => previousRows[index]) } : {}),
+                ...(change.changes ? { changes: change.changes } : {}),
+                ...(change.filter ? { filter: change.filter } : {}),
+                truncated: Boolean(change.truncated),
+                timestamp: change.timestamp || new Date().toISOString()
+            });
+        });
+    }
+
+    // Firestore snapshot of a legacy FirebaseDB: the changed documents matching each subscriber
+    _deliverSnapshot(table, snapshot) {
+        const subscription = this.dbSubscriptions.get(table);
+        if (!subscription) {
+            return;
+        }
+        subscription.clients.forEach((filters, clientId) => {
+            const changes = (snapshot.changes || []).filter(change => ChangeFeed.matches(change.data, filters));
+            if (snapshot.type === 'snapshot' && changes.length === 0) {
+                return;
+            }
+            this._sendToSubscriber(clientId, {
+                type: 'db_realtime',
+                table,
+                changes,
+                ...(snapshot.error ? { error: snapshot.error } : {}),
+                timestamp: new Date().toISOString()
+            });
+        });
+    }
+
+    // Clients waiting to re-authenticate get no data
+    _sendToSubscriber(clientId, message) {
+        for (const [ws, clientData] of this.clients) {
+            if (clientData.id === clientId) {
+                if (clientData.isAuthenticated) {
+                    this._sendToClient(ws, message);
+                }
+                return;
+            }
+        }
+    }
+
     _handleJoinRoom(ws, clientData, message) {
         const { roomId } = message.data || message;
         if (!roomId) return;
@@ -924,6 +1479,41 @@ class WebSocketHandler {
         return true;
     }
 
+    // Reject a message whose type needs a permission the client's role lacks
+    _checkPermission(ws, clientData, messageType, permission) {
+        if (hasPermission(clientData.role, permission)) {
+            return true;
+        }
+        const error = forbidden(clientData.role, permission);
+        this._log('warn', `Client ${clientData.id}: ${messageType} denied (${clientData.role})`);
+        this._sendToClient(ws, {
+            type: 'error',
+            code: error.code,
+            message: error.message,
+            requestType: messageType,
+            timestamp: new Date().toISOString()
+        });
+        return false;
+    }
+
+    // Reject a db_* message on a protected table (user accounts, see lib/auth/permissions.js)
+    _checkTable(ws, clientData, message) {
+        const { table } = message.data || message;
+        if (!isProtectedTable(table)) {
+            return true;
+        }
+        const error = protectedTable(table);
+        this._log('warn', `Client ${clientData.id}: ${message.type} on ${table} denied`);
+        this._sendToClient(ws, {
+            type: 'error',
+            code: error.code,
+            message: error.message,
+            requestType: message.type,
+            timestamp: new Date().toISOString()
+        });
+        return false;
+    }
+
     // Get server status
     getStatus() {
         const clientsInfo = Array.from(this.clients.values()).map(client => ({
@@ -931,8 +1521,12 @@ class WebSocketHandler {
             ip: client.ip,
             connectedAt: client.connectedAt,
             isAuthenticated: client.isAuthenticated,
+            username: client.username,
+            role: client.role,
+            tokenExpiresAt: client.tokenExpiresAt,
             dataReceived: client.dataReceived,
-            lastDataTime: client.lastDataTime
+            lastDataTime: client.lastDataTime,
+            violations: this.messageGuard.getClientViolations(client.id)
         }));
 
         return {
@@ -942,17 +1536,51 @@ class WebSocketHandler {
             connectionCount: this.connectionCount,
             maxConnections: this.config.maxConnections,
             authEnabled: this.config.enableAuthentication,
-            authToken: this.config.enableAuthentication ? this.config.authToken : null,
             clients: clientsInfo,
+            staleness: this.dataWatchdog.getStatus(),
+            messages: this.messageGuard.getStatus(),
+            subscriptions: Array.from(this.dbSubscriptions, ([table, subscription]) => ({
+                table,
+                feed: subscription.feed,
+                clients: subscription.clients.size
+            })),
             uptime: this.isRunning ? Date.now() - this.startTime : 0
         };
     }
 
-    // Utility methods
-    _generateAuthToken() {
-        return crypto.randomBytes(32).toString('hex');
+    // Data watchdog events (see stalenessWatchdog.js)
+    _handleStaleData(event) {
+        const message = `No sensor data received for ${Math.floor(event.silentMs / 1000)}s (${event.level})`;
+        this._log(event.level === 'critical' ? 'error' : 'warn', message);
+        this._sendToRenderer('websocket-data-stale', event);
     }
 
+    _handleDataRecovered(event) {
+        alert.success('WEBSOCKET', `Sensor data flow recovered after ${Math.round(event.staleForMs / 1000)}s`);
+        this._sendToRenderer('websocket-data-recovered', event);
+    }
+
+    // Escalation for critical staleness, applied to clients that have sent sensor data
+    _runStaleAction(action) {
+        const sensorClients = Array.from(this.clients.entries())
+            .filter(([ws, clientData]) => clientData.lastSensorDataTime && ws.readyState === WebSocket.OPEN);
+
+        if (action === 'reconnect') {
+            this._log('warn', `Sensor data stale, asking ${sensorClients.length} client(s) to reconnect`);
+            sensorClients.forEach(([ws]) => ws.close(4000, 'Stale data, please reconnect'));
+        } else if (action === 'reset') {
+            this._log('warn', `Sensor data stale, sending reset to ${sensorClients.length} client(s)`);
+            sensorClients.forEach(([ws]) => this._sendToClient(ws, {
+                type: 'reset',
+                reason: 'stale_data',
+                timestamp: new Date().toISOString()
+            }));
+        } else {
+            this._log('warn', `Unknown staleAction '${action}'`);
+        }
+    }
+
+    // Utility methods
     _generateClientId() {
         return `client_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
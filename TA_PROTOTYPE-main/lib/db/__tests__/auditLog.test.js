@@ -0,0 +1,185 @@
+// lib/db/__tests__/auditLog.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AuditLog = require('../auditLog');
+
+describe('AuditLog', () => {
+    let directory;
+    let filePath;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-'));
+        filePath = path.join(directory, 'audit.jsonl');
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const readLines = () => fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+    const writeLines = (lines) => fs.writeFileSync(filePath, lines.join('\n') + '\n');
+
+    function recordThree() {
+        const log = new AuditLog({ filePath });
+        log.record('data.insert', { actor: 'alice', origin: 'http', table: 'sensors_data' });
+        log.record('setpoint.change', { actor: 'bob', origin: 'ipc', details: { value: 30 } });
+        log.record('auth.lockout', { actor: 'mallory', origin: 'websocket', ip: '10.0.0.1' });
+        return log;
+    }
+
+    test('each entry is chained to the previous one', () => {
+        recordThree();
+        const entries = readLines().map(line => JSON.parse(line));
+
+        expect(entries.map(entry => entry.id)).toEqual([1, 2, 3]);
+        expect(entries[0].prevHash).toBeNull();
+        expect(entries[1].prevHash).toBe(entries[0].hash);
+        expect(entries[2].prevHash).toBe(entries[1].hash);
+        expect(entries[2].hash).toBe(AuditLog.hashEntry(entries[2]));
+        expect(new AuditLog({ filePath }).verify()).toEqual({ valid: true, entries: 3, brokenAt: null });
+    });
+
+    test('an edited entry breaks the chain at that entry', () => {
+        recordThree();
+        const lines = readLines();
+        const edited = JSON.parse(lines[1]);
+        edited.actor = 'someone-else';
+        lines[1] = JSON.stringify(edited);
+        writeLines(lines);
+
+        expect(new AuditLog({ filePath }).verify()).toEqual({ valid: false, entries: 1, brokenAt: 2 });
+    });
+
+    test('a removed entry breaks the chain at the next one', () => {
+        recordThree();
+        const lines = readLines();
+        writeLines([lines[0], lines[2]]);
+
+        expect(new AuditLog({ filePath }).verify()).toMatchObject({ valid: false, brokenAt: 3 });
+    });
+
+    test('an entry whose hash was recomputed still breaks the chain', () => {
+        recordThree();
+        const lines = readLines();
+        const forged = JSON.parse(lines[0]);
+        forged.actor = 'someone-else';
+        forged.hash = AuditLog.hashEntry(forged);
+        lines[0] = JSON.stringify(forged);
+        writeLines(lines);
+
+        expect(new AuditLog({ filePath }).verify()).toMatchObject({ valid: false, brokenAt: 2 });
+    });
+
+    test('an unreadable line is reported by line number', () => {
+        recordThree();
+        const lines = readLines();
+        lines[2] = '{"id": 3, "act';
+        writeLines(lines);
+
+        expect(new AuditLog({ filePath }).verify()).toMatchObject({ valid: false, brokenAt: 'line 3' });
+    });
+
+    test('start() continues the numbering and the chain of a previous run', () => {
+        recordThree();
+        const restarted = new AuditLog({ filePath });
+        restarted.start();
+        const entry = restarted.record('data.delete', { actor: 'alice', origin: 'http' });
+
+        expect(entry.id).toBe(4);
+        expect(restarted.verify()).toEqual({ valid: true, entries: 4, brokenAt: null });
+    });
+
+    test('trackMutation records the rows before and after an update, redacting secrets', async () => {
+        const rows = [{ id: 1, name: 'pump', api_token: 'abc' }];
+        const db = {
+            getDataByFilters: jest.fn(async () => rows.map(row => ({ ...row })))
+        };
+        const log = new AuditLog({ filePath });
+
+        await log.trackMutation(db, {
+            action: 'data.update',
+            actor: 'alice',
+            origin: 'http',
+            table: 'devices',
+            whereClause: 'id = ?',
+            whereParams: [1],
+            data: { name: 'valve' }
+        }, async () => {
+            rows[0].name = 'valve';
+            return { affectedRows: 1 };
+        });
+
+        const [entry] = log.list().entries;
+        expect(entry.before.rows).toEqual([{ id: 1, name: 'pump', api_token: '[redacted]' }]);
+        expect(entry.after.rows).toEqual([{ id: 1, name: 'valve', api_token: '[redacted]' }]);
+        expect(entry.filter).toEqual({ whereClause: 'id = ?', whereParams: [1] });
+        expect(entry.details).toMatchObject({ changes: { name: 'valve' }, affectedRows: 1 });
+    });
+
+    test('a WHERE clause other than column = ? conditions is never run for a snapshot', async () => {
+        const db = { getDataByFilters: jest.fn(), query: jest.fn() };
+        const log = new AuditLog({ filePath });
+
+        await log.trackMutation(db, {
+            action: 'data.delete',
+            actor: 'alice',
+            origin: 'ipc',
+            table: 'devices',
+            whereClause: 'id > ? OR 1=1',
+            whereParams: [0]
+        }, async () => ({ affectedRows: 3 }));
+
+        expect(db.query).not.toHaveBeenCalled();
+        expect(db.getDataByFilters).not.toHaveBeenCalled();
+        expect(log.list().entries[0].before).toMatchObject({ rows: null, error: expect.stringContaining('column = ?') });
+    });
+
+    test('trackMutation records a failed mutation and rethrows its error', async () => {
+        const log = new AuditLog({ filePath });
+        const failure = new Error('duplicate key');
+
+        await expect(log.trackMutation({}, { action: 'data.insert', actor: 'bob', origin: 'ipc', table: 'devices', data: { id: 1 } },
+            async () => {
+                throw failure;
+            })).rejects.toBe(failure);
+
+        const [entry] = log.list().entries;
+        expect(entry.details.error).toBe('duplicate key');
+        expect(entry.after).toBeNull();
+        expect(log.verify().valid).toBe(true);
+    });
+
+    test('list() filters newest first and matches action groups', () => {
+        recordThree();
+        const log = new AuditLog({ filePath });
+
+        expect(log.list().entries.map(entry => entry.id)).toEqual([3, 2, 1]);
+        expect(log.list({ action: 'auth.*' }).entries.map(entry => entry.actor)).toEqual(['mallory']);
+        expect(log.list({ origin: 'ipc', limit: 5 })).toMatchObject({ total: 1, limit: 5 });
+    });
+
+    test('list() answers from the cached newest entries and reads the file for older pages', () => {
+        recordThree();
+        const log = new AuditLog({ filePath, cacheEntries: 2 });
+        log.start();
+        log.record('data.delete', { actor: 'alice', origin: 'http' });
+        const readSpy = jest.spyOn(fs, 'readFileSync');
+
+        expect(log.list({ limit: 2 })).toMatchObject({ total: 2, partial: true });
+        expect(log.list({ limit: 2 }).entries.map(entry => entry.id)).toEqual([4, 3]);
+        expect(readSpy).not.toHaveBeenCalled();
+
+        expect(log.list({ limit: 2, offset: 2 })).toMatchObject({ total: 4, partial: false });
+        expect(log.list({ limit: 2, offset: 2 }).entries.map(entry => entry.id)).toEqual([2, 1]);
+        readSpy.mockRestore();
+    });
+
+    test('list() sees entries recorded after the cache was read', () => {
+        const log = recordThree();
+        expect(log.list().total).toBe(3);
+        log.record('data.insert', { actor: 'bob', origin: 'ipc' });
+
+        expect(log.list()).toMatchObject({ total: 4, partial: false });
+    });
+});
@@ -0,0 +1,114 @@
+// lib/db/__tests__/changeFeed.test.js
+const ChangeFeed = require('../changeFeed');
+const alert = require('../../alert');
+
+describe('ChangeFeed helpers', () => {
+    test('whereToFilters reads bound equality conditions', () => {
+        expect(ChangeFeed.whereToFilters('`id` = ? AND status = ?', [7, 'ok'])).toEqual({ id: 7, status: 'ok' });
+        expect(ChangeFeed.whereToFilters('device_id=?', ['oven-1'])).toEqual({ device_id: 'oven-1' });
+        expect(ChangeFeed.whereToFilters('', [])).toEqual({});
+        expect(ChangeFeed.whereToFilters('1=1')).toEqual({});
+    });
+
+    test('whereToFilters rejects clauses it cannot parse', () => {
+        expect(ChangeFeed.whereToFilters('id = 7', [])).toBeNull();
+        expect(ChangeFeed.whereToFilters('id > ?', [7])).toBeNull();
+        expect(ChangeFeed.whereToFilters('id = ? OR 1 = 1', [7])).toBeNull();
+        expect(ChangeFeed.whereToFilters('id IN (?, ?)', [1, 2])).toBeNull();
+        expect(ChangeFeed.whereToFilters('id = ? AND status = ?', [7])).toBeNull();
+        expect(ChangeFeed.whereToFilters('`id; DROP` = ?', [7])).toBeNull();
+        expect(ChangeFeed.whereToFilters('id = ?', 7)).toBeNull();
+        expect(ChangeFeed.whereToFilters({ id: 7 })).toBeNull();
+    });
+
+    test('filtersToWhere builds a bound clause and refuses odd column names', () => {
+        expect(ChangeFeed.filtersToWhere({ id: 7, status: 'ok' })).toEqual({ whereClause: '`id` = ? AND `status` = ?', whereParams: [7, 'ok'] });
+        expect(ChangeFeed.filtersToWhere({})).toEqual({ whereClause: '1=1', whereParams: [] });
+        expect(() => ChangeFeed.filtersToWhere({ 'id`; --': 1 })).toThrow("Invalid column name 'id`; --'");
+
+        const { whereClause, whereParams } = ChangeFeed.filtersToWhere({ id: 7 });
+        expect(ChangeFeed.whereToFilters(whereClause, whereParams)).toEqual({ id: 7 });
+    });
+
+    test('describeStatement recognises write statements only', () => {
+        expect(ChangeFeed.describeStatement('INSERT IGNORE INTO `sensors` (a) VALUES (?)')).toEqual({ type: 'inserted', table: 'sensors' });
+        expect(ChangeFeed.describeStatement('replace into events VALUES (1)')).toEqual({ type: 'inserted', table: 'events' });
+        expect(ChangeFeed.describeStatement('UPDATE sensors SET a = 1')).toEqual({ type: 'updated', table: 'sensors' });
+        expect(ChangeFeed.describeStatement('  DELETE FROM `sensors` WHERE id = ?')).toEqual({ type: 'deleted', table: 'sensors' });
+        expect(ChangeFeed.describeStatement('SELECT * FROM sensors')).toBeNull();
+        expect(ChangeFeed.describeStatement(null)).toBeNull();
+    });
+
+    test('matches compares values as strings and treats null and undefined alike', () => {
+        expect(ChangeFeed.matches({ id: '7', status: 'ok' }, { id: 7 })).toBe(true);
+        expect(ChangeFeed.matches({ id: 7, note: null }, { note: undefined })).toBe(true);
+        expect(ChangeFeed.matches({ id: 7 }, { id: 8 })).toBe(false);
+        expect(ChangeFeed.matches({ id: 7, note: null }, { note: 'x' })).toBe(false);
+        expect(ChangeFeed.matches(null, {})).toBe(false);
+    });
+});
+
+describe('ChangeFeed events', () => {
+    let spy;
+
+    beforeEach(() => {
+        spy = jest.spyOn(alert, 'warning').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        spy.mockRestore();
+    });
+
+    test('delivers to table subscribers and type listeners, despite a failing listener', () => {
+        const feed = new ChangeFeed();
+        const received = [];
+        const unsubscribe = feed.subscribe('sensors', () => {
+            throw new Error('listener bug');
+        });
+        feed.subscribe('sensors', event => received.push(['table', event.sequence]));
+        feed.on('inserted', event => received.push(['inserted', event.sequence]));
+        feed.on('change', event => received.push(['change', event.sequence]));
+
+        feed.publish({ table: 'sensors', type: 'inserted', rows: [{ id: 1 }] });
+        unsubscribe();
+        feed.publish({ table: 'events', type: 'deleted' });
+
+        expect(received).toEqual([['table', 1], ['inserted', 1], ['change', 1], ['change', 2]]);
+        expect(feed.getStatus()).toMatchObject({ published: 2, listenerErrors: 1, byType: { inserted: 1, deleted: 1 } });
+        expect(() => feed.publish({ table: 'sensors', type: 'upserted' })).toThrow("Unknown change type 'upserted'");
+    });
+
+    test('hasSubscribers is true only when an event would reach someone', () => {
+        const feed = new ChangeFeed();
+        expect(feed.hasSubscribers('sensors')).toBe(false);
+
+        feed.on('deleted', () => {});
+        expect(feed.hasSubscribers('sensors', 'updated')).toBe(false);
+        expect(feed.hasSubscribers('sensors', 'deleted')).toBe(true);
+    });
+
+    test('drops native events for rows the adapter just wrote to a bridged table', () => {
+        const feed = new ChangeFeed();
+        feed.bridge('sensors');
+        feed.publish({ table: 'sensors', type: 'inserted', rows: [{ id: 'a' }] });
+
+        expect(feed.publishNative({ table: 'sensors', type: 'inserted', source: 'firestore', rows: [{ id: 'a' }] })).toBeNull();
+        expect(feed.publishNative({ table: 'sensors', type: 'inserted', source: 'firestore', rows: [{ id: 'a' }, { id: 'b' }] }))
+            .toMatchObject({ source: 'firestore', rows: [{ id: 'b' }] });
+        expect(feed.getStatus()).toMatchObject({ native: 1, duplicatesDropped: 2 });
+    });
+
+    test('capture reads parseable conditions only and marks truncated results', async () => {
+        const feed = new ChangeFeed({ rowLimit: 2 });
+        const db = { getDataByFilters: jest.fn(async () => [{ id: 1 }, { id: 2 }, { id: 3 }]) };
+
+        await expect(feed.capture(db, 'sensors', '`status` = ?', ['ok'])).resolves.toEqual({ rows: [{ id: 1 }, { id: 2 }], truncated: true });
+        expect(db.getDataByFilters).toHaveBeenCalledWith('sensors', { status: 'ok' }, { limit: 3 });
+
+        await expect(feed.capture(db, 'sensors', 'id > ?', [1])).resolves.toEqual({ rows: null, truncated: false });
+        expect(db.getDataByFilters).toHaveBeenCalledTimes(1);
+
+        db.getDataByFilters.mockRejectedValue(new Error('db down'));
+        await expect(feed.capture(db, 'sensors', { id: 1 })).resolves.toEqual({ rows: null, truncated: false });
+    });
+});
@@ -0,0 +1,163 @@
+// lib/db/__tests__/databaseAdapter.test.js
+const { DatabaseAdapter } = require('../databaseAdapter');
+const { matches, whereToFilters } = require('../changeFeed');
+
+describe('DatabaseAdapter change feed', () => {
+    let tables;
+    let primaryDb;
+    let adapter;
+    let events;
+    let consoleError;
+
+    // In-memory primary database for 'column = ?' conditions, with rollback on a failed transaction
+    function memoryDatabase() {
+        const select = (table, whereClause, whereParams) => {
+            const filters = whereToFilters(whereClause, whereParams);
+            return (tables[table] || []).filter(row => matches(row, filters));
+        };
+        const db = {
+            postData: jest.fn(async (table, data) => {
+                if (data.bad) {
+                    throw new Error('Column count mismatch');
+                }
+                const id = (tables[table] = tables[table] || []).length + 1;
+                tables[table].push({ ...data, id });
+                return { insertId: id };
+            }),
+            getDataByFilters: jest.fn(async (table, filters) => (tables[table] || []).filter(row => matches(row, filters)).map(row => ({ ...row }))),
+            updateData: jest.fn(async (table, data, whereClause, whereParams) => {
+                const rows = select(table, whereClause, whereParams);
+                rows.forEach(row => Object.assign(row, data));
+                return { affectedRows: rows.length };
+            }),
+            deleteData: jest.fn(async (table, whereClause, whereParams) => {
+                const rows = select(table, whereClause, whereParams);
+                tables[table] = tables[table].filter(row => !rows.includes(row));
+                return { affectedRows: rows.length };
+            }),
+            query: jest.fn(async () => ({ affectedRows: 3 })),
+            transaction: jest.fn(async (callback) => {
+                const snapshot = JSON.stringify(tables);
+                try {
+                    return await callback(db);
+                } catch (error) {
+                    tables = JSON.parse(snapshot);
+                    throw error;
+                }
+            })
+        };
+        return db;
+    }
+
+    beforeEach(() => {
+        tables = { sensors: [{ id: 1, status: 'fault', device: 'a' }, { id: 2, status: 'ok', device: 'b' }] };
+        primaryDb = memoryDatabase();
+        adapter = new DatabaseAdapter();
+        adapter.primaryDb = primaryDb;
+        adapter.initialized = true;
+        events = [];
+        consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        consoleError.mockRestore();
+    });
+
+    test('writes nobody listens to read nothing extra', async () => {
+        await adapter.updateData('sensors', { status: 'ok' }, '`id` = ?', [1]);
+        await adapter.postData('sensors', { status: 'ok' });
+
+        expect(primaryDb.getDataByFilters).not.toHaveBeenCalled();
+        expect(primaryDb.transaction).not.toHaveBeenCalled();
+        expect(adapter.getChangeFeed().getStatus().published).toBe(0);
+    });
+
+    test('inserts are published with the id the database gave them', async () => {
+        adapter.onChange('sensors', event => events.push(event));
+        primaryDb.postDataBatch = jest.fn(async (table, rows) => rows.map((row, index) => (row.bad ?
+            { index, success: false, insertId: null, error: 'refused' } :
+            { index, success: true, insertId: 10 + index, error: null })));
+
+        await adapter.postData('sensors', { status: 'ok' });
+        await adapter.postDataBatch('sensors', [{ status: 'a' }, { bad: true }, { status: 'c' }]);
+
+        expect(events.map(event => [event.type, event.rows])).toEqual([
+            ['inserted', [{ status: 'ok', id: 3 }]],
+            ['inserted', [{ status: 'a', id: 10 }, { status: 'c', id: 12 }]]
+        ]);
+    });
+
+    test('updates carry the rows before and after, read in the write transaction', async () => {
+        adapter.onChange('sensors', event => events.push(event));
+
+        await adapter.updateData('sensors', { status: 'ok' }, '`device` = ?', ['a']);
+
+        expect(primaryDb.transaction).toHaveBeenCalledTimes(1);
+        expect(events[0]).toMatchObject({
+            type: 'updated',
+            source: 'adapter',
+            rows: [{ id: 1, status: 'ok', device: 'a' }],
+            previousRows: [{ id: 1, status: 'fault', device: 'a' }],
+            changes: { status: 'ok' },
+            filter: { whereClause: '`device` = ?', whereParams: ['a'] }
+        });
+    });
+
+    test('filtered subscriptions see rows that match before or after the change', async () => {
+        const faults = [];
+        adapter.subscribe('sensors', event => faults.push(event), { status: 'fault' });
+
+        await adapter.updateData('sensors', { status: 'ok' }, '`id` = ?', [1]);
+        await adapter.updateData('sensors', { device: 'c' }, '`id` = ?', [2]);
+        await adapter.deleteData('sensors', 'status = ?', ['ok']);
+
+        expect(faults).toHaveLength(1);
+        expect(faults[0]).toMatchObject({ type: 'updated', rows: [{ id: 1, status: 'ok' }], previousRows: [{ id: 1, status: 'fault' }] });
+    });
+
+    test('deletes publish the deleted rows, or no rows for clauses the feed cannot read', async () => {
+        adapter.onChange('sensors', event => events.push(event));
+        const all = [];
+        adapter.subscribe('sensors', event => all.push(event));
+        const filtered = [];
+        adapter.subscribe('sensors', event => filtered.push(event), { device: 'b' });
+
+        await adapter.deleteData('sensors', '`id` = ?', [2]);
+        await adapter.deleteData('sensors', 'id > ?', [0]);
+
+        expect(events.map(event => [event.type, event.rows])).toEqual([['deleted', [{ id: 2, status: 'ok', device: 'b' }]], ['deleted', null]]);
+        expect(all).toHaveLength(2);
+        expect(filtered).toHaveLength(1);
+    });
+
+    test('transaction events are published after the commit and dropped on rollback', async () => {
+        adapter.onChange('sensors', event => events.push(event));
+
+        await adapter.transaction(async (db) => {
+            await db.postData('sensors', { status: 'new' });
+            await db.deleteData('sensors', '`id` = ?', [1]);
+            expect(events).toEqual([]);
+        });
+        expect(events.map(event => event.type)).toEqual(['inserted', 'deleted']);
+
+        await expect(adapter.transaction(async (db) => {
+            await db.postData('sensors', { status: 'lost' });
+            await db.postData('sensors', { bad: true });
+        })).rejects.toThrow('Column count mismatch');
+        expect(events).toHaveLength(2);
+    });
+
+    test('raw write statements are published with the SQL only', async () => {
+        adapter.onChange('sensors', event => events.push(event));
+
+        await adapter.query('UPDATE `sensors` SET status = ? WHERE id > ?', ['ok', 0]);
+        await adapter.query('SELECT * FROM sensors');
+
+        expect(events).toHaveLength(1);
+        expect(events[0]).toMatchObject({
+            type: 'updated',
+            rows: null,
+            statement: { sql: 'UPDATE `sensors` SET status = ? WHERE id > ?', params: ['ok', 0], affectedRows: 3 }
+        });
+    });
+});
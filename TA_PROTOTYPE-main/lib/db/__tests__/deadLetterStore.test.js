@@ -0,0 +1,90 @@
+// lib/db/__tests__/deadLetterStore.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DeadLetterStore = require('../deadLetterStore');
+const alert = require('../../alert');
+
+describe('DeadLetterStore', () => {
+    let directory;
+    let filePath;
+    let spies;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dead-letter-'));
+        filePath = path.join(directory, 'buffer', 'dead-letter.jsonl');
+        spies = ['info', 'warning', 'error'].map(level => jest.spyOn(alert, level).mockImplementation(() => {}));
+    });
+
+    afterEach(() => {
+        spies.forEach(spy => spy.mockRestore());
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const fileIds = () => fs.readFileSync(filePath, 'utf8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line).id);
+
+    test('stores entries on disk and lists them newest first', () => {
+        const store = new DeadLetterStore({ filePath });
+        store.add({ sourceType: 'serial', sourceId: 'oven-1', stage: 'parse', reason: 'Unexpected token', raw: '{"t":' });
+        store.add({ sourceType: 'serial', sourceId: 'oven-2', stage: 'schema', raw: Buffer.from([0xAA, 0x55]) });
+        store.add({ sourceType: 'websocket', stage: 'bogus', raw: 'x' });
+
+        expect(store.list({ sourceType: 'serial' }).entries.map(entry => entry.id)).toEqual([2, 1]);
+        expect(store.list({ stage: 'parse', limit: 1 })).toMatchObject({ total: 2, limit: 1, entries: [{ id: 3 }] });
+        expect(store.list().entries[1]).toMatchObject({ raw: 'aa55', encoding: 'hex', reason: 'Unknown error' });
+        expect(fileIds()).toEqual([1, 2, 3]);
+        expect(store.getStatus()).toMatchObject({ depth: 3, byStage: { parse: 2, schema: 1 }, bySource: { 'serial:oven-1': 1, websocket: 1 } });
+    });
+
+    test('retry removes the accepted entries and keeps the latest failure of the others', async () => {
+        const store = new DeadLetterStore({ filePath });
+        store.add({ sourceType: 'serial', stage: 'parse', raw: 'good' });
+        store.add({ sourceType: 'serial', stage: 'parse', raw: 'still bad' });
+        store.add({ sourceType: 'modbus', stage: 'parse', raw: 'no handler' });
+        store.registerRetryHandler('serial', async entry => (entry.raw === 'good' ?
+            { accepted: true } :
+            { accepted: false, stage: 'required', reason: "Missing required field 'temperature'" }));
+
+        const result = await store.retry();
+
+        expect(result).toMatchObject({ retried: 3, recovered: 1, failed: 2 });
+        expect(result.results[2]).toEqual({ id: 3, accepted: false, stage: 'parse', reason: 'No retry handler for modbus entries' });
+        expect(store.list().entries.map(entry => [entry.id, entry.stage, entry.retries])).toEqual([[3, 'parse', 1], [2, 'required', 1]]);
+        expect(fileIds()).toEqual([2, 3]);
+    });
+
+    test('refuses a second retry while one is running', async () => {
+        const store = new DeadLetterStore({ filePath });
+        store.add({ sourceType: 'serial', raw: 'x' });
+        let release;
+        store.registerRetryHandler('serial', () => new Promise(resolve => { release = resolve; }));
+
+        const first = store.retry();
+        await expect(store.retry()).rejects.toMatchObject({ code: 'RETRY_IN_PROGRESS' });
+        release({ accepted: true });
+        await expect(first).resolves.toMatchObject({ recovered: 1 });
+    });
+
+    test('purge removes the selected entries, or all of them', () => {
+        const store = new DeadLetterStore({ filePath });
+        ['a', 'b', 'c'].forEach(raw => store.add({ sourceType: 'serial', raw }));
+
+        expect(store.purge(['2'])).toBe(1);
+        expect(fileIds()).toEqual([1, 3]);
+        expect(store.purge()).toBe(2);
+        expect(store.getStatus()).toMatchObject({ depth: 0, purged: 3 });
+    });
+
+    test('drops the oldest beyond maxEntries and reloads after a restart', () => {
+        const store = new DeadLetterStore({ filePath, maxEntries: 2 });
+        ['a', 'b', 'c'].forEach(raw => store.add({ sourceType: 'serial', raw }));
+        fs.appendFileSync(filePath, '{"id":4,"sou');
+
+        const restarted = new DeadLetterStore({ filePath });
+        restarted.start();
+
+        expect(restarted.getStatus()).toMatchObject({ depth: 2, corruptLines: 1 });
+        expect(restarted.add({ sourceType: 'serial', raw: 'd' }).id).toBe(4);
+        expect(fileIds()).toEqual([2, 3, 4]);
+    });
+});
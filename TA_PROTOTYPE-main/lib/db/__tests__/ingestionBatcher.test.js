@@ -0,0 +1,109 @@
+// lib/db/__tests__/ingestionBatcher.test.js
+const IngestionBatcher = require('../ingestionBatcher');
+const alert = require('../../alert');
+
+describe('IngestionBatcher', () => {
+    let db;
+    let spies;
+
+    beforeEach(() => {
+        db = {
+            postDataBatch: jest.fn(async (table, rows) => rows.map((row, index) => (row.bad ?
+                { success: false, error: `Row ${index} refused` } :
+                { success: true, insertId: index + 1 })))
+        };
+        spies = ['debug', 'error'].map(level => jest.spyOn(alert, level).mockImplementation(() => {}));
+    });
+
+    afterEach(() => {
+        spies.forEach(spy => spy.mockRestore());
+        jest.useRealTimers();
+    });
+
+    test('one batch per table, in order of the first row', async () => {
+        const batcher = new IngestionBatcher(db);
+        const writes = [
+            batcher.write('sensors', { n: 1 }),
+            batcher.write('events', { n: 2 }),
+            batcher.write('sensors', { n: 3 })
+        ];
+
+        await expect(batcher.flush()).resolves.toBe(3);
+
+        expect(db.postDataBatch.mock.calls).toEqual([
+            ['sensors', [{ n: 1 }, { n: 3 }]],
+            ['events', [{ n: 2 }]]
+        ]);
+        await expect(Promise.all(writes)).resolves.toEqual([
+            { buffered: false, result: { insertId: 1, affectedRows: 1 } },
+            { buffered: false, result: { insertId: 1, affectedRows: 1 } },
+            { buffered: false, result: { insertId: 2, affectedRows: 1 } }
+        ]);
+    });
+
+    test('a refused row fails only its own write', async () => {
+        const batcher = new IngestionBatcher(db);
+        const good = batcher.write('sensors', { n: 1 });
+        const bad = batcher.write('sensors', { n: 2, bad: true });
+        const after = batcher.write('sensors', { n: 3 });
+
+        await expect(batcher.flush()).resolves.toBe(2);
+
+        await expect(good).resolves.toMatchObject({ buffered: false, result: { insertId: 1 } });
+        await expect(bad).rejects.toThrow('Row 1 refused');
+        await expect(after).resolves.toMatchObject({ buffered: false, result: { insertId: 3 } });
+        expect(batcher.getStatus()).toMatchObject({ rows: 3, batches: 1, failedRows: 1, lastError: 'Row 1 refused' });
+    });
+
+    test('with a write buffer a refused row is queued instead of failing', async () => {
+        const writeBuffer = {
+            writeBatch: jest.fn(async (table, items) => items.map((item, index) => (item.data.bad ?
+                { buffered: true, seq: 1, depth: 1 } :
+                { buffered: false, result: { insertId: index + 1, affectedRows: 1 } })))
+        };
+        const batcher = new IngestionBatcher(db, {}, writeBuffer);
+        const writes = [batcher.write('sensors', { n: 1 }, { source: 'oven-1' }), batcher.write('sensors', { n: 2, bad: true })];
+
+        await batcher.flush();
+
+        expect(writeBuffer.writeBatch).toHaveBeenCalledWith('sensors', [
+            expect.objectContaining({ data: { n: 1 }, source: 'oven-1' }),
+            expect.objectContaining({ data: { n: 2, bad: true }, source: null })
+        ]);
+        await expect(Promise.all(writes)).resolves.toEqual([
+            { buffered: false, result: { insertId: 1, affectedRows: 1 } },
+            { buffered: true, seq: 1, depth: 1 }
+        ]);
+        expect(batcher.getStatus()).toMatchObject({ failedRows: 0, bufferedRows: 1 });
+    });
+
+    test('a failed batch call rejects every row of that table', async () => {
+        db.postDataBatch.mockRejectedValue(new Error('connect ECONNREFUSED'));
+        const batcher = new IngestionBatcher(db);
+        const writes = [batcher.write('sensors', { n: 1 }), batcher.write('sensors', { n: 2 })];
+
+        await batcher.flush();
+
+        for (const write of writes) {
+            await expect(write).rejects.toThrow('connect ECONNREFUSED');
+        }
+        expect(batcher.getStatus().failedRows).toBe(2);
+    });
+
+    test('flushes at maxBatchSize or after flushInterval', async () => {
+        jest.useFakeTimers();
+        const batcher = new IngestionBatcher(db, { maxBatchSize: 2, flushInterval: 100 });
+
+        batcher.write('sensors', { n: 1 });
+        batcher.write('sensors', { n: 2 });
+        expect(batcher.getStatus().pending).toBe(0);
+
+        batcher.write('sensors', { n: 3 });
+        expect(batcher.getStatus().pending).toBe(1);
+        jest.advanceTimersByTime(100);
+        expect(batcher.getStatus().pending).toBe(0);
+
+        await batcher.stop();
+        expect(db.postDataBatch.mock.calls.map(call => call[1].length)).toEqual([2, 1]);
+    });
+});
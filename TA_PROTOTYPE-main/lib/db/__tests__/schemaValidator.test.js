@@ -0,0 +1,72 @@
+// lib/db/__tests__/schemaValidator.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SchemaValidator = require('../schemaValidator');
+
+describe('SchemaValidator', () => {
+    const schemas = {
+        sensors_data: {
+            fields: {
+                temperature: { type: 'number', min: -40, max: 150, required: true },
+                status: { type: 'string', enum: ['ok', 'fault'] },
+                sample: { type: 'integer', min: 0, nullable: true }
+            }
+        },
+        strict_table: { allowUnknown: false, fields: { value: { type: 'number' } } }
+    };
+
+    test('converts and accepts a valid record', () => {
+        const validator = new SchemaValidator(null, { schemas });
+
+        expect(validator.validate('sensors_data', { temperature: '23.5', status: 'ok', sample: null, extra: 1 }))
+            .toEqual({ valid: true, value: { temperature: 23.5, status: 'ok', sample: null, extra: 1 } });
+        expect(validator.validate('unknown_table', { anything: true })).toEqual({ valid: true, value: { anything: true } });
+    });
+
+    test('reports every failing field and counts the rejection', () => {
+        const validator = new SchemaValidator(null, { schemas });
+
+        const result = validator.validate('sensors_data', { status: 'melting', sample: 1.5 }, { source: 'serial:oven-1' });
+
+        expect(result.valid).toBe(false);
+        expect(result.errors.map(error => error.field)).toEqual(['temperature', 'status', 'sample']);
+        expect(validator.validate('strict_table', { value: 1, extra: 2 }).errors).toEqual([{ field: 'extra', message: '"extra" is not allowed' }]);
+        expect(validator.getStatus().tables.sensors_data).toMatchObject({ accepted: 0, rejected: 1, lastRejection: { source: 'serial:oven-1' } });
+    });
+
+    test('stores rejected records in the quarantine table', async () => {
+        const db = { postData: jest.fn(async () => ({ insertId: 1 })) };
+        const validator = new SchemaValidator(db, { schemas, quarantineTable: 'rejected_records' });
+
+        validator.validate('sensors_data', { temperature: 500 }, { source: 'websocket' });
+        await Promise.resolve();
+        await Promise.resolve();
+
+        expect(db.postData).toHaveBeenCalledWith('rejected_records', expect.objectContaining({
+            table_name: 'sensors_data',
+            source: 'websocket',
+            payload: '{"temperature":500}'
+        }));
+        expect(JSON.parse(db.postData.mock.calls[0][1].errors)[0].field).toBe('temperature');
+        expect(validator.getStatus().tables.sensors_data.quarantined).toBe(1);
+    });
+
+    test('loads the definitions from a schema file', () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'schemas-'));
+        const schemaFile = path.join(directory, 'schemas.json');
+        fs.writeFileSync(schemaFile, JSON.stringify(schemas));
+        try {
+            const validator = new SchemaValidator(null, { schemaFile });
+            expect(validator.hasSchema('strict_table')).toBe(true);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    test('refuses invalid definitions', () => {
+        expect(() => new SchemaValidator(null, { schemas: { t: {} } })).toThrow("Schema for 't' needs a 'fields' object");
+        expect(() => new SchemaValidator(null, { schemas: { t: { fields: { v: { type: 'float' } } } } }))
+            .toThrow("Schema field 't.v': unknown type 'float'");
+    });
+});
@@ -0,0 +1,72 @@
+// lib/db/__tests__/tablePolicy.test.js
+const TablePolicy = require('../tablePolicy');
+
+describe('TablePolicy', () => {
+    const policies = {
+        sensors_data: {
+            read: true,
+            write: true,
+            writableColumns: ['temperature', 'device_id'],
+            hiddenColumns: ['raw_payload'],
+            maxLimit: 50
+        },
+        events: { read: true }
+    };
+
+    test('only listed tables are readable or writable', () => {
+        const policy = new TablePolicy({ policies });
+
+        expect(policy.canRead('sensors_data')).toBe(true);
+        expect(policy.canWrite('events')).toBe(false);
+        expect(policy.canRead('setpoint_history')).toBe(false);
+        expect(new TablePolicy().canWrite('sensors_data')).toBe(true);
+    });
+
+    test('rejects columns outside writableColumns and hidden columns', () => {
+        const policy = new TablePolicy({ policies });
+
+        expect(policy.rejectedColumns('sensors_data', { temperature: 21, device_id: 'a' })).toEqual([]);
+        expect(policy.rejectedColumns('sensors_data', { temperature: 21, raw_payload: 'x', 'a;b': 1 })).toEqual(['raw_payload', 'a;b']);
+        expect(policy.rejectedColumns('events', { anything: 1 })).toEqual([]);
+        expect(policy.rejectedColumns('unknown', { a: 1 })).toEqual(['a']);
+    });
+
+    test('builds the read query and caps the limit', () => {
+        const policy = new TablePolicy({ policies });
+
+        expect(policy.readQuery('sensors_data', {
+            filters: { device_id: 'oven-1' },
+            orderBy: { column: 'temperature', direction: 'desc' },
+            limit: '500'
+        })).toEqual({
+            filters: { device_id: 'oven-1' },
+            options: { limit: 50, orderBy: { column: 'temperature', direction: 'DESC' } }
+        });
+        expect(policy.readQuery('events', {})).toEqual({ filters: {}, options: { limit: 100 } });
+    });
+
+    test('refuses hidden, malformed and multi-valued read parameters', () => {
+        const policy = new TablePolicy({ policies });
+        const read = (query) => () => policy.readQuery('sensors_data', query);
+
+        expect(read({ filters: { raw_payload: 'x' } })).toThrow(expect.objectContaining({ code: 'INVALID_QUERY', message: "Column 'raw_payload' of 'sensors_data' cannot be used for filtering" }));
+        expect(read({ filters: { 'id; DROP': '1' } })).toThrow("Invalid filtering column 'id; DROP'");
+        expect(read({ filters: { device_id: ['a', 'b'] } })).toThrow("Filter 'device_id' must have a single value");
+        expect(read({ orderBy: 'temperature' })).toThrow("'orderBy' must be given as");
+        expect(read({ orderBy: { column: 'temperature', direction: 'sideways' } })).toThrow('orderBy[direction] must be ASC or DESC');
+        expect(read({ limit: '0' })).toThrow("'limit' must be a positive integer");
+    });
+
+    test('removes hidden columns from read results', () => {
+        const policy = new TablePolicy({ policies });
+
+        expect(policy.visibleRow('sensors_data', { id: 1, temperature: 21, raw_payload: 'x' })).toEqual({ id: 1, temperature: 21 });
+    });
+
+    test('refuses invalid policies and the user accounts table', () => {
+        expect(() => new TablePolicy({ policies: { users: { read: true } } })).toThrow("'users' holds user accounts and cannot be exposed");
+        expect(() => new TablePolicy({ policies: { 'bad-name': { read: true } } })).toThrow("invalid table name 'bad-name'");
+        expect(() => new TablePolicy({ policies: { t: { writableColumns: 'a' } } })).toThrow("'writableColumns' must be a list of column names");
+        expect(() => new TablePolicy({ policies: { t: true } })).toThrow("Table policy for 't' must be an object");
+    });
+});
@@ -0,0 +1,122 @@
+// lib/db/__tests__/writeAheadBuffer.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WriteAheadBuffer = require('../writeAheadBuffer');
+const alert = require('../../alert');
+
+describe('WriteAheadBuffer', () => {
+    let directory;
+    let filePath;
+    let db;
+    let spies;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'write-ahead-'));
+        filePath = path.join(directory, 'buffer', 'write-ahead.jsonl');
+        db = {
+            up: false,
+            healthy: false,
+            inserted: [],
+            postData: jest.fn(async (table, data) => {
+                if (!db.up || data.bad) {
+                    throw new Error(data.bad ? 'Column count mismatch' : 'connect ECONNREFUSED');
+                }
+                db.inserted.push(data.n);
+                return { insertId: db.inserted.length };
+            }),
+            healthCheck: jest.fn(async () => ({ primary: db.healthy }))
+        };
+        spies = ['info', 'success', 'warning', 'error'].map(level => jest.spyOn(alert, level).mockImplementation(() => {}));
+    });
+
+    afterEach(() => {
+        spies.forEach(spy => spy.mockRestore());
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const readFile = (file) => fs.readFileSync(file, 'utf8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+    test('queues failed writes and the writes behind them, then replays them in order', async () => {
+        const buffer = new WriteAheadBuffer(db, { filePath });
+
+        await expect(buffer.write('sensors', { n: 1 })).resolves.toMatchObject({ buffered: true, seq: 1, depth: 1 });
+        db.up = true;
+        await expect(buffer.write('sensors', { n: 2 })).resolves.toMatchObject({ buffered: true, seq: 2, depth: 2 });
+        expect(readFile(filePath).map(entry => entry.data.n)).toEqual([1, 2]);
+
+        await expect(buffer.replay()).resolves.toBe(2);
+
+        expect(db.inserted).toEqual([1, 2]);
+        expect(readFile(filePath)).toEqual([]);
+        await expect(buffer.write('sensors', { n: 3 })).resolves.toEqual({ buffered: false, result: { insertId: 3 } });
+    });
+
+    test('an outage keeps the queue intact without counting attempts', async () => {
+        const buffer = new WriteAheadBuffer(db, { filePath, maxAttempts: 1 });
+        await buffer.write('sensors', { n: 1 });
+
+        await expect(buffer.replay()).resolves.toBe(0);
+
+        expect(buffer.getStatus()).toMatchObject({ depth: 1, rejected: 0, lastError: 'connect ECONNREFUSED' });
+        expect(readFile(filePath)[0].attempts).toBe(0);
+    });
+
+    test('rejects an entry the healthy database refused maxAttempts times and moves on', async () => {
+        const buffer = new WriteAheadBuffer(db, { filePath, maxAttempts: 2 });
+        await buffer.write('sensors', { n: 1, bad: true });
+        await buffer.write('sensors', { n: 2 });
+        db.up = true;
+        db.healthy = true;
+
+        await expect(buffer.replay()).resolves.toBe(0);
+        expect(readFile(filePath)[0]).toMatchObject({ seq: 1, attempts: 1 });
+
+        await expect(buffer.replay()).resolves.toBe(1);
+
+        expect(db.inserted).toEqual([2]);
+        expect(buffer.getStatus()).toMatchObject({ depth: 0, rejected: 1 });
+        expect(readFile(path.join(directory, 'buffer', 'write-ahead.rejected.jsonl'))).toEqual([
+            expect.objectContaining({ seq: 1, attempts: 2, data: { n: 1, bad: true }, error: 'Column count mismatch' })
+        ]);
+    });
+
+    test('reloads the queue after a restart and skips a torn last line', async () => {
+        await new WriteAheadBuffer(db, { filePath }).write('sensors', { n: 1 });
+        fs.appendFileSync(filePath, '{"seq":2,"tab');
+
+        const buffer = new WriteAheadBuffer(db, { filePath, replayInterval: 60000 });
+        buffer.start();
+        buffer.stop();
+
+        expect(buffer.getStatus()).toMatchObject({ depth: 1, corruptLines: 1 });
+        expect((await buffer.write('sensors', { n: 2 })).seq).toBe(2);
+        expect(readFile(filePath).map(entry => entry.seq)).toEqual([1, 2]);
+    });
+
+    test('drops the oldest entries beyond maxEntries', async () => {
+        const buffer = new WriteAheadBuffer(db, { filePath, maxEntries: 2 });
+        for (const n of [1, 2, 3]) {
+            await buffer.write('sensors', { n });
+        }
+
+        expect(buffer.getStatus()).toMatchObject({ depth: 2, dropped: 1 });
+        expect(readFile(filePath).map(entry => entry.data.n)).toEqual([2, 3]);
+    });
+
+    test('writeBatch queues only the rows the database refused', async () => {
+        db.postDataBatch = jest.fn(async () => [
+            { success: true, insertId: 7 },
+            { success: false, error: 'Duplicate entry' }
+        ]);
+        const buffer = new WriteAheadBuffer(db, { filePath });
+
+        const outcomes = await buffer.writeBatch('sensors', [{ data: { n: 1 } }, { data: { n: 2 }, source: 'oven-1' }]);
+
+        expect(outcomes).toEqual([
+            { buffered: false, result: { insertId: 7, affectedRows: 1 } },
+            { buffered: true, seq: 1, depth: 1 }
+        ]);
+        expect(readFile(filePath)).toEqual([expect.objectContaining({ data: { n: 2 }, source: 'oven-1' })]);
+    });
+});
@@ -0,0 +1,345 @@
+// lib/db/auditLog.js
+// Append-only record of data mutations, control actions and security events in a
+// JSON-lines file. The application only ever appends to it: there is no method to
+// change or remove an entry. Each entry carries the hash of the previous one, so an
+// entry edited or removed outside the application breaks the chain (see verify()).
+// Entries: { id, timestamp, action, actor, origin, ip, table, filter, before, after, details, prevHash, hash }
+//   action  What happened: 'data.insert', 'data.update', 'data.delete', 'database.query',
+//           'database.transaction', 'setpoint.change', 'device.command', 'auth.lockout', ...
+//   actor   Username, or the window/client that did it when nobody is logged in
+//   origin  Where it came from: 'http', 'ipc', 'websocket'
+//   table   Table the action applies to (null for other actions)
+//   filter  { whereClause, whereParams } of updates and deletes
+//   before  Rows matching the filter before an update or delete: { rows, truncated } or { rows: null, error }
+//   after   The same rows after an update, or the inserted rows
+// The newest entries (cacheEntries) are kept in memory for list(): the file is read once,
+// in start(), and again only for pages older than the cached entries.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const alert = require('../alert');
+const ChangeFeed = require('./changeFeed');
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+class AuditLog {
+    constructor(options = {}) {
+        this.options = {
+            filePath: path.join('buffer', 'audit.jsonl'),
+            snapshotLimit: 100,                                 // Rows kept in a before/after snapshot
+            redactColumns: /password|secret|token/i,            // Columns whose values are never written
+            cacheEntries: 5000,                                 // Newest entries kept in memory for list()
+            ...options
+        };
+
+        this.nextId = 1;
+        this.lastHash = null;
+        this.recent = null;         // Newest entries, oldest first (null until the file is read)
+        this.recentComplete = true; // false once older entries are only on disk
+        this.stats = {
+            recorded: 0,
+            writeErrors: 0,
+            lastRecordedAt: null
+        };
+    }
+
+    // Continue the numbering and the hash chain of a previous run
+    start() {
+        const entries = this._loadRecent();
+        if (entries.length > 0) {
+            const last = entries[entries.length - 1];
+            this.nextId = last.id + 1;
+            this.lastHash = last.hash || null;
+        }
+    }
+
+    record(action, { actor = null, origin = null, ip = null, table = null, filter = null, before = null, after = null, details = null } = {}) {
+        const entry = {
+            id: this.nextId++,
+            timestamp: new Date().toISOString(),
+            action,
+            actor: actor === null ? null : String(actor),
+            origin,
+            ip,
+            table,
+            filter,
+            before,
+            after,
+            details,
+            prevHash: this.lastHash
+        };
+        entry.hash = AuditLog.hashEntry(entry);
+        this.lastHash = entry.hash;
+
+        try {
+            this._ensureDirectory();
+            fs.appendFileSync(this.options.filePath, JSON.stringify(entry) + '\n', { flag: 'a' });
+            this._remember(entry);
+        } catch (error) {
+            this.stats.writeErrors++;
+            alert.error('AUDIT', `Could not write ${this.options.filePath}`, error);
+        }
+        this.stats.recorded++;
+        this.stats.lastRecordedAt = entry.timestamp;
+        return entry;
+    }
+
+    // Run a data mutation and record it, whether it succeeds or not. Updates and deletes
+    // are recorded with the matching rows before, updates also after; inserts with the
+    // inserted row. Rethrows the error of a failed mutation.
+    // context: { action, actor, origin, ip, table, whereClause, whereParams, data, details }
+    async trackMutation(db, context, run) {
+        const { action, table = null, whereClause = '', whereParams = [], data = null } = context;
+        const filtered = action === 'data.update' || action === 'data.delete';
+        const before = filtered ? await this._snapshot(db, table, whereClause, whereParams) : null;
+
+        let result = null;
+        let failure = null;
+        try {
+            result = await run();
+        } catch (error) {
+            failure = error;
+        }
+
+        let after = null;
+        if (!failure && action === 'data.update') {
+            after = await this._snapshotAfter(db, table, before, data, whereClause, whereParams);
+        } else if (!failure && action === 'data.insert' && data) {
+            const rows = Array.isArray(data) ? data : [data];
+            after = { rows: rows.map(row => this._redact(row)), truncated: false };
+        }
+
+        this.record(action, {
+            actor: context.actor,
+            origin: context.origin,
+            ip: context.ip || null,
+            table,
+            filter: filtered ? { whereClause, whereParams } : null,
+            before,
+            after,
+            details: {
+                ...(context.details || {}),
+                ...(action === 'data.update' && data ? { changes: this._redact(data) } : {}),
+                ...AuditLog.describeResult(result),
+                ...(failure ? { error: failure.message } : {})
+            }
+        });
+
+        if (failure) {
+            throw failure;
+        }
+        return result;
+    }
+
+    // Newest first. filters: { action, actor, origin, table, from, to, limit, offset }
+    // 'action' may end with '.*' to match a group ('data.*'); from/to are ISO timestamps.
+    // A page within the cached entries is answered from memory; when older entries exist on
+    // disk, its 'total' only counts the cached matches and 'partial' is true
+    list(filters = {}) {
+        const limit = Math.min(Math.max(parseInt(filters.limit) || 100, 1), 1000);
+        const offset = Math.max(parseInt(filters.offset) || 0, 0);
+        const matchesAction = (action) => {
+            if (!filters.action) return true;
+            return filters.action.endsWith('.*') ?
+                action.startsWith(filters.action.slice(0, -1)) :
+                action === filters.action;
+        };
+
+        const select = (entries) => entries
+            .filter(entry => matchesAction(entry.action))
+            .filter(entry => !filters.actor || entry.actor === filters.actor)
+            .filter(entry => !filters.origin || entry.origin === filters.origin)
+            .filter(entry => !filters.table || entry.table === filters.table)
+            .filter(entry => !filters.from || entry.timestamp >= filters.from)
+            .filter(entry => !filters.to || entry.timestamp <= filters.to)
+            .reverse();
+
+        if (!this.recent) {
+            this._loadRecent();
+        }
+        let matching = select(this.recent);
+        let partial = !this.recentComplete;
+        if (partial && matching.length < offset + limit) {
+            matching = select(this._read());
+            partial = false;
+        }
+
+        return {
+            total: matching.length,
+            limit,
+            offset,
+            partial,
+            entries: matching.slice(offset, offset + limit)
+        };
+    }
+
+    // Walk the hash chain. Returns { valid, entries, brokenAt } where brokenAt is the ID
+    // (or line number, for an unreadable line) of the first entry that does not match
+    verify() {
+        if (!fs.existsSync(this.options.filePath)) {
+            return { valid: true, entries: 0, brokenAt: null };
+        }
+
+        let previousHash = null;
+        let count = 0;
+        const lines = fs.readFileSync(this.options.filePath, 'utf8').split('\n');
+        for (let index = 0; index < lines.length; index++) {
+            if (!lines[index].trim()) {
+                continue;
+            }
+            let entry;
+            try {
+                entry = JSON.parse(lines[index]);
+            } catch (error) {
+                return { valid: false, entries: count, brokenAt: `line ${index + 1}` };
+            }
+            // Entries written before the chain existed have no hash
+            if (entry.hash === undefined && previousHash === null) {
+                count++;
+                continue;
+            }
+            if (entry.prevHash !== previousHash || entry.hash !== AuditLog.hashEntry(entry)) {
+                return { valid: false, entries: count, brokenAt: entry.id };
+            }
+            previousHash = entry.hash;
+            count++;
+        }
+        return { valid: true, entries: count, brokenAt: null };
+    }
+
+    getStatus() {
+        return {
+            filePath: this.options.filePath,
+            nextId: this.nextId,
+            ...this.stats
+        };
+    }
+
+    // sha256 of the entry without its own hash
+    static hashEntry(entry) {
+        const { hash, ...content } = entry;
+        return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+    }
+
+    // affectedRows/insertId of a database result, when it has them
+    static describeResult(result) {
+        if (!result || typeof result !== 'object' || Array.isArray(result)) {
+            return {};
+        }
+        const described = {};
+        if (result.affectedRows !== undefined) described.affectedRows = result.affectedRows;
+        if (result.insertId !== undefined) described.insertId = result.insertId;
+        return described;
+    }
+
+    // 'a = ? AND b = ?' (and '' or '1=1') as getDataByFilters filters, or null
+    static whereToFilters(whereClause, whereParams = []) {
+        return ChangeFeed.whereToFilters(whereClause, whereParams);
+    }
+
+    // Rows matching a WHERE clause of 'column = ?' conditions, read with getDataByFilters.
+    // Other clauses are never run as SQL: the snapshot records an error instead
+    async _snapshot(db, table, whereClause, whereParams) {
+        try {
+            if (!table || !IDENTIFIER.test(table)) {
+                throw new Error(`Invalid table name '${table}'`);
+            }
+            const limit = this.options.snapshotLimit;
+            const filters = AuditLog.whereToFilters(whereClause, whereParams);
+            if (!filters) {
+                throw new Error("Snapshots need 'column = ?' conditions joined with AND");
+            }
+            const rows = await db.getDataByFilters(table, filters, { limit: limit + 1 });
+            if (!Array.isArray(rows)) {
+                throw new Error('Snapshot query returned no rows');
+            }
+            return {
+                rows: rows.slice(0, limit).map(row => this._redact(row)),
+                truncated: rows.length > limit
+            };
+        } catch (error) {
+            return { rows: null, error: error.message };
+        }
+    }
+
+    // The rows of the before snapshot after an update: the same WHERE clause when the
+    // update leaves its columns alone, otherwise each row again by its (new) 'id'
+    async _snapshotAfter(db, table, before, data, whereClause, whereParams) {
+        const filters = AuditLog.whereToFilters(whereClause, whereParams);
+        const changed = Object.keys(data || {});
+        if (!filters || !changed.some(column => column in filters)) {
+            return this._snapshot(db, table, whereClause, whereParams);
+        }
+        if (!before.rows || before.rows.some(row => row.id === undefined)) {
+            return { rows: null, error: 'The update changed the filtered columns and the rows have no id' };
+        }
+        try {
+            const rows = [];
+            for (const row of before.rows) {
+                const id = data.id !== undefined ? data.id : row.id;
+                rows.push(...await db.getDataByFilters(table, { id }, { limit: 1 }));
+            }
+            return { rows: rows.map(row => this._redact(row)), truncated: before.truncated };
+        } catch (error) {
+            return { rows: null, error: error.message };
+        }
+    }
+
+    _redact(row) {
+        if (!row || typeof row !== 'object') {
+            return row;
+        }
+        const redacted = {};
+        for (const [column, value] of Object.entries(row)) {
+            redacted[column] = this.options.redactColumns.test(column) ? '[redacted]' : value;
+        }
+        return redacted;
+    }
+
+    // Read the file and keep its newest entries. Returns every entry
+    _loadRecent() {
+        const entries = this._read();
+        this.recent = entries.slice(-this.options.cacheEntries);
+        this.recentComplete = this.recent.length === entries.length;
+        return entries;
+    }
+
+    _remember(entry) {
+        if (!this.recent) {
+            return; // Read with the entry on the first list()
+        }
+        this.recent.push(entry);
+        if (this.recent.length > this.options.cacheEntries) {
+            this.recent.shift();
+            this.recentComplete = false;
+        }
+    }
+
+    _read() {
+        if (!fs.existsSync(this.options.filePath)) {
+            return [];
+        }
+        const entries = [];
+        for (const line of fs.readFileSync(this.options.filePath, 'utf8').split('\n')) {
+            if (!line.trim()) {
+                continue;
+            }
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                // A partial line from a crash mid-append
+            }
+        }
+        return entries;
+    }
+
+    _ensureDirectory() {
+        const directory = path.dirname(this.options.filePath);
+        if (!fs.existsSync(directory)) {
+            fs.mkdirSync(directory, { recursive: true });
+        }
+    }
+}
+
+module.exports = AuditLog;
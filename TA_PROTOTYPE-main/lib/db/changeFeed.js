@@ -0,0 +1,256 @@
+// lib/db/changeFeed.js
+// Change-data-capture bus of the DatabaseAdapter. The adapter publishes an event after each
+// successful write, whatever the backend, and can bridge the native change streams of
+// Firestore and Cosmos DB for writes made outside the application. Consumers either listen
+// to one table (subscribe) or to every table by type, like an EventEmitter:
+//   feed.on('inserted' | 'updated' | 'deleted' | 'change', event => ...)
+// Events: { sequence, source, table, type, rows, previousRows, changes, filter, statement, truncated, timestamp }
+//   sequence      Increasing number of the event
+//   source        'adapter' (written through the adapter), 'firestore' or 'cosmosdb' (native stream)
+//   type          'inserted', 'updated' or 'deleted'
+//   rows          Inserted rows, rows after an update, or deleted rows (null when unknown)
+//   previousRows  Rows before an update (null for other types)
+//   changes       Column values of an update
+//   filter        { whereClause, whereParams } of an update or delete
+//   statement     { sql, params, affectedRows } of a raw SQL write (rows are then null)
+// Rows of updates and deletes are read before the write (in its transaction on MySQL), and
+// only while someone listens, so writes nobody watches cost nothing extra. They are read for
+// { column: value } and 'column = ? AND ...' conditions only; other clauses publish rows: null.
+
+const EventEmitter = require('events');
+const alert = require('../alert');
+
+const TYPES = ['inserted', 'updated', 'deleted'];
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const SIMPLE_CONDITION = /^`?([A-Za-z_][A-Za-z0-9_]*)`?\s*=\s*\?$/;
+const MATCH_ALL = /^\s*(1\s*=\s*1)?\s*$/;
+const WRITE_STATEMENT = /^\s*(?:(INSERT|REPLACE)\s+(?:IGNORE\s+)?INTO|(UPDATE)(?:\s+IGNORE)?|(DELETE)\s+FROM)\s+`?([A-Za-z_][A-Za-z0-9_]*)`?/i;
+
+class ChangeFeed extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = {
+            rowLimit: 1000,             // Rows read per update/delete (more are marked truncated)
+            dedupeWindow: 5000,         // Native events for rows the adapter wrote this recently are dropped (ms)
+            ...options
+        };
+        this.setMaxListeners(0);
+        this.tableListeners = new Map(); // table -> Set(listener)
+        this.bridgedTables = new Set();  // Tables with a native change stream
+        this.recentIds = new Map();      // 'table:id' -> time the adapter wrote it (bridged tables only)
+        this.sequence = 0;
+        this.stats = {
+            published: 0,
+            native: 0,
+            duplicatesDropped: 0,
+            listenerErrors: 0,
+            byType: { inserted: 0, updated: 0, deleted: 0 },
+            lastChangeAt: null
+        };
+    }
+
+    // Call listener(event) for each change of the table. Returns the unsubscribe function
+    subscribe(table, listener) {
+        if (!this.tableListeners.has(table)) {
+            this.tableListeners.set(table, new Set());
+        }
+        this.tableListeners.get(table).add(listener);
+        return () => {
+            const listeners = this.tableListeners.get(table);
+            if (listeners) {
+                listeners.delete(listener);
+                if (listeners.size === 0) {
+                    this.tableListeners.delete(table);
+                }
+            }
+        };
+    }
+
+    // Whether an event of the table (and type) would reach anyone
+    hasSubscribers(table, type = null) {
+        if (this.tableListeners.has(table) || this.listenerCount('change') > 0) {
+            return true;
+        }
+        return (type ? [type] : TYPES).some(name => this.listenerCount(name) > 0);
+    }
+
+    publish(change) {
+        if (!TYPES.includes(change.type)) {
+            throw new Error(`Unknown change type '${change.type}'`);
+        }
+        const event = {
+            sequence: ++this.sequence,
+            source: 'adapter',
+            rows: null,
+            previousRows: null,
+            changes: null,
+            filter: null,
+            statement: null,
+            truncated: false,
+            ...change,
+            timestamp: new Date().toISOString()
+        };
+        this.stats.published++;
+        this.stats.byType[event.type]++;
+        this.stats.lastChangeAt = event.timestamp;
+        if (event.source === 'adapter') {
+            this._rememberIds(event);
+        }
+
+        this._notify(event.table, [...(this.tableListeners.get(event.table) || [])], event);
+        this._notify(event.table, this.rawListeners(event.type), event);
+        this._notify(event.table, this.rawListeners('change'), event);
+        return event;
+    }
+
+    // Event of a native change stream. Rows the adapter wrote within dedupeWindow were
+    // already published and are dropped
+    publishNative(change) {
+        this._pruneRecentIds(Date.now());
+        const rows = (change.rows || []).filter(row => !(row && this.recentIds.has(`${change.table}:${row.id}`)));
+        this.stats.duplicatesDropped += (change.rows || []).length - rows.length;
+        if (rows.length === 0) {
+            return null;
+        }
+        this.stats.native++;
+        return this.publish({ ...change, rows });
+    }
+
+    // Remember the IDs the adapter writes to a table with a native stream (see publishNative)
+    bridge(table) {
+        this.bridgedTables.add(table);
+    }
+
+    // Rows matching the conditions of an update or delete ({ column: value }, or a WHERE
+    // clause with whereParams), read before the write: { rows, truncated }. rows is null for
+    // clauses other than 'column = ? AND ...': their SQL is never run a second time
+    async capture(db, table, where, whereParams) {
+        const limit = this.options.rowLimit;
+        try {
+            const filters = where && typeof where === 'object' && !Array.isArray(where) ?
+                where :
+                ChangeFeed.whereToFilters(where, whereParams);
+            const rows = filters ? await db.getDataByFilters(table, filters, { limit: limit + 1 }) : null;
+            if (!Array.isArray(rows)) {
+                return { rows: null, truncated: false };
+            }
+            return { rows: rows.slice(0, limit), truncated: rows.length > limit };
+        } catch (error) {
+            alert.warning('DATABASE', `Change feed could not read ${table}: ${error.message}`);
+            return { rows: null, truncated: false };
+        }
+    }
+
+    getStatus() {
+        return {
+            tables: [...this.tableListeners].map(([table, listeners]) => ({ table, subscribers: listeners.size })),
+            listeners: Object.fromEntries(['change', ...TYPES].map(name => [name, this.listenerCount(name)])),
+            bridgedTables: [...this.bridgedTables],
+            sequence: this.sequence,
+            ...this.stats
+        };
+    }
+
+    // 'a = ? AND b = ?' (and '' or '1=1') as getDataByFilters filters, or null
+    static whereToFilters(whereClause, whereParams = []) {
+        if (MATCH_ALL.test(whereClause || '')) {
+            return {};
+        }
+        if (typeof whereClause !== 'string' || !Array.isArray(whereParams)) {
+            return null;
+        }
+        const conditions = whereClause.split(/\s+AND\s+/i);
+        if (conditions.length !== whereParams.length) {
+            return null;
+        }
+        const filters = {};
+        for (let index = 0; index < conditions.length; index++) {
+            const match = conditions[index].trim().match(SIMPLE_CONDITION);
+            if (!match) {
+                return null;
+            }
+            filters[match[1]] = whereParams[index];
+        }
+        return filters;
+    }
+
+    // getDataByFilters-style filters as a bound 'a = ? AND b = ?' clause ('1=1' without
+    // filters): { whereClause, whereParams }. Throws for columns that aren't plain identifiers
+    static filtersToWhere(filters = {}) {
+        const columns = Object.keys(filters || {});
+        const invalid = columns.find(column => !IDENTIFIER.test(column));
+        if (invalid !== undefined) {
+            throw new Error(`Invalid column name '${invalid}'`);
+        }
+        return {
+            whereClause: columns.length > 0 ? columns.map(column => `\`${column}\` = ?`).join(' AND ') : '1=1',
+            whereParams: columns.map(column => filters[column])
+        };
+    }
+
+    // { type, table } of an INSERT/REPLACE/UPDATE/DELETE statement, or null for other SQL
+    static describeStatement(sql) {
+        const match = typeof sql === 'string' ? sql.match(WRITE_STATEMENT) : null;
+        if (!match) {
+            return null;
+        }
+        const type = match[1] ? 'inserted' : (match[2] ? 'updated' : 'deleted');
+        return { type, table: match[4] };
+    }
+
+    // Whether a row has every value of getDataByFilters-style filters. Values are compared
+    // as strings, since ids and numbers may come back from the database as either
+    static matches(row, filters = {}) {
+        if (!row || typeof row !== 'object') {
+            return false;
+        }
+        return Object.entries(filters || {}).every(([column, value]) => {
+            const actual = row[column];
+            const missing = actual === null || actual === undefined;
+            if (missing || value === null || value === undefined) {
+                return missing && (value === null || value === undefined);
+            }
+            return String(actual) === String(value);
+        });
+    }
+
+    // A failing listener doesn't keep the others from the event
+    _notify(table, listeners, event) {
+        for (const listener of listeners) {
+            try {
+                listener.call(this, event);
+            } catch (error) {
+                this.stats.listenerErrors++;
+                alert.warning('DATABASE', `Change feed listener for ${table} failed: ${error.message}`);
+            }
+        }
+    }
+
+    _rememberIds(event) {
+        if (!this.bridgedTables.has(event.table) || !event.rows) {
+            return;
+        }
+        const now = Date.now();
+        this._pruneRecentIds(now);
+        for (const row of event.rows) {
+            if (row && row.id !== undefined && row.id !== null) {
+                const key = `${event.table}:${row.id}`;
+                this.recentIds.delete(key); // Keep the map in write order for _pruneRecentIds
+                this.recentIds.set(key, now);
+            }
+        }
+    }
+
+    _pruneRecentIds(now) {
+        for (const [key, time] of this.recentIds) {
+            if (now - time < this.options.dedupeWindow) {
+                break; // Insertion order: the rest is newer
+            }
+            this.recentIds.delete(key);
+        }
+    }
+}
+
+ChangeFeed.TYPES = TYPES;
+
+module.exports = ChangeFeed;
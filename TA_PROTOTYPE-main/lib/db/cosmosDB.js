@@ -8,6 +8,7 @@ const alert = require('../alert');
 const ALGORITHM = 'aes-256-cbc';
 const SECRET_KEY = crypto.createHash('sha256').update(process.env.DB_ENCRYPTION_KEY || '').digest();
 const IV_LENGTH = 16;
+const INSERT_MANY_MAX_DOCS = 1000; // Documents per insertMany call
 
 class CosmosQueryBuilder {
     constructor(database, collectionName) {
@@ -481,6 +482,48 @@ class CosmosDB {
         }
     }
 
+    // Insert many documents with unordered insertMany calls, so one rejected document
+    // doesn't stop the others. Resolves [{ index, success, insertId, error }] in input order.
+    async postDataBatch(collectionName, rows = []) {
+        const collection = this.db.collection(collectionName);
+        const results = [];
+
+        for (let start = 0; start < rows.length; start += INSERT_MANY_MAX_DOCS) {
+            const docs = rows.slice(start, start + INSERT_MANY_MAX_DOCS).map(row => {
+                const encryptedData = this._encryptData(row);
+                encryptedData.created_at = new Date();
+                encryptedData.updated_at = new Date();
+                return encryptedData;
+            });
+
+            // _id is assigned client-side by insertMany, before the request is sent
+            const failures = new Map();
+            try {
+                await collection.insertMany(docs, { ordered: false });
+            } catch (error) {
+                const writeErrors = error.writeErrors ? [].concat(error.writeErrors) : [];
+                if (writeErrors.length === 0) {
+                    // Not a per-document failure: the whole call failed
+                    docs.forEach((doc, offset) => failures.set(offset, error.message));
+                } else {
+                    writeErrors.forEach(writeError => failures.set(writeError.index, writeError.errmsg || writeError.message));
+                }
+                alert.database.error('CosmosDB postDataBatch operation', error);
+            }
+
+            docs.forEach((doc, offset) => {
+                const failed = failures.has(offset);
+                results.push({
+                    index: start + offset,
+                    success: !failed,
+                    insertId: failed ? null : doc._id.toString(),
+                    error: failed ? failures.get(offset) : null
+                });
+            });
+        }
+        return results;
+    }
+
     async updateData(collectionName, data = {}, whereClause = '', whereParams = []) {
         try {
             const filters = this._parseWhereClause(whereClause, whereParams);
@@ -4,6 +4,11 @@
 const Database = require('./mysqlDB');
 const FirebaseDB = require('./firebaseDB');
 const CosmosDB = require('./cosmosDB');
+const ChangeFeed = require('./changeFeed');
+
+// Change feed types of the backends' native change events
+const FIRESTORE_CHANGE_TYPES = { added: 'inserted', modified: 'updated', removed: 'deleted' };
+const COSMOS_CHANGE_TYPES = { insert: 'inserted', update: 'updated', replace: 'updated', delete: 'deleted' };
 
 class DatabaseAdapter {
     constructor() {
@@ -12,6 +17,7 @@ class DatabaseAdapter {
         this.secondaryDb = null;
         this.initialized = false;
         this.subscriptions = new Map();
+        this.nativeStreams = new Map();  // table -> unsubscribe function of the backend's change stream
 
         // Configuration from environment
         this.config = {
@@ -35,8 +41,17 @@ class DatabaseAdapter {
                 accountName: process.env.COSMOS_ACCOUNT_NAME,
                 accountKey: process.env.COSMOS_ACCOUNT_KEY,
                 database: process.env.COSMOS_DATABASE || 'monitor_db'
+            },
+            changeFeed: {
+                rowLimit: parseInt(process.env.CHANGE_FEED_ROW_LIMIT) || 1000,
+                dedupeWindow: parseInt(process.env.CHANGE_FEED_DEDUPE_MS) || 5000,
+                // Tables whose Firestore/Cosmos DB change stream feeds the bus (writes made outside the application)
+                nativeTables: (process.env.CHANGE_FEED_NATIVE_TABLES || '').split(',').map(table => table.trim()).filter(Boolean)
             }
         };
+
+        // Typed inserted/updated/deleted events of every write, whatever the backend (changeFeed.js)
+        this.changeFeed = new ChangeFeed(this.config.changeFeed);
     }
 
     async initialize() {
@@ -80,6 +95,7 @@ class DatabaseAdapter {
             }
 
             this.initialized = true;
+            await this._bridgeNativeChanges();
             console.log(`🎯 Database adapter initialized successfully`);
 
         } catch (error) {
@@ -94,6 +110,7 @@ class DatabaseAdapter {
         
         try {
             const result = await this.primaryDb.postData(tableName, data);
+            this._publishInserted(tableName, Array.isArray(data) ? data : [data], [result]);
             
             // Sync to secondary database if hybrid mode
             if (this.secondaryDb && this.config.type === 'hybrid') {
@@ -109,6 +126,58 @@ class DatabaseAdapter {
         }
     }
 
+    // Insert many rows in as few round trips as the primary database allows.
+    // Resolves one result per row, in input order: { index, success, insertId, error }
+    async postDataBatch(tableName, rows = []) {
+        await this.ensureInitialized();
+
+        if (rows.length === 0) {
+            return [];
+        }
+
+        let results;
+        if (typeof this.primaryDb.postDataBatch === 'function') {
+            results = await this.primaryDb.postDataBatch(tableName, rows);
+        } else {
+            // Database without batch support: insert row by row
+            results = [];
+            for (let index = 0; index < rows.length; index++) {
+                try {
+                    const result = await this.primaryDb.postData(tableName, rows[index]);
+                    results.push({ index, success: true, insertId: result.insertId, error: null });
+                } catch (error) {
+                    results.push({ index, success: false, insertId: null, error: error.message });
+                }
+            }
+        }
+
+        this._publishInserted(
+            tableName,
+            rows.filter((row, index) => results[index].success),
+            results.filter(result => result.success)
+        );
+
+        const failed = results.filter(result => !result.success).length;
+        if (failed > 0) {
+            console.error(`postDataBatch: ${failed} of ${rows.length} rows failed for ${tableName}`);
+        }
+
+        // Sync the stored rows to the secondary database if hybrid mode
+        if (this.secondaryDb && this.config.type === 'hybrid') {
+            const stored = rows.filter((row, index) => results[index].success);
+            if (stored.length > 0) {
+                const sync = typeof this.secondaryDb.postDataBatch === 'function' ?
+                    this._syncToSecondary('postDataBatch', tableName, stored) :
+                    Promise.all(stored.map(row => this._syncToSecondary('postData', tableName, row)));
+                sync.catch(err => {
+                    console.warn('Secondary database sync failed:', err);
+                });
+            }
+        }
+
+        return results;
+    }
+
     async getDataByFilters(tableName, filters = {}, options = {}) {
         await this.ensureInitialized();
         
@@ -128,7 +197,8 @@ class DatabaseAdapter {
         await this.ensureInitialized();
         
         try {
-            const result = await this.primaryDb.updateData(tableName, data, whereClause, whereParams);
+            const result = await this._publishingWrite(tableName, 'updated',
+                db => db.updateData(tableName, data, whereClause, whereParams));
             
             // Sync to secondary database if hybrid mode
             if (this.secondaryDb && this.config.type === 'hybrid') {
@@ -148,7 +218,8 @@ class DatabaseAdapter {
         await this.ensureInitialized();
         
         try {
-            const result = await this.primaryDb.deleteData(tableName, whereClause, whereParams);
+            const result = await this._publishingWrite(tableName, 'deleted',
+                db => db.deleteData(tableName, whereClause, whereParams));
             
             // Sync to secondary database if hybrid mode
             if (this.secondaryDb && this.config.type === 'hybrid') {
@@ -164,57 +235,95 @@ class DatabaseAdapter {
         }
     }
 
-    // Query builder interface (enhanced MySQL-style queries)
+    // Query builder interface (enhanced MySQL-style queries). Its statements run through
+    // query(), so its writes are published like raw SQL
     table(name) {
         if (this.primaryDb && this.primaryDb.table) {
-            return this.primaryDb.table(name);
+            return this._builderOn(this.primaryDb.table(name), this);
         }
         throw new Error('Query builder not available for current database type');
     }
 
-    // Raw query execution
+    // Raw query execution. Write statements are published without rows: only the SQL is known
     async query(sql, params = []) {
         await this.ensureInitialized();
         
         if (this.primaryDb && this.primaryDb.query) {
-            return await this.primaryDb.query(sql, params);
+            const result = await this.primaryDb.query(sql, params);
+            this._publishStatement(sql, params, result);
+            return result;
         }
         throw new Error('Raw queries not supported for current database type');
     }
 
-    // Transaction support
+    // Transaction support. The callback gets the transaction's connection (or the primary
+    // database, for databases without transaction support) with its writes recorded: their
+    // change feed events are published once the callback resolved, none after a rollback
     async transaction(callback) {
         await this.ensureInitialized();
         
         if (this.primaryDb && this.primaryDb.transaction) {
-            return await this.primaryDb.transaction(callback);
+            const recorders = [];
+            const result = await this.primaryDb.transaction((connection) => {
+                const recorder = this._recordingChanges(connection);
+                recorders.push(recorder);
+                return callback(recorder.db);
+            });
+            recorders.forEach(recorder => recorder.flush());
+            return result;
         }
         
         // For databases without transaction support, execute directly
-        return await callback(this.primaryDb);
+        const recorder = this._recordingChanges(this.primaryDb);
+        const result = await callback(recorder.db);
+        recorder.flush();
+        return result;
+    }
+
+    // Changes written through this adapter, on every backend: listener({ table, type, rows, ... }).
+    // Returns the unsubscribe function
+    onChange(tableName, listener) {
+        return this.changeFeed.subscribe(tableName, listener);
+    }
+
+    getChangeFeed() {
+        return this.changeFeed;
     }
 
-    // Real-time subscription support (Firestore only)
+    // Real-time subscription on every backend: callback(event) with the change feed events of
+    // the table, narrowed to the rows matching the filters (before or after an update). Events
+    // without rows (raw SQL) only reach subscriptions without filters
     subscribe(tableName, callback, filters = {}) {
-        const firebaseDb = this.databases.get('firebase');
-        if (firebaseDb && firebaseDb.subscribe) {
-            const subscriptionId = `${tableName}_${Date.now()}_${Math.random()}`;
-            const unsubscribe = firebaseDb.subscribe(tableName, callback, filters);
-            
-            this.subscriptions.set(subscriptionId, {
-                unsubscribe,
-                tableName,
-                createdAt: Date.now()
-            });
-            
-            return {
-                subscriptionId,
-                unsubscribe: () => this.unsubscribe(subscriptionId)
-            };
-        }
-        
-        console.warn('Real-time subscriptions require Firebase/Firestore database');
-        return { subscriptionId: null, unsubscribe: () => {} };
+        const subscriptionId = `${tableName}_${Date.now()}_${Math.random()}`;
+        const hasFilters = Object.keys(filters || {}).length > 0;
+        const unsubscribe = this.changeFeed.subscribe(tableName, (event) => {
+            if (!hasFilters) {
+                callback(event);
+                return;
+            }
+            const previousRows = event.previousRows;
+            const matching = (event.rows || []).map((row, index) => index).filter(index =>
+                ChangeFeed.matches(event.rows[index], filters) ||
+                (previousRows !== null && ChangeFeed.matches(previousRows[index], filters)));
+            if (matching.length > 0) {
+                callback({
+                    ...event,
+                    rows: matching.map(index => event.rows[index]),
+                    previousRows: previousRows && matching.map(index => previousRows[index])
+                });
+            }
+        });
+
+        this.subscriptions.set(subscriptionId, {
+            unsubscribe,
+            tableName,
+            createdAt: Date.now()
+        });
+
+        return {
+            subscriptionId,
+            unsubscribe: () => this.unsubscribe(subscriptionId)
+        };
     }
 
     unsubscribe(subscriptionId) {
@@ -229,7 +338,7 @@ class DatabaseAdapter {
     }
 
     unsubscribeAll() {
-        for (const [id, subscription] of this.subscriptions) {
+        for (const subscription of this.subscriptions.values()) {
             subscription.unsubscribe();
         }
         this.subscriptions.clear();
@@ -311,7 +420,8 @@ class DatabaseAdapter {
             primaryDatabase: this.primaryDb ? (this.primaryDb.constructor.name) : null,
             secondaryDatabase: this.secondaryDb ? (this.secondaryDb.constructor.name) : null,
             databases: Array.from(this.databases.keys()),
-            isFirestore: this.secondaryDb ? this.secondaryDb.isFirestore : null
+            isFirestore: this.secondaryDb ? this.secondaryDb.isFirestore : null,
+            changeFeed: this.changeFeed.getStatus()
         };
     }
 
@@ -319,8 +429,12 @@ class DatabaseAdapter {
     async close() {
         console.log('🛑 Closing database adapter...');
         
-        // Unsubscribe from all real-time subscriptions
+        // Unsubscribe from all real-time subscriptions and native change streams
         this.unsubscribeAll();
+        for (const unsubscribe of this.nativeStreams.values()) {
+            unsubscribe();
+        }
+        this.nativeStreams.clear();
         
         const promises = [];
         
@@ -350,6 +464,198 @@ class DatabaseAdapter {
         }
     }
 
+    // Rows an update or delete on db is about to change, read only while someone listens for the change
+    async _captureForFeed(db, tableName, type, whereClause, whereParams) {
+        if (!this.changeFeed.hasSubscribers(tableName, type)) {
+            return null;
+        }
+        return this.changeFeed.capture(db, tableName, whereClause, whereParams);
+    }
+
+    // write(db) on the primary database, then its change feed event. While someone listens
+    // and the database has transactions, the rows of the event are read in the write's
+    // transaction, so they are the rows it changed
+    async _publishingWrite(tableName, type, write) {
+        if (this.primaryDb.transaction && this.changeFeed.hasSubscribers(tableName, type)) {
+            return this.transaction(write);
+        }
+        const recorder = this._recordingChanges(this.primaryDb);
+        const result = await write(recorder.db);
+        recorder.flush();
+        return result;
+    }
+
+    // db (a database or a transaction's connection) whose writes queue their change feed
+    // events instead of publishing them: { db, flush() }. flush() publishes the queue, e.g.
+    // after the commit. Other methods pass through to db unchanged
+    _recordingChanges(db) {
+        const queued = [];
+        const writes = {
+            postData: async (tableName, data = {}) => {
+                const result = await db.postData(tableName, data);
+                queued.push(() => this._publishInserted(tableName, Array.isArray(data) ? data : [data], [result]));
+                return result;
+            },
+            postDataBatch: async (tableName, rows = []) => {
+                const results = await db.postDataBatch(tableName, rows);
+                queued.push(() => this._publishInserted(
+                    tableName,
+                    rows.filter((row, index) => results[index].success),
+                    results.filter(result => result.success)
+                ));
+                return results;
+            },
+            updateData: async (tableName, data = {}, whereClause = '', whereParams = []) => {
+                const before = await this._captureForFeed(db, tableName, 'updated', whereClause, whereParams);
+                const result = await db.updateData(tableName, data, whereClause, whereParams);
+                queued.push(() => this._publishUpdated(tableName, data, whereClause, whereParams, before));
+                return result;
+            },
+            deleteData: async (tableName, whereClause = '', whereParams = []) => {
+                const before = await this._captureForFeed(db, tableName, 'deleted', whereClause, whereParams);
+                const result = await db.deleteData(tableName, whereClause, whereParams);
+                queued.push(() => this._publishDeleted(tableName, whereClause, whereParams, before));
+                return result;
+            },
+            query: async (sql, params = []) => {
+                const result = await db.query(sql, params);
+                queued.push(() => this._publishStatement(sql, params, result));
+                return result;
+            },
+            table: name => this._builderOn(db.table(name), recorder)
+        };
+        const recorder = new Proxy(db, {
+            get(target, property) {
+                if (Object.prototype.hasOwnProperty.call(writes, property) && typeof target[property] === 'function') {
+                    return writes[property];
+                }
+                const value = target[property];
+                return typeof value === 'function' ? value.bind(target) : value;
+            }
+        });
+        return {
+            db: recorder,
+            flush: () => queued.splice(0).forEach(publish => publish())
+        };
+    }
+
+    // A query builder of the primary database whose statements run through runner.query()
+    _builderOn(builder, runner) {
+        const database = builder.database;
+        builder.database = Object.create(database, {
+            query: { value: (sql, params) => runner.query(sql, params) }
+        });
+        return builder;
+    }
+
+    // Rows after and before an update (before: the capture, null when nobody listened)
+    _publishUpdated(tableName, data, whereClause, whereParams, before) {
+        if (!before) {
+            return;
+        }
+        this.changeFeed.publish({
+            table: tableName,
+            type: 'updated',
+            rows: before.rows && before.rows.map(row => ({ ...row, ...data })),
+            previousRows: before.rows,
+            changes: data,
+            filter: { whereClause, whereParams },
+            truncated: before.truncated
+        });
+    }
+
+    _publishDeleted(tableName, whereClause, whereParams, before) {
+        if (!before) {
+            return;
+        }
+        this.changeFeed.publish({
+            table: tableName,
+            type: 'deleted',
+            rows: before.rows,
+            filter: { whereClause, whereParams },
+            truncated: before.truncated
+        });
+    }
+
+    // Inserted rows with the ID the database gave them (results: one per row, in order)
+    _publishInserted(tableName, rows, results) {
+        if (rows.length === 0 || !this.changeFeed.hasSubscribers(tableName, 'inserted')) {
+            return;
+        }
+        this.changeFeed.publish({
+            table: tableName,
+            type: 'inserted',
+            rows: rows.map((row, index) => {
+                const insertId = results[index] && results[index].insertId;
+                return insertId !== undefined && insertId !== null ? { ...row, id: insertId } : { ...row };
+            })
+        });
+    }
+
+    _publishStatement(sql, params, result) {
+        const statement = ChangeFeed.describeStatement(sql);
+        if (!statement || !this.changeFeed.hasSubscribers(statement.table, statement.type)) {
+            return;
+        }
+        this.changeFeed.publish({
+            table: statement.table,
+            type: statement.type,
+            statement: {
+                sql,
+                params,
+                affectedRows: result && result.affectedRows !== undefined ? result.affectedRows : null
+            }
+        });
+    }
+
+    // Feed the native change streams of config.changeFeed.nativeTables into the change feed,
+    // so writes made outside the application (console, other services) are published too
+    async _bridgeNativeChanges() {
+        const db = this.primaryDb;
+        const source = db instanceof CosmosDB ? 'cosmosdb' : (db instanceof FirebaseDB && db.isFirestore ? 'firestore' : null);
+        if (!source) {
+            if (this.config.changeFeed.nativeTables.length > 0) {
+                console.warn(`Native change streams need Firestore or Cosmos DB as primary database, not ${this.config.type}`);
+            }
+            return;
+        }
+
+        for (const table of this.config.changeFeed.nativeTables) {
+            if (this.nativeStreams.has(table)) {
+                continue;
+            }
+            let initialSnapshot = true;
+            const unsubscribe = await Promise.resolve(db.subscribe(table, (payload) => {
+                if (payload.type === 'error') {
+                    console.warn(`Native change stream of ${table} failed: ${payload.error}`);
+                    return;
+                }
+                if (source === 'firestore') {
+                    // The first snapshot holds the documents already there, not changes
+                    if (initialSnapshot) {
+                        initialSnapshot = false;
+                        return;
+                    }
+                    for (const change of payload.changes || []) {
+                        this._publishNative(table, source, FIRESTORE_CHANGE_TYPES[change.type], change.id, change.data);
+                    }
+                } else {
+                    this._publishNative(table, source, COSMOS_CHANGE_TYPES[payload.type], payload.id, payload.data);
+                }
+            }));
+            this.nativeStreams.set(table, unsubscribe);
+            this.changeFeed.bridge(table);
+            console.log(`📡 Native ${source} change stream bridged for ${table}`);
+        }
+    }
+
+    _publishNative(table, source, type, id, data) {
+        if (!type) {
+            return;
+        }
+        this.changeFeed.publishNative({ table, source, type, rows: [{ ...(data || {}), id }] });
+    }
+
     async _syncToSecondary(method, ...args) {
         if (!this.secondaryDb) return;
         
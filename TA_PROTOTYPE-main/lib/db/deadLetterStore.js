@@ -0,0 +1,256 @@
+// lib/db/deadLetterStore.js
+// Keeps readings that could not be ingested (unparseable, missing required fields,
+// failed calibration or schema validation) in a JSON-lines file, so they can be
+// browsed, re-ingested once the configuration is fixed, or purged.
+// Entries: { id, sourceType, sourceId, port, parser, table, stage, reason, raw,
+//            encoding, meta, createdAt, retries, lastRetryAt }
+// Re-ingestion is delegated to a handler per sourceType ('serial', 'websocket'), which
+// runs the entry through the current pipeline and resolves { accepted, stage, reason }.
+
+const fs = require('fs');
+const path = require('path');
+const alert = require('../alert');
+
+const STAGES = ['parse', 'transform', 'required', 'schema'];
+
+class DeadLetterStore {
+    constructor(options = {}) {
+        this.options = {
+            filePath: path.join('buffer', 'dead-letter.jsonl'),
+            maxEntries: 5000,             // Oldest entries are dropped beyond this
+            ...options
+        };
+
+        this.entries = [];                // Oldest first
+        this.nextId = 1;
+        this.retryHandlers = new Map();   // sourceType -> async (entry) => { accepted, stage, reason }
+        this.retrying = false;
+        this.stats = {
+            added: 0,
+            retried: 0,
+            recovered: 0,
+            purged: 0,
+            dropped: 0,
+            corruptLines: 0,
+            lastAddedAt: null
+        };
+    }
+
+    // Load entries kept by a previous run
+    start() {
+        this._load();
+        if (this.entries.length > 0) {
+            alert.info('DEAD_LETTER', `${this.entries.length} dead-letter entr${this.entries.length === 1 ? 'y' : 'ies'} kept from a previous run`);
+        }
+    }
+
+    registerRetryHandler(sourceType, handler) {
+        this.retryHandlers.set(sourceType, handler);
+    }
+
+    // Store a reading that could not be ingested. raw is a string or a Buffer (stored as hex)
+    add(record) {
+        const isBuffer = Buffer.isBuffer(record.raw);
+        const entry = {
+            id: this.nextId++,
+            sourceType: record.sourceType,
+            sourceId: record.sourceId || null,
+            port: record.port || null,
+            parser: record.parser || null,
+            table: record.table || null,
+            stage: STAGES.includes(record.stage) ? record.stage : 'parse',
+            reason: record.reason || 'Unknown error',
+            raw: isBuffer ? record.raw.toString('hex') : String(record.raw),
+            encoding: isBuffer ? 'hex' : 'utf8',
+            meta: record.meta || null,
+            createdAt: new Date().toISOString(),
+            retries: 0,
+            lastRetryAt: null
+        };
+
+        try {
+            this._ensureDirectory();
+            fs.appendFileSync(this.options.filePath, JSON.stringify(entry) + '\n');
+        } catch (error) {
+            alert.error('DEAD_LETTER', `Could not write ${this.options.filePath}`, error);
+        }
+        this.entries.push(entry);
+        this.stats.added++;
+        this.stats.lastAddedAt = entry.createdAt;
+
+        if (this.entries.length > this.options.maxEntries) {
+            const dropped = this.entries.length - this.options.maxEntries;
+            this.entries.splice(0, dropped);
+            this.stats.dropped += dropped;
+            this._rewrite();
+        }
+        return entry;
+    }
+
+    // Newest first. filters: { sourceType, sourceId, stage, limit, offset }
+    list(filters = {}) {
+        const limit = Math.min(Math.max(parseInt(filters.limit) || 100, 1), 1000);
+        const offset = Math.max(parseInt(filters.offset) || 0, 0);
+
+        const matching = this.entries
+            .filter(entry => !filters.sourceType || entry.sourceType === filters.sourceType)
+            .filter(entry => !filters.sourceId || entry.sourceId === filters.sourceId)
+            .filter(entry => !filters.stage || entry.stage === filters.stage)
+            .reverse();
+
+        return {
+            total: matching.length,
+            limit,
+            offset,
+            entries: matching.slice(offset, offset + limit)
+        };
+    }
+
+    // Re-ingest entries (all when ids is empty). Accepted entries are removed,
+    // the others keep their latest failure reason
+    async retry(ids = null) {
+        if (this.retrying) {
+            const error = new Error('A dead-letter retry is already running');
+            error.code = 'RETRY_IN_PROGRESS';
+            throw error;
+        }
+
+        const selected = this._select(ids);
+        const results = [];
+        const accepted = new Set();
+
+        this.retrying = true;
+        try {
+            for (const entry of selected) {
+                const handler = this.retryHandlers.get(entry.sourceType);
+                let outcome;
+                if (!handler) {
+                    outcome = { accepted: false, stage: entry.stage, reason: `No retry handler for ${entry.sourceType} entries` };
+                } else {
+                    try {
+                        outcome = await handler(entry);
+                    } catch (error) {
+                        outcome = { accepted: false, stage: entry.stage, reason: error.message };
+                    }
+                }
+
+                entry.retries++;
+                entry.lastRetryAt = new Date().toISOString();
+                if (outcome.accepted) {
+                    accepted.add(entry.id);
+                } else {
+                    entry.stage = outcome.stage || entry.stage;
+                    entry.reason = outcome.reason || entry.reason;
+                }
+                results.push({ id: entry.id, accepted: !!outcome.accepted, stage: entry.stage, reason: outcome.accepted ? null : entry.reason });
+            }
+        } finally {
+            this.entries = this.entries.filter(entry => !accepted.has(entry.id));
+            if (selected.length > 0) {
+                this._rewrite();
+            }
+            this.retrying = false;
+        }
+
+        this.stats.retried += selected.length;
+        this.stats.recovered += accepted.size;
+        if (selected.length > 0) {
+            alert.info('DEAD_LETTER', `Retried ${selected.length} entr${selected.length === 1 ? 'y' : 'ies'}: ${accepted.size} re-ingested, ${selected.length - accepted.size} still failing`);
+        }
+        return {
+            retried: selected.length,
+            recovered: accepted.size,
+            failed: selected.length - accepted.size,
+            results
+        };
+    }
+
+    // Delete entries (all when ids is empty). Returns the number removed
+    purge(ids = null) {
+        const selected = new Set(this._select(ids).map(entry => entry.id));
+        if (selected.size === 0) {
+            return 0;
+        }
+        this.entries = this.entries.filter(entry => !selected.has(entry.id));
+        this.stats.purged += selected.size;
+        this._rewrite();
+        alert.info('DEAD_LETTER', `Purged ${selected.size} entr${selected.size === 1 ? 'y' : 'ies'}`);
+        return selected.size;
+    }
+
+    getStatus() {
+        const byStage = {};
+        const bySource = {};
+        for (const entry of this.entries) {
+            byStage[entry.stage] = (byStage[entry.stage] || 0) + 1;
+            const source = entry.sourceId ? `${entry.sourceType}:${entry.sourceId}` : entry.sourceType;
+            bySource[source] = (bySource[source] || 0) + 1;
+        }
+        return {
+            filePath: this.options.filePath,
+            depth: this.entries.length,
+            maxEntries: this.options.maxEntries,
+            retrying: this.retrying,
+            byStage,
+            bySource,
+            ...this.stats
+        };
+    }
+
+    _select(ids) {
+        if (!Array.isArray(ids) || ids.length === 0) {
+            return [...this.entries];
+        }
+        const wanted = new Set(ids.map(Number));
+        return this.entries.filter(entry => wanted.has(entry.id));
+    }
+
+    _load() {
+        this.entries = [];
+        if (!fs.existsSync(this.options.filePath)) {
+            return;
+        }
+
+        const lines = fs.readFileSync(this.options.filePath, 'utf8').split('\n');
+        for (const line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+            try {
+                const entry = JSON.parse(line);
+                this.entries.push(entry);
+                this.nextId = Math.max(this.nextId, (entry.id || 0) + 1);
+            } catch (error) {
+                // A partial line from a crash mid-append
+                this.stats.corruptLines++;
+            }
+        }
+        if (this.stats.corruptLines > 0) {
+            alert.warning('DEAD_LETTER', `Skipped ${this.stats.corruptLines} corrupt line(s) in ${this.options.filePath}`);
+            this._rewrite();
+        }
+    }
+
+    // Replace the file with the current entries (write to a temp file, then rename)
+    _rewrite() {
+        const tempPath = `${this.options.filePath}.tmp`;
+        try {
+            this._ensureDirectory();
+            fs.writeFileSync(tempPath, this.entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+            fs.renameSync(tempPath, this.options.filePath);
+        } catch (error) {
+            alert.error('DEAD_LETTER', `Could not rewrite ${this.options.filePath}`, error);
+        }
+    }
+
+    _ensureDirectory() {
+        const directory = path.dirname(this.options.filePath);
+        if (!fs.existsSync(directory)) {
+            fs.mkdirSync(directory, { recursive: true });
+        }
+    }
+}
+
+DeadLetterStore.STAGES = STAGES;
+
+module.exports = DeadLetterStore;
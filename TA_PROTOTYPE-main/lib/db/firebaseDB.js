@@ -20,6 +20,7 @@ try {
 const ALGORITHM = 'aes-256-cbc';
 const SECRET_KEY = crypto.createHash('sha256').update(process.env.DB_ENCRYPTION_KEY || '').digest();
 const IV_LENGTH = 16;
+const FIRESTORE_BATCH_LIMIT = 500; // Firestore allows at most 500 writes per batch
 
 class FirebaseQueryBuilder {
     constructor(database, tableName) {
@@ -610,6 +611,62 @@ class FirebaseDB {
         }
     }
 
+    // Insert many records with batched writes: Firestore commits up to
+    // FIRESTORE_BATCH_LIMIT documents per batch, Realtime Database writes every
+    // record with one multi-path update. A failed commit fails all of its rows.
+    // Resolves [{ index, success, insertId, error }] in input order.
+    async postDataBatch(tableName, rows = []) {
+        const results = [];
+
+        if (this.isFirestore) {
+            const collection = this.db.collection(tableName);
+            for (let start = 0; start < rows.length; start += FIRESTORE_BATCH_LIMIT) {
+                const chunk = rows.slice(start, start + FIRESTORE_BATCH_LIMIT);
+                const batch = this.db.batch();
+                const docRefs = chunk.map(row => {
+                    const encryptedData = this._encryptData(row);
+                    encryptedData.created_at = Timestamp.now();
+                    encryptedData.updated_at = Timestamp.now();
+                    const docRef = collection.doc();
+                    batch.set(docRef, encryptedData);
+                    return docRef;
+                });
+
+                try {
+                    await batch.commit();
+                    docRefs.forEach((docRef, offset) => {
+                        results.push({ index: start + offset, success: true, insertId: docRef.id, error: null });
+                    });
+                } catch (error) {
+                    alert.database.error('Firebase postDataBatch operation', error);
+                    chunk.forEach((row, offset) => {
+                        results.push({ index: start + offset, success: false, insertId: null, error: error.message });
+                    });
+                }
+            }
+            return results;
+        }
+
+        // Realtime Database
+        const dataRef = ref(this.db, tableName);
+        const updates = {};
+        const keys = rows.map(row => {
+            const key = push(dataRef).key;
+            updates[key] = { ...this._encryptData(row), created_at: new Date().toISOString() };
+            return key;
+        });
+
+        try {
+            if (keys.length > 0) {
+                await update(dataRef, updates);
+            }
+            return keys.map((key, index) => ({ index, success: true, insertId: key, error: null }));
+        } catch (error) {
+            alert.database.error('Firebase postDataBatch operation', error);
+            return keys.map((key, index) => ({ index, success: false, insertId: null, error: error.message }));
+        }
+    }
+
     async updateData(tableName, data = {}, whereClause = '', whereParams = []) {
         try {
             // For Firebase, we need to parse the whereClause and whereParams
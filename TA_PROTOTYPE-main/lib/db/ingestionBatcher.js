@@ -0,0 +1,151 @@
+// lib/db/ingestionBatcher.js
+// Collects serial/WebSocket readings and inserts them with one postDataBatch call
+// per table, instead of one postData call per reading. A batch is flushed when it
+// reaches maxBatchSize rows or flushInterval ms after its first row, whichever
+// comes first. Batches are written one at a time, in arrival order.
+// With a write-ahead buffer, rows the database refuses are queued there.
+
+const alert = require('../alert');
+
+class IngestionBatcher {
+    constructor(db, options = {}, writeBuffer = null) {
+        this.db = db;
+        this.writeBuffer = writeBuffer;
+        this.options = {
+            maxBatchSize: 100,      // Rows that trigger an immediate flush
+            flushInterval: 250,     // Longest time a row waits for its batch (ms)
+            ...options
+        };
+
+        this.pending = [];          // { table, data, source, resolve, reject }
+        this.timer = null;
+        this.flushChain = Promise.resolve();
+        this.flushing = 0;          // Batches taken but not yet written
+        this.stats = {
+            rows: 0,
+            batches: 0,
+            failedRows: 0,
+            bufferedRows: 0,
+            largestBatch: 0,
+            lastBatchSize: null,
+            lastFlushMs: null,
+            lastFlushAt: null,
+            lastError: null
+        };
+    }
+
+    // Queue a row. Resolves like WriteAheadBuffer.write() once its batch is written:
+    // { buffered: false, result } or { buffered: true, seq, depth }
+    write(table, data, meta = {}) {
+        return new Promise((resolve, reject) => {
+            this.pending.push({ table, data, source: meta.source || null, resolve, reject });
+
+            if (this.pending.length >= this.options.maxBatchSize) {
+                this.flush();
+            } else if (!this.timer) {
+                this.timer = setTimeout(() => this.flush(), this.options.flushInterval);
+            }
+        });
+    }
+
+    // Write everything queued so far. Resolves with the number of rows written
+    flush() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        if (this.pending.length === 0) {
+            return this.flushChain.then(() => 0);
+        }
+
+        const items = this.pending;
+        this.pending = [];
+        this.flushing++;
+        this.flushChain = this.flushChain
+            .then(() => this._writeBatch(items))
+            .catch(error => {
+                alert.error('BATCH', 'Batch flush failed', error);
+                return 0;
+            })
+            .finally(() => {
+                this.flushing--;
+            });
+        return this.flushChain;
+    }
+
+    // Flush what is left (shutdown)
+    async stop() {
+        await this.flush();
+    }
+
+    getStatus() {
+        return {
+            maxBatchSize: this.options.maxBatchSize,
+            flushInterval: this.options.flushInterval,
+            pending: this.pending.length,
+            flushing: this.flushing,
+            ...this.stats
+        };
+    }
+
+    async _writeBatch(items) {
+        const startedAt = Date.now();
+
+        // One postDataBatch call per table, tables in order of their first row
+        const byTable = new Map();
+        for (const item of items) {
+            if (!byTable.has(item.table)) {
+                byTable.set(item.table, []);
+            }
+            byTable.get(item.table).push(item);
+        }
+
+        let written = 0;
+        for (const [table, tableItems] of byTable) {
+            try {
+                const outcomes = this.writeBuffer ?
+                    await this.writeBuffer.writeBatch(table, tableItems) :
+                    await this._postBatch(table, tableItems);
+
+                for (const [index, outcome] of outcomes.entries()) {
+                    const item = tableItems[index];
+                    if (outcome.error) {
+                        this.stats.failedRows++;
+                        this.stats.lastError = outcome.error.message;
+                        item.reject(outcome.error);
+                        continue;
+                    }
+                    if (outcome.buffered) {
+                        this.stats.bufferedRows++;
+                    } else {
+                        written++;
+                    }
+                    item.resolve(outcome);
+                }
+            } catch (error) {
+                this.stats.failedRows += tableItems.length;
+                this.stats.lastError = error.message;
+                tableItems.forEach(item => item.reject(error));
+            }
+        }
+
+        this.stats.rows += items.length;
+        this.stats.batches++;
+        this.stats.lastBatchSize = items.length;
+        this.stats.largestBatch = Math.max(this.stats.largestBatch, items.length);
+        this.stats.lastFlushMs = Date.now() - startedAt;
+        this.stats.lastFlushAt = new Date().toISOString();
+        alert.debug('BATCH', `Flushed ${items.length} row(s) in ${this.stats.lastFlushMs}ms (${written} written)`);
+        return written;
+    }
+
+    // Without a write buffer a refused row fails its write() promise
+    async _postBatch(table, items) {
+        const results = await this.db.postDataBatch(table, items.map(item => item.data));
+        return results.map(result => (result.success ?
+            { buffered: false, result: { insertId: result.insertId, affectedRows: 1 } } :
+            { error: new Error(result.error) }));
+    }
+}
+
+module.exports = IngestionBatcher;
@@ -2,10 +2,13 @@
 const mysql = require('mysql2');
 const crypto = require('crypto');
 const alert = require('../alert');
+const ChangeFeed = require('./changeFeed');
 
 const ALGORITHM = 'aes-256-cbc';
 const SECRET_KEY = crypto.createHash('sha256').update(process.env.DB_ENCRYPTION_KEY || '').digest();
 const IV_LENGTH = 16;
+const BATCH_INSERT_MAX_ROWS = 500; // Rows per multi-row INSERT (keeps statements under max_allowed_packet)
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
 
 class QueryBuilder {
     constructor(database, tableName) {
@@ -319,6 +322,7 @@ class Database {
     constructor(config) {
         this.connection = mysql.createConnection(config);
         this.config = config;
+        this.transactionQueue = Promise.resolve(); // Settles when the running transaction ended
     }
 
     connect() {
@@ -334,7 +338,35 @@ class Database {
         });
     }
 
+    // The connection is shared: statements wait until a running transaction ended
     query(sql, params = []) {
+        return this.transactionQueue.then(() => this._execute(sql, params));
+    }
+
+    // callback(connection) between START TRANSACTION and COMMIT, ROLLBACK when it throws.
+    // connection has the methods of this database, its statements run inside the transaction
+    // (a nested transaction() joins it). Resolves what the callback resolved
+    transaction(callback) {
+        const run = this.transactionQueue.then(async () => {
+            const connection = Object.create(this, {
+                query: { value: (sql, params = []) => this._execute(sql, params) },
+                transaction: { value: nested => nested(connection) }
+            });
+            await this._execute('START TRANSACTION');
+            try {
+                const result = await callback(connection);
+                await this._execute('COMMIT');
+                return result;
+            } catch (error) {
+                await this._execute('ROLLBACK').catch(() => {});
+                throw error;
+            }
+        });
+        this.transactionQueue = run.catch(() => {});
+        return run;
+    }
+
+    _execute(sql, params = []) {
         return new Promise((resolve, reject) => {
             this.connection.query(sql, params, (err, results) => {
                 if (err) {
@@ -410,6 +442,63 @@ class Database {
         return this.query(sql, values);
     }
 
+    // Insert many rows with multi-row INSERT statements. Consecutive rows with the same
+    // columns share one statement (up to BATCH_INSERT_MAX_ROWS rows). When a statement
+    // fails its rows are retried one by one so each row gets its own result.
+    // Resolves [{ index, success, insertId, error }] in input order.
+    async postDataBatch(tableName, rows = []) {
+        const results = new Array(rows.length);
+        const groups = [];
+        rows.forEach((row, index) => {
+            const columns = Object.keys(row);
+            const signature = columns.join('\u0000');
+            const last = groups[groups.length - 1];
+            if (last && last.signature === signature && last.indexes.length < BATCH_INSERT_MAX_ROWS) {
+                last.indexes.push(index);
+            } else {
+                groups.push({ signature, columns, indexes: [index] });
+            }
+        });
+
+        for (const group of groups) {
+            const rowPlaceholders = `(${group.columns.map(() => '?').join(', ')})`;
+            const values = [];
+            for (const index of group.indexes) {
+                values.push(...group.columns.map(column => rows[index][column]));
+            }
+            const sql = `INSERT INTO \`${tableName}\` (\`${group.columns.join('`, `')}\`) VALUES ` +
+                group.indexes.map(() => rowPlaceholders).join(', ');
+
+            try {
+                const result = await this.query(sql, values);
+                // A multi-row INSERT reports the id of its first row, the rest follow
+                // consecutively (auto-increment lock modes 0 and 1)
+                group.indexes.forEach((index, offset) => {
+                    results[index] = {
+                        index,
+                        success: true,
+                        insertId: result.insertId ? result.insertId + offset : null,
+                        error: null
+                    };
+                });
+            } catch (error) {
+                if (group.indexes.length === 1) {
+                    results[group.indexes[0]] = { index: group.indexes[0], success: false, insertId: null, error: error.message };
+                    continue;
+                }
+                for (const index of group.indexes) {
+                    try {
+                        const result = await this.postData(tableName, rows[index]);
+                        results[index] = { index, success: true, insertId: result.insertId, error: null };
+                    } catch (rowError) {
+                        results[index] = { index, success: false, insertId: null, error: rowError.message };
+                    }
+                }
+            }
+        }
+        return results;
+    }
+
     updateData(tableName, data = {}, whereClause = '', whereParams = []) {
         const dataToUpdate = { ...data };
         const columns = Object.keys(dataToUpdate);
@@ -419,6 +508,27 @@ class Database {
         return this.query(sql, [...values, ...whereParams]);
     }
 
+    // where: { column: value } conditions, or the same conditions as a 'column = ? AND ...'
+    // clause with whereParams ('1=1' deletes every row). Any other SQL is refused: the
+    // statement is rebuilt from the column names and the values are always bound
+    deleteData(tableName, where = '', whereParams = []) {
+        const conditions = where && typeof where === 'object' && !Array.isArray(where) ?
+            where :
+            (where ? ChangeFeed.whereToFilters(where, whereParams) : null);
+        if (!IDENTIFIER.test(tableName)) {
+            return Promise.reject(new Error(`Invalid table name '${tableName}'`));
+        }
+        if (!conditions || (typeof where === 'object' && Object.keys(conditions).length === 0)) {
+            return Promise.reject(new Error("deleteData needs 'column = ?' conditions joined with AND, or { column: value } (use 1=1 to delete every row)"));
+        }
+        try {
+            const { whereClause, whereParams: params } = ChangeFeed.filtersToWhere(conditions);
+            return this.query(`DELETE FROM \`${tableName}\` WHERE ${whereClause}`, params);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
     _decryptRow(row) {
         const decryptedRow = { ...row };
         for (const key in decryptedRow) {
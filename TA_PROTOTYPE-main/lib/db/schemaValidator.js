@@ -0,0 +1,181 @@
+// lib/db/schemaValidator.js
+// Per-table validation of ingested records with Joi. Schemas come from a JSON file:
+//   {
+//     "sensors_data": {
+//       "allowUnknown": true,
+//       "fields": {
+//         "temperature": { "type": "number", "min": -40, "max": 150, "required": true },
+//         "humidity": { "type": "number", "min": 0, "max": 100 },
+//         "status": { "type": "string", "enum": ["ok", "warning", "fault"] },
+//         "sample": { "type": "integer", "min": 0 },
+//         "recorded_at": { "type": "date" }
+//       }
+//     }
+//   }
+// Tables without a schema are accepted as they are. Rejected records are counted per
+// table and, when a quarantine table is set, stored there with their errors.
+
+const Joi = require('joi');
+const fs = require('fs');
+const alert = require('../alert');
+
+const FIELD_TYPES = ['number', 'integer', 'string', 'boolean', 'date'];
+
+class SchemaValidator {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.options = {
+            schemaFile: null,             // JSON file of table -> { fields, allowUnknown }
+            schemas: null,                // Inline definitions (take precedence over schemaFile)
+            quarantineTable: null,        // Store rejected records here (null = count only)
+            ...options
+        };
+
+        this.definitions = {};
+        this.schemas = new Map();         // table -> Joi object schema
+        this.stats = new Map();           // table -> { accepted, rejected, quarantined, lastRejection }
+        this.load();
+    }
+
+    // (Re)load the definitions. Invalid definitions throw, so a bad file fails at startup
+    load() {
+        let definitions = this.options.schemas;
+        if (!definitions && this.options.schemaFile) {
+            definitions = JSON.parse(fs.readFileSync(this.options.schemaFile, 'utf8'));
+        }
+        definitions = definitions || {};
+
+        const schemas = new Map();
+        for (const [table, definition] of Object.entries(definitions)) {
+            schemas.set(table, SchemaValidator.buildSchema(table, definition));
+        }
+        this.definitions = definitions;
+        this.schemas = schemas;
+        return schemas.size;
+    }
+
+    static buildSchema(table, definition) {
+        if (!definition || typeof definition.fields !== 'object' || Array.isArray(definition.fields)) {
+            throw new Error(`Schema for '${table}' needs a 'fields' object`);
+        }
+
+        const keys = {};
+        for (const [field, rule] of Object.entries(definition.fields)) {
+            keys[field] = SchemaValidator.buildField(`${table}.${field}`, rule);
+        }
+        return Joi.object(keys).unknown(definition.allowUnknown !== false);
+    }
+
+    static buildField(name, rule) {
+        if (!rule || !FIELD_TYPES.includes(rule.type)) {
+            throw new Error(`Schema field '${name}': unknown type '${rule && rule.type}' (expected ${FIELD_TYPES.join(', ')})`);
+        }
+
+        let schema;
+        switch (rule.type) {
+            case 'number':
+            case 'integer':
+                schema = rule.type === 'integer' ? Joi.number().integer() : Joi.number();
+                if (rule.min !== undefined) schema = schema.min(rule.min);
+                if (rule.max !== undefined) schema = schema.max(rule.max);
+                break;
+            case 'string':
+                schema = Joi.string();
+                if (rule.minLength !== undefined) schema = schema.min(rule.minLength);
+                if (rule.maxLength !== undefined) schema = schema.max(rule.maxLength);
+                if (rule.pattern) schema = schema.pattern(new RegExp(rule.pattern));
+                break;
+            case 'boolean':
+                schema = Joi.boolean();
+                break;
+            default: // 'date'
+                schema = Joi.date();
+                break;
+        }
+
+        if (Array.isArray(rule.enum)) {
+            schema = schema.valid(...rule.enum);
+        }
+        if (rule.nullable) {
+            schema = schema.allow(null);
+        }
+        return rule.required ? schema.required() : schema;
+    }
+
+    hasSchema(table) {
+        return this.schemas.has(table);
+    }
+
+    // Validate one record. Returns the converted record ('23.5' -> 23.5) when it passes:
+    // { valid: true, value } or { valid: false, errors: [{ field, message }] }
+    // meta.source identifies the ingestion path in the quarantine table
+    validate(table, record, meta = {}) {
+        const schema = this.schemas.get(table);
+        if (!schema) {
+            return { valid: true, value: record };
+        }
+
+        const stats = this._statsFor(table);
+        const { error, value } = schema.validate(record, { abortEarly: false, convert: true });
+        if (!error) {
+            stats.accepted++;
+            return { valid: true, value };
+        }
+
+        const errors = error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+        }));
+        stats.rejected++;
+        stats.lastRejection = {
+            source: meta.source || null,
+            errors,
+            timestamp: new Date().toISOString()
+        };
+        this._quarantine(table, record, errors, meta.source || null);
+        return { valid: false, errors };
+    }
+
+    getStatus() {
+        const tables = {};
+        for (const table of this.schemas.keys()) {
+            tables[table] = { ...this._statsFor(table) };
+        }
+        return {
+            schemaFile: this.options.schemaFile,
+            quarantineTable: this.options.quarantineTable,
+            tables
+        };
+    }
+
+    _statsFor(table) {
+        if (!this.stats.has(table)) {
+            this.stats.set(table, { accepted: 0, rejected: 0, quarantined: 0, lastRejection: null });
+        }
+        return this.stats.get(table);
+    }
+
+    // Store the rejected record as JSON so any table's rows fit one quarantine schema
+    _quarantine(table, record, errors, source) {
+        const quarantineTable = this.options.quarantineTable;
+        if (!quarantineTable || !this.db) {
+            return;
+        }
+
+        this.db.postData(quarantineTable, {
+            table_name: table,
+            source,
+            payload: JSON.stringify(record),
+            errors: JSON.stringify(errors),
+            rejected_at: new Date().toISOString()
+        })
+            .then(() => {
+                this._statsFor(table).quarantined++;
+            })
+            .catch(error => {
+                alert.error('VALIDATION', `Could not quarantine rejected ${table} record`, error);
+            });
+    }
+}
+
+module.exports = SchemaValidator;
@@ -0,0 +1,203 @@
+// lib/db/tablePolicy.js
+// Which tables the generic MAUI API (POST /api/maui-data, GET /api/maui-get/:table)
+// may touch, and which of their columns. Policies come from a JSON file:
+//   {
+//     "sensors_data": {
+//       "read": true,
+//       "write": true,
+//       "writableColumns": ["temperature", "humidity", "device_id", "recorded_at"],
+//       "hiddenColumns": ["raw_payload"],
+//       "maxLimit": 1000
+//     }
+//   }
+// Tables that are not listed are neither readable nor writable. Without writableColumns
+// any column is accepted. Hidden columns are removed from read results and cannot be
+// used to filter or order them.
+
+const fs = require('fs');
+const { isProtectedTable } = require('../auth/permissions');
+
+const DEFAULT_POLICIES = {
+    sensors_data: { read: true, write: true }
+};
+
+// Table and column names end up in SQL identifiers
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+class TablePolicy {
+    constructor(options = {}) {
+        this.options = {
+            policyFile: null,             // JSON file of table -> policy (null = DEFAULT_POLICIES)
+            policies: null,               // Inline policies (take precedence over policyFile)
+            defaultLimit: 100,            // Rows returned when a read has no limit
+            maxLimit: 1000,               // Largest limit a read may ask for (per table: maxLimit)
+            ...options
+        };
+
+        this.policies = new Map();        // table -> normalized policy
+        this.load();
+    }
+
+    // (Re)load the policies. Invalid policies throw, so a bad file fails at startup
+    load() {
+        let definitions = this.options.policies;
+        if (!definitions && this.options.policyFile) {
+            definitions = JSON.parse(fs.readFileSync(this.options.policyFile, 'utf8'));
+        }
+        definitions = definitions || DEFAULT_POLICIES;
+
+        const policies = new Map();
+        for (const [table, definition] of Object.entries(definitions)) {
+            policies.set(table, TablePolicy.buildPolicy(table, definition, this.options.maxLimit));
+        }
+        this.policies = policies;
+        return policies.size;
+    }
+
+    static buildPolicy(table, definition, maxLimit) {
+        if (!IDENTIFIER.test(table)) {
+            throw new Error(`Table policy: invalid table name '${table}'`);
+        }
+        if (isProtectedTable(table)) {
+            throw new Error(`Table policy: '${table}' holds user accounts and cannot be exposed`);
+        }
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            throw new Error(`Table policy for '${table}' must be an object`);
+        }
+
+        const columns = (key) => {
+            const list = definition[key];
+            if (list === undefined || list === null) {
+                return null;
+            }
+            if (!Array.isArray(list) || !list.every(column => typeof column === 'string' && IDENTIFIER.test(column))) {
+                throw new Error(`Table policy for '${table}': '${key}' must be a list of column names`);
+            }
+            return new Set(list);
+        };
+
+        return {
+            read: definition.read === true,
+            write: definition.write === true,
+            writableColumns: columns('writableColumns'),
+            hiddenColumns: columns('hiddenColumns') || new Set(),
+            maxLimit: Number.isInteger(definition.maxLimit) && definition.maxLimit > 0 ? definition.maxLimit : maxLimit
+        };
+    }
+
+    canRead(table) {
+        const policy = this.policies.get(table);
+        return !!(policy && policy.read);
+    }
+
+    canWrite(table) {
+        const policy = this.policies.get(table);
+        return !!(policy && policy.write);
+    }
+
+    // Columns of a record that the table does not accept (empty when all are accepted)
+    rejectedColumns(table, record) {
+        const policy = this.policies.get(table);
+        if (!policy) {
+            return Object.keys(record);
+        }
+        return Object.keys(record).filter(column =>
+            !IDENTIFIER.test(column) ||
+            policy.hiddenColumns.has(column) ||
+            (policy.writableColumns !== null && !policy.writableColumns.has(column)));
+    }
+
+    // Checks the filters, ordering and limit of a read (query string values) and returns
+    // { filters, options } for db.getDataByFilters. Throws with code INVALID_QUERY
+    readQuery(table, query = {}) {
+        const policy = this.policies.get(table);
+        const filters = {};
+        const options = { limit: this.options.defaultLimit };
+
+        const checkColumn = (column, usage) => {
+            if (typeof column !== 'string' || !IDENTIFIER.test(column)) {
+                throw TablePolicy._error(`Invalid ${usage} column '${column}'`);
+            }
+            if (policy.hiddenColumns.has(column)) {
+                throw TablePolicy._error(`Column '${column}' of '${table}' cannot be used for ${usage}`);
+            }
+        };
+
+        if (query.filters !== undefined) {
+            if (!query.filters || typeof query.filters !== 'object' || Array.isArray(query.filters)) {
+                throw TablePolicy._error("'filters' must be given as filters[column]=value");
+            }
+            for (const [column, value] of Object.entries(query.filters)) {
+                checkColumn(column, 'filtering');
+                if (typeof value !== 'string') {
+                    throw TablePolicy._error(`Filter '${column}' must have a single value`);
+                }
+                filters[column] = value;
+            }
+        }
+
+        if (query.orderBy !== undefined) {
+            const orderBy = query.orderBy;
+            if (!orderBy || typeof orderBy !== 'object' || !orderBy.column) {
+                throw TablePolicy._error("'orderBy' must be given as orderBy[column]=name&orderBy[direction]=ASC|DESC");
+            }
+            checkColumn(orderBy.column, 'ordering');
+            const direction = String(orderBy.direction || 'ASC').toUpperCase();
+            if (direction !== 'ASC' && direction !== 'DESC') {
+                throw TablePolicy._error("orderBy[direction] must be ASC or DESC");
+            }
+            options.orderBy = { column: orderBy.column, direction };
+        }
+
+        if (query.limit !== undefined) {
+            const limit = Number(query.limit);
+            if (!Number.isInteger(limit) || limit < 1) {
+                throw TablePolicy._error("'limit' must be a positive integer");
+            }
+            options.limit = Math.min(limit, policy.maxLimit);
+        } else {
+            options.limit = Math.min(options.limit, policy.maxLimit);
+        }
+
+        return { filters, options };
+    }
+
+    // A read result row without the table's hidden columns
+    visibleRow(table, row) {
+        const policy = this.policies.get(table);
+        if (!policy || policy.hiddenColumns.size === 0) {
+            return row;
+        }
+        const visible = {};
+        for (const [column, value] of Object.entries(row)) {
+            if (!policy.hiddenColumns.has(column)) {
+                visible[column] = value;
+            }
+        }
+        return visible;
+    }
+
+    getStatus() {
+        const tables = {};
+        for (const [table, policy] of this.policies) {
+            tables[table] = {
+                read: policy.read,
+                write: policy.write,
+                writableColumns: policy.writableColumns ? [...policy.writableColumns] : null,
+                hiddenColumns: [...policy.hiddenColumns],
+                maxLimit: policy.maxLimit
+            };
+        }
+        return { policyFile: this.options.policyFile, tables };
+    }
+
+    static _error(message) {
+        const error = new Error(message);
+        error.code = 'INVALID_QUERY';
+        return error;
+    }
+}
+
+TablePolicy.DEFAULT_POLICIES = DEFAULT_POLICIES;
+
+module.exports = TablePolicy;
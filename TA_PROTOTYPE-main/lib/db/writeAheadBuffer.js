@@ -0,0 +1,307 @@
+// lib/db/writeAheadBuffer.js
+// Durable on-disk queue for database writes that fail during an outage.
+// Entries are appended to a JSON-lines file as {seq, table, data, source, bufferedAt, attempts}
+// and replayed oldest first once the database accepts writes again. While entries are
+// queued, new writes are queued behind them so readings reach the database in order.
+// Delivery is at-least-once: a crash between a replayed insert and the file rewrite
+// replays that entry again after restart.
+
+const fs = require('fs');
+const path = require('path');
+const alert = require('../alert');
+
+class WriteAheadBuffer {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.options = {
+            filePath: path.join('buffer', 'write-ahead.jsonl'),
+            rejectedFilePath: null,       // Entries the healthy database keeps refusing (null = <filePath>.rejected.jsonl)
+            maxEntries: 10000,            // Oldest entries are dropped beyond this
+            maxBytes: 50 * 1024 * 1024,   // ... or beyond this file size
+            replayInterval: 5000,         // How often a non-empty queue is retried (ms)
+            replayBatchSize: 100,         // Entries replayed per file rewrite
+            maxAttempts: 5,               // Failures of one entry against a healthy database before it is rejected
+            ...options
+        };
+        if (!this.options.rejectedFilePath) {
+            this.options.rejectedFilePath = this.options.filePath.replace(/\.jsonl$/, '') + '.rejected.jsonl';
+        }
+
+        this.entries = [];          // { entry, size } in file order
+        this.bytes = 0;
+        this.nextSeq = 1;
+        this.replaying = false;
+        this.timer = null;
+        this.stats = {
+            buffered: 0,
+            replayed: 0,
+            dropped: 0,
+            rejected: 0,
+            corruptLines: 0,
+            lastBufferedAt: null,
+            lastReplayAt: null,
+            lastError: null
+        };
+    }
+
+    // Load entries left over from a previous run and start the replay timer
+    start() {
+        this._load();
+        if (!this.timer) {
+            this.timer = setInterval(() => {
+                this.replay().catch(error => alert.error('BUFFER', 'Replay failed', error));
+            }, this.options.replayInterval);
+        }
+        if (this.entries.length > 0) {
+            alert.warning('BUFFER', `${this.entries.length} buffered write(s) pending from a previous run`);
+        }
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Write to the database, or queue the record when the write fails or older
+    // records are still queued. Resolves { buffered: false, result } or { buffered: true, seq, depth }
+    async write(table, data, meta = {}) {
+        if (this.entries.length === 0 && !this.replaying) {
+            try {
+                const result = await this.db.postData(table, data);
+                return { buffered: false, result };
+            } catch (error) {
+                this.stats.lastError = error.message;
+            }
+        }
+
+        const entry = this._append(table, data, meta.source || null);
+        return { buffered: true, seq: entry.seq, depth: this.entries.length };
+    }
+
+    // Batched form of write() (lib/db/ingestionBatcher.js): items are { data, source }.
+    // Rows the database refuses are queued. Resolves one outcome per item, in order
+    async writeBatch(table, items) {
+        let results = null;
+        if (this.entries.length === 0 && !this.replaying) {
+            try {
+                results = await this.db.postDataBatch(table, items.map(item => item.data));
+            } catch (error) {
+                this.stats.lastError = error.message;
+            }
+        }
+
+        return items.map((item, index) => {
+            const result = results && results[index];
+            if (result && result.success) {
+                return { buffered: false, result: { insertId: result.insertId, affectedRows: 1 } };
+            }
+            if (result) {
+                this.stats.lastError = result.error;
+            }
+            const entry = this._append(table, item.data, item.source || null);
+            return { buffered: true, seq: entry.seq, depth: this.entries.length };
+        });
+    }
+
+    // Replay queued entries in order until one fails
+    async replay() {
+        if (this.replaying || this.entries.length === 0) {
+            return 0;
+        }
+
+        this.replaying = true;
+        let replayed = 0;
+        let changed = false;
+        let failed = false;
+        try {
+            while (this.entries.length > 0 && replayed < this.options.replayBatchSize) {
+                const item = this.entries[0];
+                try {
+                    await this.db.postData(item.entry.table, item.entry.data);
+                } catch (error) {
+                    this.stats.lastError = error.message;
+                    failed = true;
+                    if (await this._isDatabaseHealthy()) {
+                        // The database is up but refuses this record: don't let it block the queue forever
+                        item.entry.attempts++;
+                        changed = true;
+                        if (item.entry.attempts >= this.options.maxAttempts) {
+                            this._reject(item, error);
+                            failed = false;
+                            continue;
+                        }
+                    }
+                    break;
+                }
+
+                this._shift();
+                replayed++;
+                changed = true;
+            }
+        } finally {
+            if (changed) {
+                this._rewrite();
+            }
+            this.replaying = false;
+        }
+
+        if (replayed > 0) {
+            this.stats.replayed += replayed;
+            this.stats.lastReplayAt = new Date().toISOString();
+            alert.info('BUFFER', `Replayed ${replayed} buffered write(s), ${this.entries.length} remaining`);
+            if (this.entries.length === 0) {
+                alert.success('BUFFER', 'Write-ahead buffer drained');
+            } else if (!failed) {
+                // More to do and the database is accepting writes: continue with the next batch
+                setImmediate(() => this.replay().catch(error => alert.error('BUFFER', 'Replay failed', error)));
+            }
+        }
+        return replayed;
+    }
+
+    getStatus() {
+        const oldest = this.entries[0];
+        const newest = this.entries[this.entries.length - 1];
+        return {
+            filePath: this.options.filePath,
+            depth: this.entries.length,
+            bytes: this.bytes,
+            maxEntries: this.options.maxEntries,
+            maxBytes: this.options.maxBytes,
+            oldestBufferedAt: oldest ? oldest.entry.bufferedAt : null,
+            newestBufferedAt: newest ? newest.entry.bufferedAt : null,
+            replaying: this.replaying,
+            ...this.stats
+        };
+    }
+
+    _append(table, data, source) {
+        const entry = {
+            seq: this.nextSeq++,
+            table,
+            data,
+            source,
+            bufferedAt: new Date().toISOString(),
+            attempts: 0
+        };
+        const line = JSON.stringify(entry) + '\n';
+
+        this._ensureDirectory(this.options.filePath);
+        fs.appendFileSync(this.options.filePath, line);
+        this.entries.push({ entry, size: Buffer.byteLength(line) });
+        this.bytes += Buffer.byteLength(line);
+        this.stats.buffered++;
+        this.stats.lastBufferedAt = entry.bufferedAt;
+
+        if (this.entries.length === 1) {
+            alert.warning('BUFFER', `Database write to ${table} failed, buffering to ${this.options.filePath}`);
+        }
+        this._enforceLimits();
+        return entry;
+    }
+
+    // Drop the oldest entries when the queue is over its bounds
+    _enforceLimits() {
+        let dropped = 0;
+        while (this.entries.length > 1 &&
+            (this.entries.length > this.options.maxEntries || this.bytes > this.options.maxBytes)) {
+            this._shift();
+            dropped++;
+        }
+        if (dropped > 0) {
+            this.stats.dropped += dropped;
+            alert.warning('BUFFER', `Buffer full, dropped ${dropped} oldest write(s)`);
+            this._rewrite();
+        }
+    }
+
+    _shift() {
+        const item = this.entries.shift();
+        this.bytes -= item.size;
+        return item;
+    }
+
+    _reject(item, error) {
+        this._shift();
+        this.stats.rejected++;
+        const line = JSON.stringify({ ...item.entry, error: error.message, rejectedAt: new Date().toISOString() }) + '\n';
+        try {
+            this._ensureDirectory(this.options.rejectedFilePath);
+            fs.appendFileSync(this.options.rejectedFilePath, line);
+        } catch (writeError) {
+            alert.error('BUFFER', `Could not write rejected entry ${item.entry.seq}`, writeError);
+        }
+        alert.error('BUFFER', `Buffered write ${item.entry.seq} to ${item.entry.table} rejected after ${item.entry.attempts} attempts: ${error.message}`);
+    }
+
+    // Only a healthy database can tell a bad record from an outage
+    async _isDatabaseHealthy() {
+        if (!this.db || typeof this.db.healthCheck !== 'function') {
+            return false;
+        }
+        try {
+            const health = await this.db.healthCheck();
+            return !!(health && health.primary);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    _load() {
+        this.entries = [];
+        this.bytes = 0;
+        if (!fs.existsSync(this.options.filePath)) {
+            return;
+        }
+
+        const lines = fs.readFileSync(this.options.filePath, 'utf8').split('\n');
+        for (const line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+            try {
+                const entry = JSON.parse(line);
+                const size = Buffer.byteLength(line + '\n');
+                this.entries.push({ entry, size });
+                this.bytes += size;
+                this.nextSeq = Math.max(this.nextSeq, (entry.seq || 0) + 1);
+            } catch (error) {
+                // A partial line from a crash mid-append
+                this.stats.corruptLines++;
+            }
+        }
+        if (this.stats.corruptLines > 0) {
+            alert.warning('BUFFER', `Skipped ${this.stats.corruptLines} corrupt line(s) in ${this.options.filePath}`);
+            this._rewrite();
+        }
+    }
+
+    // Replace the file with the current queue (write to a temp file, then rename)
+    _rewrite() {
+        const tempPath = `${this.options.filePath}.tmp`;
+        try {
+            this._ensureDirectory(this.options.filePath);
+            const lines = this.entries.map(item => {
+                const line = JSON.stringify(item.entry) + '\n';
+                item.size = Buffer.byteLength(line);
+                return line;
+            });
+            fs.writeFileSync(tempPath, lines.join(''));
+            fs.renameSync(tempPath, this.options.filePath);
+            this.bytes = this.entries.reduce((total, item) => total + item.size, 0);
+        } catch (error) {
+            alert.error('BUFFER', `Could not rewrite ${this.options.filePath}`, error);
+        }
+    }
+
+    _ensureDirectory(filePath) {
+        const directory = path.dirname(filePath);
+        if (!fs.existsSync(directory)) {
+            fs.mkdirSync(directory, { recursive: true });
+        }
+    }
+}
+
+module.exports = WriteAheadBuffer;
@@ -9,6 +9,7 @@ const APIServer = require('./modules/api/apiServer');
 const SerialManager = require('./modules/serial/serialManager');
 const IPCManager = require('./modules/ipc/ipcManager');
 const WebsocketManager = require('./modules/websocket/websocketManager');
+const SetpointManager = require('./modules/setpoint/setpointManager');
 
 class Application {
     constructor() {
@@ -18,6 +19,7 @@ class Application {
         this.serialManager = null;
         this.ipcManager = null;
         this.websocketManager = null;
+        this.setpointManager = null;
     }
 
     async initialize() {
@@ -32,26 +34,63 @@ class Application {
 
             // Initialize API server
             this.apiServer = new APIServer(this.databaseManager.getDatabase());
+            this.apiServer.setWriteBuffer(this.databaseManager.getWriteBuffer());
+            this.apiServer.setIngestionBatcher(this.databaseManager.getIngestionBatcher());
+            this.apiServer.setSchemaValidator(this.databaseManager.getSchemaValidator());
+            this.apiServer.setDeadLetterStore(this.databaseManager.getDeadLetterStore());
+            this.apiServer.setAuditLog(this.databaseManager.getAuditLog());
             this.apiServer.start();
 
             // Initialize serial manager
             this.serialManager = new SerialManager(
                 this.databaseManager.getDatabase(),
-                this.windowManager.getMainWindow()
+                this.windowManager.getMainWindow(),
+                {
+                    writeBuffer: this.databaseManager.getWriteBuffer(),
+                    ingestionBatcher: this.databaseManager.getIngestionBatcher(),
+                    schemaValidator: this.databaseManager.getSchemaValidator(),
+                    deadLetterStore: this.databaseManager.getDeadLetterStore()
+                }
             );
             await this.serialManager.initialize();
+            this.apiServer.setSerialManager(this.serialManager);
+
+            // Initialize setpoint control (sends setpoints through the serial manager)
+            this.setpointManager = new SetpointManager(
+                this.databaseManager.getDatabase(),
+                this.serialManager,
+                this.windowManager.getMainWindow(),
+                this.databaseManager.getAuditLog()
+            );
+            this.apiServer.setSetpointManager(this.setpointManager);
             
             // Initialize WebSocket manager
             this.websocketManager = new WebsocketManager(
                 this.databaseManager.getDatabase(),
-                this.windowManager.getMainWindow()
+                this.windowManager.getMainWindow(),
+                {
+                    writeBuffer: this.databaseManager.getWriteBuffer(),
+                    ingestionBatcher: this.databaseManager.getIngestionBatcher(),
+                    schemaValidator: this.databaseManager.getSchemaValidator(),
+                    deadLetterStore: this.databaseManager.getDeadLetterStore(),
+                    loginThrottle: this.apiServer.getLoginThrottle(),
+                    auditLog: this.databaseManager.getAuditLog(),
+                    tokenService: this.apiServer.getTokenService()
+                }
             );
             await this.websocketManager.initialize();
 
             // Initialize IPC handlers
             this.ipcManager = new IPCManager(
                 this.databaseManager.getDatabase(),
-                this.serialManager
+                this.serialManager,
+                {
+                    setpointManager: this.setpointManager,
+                    writeBuffer: this.databaseManager.getWriteBuffer(),
+                    deadLetterStore: this.databaseManager.getDeadLetterStore(),
+                    tokenService: this.apiServer.getTokenService(),
+                    auditLog: this.databaseManager.getAuditLog()
+                }
             );
             this.ipcManager.setupHandlers();
 
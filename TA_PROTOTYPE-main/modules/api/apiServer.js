@@ -2,12 +2,24 @@
 const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
+const { rateLimit } = require('express-rate-limit');
 const alert = require('../../lib/alert');
+const TokenService = require('../../lib/auth/tokenService');
+const TablePolicy = require('../../lib/db/tablePolicy');
+const LoginThrottle = require('../../lib/auth/loginThrottle');
 
 // Controllers
 const dbController = require('../../App/Http/Controllers/databaseController');
 const authController = require('../../App/Http/Controllers/authController');
 const mauiController = require('../../App/Http/Controllers/mauiController');
+const serialController = require('../../App/Http/Controllers/serialController');
+const setpointController = require('../../App/Http/Controllers/setpointController');
+const deadLetterController = require('../../App/Http/Controllers/deadLetterController');
+const usersController = require('../../App/Http/Controllers/usersController');
+const auditController = require('../../App/Http/Controllers/auditController');
+const { initializeMiddleware, authenticateToken, authenticateForPasswordChange } = require('../../App/Http/Middleware/authenticate');
+const { requirePermission } = require('../../App/Http/Middleware/authorize');
+const { initializeAudit, attachAudit } = require('../../App/Http/Middleware/audit');
 
 class APIServer {
     constructor(database) {
@@ -15,30 +27,250 @@ class APIServer {
         this.database = database;
         this.server = null;
         this.port = process.env.API_PORT || 3001;
-        
+        this.authConfig = this.getAuthConfig();
+        this.tokenService = new TokenService(this.authConfig);
+        this.tablePolicy = this.createTablePolicy();
+        this.loginThrottleConfig = this.getLoginThrottleConfig();
+        this.loginThrottle = new LoginThrottle(this.loginThrottleConfig);
+
         this.setupMiddleware();
         this.setupRoutes();
         this.initializeControllers();
     }
 
+    getAuthConfig() {
+        return {
+            enabled: process.env.API_AUTH_ENABLED !== 'false',
+            secret: process.env.JWT_SECRET || null,
+            accessTokenTtl: parseInt(process.env.JWT_ACCESS_TOKEN_TTL) || 15 * 60,
+            refreshTokenTtl: parseInt(process.env.JWT_REFRESH_TOKEN_TTL) || 7 * 24 * 3600,
+            revocationFile: process.env.JWT_REVOCATION_FILE || 'buffer/revoked-tokens.jsonl'
+        };
+    }
+
+    getLoginThrottleConfig() {
+        return {
+            maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES) || 5,
+            maxIpFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20,
+            failureWindow: parseInt(process.env.LOGIN_FAILURE_WINDOW_MS) || 15 * 60 * 1000,
+            lockoutDuration: parseInt(process.env.LOGIN_LOCKOUT_MS) || 15 * 60 * 1000,
+            rateLimit: parseInt(process.env.LOGIN_RATE_LIMIT) || 30,
+            rateWindow: parseInt(process.env.LOGIN_RATE_WINDOW_MS) || 60 * 1000
+        };
+    }
+
+    getTablePolicyConfig() {
+        return {
+            policyFile: process.env.TABLE_POLICY_FILE || null,
+            defaultLimit: parseInt(process.env.MAUI_GET_DEFAULT_LIMIT) || 100,
+            maxLimit: parseInt(process.env.MAUI_GET_MAX_LIMIT) || 1000
+        };
+    }
+
+    // Tables exposed by /api/maui-data and /api/maui-get. An invalid TABLE_POLICY_FILE
+    // exposes no table at all rather than every table
+    createTablePolicy() {
+        const options = this.getTablePolicyConfig();
+        try {
+            const tablePolicy = new TablePolicy(options);
+            alert.system.config('Table policy', options.policyFile ?
+                `${tablePolicy.policies.size} table(s) from ${options.policyFile}` :
+                `default (${Object.keys(TablePolicy.DEFAULT_POLICIES).join(', ')})`);
+            return tablePolicy;
+        } catch (error) {
+            alert.error('API', `Invalid TABLE_POLICY_FILE, the generic MAUI API exposes no tables: ${error.message}`);
+            return new TablePolicy({ ...options, policies: {} });
+        }
+    }
+
     setupMiddleware() {
+        // filters[column]=value and orderBy[column]=... (GET /api/maui-get/:table) need the qs parser
+        this.app.set('query parser', 'extended');
         this.app.use(cors());
         this.app.use(bodyParser.json());
+        this.app.use(attachAudit);
     }
 
     initializeControllers() {
         dbController.initializeController(this.database);
         authController.initializeController(this.database);
+        authController.setTokenService(this.tokenService);
+        authController.setLoginThrottle(this.loginThrottle);
+        initializeMiddleware(this.tokenService);
+        mauiController.initializeController(this.database);
+        mauiController.setTablePolicy(this.tablePolicy);
+        usersController.initializeController(this.database);
+        usersController.setTokenService(this.tokenService);
+    }
+
+    // The serial manager is created after the API server, so it is attached later
+    setSerialManager(serialManager) {
+        this.serialManager = serialManager;
+        serialController.initializeController(serialManager);
+    }
+
+    // null when the write-ahead buffer is disabled
+    setWriteBuffer(writeBuffer) {
+        this.writeBuffer = writeBuffer;
+    }
+
+    // null when batched inserts are disabled
+    setIngestionBatcher(ingestionBatcher) {
+        this.ingestionBatcher = ingestionBatcher;
+    }
+
+    // null when no SCHEMA_FILE is configured
+    setSchemaValidator(schemaValidator) {
+        this.schemaValidator = schemaValidator;
+        dbController.setSchemaValidator(schemaValidator);
+        mauiController.setSchemaValidator(schemaValidator);
+    }
+
+    // null when the dead-letter store is disabled
+    setDeadLetterStore(deadLetterStore) {
+        this.deadLetterStore = deadLetterStore;
+        if (deadLetterStore) {
+            deadLetterController.initializeController(deadLetterStore);
+        }
+    }
+
+    setSetpointManager(setpointManager) {
+        this.setpointManager = setpointManager;
+        setpointController.initializeController(setpointManager);
+    }
+
+    // Shared by the API server and the WebSocket server (same users, same tokens)
+    getTokenService() {
+        return this.tokenService;
+    }
+
+    // Shared with the WebSocket 'auth' message, so failures on either path add up
+    getLoginThrottle() {
+        return this.loginThrottle;
+    }
+
+    // null when the audit log is disabled
+    setAuditLog(auditLog) {
+        this.auditLog = auditLog;
+        this.loginThrottle.setAuditLog(auditLog);
+        initializeAudit(auditLog);
+        if (auditLog) {
+            auditController.initializeController(auditLog);
+        }
+    }
+
+    // Caps login and registration requests per client IP, whether they succeed or not.
+    // Lockout after repeated failed logins is handled by the login throttle in authController.login
+    createLoginRateLimit() {
+        const { rateLimit: limit, rateWindow } = this.loginThrottleConfig;
+        return rateLimit({
+            windowMs: rateWindow,
+            limit,
+            standardHeaders: 'draft-7',
+            legacyHeaders: false,
+            handler: (req, res, next, options) => {
+                alert.warning('AUTH', `Login rate limit reached for ${req.ip} (${req.path})`);
+                res.status(options.statusCode).json({
+                    success: false,
+                    error: 'Too many login attempts. Please wait and try again.',
+                    code: 'TOO_MANY_REQUESTS'
+                });
+            }
+        });
     }
 
     setupRoutes() {
+        // Data routes need an access token whose role grants the permission (lib/auth/permissions.js),
+        // unless API_AUTH_ENABLED=false
+        const can = permission => (this.authConfig.enabled ? [authenticateToken, requirePermission(permission)] : []);
+        if (!this.authConfig.enabled) {
+            alert.warning('API', 'API_AUTH_ENABLED=false, data routes are open');
+        }
+
         // Authentication Routes
-        this.app.post('/api/auth/register', authController.register);
-        this.app.post('/api/auth/login', authController.login);
+        // Registration and login share one per-IP budget
+        const loginRateLimit = this.createLoginRateLimit();
+        this.app.post('/api/auth/register', loginRateLimit, authController.register);
+        this.app.post('/api/auth/login', loginRateLimit, authController.login);
+        this.app.post('/api/auth/refresh', authController.refresh);
+        this.app.post('/api/auth/logout', authenticateForPasswordChange, authController.logout);
+        this.app.get('/api/auth/me', authenticateToken, authController.me);
+        // The only route open to a user with a temporary password (besides logout)
+        this.app.put('/api/auth/password', authenticateForPasswordChange, authController.changePassword);
+
+        // User Routes (admin)
+        const manageUsers = [authenticateToken, requirePermission('users:manage')];
+        this.app.get('/api/users', ...manageUsers, usersController.listUsers);
+        this.app.put('/api/users/:id/role', ...manageUsers, usersController.updateUserRole);
+        this.app.put('/api/users/:id/email', ...manageUsers, usersController.updateUserEmail);
+        this.app.post('/api/users/:id/disable', ...manageUsers, usersController.disableUser);
+        this.app.post('/api/users/:id/enable', ...manageUsers, usersController.enableUser);
+        this.app.post('/api/users/:id/reset-password', ...manageUsers, usersController.resetUserPassword);
+        this.app.delete('/api/users/:id', ...manageUsers, usersController.deleteUser);
 
         // Data Routes
-        this.app.post('/api/sensor-data', dbController.insertSensorData);
-        this.app.post('/api/maui-data', mauiController.genericDataHandler);
+        this.app.post('/api/sensor-data', ...can('data:write'), dbController.insertSensorData);
+        this.app.post('/api/maui-data', ...can('data:write'), mauiController.genericDataHandler);
+        this.app.get('/api/maui-get/:table', ...can('data:read'), mauiController.genericGetHandler);
+        this.app.get('/api/maui-policy', ...can('data:read'), (req, res) => {
+            res.json({ success: true, data: this.tablePolicy.getStatus() });
+        });
+
+        // Serial Device Routes
+        this.app.get('/api/serial/devices', ...can('data:read'), serialController.listDevices);
+        this.app.get('/api/serial/status', ...can('data:read'), serialController.getStatus);
+        this.app.get('/api/serial/ports/preview', ...can('data:read'), serialController.previewPorts);
+        this.app.post('/api/serial/command', ...can('device:control'), serialController.sendCommand);
+
+        // Setpoint Control Routes
+        this.app.get('/api/setpoints', ...can('data:read'), setpointController.getSetpoints);
+        this.app.get('/api/setpoints/history', ...can('data:read'), setpointController.getSetpointHistory);
+        this.app.put('/api/setpoints/:loop', ...can('setpoint:change'), setpointController.updateSetpoint);
+
+        // Write-ahead buffer (readings queued during database outages)
+        this.app.get('/api/database/buffer', ...can('data:read'), (req, res) => {
+            if (!this.writeBuffer) {
+                return res.status(404).json({ success: false, error: 'Write-ahead buffer disabled' });
+            }
+            res.json({ success: true, data: this.writeBuffer.getStatus() });
+        });
+        this.app.post('/api/database/buffer/replay', ...can('system:configure'), async (req, res) => {
+            if (!this.writeBuffer) {
+                return res.status(404).json({ success: false, error: 'Write-ahead buffer disabled' });
+            }
+            try {
+                const replayed = await this.writeBuffer.replay();
+                req.audit.record('buffer.replay', { details: { replayed } });
+                res.json({ success: true, data: { replayed, ...this.writeBuffer.getStatus() } });
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // Batched inserts (serial/WebSocket readings grouped into multi-row inserts)
+        this.app.get('/api/database/batching', ...can('data:read'), (req, res) => {
+            if (!this.ingestionBatcher) {
+                return res.status(404).json({ success: false, error: 'Batched inserts disabled' });
+            }
+            res.json({ success: true, data: this.ingestionBatcher.getStatus() });
+        });
+
+        // Schema validation counters (accepted/rejected/quarantined per table)
+        this.app.get('/api/database/validation', ...can('data:read'), (req, res) => {
+            if (!this.schemaValidator) {
+                return res.status(404).json({ success: false, error: 'Schema validation disabled' });
+            }
+            res.json({ success: true, data: this.schemaValidator.getStatus() });
+        });
+
+        // Dead-letter store (readings that failed parsing, calibration or validation)
+        this.app.get('/api/dead-letters', ...can('data:read'), deadLetterController.listDeadLetters);
+        this.app.post('/api/dead-letters/retry', ...can('system:configure'), deadLetterController.retryDeadLetters);
+        this.app.post('/api/dead-letters/purge', ...can('data:delete'), deadLetterController.purgeDeadLetters);
+
+        // Audit trail (data mutations, control actions, login lockouts)
+        this.app.get('/api/audit', ...can('audit:read'), auditController.listAuditEntries);
+        this.app.get('/api/audit/verify', ...can('audit:read'), auditController.verifyAuditLog);
 
         // Health check
         this.app.get('/api/health', (req, res) => {
@@ -48,18 +280,6 @@ class APIServer {
                 timestamp: new Date().toISOString()
             });
         });
-
-        /*
-        this.app.get('/api/profile', authenticateToken, async (req, res) => {
-            try {
-                const userProfile = await this.database.findUserByEmail(req.user.email);
-                const { password, ...profileData } = userProfile;
-                res.json({ success: true, data: profileData });
-            } catch (error) {
-                res.status(500).json({ success: false, message: 'Internal server error' });
-            }
-        });
-        */
     }
 
     start() {
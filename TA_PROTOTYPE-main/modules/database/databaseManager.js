@@ -3,6 +3,12 @@ const FirebaseDB = require('../../lib/db/firebaseDB');
 const Database = require('../../lib/db/mysqlDB');
 const CosmosDB = require('../../lib/db/cosmosDB');
 const { getInstance: getDatabaseAdapter } = require('../../lib/db/databaseAdapter');
+const WriteAheadBuffer = require('../../lib/db/writeAheadBuffer');
+const IngestionBatcher = require('../../lib/db/ingestionBatcher');
+const SchemaValidator = require('../../lib/db/schemaValidator');
+const DeadLetterStore = require('../../lib/db/deadLetterStore');
+const AuditLog = require('../../lib/db/auditLog');
+const accounts = require('../../lib/auth/accounts');
 const { apiKey } = require('../../firebaseConfig');
 const alert = require('../../lib/alert');
 
@@ -10,6 +16,11 @@ class DatabaseManager {
     constructor() {
         this.db = null;
         this.dbAdapter = null;
+        this.writeBuffer = null;
+        this.ingestionBatcher = null;
+        this.schemaValidator = null;
+        this.deadLetterStore = null;
+        this.auditLog = null;
         this.dbType = process.env.DB_TYPE || 'mysql';
 
         // Legacy support for USE_FIREBASE env variable
@@ -38,6 +49,12 @@ class DatabaseManager {
                 if (config.secondaryDatabase) {
                     alert.info('DATABASE', `Secondary: ${config.secondaryDatabase} (auto-sync)`);
                 }
+                this.startWriteBuffer();
+                this.startIngestionBatcher();
+                this.startSchemaValidator();
+                this.startDeadLetterStore();
+                this.startAuditLog();
+                await this.promoteAdmin();
                 return;
             }
 
@@ -76,6 +93,12 @@ class DatabaseManager {
             }
 
             alert.database.connected(this.dbType, 'Database layer ready');
+            this.startWriteBuffer();
+            this.startIngestionBatcher();
+            this.startSchemaValidator();
+            this.startDeadLetterStore();
+            this.startAuditLog();
+            await this.promoteAdmin();
 
         } catch (error) {
             alert.database.error('Database initialization', error);
@@ -87,6 +110,161 @@ class DatabaseManager {
         return this.db;
     }
 
+    getWriteBufferConfig() {
+        return {
+            enabled: process.env.WRITE_BUFFER_ENABLED !== 'false',
+            filePath: process.env.WRITE_BUFFER_FILE || 'buffer/write-ahead.jsonl',
+            maxEntries: parseInt(process.env.WRITE_BUFFER_MAX_ENTRIES) || 10000,
+            maxBytes: (parseInt(process.env.WRITE_BUFFER_MAX_MB) || 50) * 1024 * 1024,
+            replayInterval: parseInt(process.env.WRITE_BUFFER_REPLAY_INTERVAL) || 5000,
+            replayBatchSize: parseInt(process.env.WRITE_BUFFER_REPLAY_BATCH) || 100
+        };
+    }
+
+    // Durable queue for serial/WebSocket writes that fail while the database is unreachable
+    startWriteBuffer() {
+        const { enabled, ...options } = this.getWriteBufferConfig();
+        if (!enabled) {
+            alert.info('DATABASE', 'Write-ahead buffer disabled');
+            return;
+        }
+        this.writeBuffer = new WriteAheadBuffer(this.db, options);
+        this.writeBuffer.start();
+        alert.system.config('Write-ahead buffer', options.filePath);
+    }
+
+    // null when WRITE_BUFFER_ENABLED=false
+    getWriteBuffer() {
+        return this.writeBuffer;
+    }
+
+    getIngestionBatcherConfig() {
+        return {
+            enabled: process.env.DB_BATCH_ENABLED !== 'false',
+            maxBatchSize: parseInt(process.env.DB_BATCH_SIZE) || 100,
+            flushInterval: parseInt(process.env.DB_BATCH_INTERVAL_MS) || 250
+        };
+    }
+
+    // Groups serial/WebSocket readings into multi-row inserts (postDataBatch)
+    startIngestionBatcher() {
+        const { enabled, ...options } = this.getIngestionBatcherConfig();
+        if (!enabled) {
+            alert.info('DATABASE', 'Batched inserts disabled');
+            return;
+        }
+        this.ingestionBatcher = new IngestionBatcher(this.db, options, this.writeBuffer);
+        alert.system.config('Batched inserts', `${options.maxBatchSize} rows / ${options.flushInterval}ms`);
+    }
+
+    // null when DB_BATCH_ENABLED=false
+    getIngestionBatcher() {
+        return this.ingestionBatcher;
+    }
+
+    getSchemaValidatorConfig() {
+        return {
+            schemaFile: process.env.SCHEMA_FILE || null,
+            quarantineTable: process.env.SCHEMA_QUARANTINE_TABLE || null
+        };
+    }
+
+    // Per-table Joi schemas for ingested records (serial, WebSocket, /api/sensor-data, /api/maui-data)
+    startSchemaValidator() {
+        const options = this.getSchemaValidatorConfig();
+        if (!options.schemaFile) {
+            alert.info('DATABASE', 'Schema validation disabled (no SCHEMA_FILE)');
+            return;
+        }
+        try {
+            this.schemaValidator = new SchemaValidator(this.db, options);
+            alert.system.config('Schema validation', `${this.schemaValidator.schemas.size} table(s) from ${options.schemaFile}`);
+        } catch (error) {
+            alert.error('DATABASE', `Invalid SCHEMA_FILE, records are stored unvalidated: ${error.message}`);
+        }
+    }
+
+    // null when SCHEMA_FILE is not set or invalid
+    getSchemaValidator() {
+        return this.schemaValidator;
+    }
+
+    getDeadLetterConfig() {
+        return {
+            enabled: process.env.DEAD_LETTER_ENABLED !== 'false',
+            filePath: process.env.DEAD_LETTER_FILE || 'buffer/dead-letter.jsonl',
+            maxEntries: parseInt(process.env.DEAD_LETTER_MAX_ENTRIES) || 5000
+        };
+    }
+
+    // Keeps serial/WebSocket readings that failed parsing, calibration or validation
+    startDeadLetterStore() {
+        const { enabled, ...options } = this.getDeadLetterConfig();
+        if (!enabled) {
+            alert.info('DATABASE', 'Dead-letter store disabled');
+            return;
+        }
+        this.deadLetterStore = new DeadLetterStore(options);
+        this.deadLetterStore.start();
+        alert.system.config('Dead-letter store', options.filePath);
+    }
+
+    // null when DEAD_LETTER_ENABLED=false
+    getDeadLetterStore() {
+        return this.deadLetterStore;
+    }
+
+    getAuditLogConfig() {
+        return {
+            enabled: process.env.AUDIT_LOG_ENABLED !== 'false',
+            filePath: process.env.AUDIT_LOG_FILE || 'buffer/audit.jsonl',
+            snapshotLimit: parseInt(process.env.AUDIT_SNAPSHOT_LIMIT) || 100,
+            cacheEntries: parseInt(process.env.AUDIT_CACHE_ENTRIES) || 5000
+        };
+    }
+
+    // Append-only record of data mutations, control actions and security events
+    startAuditLog() {
+        const { enabled, ...options } = this.getAuditLogConfig();
+        if (!enabled) {
+            alert.info('DATABASE', 'Audit log disabled');
+            return;
+        }
+        this.auditLog = new AuditLog(options);
+        this.auditLog.start();
+        alert.system.config('Audit log', options.filePath);
+    }
+
+    // ADMIN_USERNAME names an account made admin at startup. Accounts created before roles
+    // existed are all viewers after the migration, so an upgraded deployment has no admin
+    async promoteAdmin() {
+        const username = process.env.ADMIN_USERNAME;
+        if (!username) {
+            return;
+        }
+        try {
+            const { user, previousRole } = await accounts.ensureAdmin(this.db, username);
+            if (previousRole === null) {
+                return;
+            }
+            alert.info('DATABASE', `${user.username} promoted to admin (ADMIN_USERNAME)`);
+            if (this.auditLog) {
+                this.auditLog.record('user.role', {
+                    actor: 'ADMIN_USERNAME',
+                    origin: 'startup',
+                    details: { userId: user.id, username: user.username, from: previousRole, to: user.role }
+                });
+            }
+        } catch (error) {
+            alert.warning('DATABASE', `ADMIN_USERNAME: ${error.message}`);
+        }
+    }
+
+    // null when AUDIT_LOG_ENABLED=false
+    getAuditLog() {
+        return this.auditLog;
+    }
+
     // NEW: Get enhanced database adapter
     getDatabaseAdapter() {
         return this.dbAdapter;
@@ -105,6 +283,12 @@ class DatabaseManager {
     }
 
     async close() {
+        if (this.ingestionBatcher) {
+            await this.ingestionBatcher.stop();
+        }
+        if (this.writeBuffer) {
+            this.writeBuffer.stop();
+        }
         if (this.db) {
             try {
                 await this.db.close();
@@ -1,12 +1,32 @@
 // modules/ipc/ipcManager.js
 const { ipcMain } = require('electron');
 const alert = require('../../lib/alert');
+const { verifyCredentials } = require('../../lib/auth/credentials');
+const { resolveSessionFile } = require('../../lib/com/serialSession');
+const accounts = require('../../lib/auth/accounts');
+const TokenService = require('../../lib/auth/tokenService');
+const { hasPermission, forbidden, normalizeRole, permissionsFor, isProtectedTable, protectedTable } = require('../../lib/auth/permissions');
 
 class IPCManager {
-    constructor(database, serialManager) {
+    // services: { setpointManager, writeBuffer, deadLetterStore, tokenService, auditLog }, each optional
+    constructor(database, serialManager, services = {}) {
         this.database = database;
         this.serialManager = serialManager;
+        this.setpointManager = services.setpointManager || null;
+        this.writeBuffer = services.writeBuffer || null;
+        this.deadLetterStore = services.deadLetterStore || null;
+        this.tokenService = services.tokenService || null; // Revokes REST tokens of disabled/deleted users
+        this.auditLog = services.auditLog || null; // Records data mutations and control actions (lib/db/auditLog.js)
         this.databaseAdapter = null; // NEW: Enhanced database adapter support
+        this.accessConfig = this.getAccessConfig();
+        this.sessions = new Map();   // webContents ID -> { user, role, loggedInAt }
+    }
+
+    getAccessConfig() {
+        return {
+            // Role of a window nobody has logged in to (kiosk setups can raise it)
+            defaultRole: normalizeRole(process.env.IPC_DEFAULT_ROLE, 'viewer')
+        };
     }
 
     setupHandlers() {
@@ -16,25 +36,235 @@ class IPCManager {
             alert.system.config('IPC', 'Enhanced database adapter mode enabled');
         }
 
+        this.setupAuthHandlers();
+        this.setupUserHandlers();
         this.setupDatabaseHandlers();
         this.setupSerialHandlers();
+        this.setupSetpointHandlers();
         this.setupEnhancedHandlers(); // NEW: Enhanced adapter handlers
         this.setupMonitoringHandlers(); // NEW: Monitoring-specific handlers
+        this.setupAuditHandlers();
         alert.system.ready('IPC Manager - All handlers configured');
     }
 
+    // Register an IPC handler that runs only when the window's role grants the permission.
+    // Denied calls resolve { success: false, error, code: 'FORBIDDEN' }, or code
+    // 'PASSWORD_CHANGE_REQUIRED' while the logged-in user still has a temporary password
+    _handle(channel, permission, handler) {
+        ipcMain.handle(channel, async (event, ...args) => {
+            const session = this.sessions.get(event.sender.id);
+            if (session && session.user.must_change_password) {
+                const err = TokenService.passwordChangeRequired();
+                return { success: false, error: err.message, code: err.code };
+            }
+            const role = this._roleFor(event);
+            if (!hasPermission(role, permission)) {
+                const err = forbidden(role, permission);
+                alert.warning('IPC', `${channel} denied: ${err.message}`);
+                return { success: false, error: err.message, code: err.code };
+            }
+            return handler(event, ...args);
+        });
+    }
+
+    // _handle for the generic data channels, whose first argument is a table. The protected
+    // account tables are refused whatever the role
+    _handleData(channel, permission, handler) {
+        this._handle(channel, permission, async (event, table, ...args) => {
+            if (isProtectedTable(table)) {
+                const err = protectedTable(table);
+                alert.warning('IPC', `${channel} denied: ${err.message}`);
+                return { success: false, error: err.message, code: err.code };
+            }
+            return handler(event, table, ...args);
+        });
+    }
+
+    _roleFor(event) {
+        const session = this.sessions.get(event.sender.id);
+        return session ? session.role : this.accessConfig.defaultRole;
+    }
+
+    // Each window logs in with a user account; the session ends with the window
+    setupAuthHandlers() {
+        ipcMain.handle('auth-login', async (event, username, password) => {
+            try {
+                if (!username || !password) {
+                    return { success: false, error: 'Username and password are required' };
+                }
+                const user = await verifyCredentials(this.database, username, password);
+                if (!user) {
+                    return { success: false, error: 'Invalid username or password' };
+                }
+
+                const senderId = event.sender.id;
+                if (!this.sessions.has(senderId)) {
+                    event.sender.once('destroyed', () => this.sessions.delete(senderId));
+                }
+                this.sessions.set(senderId, { user, role: user.role, loggedInAt: new Date().toISOString() });
+                alert.info('IPC', `${user.username} logged in (${user.role})`);
+                return { success: true, data: { user, permissions: permissionsFor(user.role) } };
+            } catch (err) {
+                return { success: false, error: err.message, code: err.code || null };
+            }
+        });
+
+        ipcMain.handle('auth-register', async (event, user) => {
+            try {
+                const created = await accounts.createUser(this.database, user || {});
+                return { success: true, data: created };
+            } catch (err) {
+                return { success: false, error: err.message, code: err.code || null };
+            }
+        });
+
+        ipcMain.handle('auth-change-password', async (event, currentPassword, newPassword) => {
+            const session = this.sessions.get(event.sender.id);
+            if (!session) {
+                return { success: false, error: 'Log in to change your password', code: 'NOT_LOGGED_IN' };
+            }
+            try {
+                const user = await accounts.changePassword(this.database, session.user.id, currentPassword, newPassword);
+                this._endUserSessions(user.id, event.sender.id);
+                session.user = user;
+                return { success: true, data: user };
+            } catch (err) {
+                return { success: false, error: err.message, code: err.code || null };
+            }
+        });
+
+        ipcMain.handle('auth-logout', async (event) => {
+            this.sessions.delete(event.sender.id);
+            return { success: true };
+        });
+
+        ipcMain.handle('auth-session', async (event) => {
+            const session = this.sessions.get(event.sender.id);
+            const role = this._roleFor(event);
+            return {
+                success: true,
+                data: { user: session ? session.user : null, role, permissions: permissionsFor(role) }
+            };
+        });
+    }
+
+    // User management (admin screen). Admins cannot disable, delete or reset themselves.
+    // Every change is recorded in the audit log with the target user
+    setupUserHandlers() {
+        const run = (action) => async (event, ...args) => {
+            try {
+                return { success: true, data: await action(this._sessionUserId(event), event, ...args) };
+            } catch (err) {
+                return { success: false, error: err.message, code: err.code || null };
+            }
+        };
+
+        this._handle('users-list', 'users:manage', run((actorId, event, filters) =>
+            accounts.listUsers(this.database, filters || {})));
+
+        this._handle('users-set-role', 'users:manage', run(async (actorId, event, id, role) => {
+            const { user, previousRole } = await accounts.setUserRole(this.database, id, role, actorId);
+            this._audit(event, 'user.role', { userId: user.id, username: user.username, from: previousRole, to: user.role });
+            // Logged-in windows of the user get the new role right away. REST tokens and
+            // WebSocket sessions carry the old role and are revoked
+            for (const session of this.sessions.values()) {
+                if (String(session.user.id) === String(user.id)) {
+                    session.user = user;
+                    session.role = user.role;
+                }
+            }
+            if (this.tokenService) {
+                this.tokenService.revokeUser(user.id);
+            }
+            return user;
+        }));
+
+        this._handle('users-set-email', 'users:manage', run((actorId, event, id, email) =>
+            accounts.updateEmail(this.database, id, email)));
+
+        this._handle('users-disable', 'users:manage', run(async (actorId, event, id) => {
+            const user = await accounts.setUserStatus(this.database, id, 'disabled', actorId);
+            this._audit(event, 'user.disable', { userId: user.id, username: user.username });
+            this._endUserSessions(user.id);
+            return user;
+        }));
+
+        this._handle('users-enable', 'users:manage', run(async (actorId, event, id) => {
+            const user = await accounts.setUserStatus(this.database, id, 'active', actorId);
+            this._audit(event, 'user.enable', { userId: user.id, username: user.username });
+            return user;
+        }));
+
+        this._handle('users-delete', 'users:manage', run(async (actorId, event, id) => {
+            const user = await accounts.deleteUser(this.database, id, actorId);
+            this._audit(event, 'user.delete', { userId: user.id, username: user.username });
+            this._endUserSessions(user.id);
+            return user;
+        }));
+
+        this._handle('users-reset-password', 'users:manage', run(async (actorId, event, id) => {
+            const result = await accounts.resetPassword(this.database, id, actorId);
+            this._audit(event, 'user.reset_password', { userId: result.user.id, username: result.user.username });
+            this._endUserSessions(result.user.id);
+            return result;
+        }));
+    }
+
+    // Session files named by the renderer stay inside the device's SERIAL_SESSION_DIR
+    _sessionFile(fileName, deviceId = null) {
+        return resolveSessionFile(this.serialManager.getCommunicator(deviceId).config.sessionDir, fileName);
+    }
+
+    _sessionUserId(event) {
+        const session = this.sessions.get(event.sender.id);
+        return session ? session.user.id : null;
+    }
+
+    // Log a user out of every window (except keepSenderId) and revoke their REST tokens
+    _endUserSessions(userId, keepSenderId = null) {
+        for (const [senderId, session] of this.sessions) {
+            if (String(session.user.id) === String(userId) && senderId !== keepSenderId) {
+                this.sessions.delete(senderId);
+            }
+        }
+        if (this.tokenService) {
+            this.tokenService.revokeUser(userId);
+        }
+    }
+
+    // Logged-in username, or the window when nobody is logged in
+    _actorFor(event) {
+        const session = this.sessions.get(event.sender.id);
+        return session ? session.user.username : `window-${event.sender.id}`;
+    }
+
+    // Run a data mutation and record it in the audit log (see AuditLog.trackMutation)
+    _audited(event, context, run) {
+        if (!this.auditLog) {
+            return run();
+        }
+        return this.auditLog.trackMutation(this.database, { actor: this._actorFor(event), origin: 'ipc', ...context }, run);
+    }
+
+    // Record a control action in the audit log
+    _audit(event, action, details) {
+        if (this.auditLog) {
+            this.auditLog.record(action, { actor: this._actorFor(event), origin: 'ipc', details });
+        }
+    }
+
     setupDatabaseHandlers() {
         // User handlers
-        ipcMain.handle('get-users', async () => {
+        this._handle('get-users', 'users:manage', async () => {
             try {
-                const users = await this.database.getAllUsers();
+                const users = await accounts.listUsers(this.database);
                 return { success: true, data: users };
             } catch (err) {
                 return { success: false, error: err.message };
             }
         });
 
-        ipcMain.handle('insert-user', async (event, name, email) => {
+        this._handle('insert-user', 'users:manage', async (event, name, email) => {
             try {
                 const result = await this.database.insertUser(name, email);
                 return { success: true, id: result.insertId };
@@ -44,43 +274,47 @@ class IPCManager {
         });
 
         // Generic data handlers
-        ipcMain.handle('post-data', async (event, table, data) => {
+        this._handleData('post-data', 'data:write', async (event, table, data) => {
             try {
-                const result = await this.database.postData(table, data);
+                const result = await this._audited(event, { action: 'data.insert', table, data },
+                    () => this.database.postData(table, data));
                 return { success: true, id: result.insertId };
             } catch (err) {
                 return { success: false, error: err.message };
             }
         });
 
-        ipcMain.handle('insert-data', async (event, table, data) => {
+        this._handleData('insert-data', 'data:write', async (event, table, data) => {
             try {
-                const result = await this.database.postData(table, data);
+                const result = await this._audited(event, { action: 'data.insert', table, data },
+                    () => this.database.postData(table, data));
                 return { success: true, id: result.insertId };
             } catch (err) {
                 return { success: false, error: err.message };
             }
         });
 
-        ipcMain.handle('update-data', async (event, table, data, whereClause, whereParams) => {
+        this._handleData('update-data', 'data:update', async (event, table, data, whereClause, whereParams) => {
             try {
-                const result = await this.database.updateData(table, data, whereClause, whereParams);
+                const result = await this._audited(event, { action: 'data.update', table, data, whereClause, whereParams },
+                    () => this.database.updateData(table, data, whereClause, whereParams));
                 return { success: true, affectedRows: result.affectedRows };
             } catch (err) {
                 return { success: false, error: err.message };
             }
         });
 
-        ipcMain.handle('delete-data', async (event, table, whereClause, whereParams) => {
+        this._handleData('delete-data', 'data:delete', async (event, table, whereClause, whereParams) => {
             try {
-                const result = await this.database.deleteData(table, whereClause, whereParams);
+                const result = await this._audited(event, { action: 'data.delete', table, whereClause, whereParams },
+                    () => this.database.deleteData(table, whereClause, whereParams));
                 return { success: true, affectedRows: result.affectedRows };
             } catch (err) {
                 return { success: false, error: err.message };
             }
         });
 
-        ipcMain.handle('get-data-by-filters', async (event, table, filters, options) => {
+        this._handleData('get-data-by-filters', 'data:read', async (event, table, filters, options) => {
             try {
                 const result = await this.database.getDataByFilters(table, filters, options);
                 return { success: true, data: result };
@@ -91,12 +325,65 @@ class IPCManager {
         });
     }
 
+    // Every serial-* channel takes an optional device ID (the default device when omitted)
     setupSerialHandlers() {
-        // Get serial connection status
-        ipcMain.handle('serial-get-status', async () => {
+        // List registered serial devices
+        this._handle('serial-list-devices', 'data:read', async () => {
+            try {
+                if (this.serialManager) {
+                    return { success: true, data: this.serialManager.listDevices() };
+                } else {
+                    return { success: false, error: 'Serial manager not initialized' };
+                }
+            } catch (err) {
+                return { success: false, error: err.message };
+            }
+        });
+
+        // Get serial connection status (every device when no ID is given)
+        this._handle('serial-get-status', 'data:read', async (event, deviceId = null) => {
+            try {
+                if (this.serialManager) {
+                    return { success: true, data: this.serialManager.getStatus(deviceId) };
+                } else {
+                    return { success: false, error: 'Serial manager not initialized' };
+                }
+            } catch (err) {
+                return { success: false, error: err.message };
+            }
+        });
+
+        // Reconnect statistics (the same data is pushed on 'serial-reconnect-status')
+        this._handle('serial-reconnect-status', 'data:read', async (event, deviceId = null) => {
+            try {
+                if (this.serialManager) {
+                    return { success: true, data: this.serialManager.getReconnectStatus(deviceId) };
+                } else {
+                    return { success: false, error: 'Serial manager not initialized' };
+                }
+            } catch (err) {
+                return { success: false, error: err.message };
+            }
+        });
+
+        // List registered frame parsers
+        this._handle('serial-list-parsers', 'data:read', async (event, deviceId = null) => {
             try {
                 if (this.serialManager) {
-                    return { success: true, data: this.serialManager.getStatus() };
+                    return { success: true, data: this.serialManager.listParsers(deviceId) };
+                } else {
+                    return { success: false, error: 'Serial manager not initialized' };
+                }
+            } catch (err) {
+                return { success: false, error: err.message };
+            }
+        });
+
+        // Dry run of port auto-detection (which port would be chosen and why)
+        this._handle('serial-preview-ports', 'data:read', async (event, deviceId = null) => {
+            try {
+                if (this.serialManager) {
+                    return { success: true, data: await this.serialManager.previewPortSelection(deviceId) };
                 } else {
                     return { success: false, error: 'Serial manager not initialized' };
                 }
@@ -106,10 +393,10 @@ class IPCManager {
         });
 
         // Force reconnection
-        ipcMain.handle('serial-force-reconnect', async () => {
+        this._handle('serial-force-reconnect', 'device:control', async (event, deviceId = null) => {
             try {
                 if (this.serialManager) {
-                    await this.serialManager.forceReconnect();
+                    await this.serialManager.forceReconnect(deviceId);
                     return { success: true, message: 'Reconnection initiated' };
                 } else {
                     return { success: false, error: 'Serial manager not initialized' };
@@ -120,10 +407,10 @@ class IPCManager {
         });
 
         // Disconnect serial connection
-        ipcMain.handle('serial-disconnect', async () => {
+        this._handle('serial-disconnect', 'device:control', async (event, deviceId = null) => {
             try {
                 if (this.serialManager) {
-                    await this.serialManager.disconnect();
+                    await this.serialManager.disconnect(deviceId);
                     return { success: true, message: 'Disconnected successfully' };
                 } else {
                     return { success: false, error: 'Serial manager not initialized' };
@@ -134,10 +421,10 @@ class IPCManager {
         });
 
         // Scan for better ports
-        ipcMain.handle('serial-scan-ports', async () => {
+        this._handle('serial-scan-ports', 'device:control', async (event, deviceId = null) => {
             try {
                 if (this.serialManager) {
-                    await this.serialManager.scanForBetterPorts();
+                    await this.serialManager.scanForBetterPorts(deviceId);
                     return { success: true, message: 'Port scanning initiated' };
                 } else {
                     return { success: false, error: 'Serial manager not initialized' };
@@ -148,10 +435,10 @@ class IPCManager {
         });
 
         // Toggle dynamic port switching
-        ipcMain.handle('serial-toggle-dynamic-switching', async (event, enabled) => {
+        this._handle('serial-toggle-dynamic-switching', 'device:control', async (event, enabled, deviceId = null) => {
             try {
                 if (this.serialManager) {
-                    this.serialManager.setDynamicPortSwitching(enabled);
+                    this.serialManager.setDynamicPortSwitching(enabled, deviceId);
                     return { success: true, message: `Dynamic switching ${enabled ? 'enabled' : 'disabled'}` };
                 } else {
                     return { success: false, error: 'Serial manager not initialized' };
@@ -162,10 +449,21 @@ class IPCManager {
         });
 
         // Send data to serial device
-        ipcMain.handle('serial-send-data', async (event, data) => {
+        // Objects with a 'command' field (or options.awaitAck) wait for the device acknowledgement
+        // options: { awaitAck, timeout, retries, deviceId }
+        this._handle('serial-send-data', 'device:control', async (event, data, options = {}) => {
             try {
                 if (this.serialManager) {
-                    this.serialManager.sendData(data);
+                    this._audit(event, 'device.command', { data, deviceId: options.deviceId || null });
+                    if (data && typeof data === 'object' && data.command) {
+                        const result = await this.serialManager.sendCommand(data.command, data.params || {}, options);
+                        return { success: true, data: result };
+                    }
+                    if (options.awaitAck) {
+                        const result = await this.serialManager.sendCommand(String(data), {}, options);
+                        return { success: true, data: result };
+                    }
+                    await this.serialManager.sendData(data, options.deviceId);
                     return { success: true, message: 'Data sent successfully' };
                 } else {
                     return { success: false, error: 'Serial manager not initialized' };
@@ -174,6 +472,112 @@ class IPCManager {
                 return { success: false, error: err.message };
             }
         });
+
+        // Start recording raw serial lines to a session file. fileName is relative to the
+        // device's session directory (a timestamped name when omitted)
+        this._handle('serial-start-recording', 'system:configure', async (event, fileName, deviceId = null) => {
+            try {
+                if (this.serialManager) {
+                    const filePath = fileName ? this._sessionFile(fileName, deviceId) : null;
+                    return { success: true, data: this.serialManager.startRecording(filePath, deviceId) };
+                } else {
+                    return { success: false, error: 'Serial manager not initialized' };
+                }
+            } catch (err) {
+                return { success: false, error: err.message };
+            }
+        });
+
+        // Stop the active session recording
+        this._handle('serial-stop-recording', 'system:configure', async (event, deviceId = null) => {
+            try {
+                if (this.serialManager) {
+                    return { success: true, data: await this.serialManager.stopRecording(deviceId) };
+                } else {
+                    return { success: false, error: 'Serial manager not initialized' };
+                }
+            } catch (err) {
+                return { success: false, error: err.message };
+            }
+        });
+
+        // Replay a recorded session of the device's session directory (progress is reported
+        // on 'serial-session-status'). options: { speed, deviceId }
+        this._handle('serial-replay-session', 'system:configure', async (event, fileName, options = {}) => {
+            try {
+                if (this.serialManager) {
+                    const filePath = this._sessionFile(fileName, options.deviceId); // Also fails fast on unknown devices
+                    this.serialManager.replaySession(filePath, options)
+                        .catch(err => alert.error('IPC', 'Session replay failed', err));
+                    return { success: true, message: 'Replay started' };
+                } else {
+                    return { success: false, error: 'Serial manager not initialized' };
+                }
+            } catch (err) {
+                return { success: false, error: err.message };
+            }
+        });
+
+        // Stop the active session replay
+        this._handle('serial-stop-replay', 'system:configure', async (event, deviceId = null) => {
+            try {
+                if (this.serialManager) {
+                    const stopped = this.serialManager.stopReplay(deviceId);
+                    return { success: stopped, message: stopped ? 'Replay stopped' : 'No replay in progress' };
+                } else {
+                    return { success: false, error: 'Serial manager not initialized' };
+                }
+            } catch (err) {
+                return { success: false, error: err.message };
+            }
+        });
+    }
+
+    setupSetpointHandlers() {
+        // Limits and current value of every control loop
+        this._handle('setpoint-get-all', 'data:read', async () => {
+            try {
+                if (this.setpointManager) {
+                    return { success: true, data: await this.setpointManager.getSetpoints() };
+                } else {
+                    return { success: false, error: 'Setpoint manager not initialized' };
+                }
+            } catch (err) {
+                return { success: false, error: err.message };
+            }
+        });
+
+        // Change a loop setpoint (validated, sent to the device and recorded)
+        this._handle('setpoint-set', 'setpoint:change', async (event, loop, value, options = {}) => {
+            try {
+                if (this.setpointManager) {
+                    const result = await this.setpointManager.setSetpoint(loop, value, {
+                        changedBy: this._actorFor(event),
+                        source: 'ipc',
+                        reason: options.reason,
+                        actor: this._actorFor(event)
+                    });
+                    return { success: true, data: result };
+                } else {
+                    return { success: false, error: 'Setpoint manager not initialized' };
+                }
+            } catch (err) {
+                return { success: false, error: err.message, code: err.code || null };
+            }
+        });
+
+        // Setpoint change history, newest first
+        this._handle('setpoint-get-history', 'data:read', async (event, options = {}) => {
+            try {
+                if (this.setpointManager) {
+                    return { success: true, data: await this.setpointManager.getHistory(options) };
+                } else {
+                    return { success: false, error: 'Setpoint manager not initialized' };
+                }
+            } catch (err) {
+                return { success: false, error: err.message };
+            }
+        });
     }
 
     // NEW: Enhanced database adapter handlers
@@ -181,7 +585,7 @@ class IPCManager {
         if (!this.databaseAdapter) return;
 
         // Database health check
-        ipcMain.handle('db-health-check', async () => {
+        this._handle('db-health-check', 'data:read', async () => {
             try {
                 const health = await this.databaseAdapter.healthCheck();
                 return { success: true, data: health };
@@ -191,7 +595,7 @@ class IPCManager {
         });
 
         // Database configuration info
-        ipcMain.handle('db-get-config', async () => {
+        this._handle('db-get-config', 'data:read', async () => {
             try {
                 const config = this.databaseAdapter.getConfig();
                 return { success: true, data: config };
@@ -200,10 +604,15 @@ class IPCManager {
             }
         });
 
-        // Real-time subscription (Firestore only)
-        ipcMain.handle('db-subscribe', async (event, tableName, filters = {}) => {
+        // Real-time subscription to the change feed (every backend): data is an inserted/updated/deleted event
+        this._handleData('db-subscribe', 'data:read', async (event, tableName, filters = {}) => {
             try {
                 const subscription = this.databaseAdapter.subscribe(tableName, (data) => {
+                    // The window was closed without unsubscribing
+                    if (event.sender.isDestroyed()) {
+                        subscription.unsubscribe();
+                        return;
+                    }
                     event.sender.send('db-subscription-data', { 
                         tableName, 
                         data, 
@@ -221,7 +630,7 @@ class IPCManager {
         });
 
         // Unsubscribe from real-time updates
-        ipcMain.handle('db-unsubscribe', async (event, subscriptionId) => {
+        this._handle('db-unsubscribe', 'data:read', async (event, subscriptionId) => {
             try {
                 const result = this.databaseAdapter.unsubscribe(subscriptionId);
                 return { success: result, message: result ? 'Unsubscribed' : 'Subscription not found' };
@@ -231,9 +640,10 @@ class IPCManager {
         });
 
         // Raw query execution (MySQL only)
-        ipcMain.handle('db-query', async (event, sql, params = []) => {
+        this._handle('db-query', 'database:query', async (event, sql, params = []) => {
             try {
-                const result = await this.databaseAdapter.query(sql, params);
+                const result = await this._audited(event, { action: 'database.query', details: { sql, params } },
+                    () => this.databaseAdapter.query(sql, params));
                 return { success: true, data: result };
             } catch (err) {
                 return { success: false, error: err.message };
@@ -241,11 +651,14 @@ class IPCManager {
         });
 
         // Transaction support
-        ipcMain.handle('db-transaction', async (event, operations) => {
+        this._handle('db-transaction', 'database:query', async (event, operations) => {
             try {
-                const result = await this.databaseAdapter.transaction(async (db) => {
+                const runOperations = async (db) => {
                     const results = [];
                     for (const op of operations) {
+                        if (isProtectedTable(op.table)) {
+                            throw protectedTable(op.table);
+                        }
                         switch (op.type) {
                             case 'insert':
                                 results.push(await db.postData(op.table, op.data));
@@ -261,7 +674,9 @@ class IPCManager {
                         }
                     }
                     return results;
-                });
+                };
+                const result = await this._audited(event, { action: 'database.transaction', details: { operations } },
+                    () => this.databaseAdapter.transaction(runOperations));
                 return { success: true, data: result };
             } catch (err) {
                 return { success: false, error: err.message };
@@ -272,7 +687,7 @@ class IPCManager {
     // NEW: Monitoring-specific handlers for React frontend
     setupMonitoringHandlers() {
         // Check database connection
-        ipcMain.handle('check-database-connection', async () => {
+        this._handle('check-database-connection', 'data:read', async () => {
             try {
                 if (this.database) {
                     const health = this.databaseAdapter ?
@@ -287,10 +702,67 @@ class IPCManager {
             }
         });
 
+        // Write-ahead buffer depth and counters
+        this._handle('db-buffer-status', 'data:read', async () => {
+            if (!this.writeBuffer) {
+                return { success: false, error: 'Write-ahead buffer disabled' };
+            }
+            return { success: true, data: this.writeBuffer.getStatus() };
+        });
+
+        // Replay buffered writes now instead of waiting for the next interval
+        this._handle('db-buffer-replay', 'system:configure', async (event) => {
+            try {
+                if (!this.writeBuffer) {
+                    return { success: false, error: 'Write-ahead buffer disabled' };
+                }
+                const replayed = await this.writeBuffer.replay();
+                this._audit(event, 'buffer.replay', { replayed });
+                return { success: true, data: { replayed, ...this.writeBuffer.getStatus() } };
+            } catch (err) {
+                return { success: false, error: err.message };
+            }
+        });
+
+        // Browse dead-letter entries: filters { sourceType, sourceId, stage, limit, offset }
+        this._handle('dead-letter-list', 'data:read', async (event, filters = {}) => {
+            if (!this.deadLetterStore) {
+                return { success: false, error: 'Dead-letter store disabled' };
+            }
+            return {
+                success: true,
+                data: { ...this.deadLetterStore.list(filters || {}), status: this.deadLetterStore.getStatus() }
+            };
+        });
+
+        // Re-ingest dead-letter entries (all entries when ids is empty)
+        this._handle('dead-letter-retry', 'system:configure', async (event, ids = []) => {
+            try {
+                if (!this.deadLetterStore) {
+                    return { success: false, error: 'Dead-letter store disabled' };
+                }
+                const data = await this.deadLetterStore.retry(ids);
+                this._audit(event, 'deadletter.retry', { ids, retried: data.retried, recovered: data.recovered });
+                return { success: true, data };
+            } catch (err) {
+                return { success: false, error: err.message };
+            }
+        });
+
+        // Delete dead-letter entries (all entries when ids is empty)
+        this._handle('dead-letter-purge', 'data:delete', async (event, ids = []) => {
+            if (!this.deadLetterStore) {
+                return { success: false, error: 'Dead-letter store disabled' };
+            }
+            const purged = this.deadLetterStore.purge(ids);
+            this._audit(event, 'deadletter.purge', { ids, purged });
+            return { success: true, data: { purged } };
+        });
+
         // Get temperature data
-        ipcMain.handle('get-temperature-data', async (event, limit = 50) => {
+        this._handle('get-temperature-data', 'data:read', async (event, limit = 50, deviceId = null) => {
             try {
-                const result = await this.database.getDataByFilters('temperature_data', {}, {
+                const result = await this.database.getDataByFilters('temperature_data', this._deviceFilter(deviceId), {
                     orderBy: 'timestamp',
                     orderDirection: 'DESC',
                     limit: limit
@@ -303,9 +775,9 @@ class IPCManager {
         });
 
         // Get pressure data
-        ipcMain.handle('get-pressure-data', async (event, limit = 50) => {
+        this._handle('get-pressure-data', 'data:read', async (event, limit = 50, deviceId = null) => {
             try {
-                const result = await this.database.getDataByFilters('pressure_data', {}, {
+                const result = await this.database.getDataByFilters('pressure_data', this._deviceFilter(deviceId), {
                     orderBy: 'timestamp',
                     orderDirection: 'DESC',
                     limit: limit
@@ -318,7 +790,7 @@ class IPCManager {
         });
 
         // Get record count
-        ipcMain.handle('get-record-count', async (event, type) => {
+        this._handle('get-record-count', 'data:read', async (event, type) => {
             try {
                 const tableName = type === 'temperature' ? 'temperature_data' : 'pressure_data';
                 const result = await this.database.getDataByFilters(tableName, {}, { count: true });
@@ -330,7 +802,7 @@ class IPCManager {
         });
 
         // Get database records with filters
-        ipcMain.handle('get-database-records', async (event, options = {}) => {
+        this._handle('get-database-records', 'data:read', async (event, options = {}) => {
             try {
                 const { type, limit = 100 } = options;
 
@@ -367,7 +839,7 @@ class IPCManager {
         });
 
         // Get filtered records
-        ipcMain.handle('get-filtered-records', async (event, filters) => {
+        this._handle('get-filtered-records', 'data:read', async (event, filters) => {
             try {
                 const { dateFrom, dateTo, type } = filters;
                 let whereConditions = {};
@@ -411,10 +883,11 @@ class IPCManager {
         });
 
         // Clear records
-        ipcMain.handle('clear-records', async (event, type) => {
+        this._handle('clear-records', 'data:delete', async (event, type) => {
             try {
                 const tableName = type === 'temperature' ? 'temperature_data' : 'pressure_data';
-                const result = await this.database.deleteData(tableName, '1=1', []); // Clear all
+                const result = await this._audited(event, { action: 'data.delete', table: tableName, whereClause: '1=1' },
+                    () => this.database.deleteData(tableName, '1=1', [])); // Clear all
                 return result.success;
             } catch (err) {
                 console.error('Error clearing records:', err);
@@ -423,12 +896,14 @@ class IPCManager {
         });
 
         // Delete specific record
-        ipcMain.handle('delete-record', async (event, id) => {
+        this._handle('delete-record', 'data:delete', async (event, id) => {
             try {
                 // Try both tables since we don't know which one
-                let result = await this.database.deleteData('temperature_data', 'id = ?', [id]);
+                const deleteFrom = table => this._audited(event, { action: 'data.delete', table, whereClause: 'id = ?', whereParams: [id] },
+                    () => this.database.deleteData(table, 'id = ?', [id]));
+                let result = await deleteFrom('temperature_data');
                 if (!result.success || result.affectedRows === 0) {
-                    result = await this.database.deleteData('pressure_data', 'id = ?', [id]);
+                    result = await deleteFrom('pressure_data');
                 }
                 return result.success && result.affectedRows > 0;
             } catch (err) {
@@ -438,12 +913,11 @@ class IPCManager {
         });
 
         // Insert temperature data
-        ipcMain.handle('insert-temperature-data', async (event, data) => {
+        this._handle('insert-temperature-data', 'data:write', async (event, data) => {
             try {
-                const result = await this.database.postData('temperature_data', {
-                    ...data,
-                    timestamp: new Date().toISOString()
-                });
+                const record = { ...data, timestamp: new Date().toISOString() };
+                const result = await this._audited(event, { action: 'data.insert', table: 'temperature_data', data: record },
+                    () => this.database.postData('temperature_data', record));
                 return result.success;
             } catch (err) {
                 console.error('Error inserting temperature data:', err);
@@ -452,12 +926,11 @@ class IPCManager {
         });
 
         // Insert pressure data
-        ipcMain.handle('insert-pressure-data', async (event, data) => {
+        this._handle('insert-pressure-data', 'data:write', async (event, data) => {
             try {
-                const result = await this.database.postData('pressure_data', {
-                    ...data,
-                    timestamp: new Date().toISOString()
-                });
+                const record = { ...data, timestamp: new Date().toISOString() };
+                const result = await this._audited(event, { action: 'data.insert', table: 'pressure_data', data: record },
+                    () => this.database.postData('pressure_data', record));
                 return result.success;
             } catch (err) {
                 console.error('Error inserting pressure data:', err);
@@ -465,6 +938,35 @@ class IPCManager {
             }
         });
     }
+
+    // Audit trail (audit:read): filters { action, actor, origin, table, from, to, limit, offset }
+    setupAuditHandlers() {
+        this._handle('audit-list', 'audit:read', async (event, filters = {}) => {
+            if (!this.auditLog) {
+                return { success: false, error: 'Audit log disabled' };
+            }
+            return { success: true, data: { ...this.auditLog.list(filters || {}), status: this.auditLog.getStatus() } };
+        });
+
+        // Check that no entry was changed or removed outside the application
+        this._handle('audit-verify', 'audit:read', async () => {
+            if (!this.auditLog) {
+                return { success: false, error: 'Audit log disabled' };
+            }
+            return { success: true, data: this.auditLog.verify() };
+        });
+    }
+
+    // Filter for records tagged by a serial device (all devices when no ID is given)
+    _deviceFilter(deviceId) {
+        if (!deviceId) {
+            return {};
+        }
+        const device = this.serialManager ?
+            this.serialManager.listDevices().find(d => d.id === deviceId) :
+            null;
+        return { [(device && device.deviceIdField) || 'device_id']: deviceId };
+    }
 }
 
 module.exports = IPCManager;
\ No newline at end of file
@@ -0,0 +1,87 @@
+// modules/serial/__tests__/serialManager.test.js
+const SerialManager = require('../serialManager');
+
+describe('SerialManager devices', () => {
+    const originalEnv = process.env;
+
+    beforeEach(() => {
+        process.env = { ...originalEnv };
+        for (const name of Object.keys(process.env).filter(name => name.startsWith('SERIAL_'))) {
+            delete process.env[name];
+        }
+    });
+
+    afterEach(() => {
+        process.env = originalEnv;
+    });
+
+    // Registers a stub communicator for every configured device instead of opening ports
+    function withStubDevices(manager) {
+        for (const config of manager.deviceConfigs) {
+            manager.devices.set(config.deviceId, {
+                config,
+                communicator: {
+                    currentPortPath: null,
+                    sendSetpoint: jest.fn(async () => ({ device: config.deviceId })),
+                    getStatus: () => ({ deviceId: config.deviceId }),
+                    isConnected: () => false
+                }
+            });
+        }
+        return manager;
+    }
+
+    test('builds a single default device from the SERIAL_* variables', () => {
+        process.env.SERIAL_PORT = '/dev/ttyUSB0';
+        const manager = new SerialManager(null, null);
+
+        expect(manager.deviceConfigs).toHaveLength(1);
+        expect(manager.deviceConfigs[0]).toMatchObject({ deviceId: 'default', portPath: '/dev/ttyUSB0', deviceIdField: null });
+    });
+
+    test('SERIAL_DEVICES entries override the base config', () => {
+        process.env.SERIAL_DATA_TYPES = 'csv';
+        process.env.SERIAL_REPLAY_FILE = 'day1.jsonl';
+        process.env.SERIAL_DEVICES = JSON.stringify([
+            { id: 'oven-1', portPath: '/dev/ttyUSB0', baudRate: 115200 },
+            { id: 'oven-2', simulator: true, dataType: 'json-object' }
+        ]);
+        const [first, second] = new SerialManager(null, null).deviceConfigs;
+
+        expect(first).toMatchObject({ deviceId: 'oven-1', name: 'oven-1', baudRate: 115200, dataType: 'csv', replayFile: 'day1.jsonl', deviceIdField: 'device_id', enableDynamicPortSwitching: false });
+        expect(second).toMatchObject({ deviceId: 'oven-2', dataType: 'json-object', replayFile: null, portPath: 'simulator://oven-2' });
+    });
+
+    test('refuses entries without an id or with a duplicate id', () => {
+        process.env.SERIAL_DEVICES = JSON.stringify([{ portPath: '/dev/ttyUSB0' }]);
+        expect(() => new SerialManager(null, null)).toThrow("SERIAL_DEVICES entry 0 has no 'id'");
+
+        process.env.SERIAL_DEVICES = JSON.stringify([{ id: 'a' }, { id: 'a' }]);
+        expect(() => new SerialManager(null, null)).toThrow("Duplicate serial device id 'a'");
+    });
+
+    test('routes calls to the requested device, the first one by default', async () => {
+        process.env.SERIAL_DEVICES = JSON.stringify([{ id: 'oven-1' }, { id: 'oven-2' }]);
+        const manager = withStubDevices(new SerialManager(null, null));
+
+        await expect(manager.sendSetpoint('temperature', 40, { deviceId: 'oven-2', timeout: 500 })).resolves.toEqual({ device: 'oven-2' });
+        expect(manager.getCommunicator('oven-2').sendSetpoint).toHaveBeenCalledWith('temperature', 40, { timeout: 500 });
+        expect(manager.getStatus('oven-1')).toEqual({ deviceId: 'oven-1' });
+        expect(manager.getStatus()).toMatchObject({ defaultDevice: 'oven-1', deviceCount: 2 });
+        expect(() => manager.getCommunicator('oven-9')).toThrow(expect.objectContaining({ code: 'UNKNOWN_DEVICE' }));
+        expect(manager.isConnected('oven-9')).toBe(false);
+    });
+
+    test('a device sees the ports configured or in use by the others as claimed', () => {
+        process.env.SERIAL_DEVICES = JSON.stringify([
+            { id: 'oven-1', portPath: '/dev/ttyUSB0' },
+            { id: 'oven-2' },
+            { id: 'oven-3' }
+        ]);
+        const manager = withStubDevices(new SerialManager(null, null));
+        manager.getCommunicator('oven-2').currentPortPath = '/dev/ttyUSB1';
+
+        expect(manager._claimedPorts('oven-3')).toEqual(['/dev/ttyUSB0', '/dev/ttyUSB1']);
+        expect(manager._claimedPorts('oven-1')).toEqual(['/dev/ttyUSB1']);
+    });
+});
@@ -1,99 +1,361 @@
 // modules/serial/serialManager.js
+const fs = require('fs');
 const SerialCommunicator = require('../../lib/com/serialCommunicator');
+const frameParsers = require('../../lib/com/frameParsers');
 const alert = require('../../lib/alert');
 
 class SerialManager {
-    constructor(database, mainWindow) {
+    // services: { writeBuffer, ingestionBatcher, schemaValidator, deadLetterStore }, each optional,
+    // handed on to every device's communicator
+    constructor(database, mainWindow, services = {}) {
         this.database = database;
         this.mainWindow = mainWindow;
-        this.serialCommunicator = null;
+        this.services = services;
+        this.deadLetterStore = services.deadLetterStore || null;
         this.config = this.getSerialConfig();
+        this.deviceConfigs = this.getDeviceConfigs();
+        this.devices = new Map();               // deviceId -> { config, communicator }
+        this.defaultDeviceId = this.deviceConfigs[0].deviceId;
     }
 
     getSerialConfig() {
         return {
             portPath: process.env.SERIAL_PORT || null,
+            portMatchRules: this._parseJsonEnv('SERIAL_PORT_MATCH_RULES', null),
+            pinnedSerialNumber: process.env.SERIAL_PINNED_SERIAL_NUMBER || null,
+            fallbackToFirstPort: process.env.SERIAL_FALLBACK_TO_FIRST_PORT !== 'false',
             baudRate: process.env.SERIAL_BAUDRATE || 9600,
             lineDelimiter: process.env.SERIAL_LINE_DELIMITER || '\r\n',
+            framing: process.env.SERIAL_FRAMING || 'line',
+            binaryFraming: this._parseJsonEnv('SERIAL_BINARY_FRAMING', {}),
             dataType: process.env.SERIAL_DATA_TYPES || 'json-object',
+            parserOptions: this._parseJsonEnv('SERIAL_PARSER_OPTIONS', {}),
+            csvDelimiter: process.env.SERIAL_CSV_DELIMITER || ',',
+            fieldMapping: process.env.SERIAL_FIELD_MAPPING ?
+                process.env.SERIAL_FIELD_MAPPING.split(',').map(field => field.trim()) : [],
+            transforms: this.getTransformConfig(),
+            calibrationVersionField: process.env.SERIAL_CALIBRATION_VERSION_FIELD !== undefined ?
+                (process.env.SERIAL_CALIBRATION_VERSION_FIELD || null) : 'calibration_version',
             dbTableName: process.env.SERIAL_DB_TABLE_NAME || 'sensors_table',
             requiredFields: process.env.SERIAL_REQUIRED_FIELDS || [],
             fieldsToEncrypt: process.env.SERIAL_FIELD_TO_ENCRYPT || [],
+            simulator: process.env.SERIAL_SIMULATOR === 'true',
+            simulatorOptions: this.getSimulatorConfig(),
+            recordSessions: process.env.SERIAL_RECORD_SESSIONS === 'true',
+            sessionDir: process.env.SERIAL_SESSION_DIR || 'sessions',
+            replayFile: process.env.SERIAL_REPLAY_FILE || null,
+            replaySpeed: process.env.SERIAL_REPLAY_SPEED || 1,
+            setpointCommand: process.env.SERIAL_SETPOINT_COMMAND || 'SET_SP',
+            reconnectDelay: parseInt(process.env.SERIAL_RECONNECT_DELAY) || 3000,
+            reconnectMaxDelay: parseInt(process.env.SERIAL_RECONNECT_MAX_DELAY) || 60000,
+            reconnectJitter: process.env.SERIAL_RECONNECT_JITTER ? parseFloat(process.env.SERIAL_RECONNECT_JITTER) : 0.2,
+            maxReconnectAttempts: parseInt(process.env.SERIAL_MAX_RECONNECT_ATTEMPTS) || 10,
+            neverGiveUp: process.env.SERIAL_RECONNECT_FOREVER === 'true',
+            hotPlugDetection: process.env.SERIAL_HOTPLUG_DETECTION !== 'false',
+            staleWarningAfter: parseInt(process.env.SERIAL_STALE_WARNING_MS) || 30000,
+            staleCriticalAfter: process.env.SERIAL_STALE_CRITICAL_MS ? parseInt(process.env.SERIAL_STALE_CRITICAL_MS) : 120000,
+            staleAction: process.env.SERIAL_STALE_ACTION || 'none',
+            resetCommand: process.env.SERIAL_RESET_COMMAND || 'RESET',
         };
     }
 
+    // Device registry: SERIAL_DEVICES (JSON array) or SERIAL_DEVICES_FILE (path to a JSON array).
+    // Each entry overrides the base config above and needs a unique 'id', e.g.
+    // [{ "id": "oven-1", "portPath": "/dev/ttyUSB0", "baudRate": 115200, "dataType": "csv",
+    //    "fieldMapping": ["temperature", "setpoint"], "dbTableName": "temperature_data" }]
+    // Without a registry a single device is built from the SERIAL_* variables.
+    getDeviceConfigs() {
+        let devices = this._parseJsonEnv('SERIAL_DEVICES', null);
+
+        if (!devices && process.env.SERIAL_DEVICES_FILE) {
+            try {
+                devices = JSON.parse(fs.readFileSync(process.env.SERIAL_DEVICES_FILE, 'utf8'));
+            } catch (error) {
+                alert.warning('SERIAL', `Invalid SERIAL_DEVICES_FILE, using single device: ${error.message}`);
+            }
+        }
+
+        if (!Array.isArray(devices) || devices.length === 0) {
+            return [{
+                ...this.config,
+                deviceId: process.env.SERIAL_DEVICE_ID || 'default',
+                name: process.env.SERIAL_DEVICE_NAME || 'Serial Device',
+                deviceIdField: process.env.SERIAL_DEVICE_ID_FIELD || null
+            }];
+        }
+
+        const seen = new Set();
+        return devices.map((device, index) => {
+            const { id, ...overrides } = device;
+            if (!id) {
+                throw new Error(`SERIAL_DEVICES entry ${index} has no 'id'`);
+            }
+            if (seen.has(id)) {
+                throw new Error(`Duplicate serial device id '${id}'`);
+            }
+            seen.add(id);
+
+            const config = {
+                ...this.config,
+                // Only the first device replays SERIAL_REPLAY_FILE unless a device sets its own
+                replayFile: index === 0 ? this.config.replayFile : null,
+                // Explicit ports on a bench: don't let devices hop onto each other's ports
+                enableDynamicPortSwitching: false,
+                deviceIdField: 'device_id',
+                ...overrides,
+                deviceId: String(id),
+                name: device.name || String(id)
+            };
+            if (config.simulator && !config.portPath) {
+                config.portPath = `simulator://${id}`;
+            }
+            return config;
+        });
+    }
+
+    // Per-field calibration: SERIAL_TRANSFORMS (JSON) or SERIAL_TRANSFORMS_FILE (path to JSON),
+    // e.g. { "version": "2026-10", "fields": { "temperature": [{ "type": "linear", "scale": 0.1 }] } }
+    // Devices in SERIAL_DEVICES can set their own 'transforms'.
+    getTransformConfig() {
+        const transforms = this._parseJsonEnv('SERIAL_TRANSFORMS', null);
+        if (transforms || !process.env.SERIAL_TRANSFORMS_FILE) {
+            return transforms;
+        }
+        try {
+            return JSON.parse(fs.readFileSync(process.env.SERIAL_TRANSFORMS_FILE, 'utf8'));
+        } catch (error) {
+            alert.warning('SERIAL', `Invalid SERIAL_TRANSFORMS_FILE, values are stored uncalibrated: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Simulated device settings (only used when SERIAL_SIMULATOR=true)
+    getSimulatorConfig() {
+        const options = {
+            interval: parseInt(process.env.SERIAL_SIMULATOR_INTERVAL) || 1000,
+            dropoutRate: parseFloat(process.env.SERIAL_SIMULATOR_DROPOUT_RATE) || 0
+        };
+
+        // SERIAL_SIMULATOR_FIELDS: JSON object of field -> { waveform, base, amplitude, period, noise, precision }
+        const fields = this._parseJsonEnv('SERIAL_SIMULATOR_FIELDS', null);
+        if (fields) {
+            options.fields = fields;
+        }
+
+        return options;
+    }
+
+    // Read a JSON-encoded environment variable, falling back on missing or invalid values
+    _parseJsonEnv(name, fallback) {
+        if (!process.env[name]) {
+            return fallback;
+        }
+        try {
+            return JSON.parse(process.env[name]);
+        } catch (error) {
+            alert.warning('SERIAL', `Invalid ${name}, using default: ${error.message}`);
+            return fallback;
+        }
+    }
+
     async initialize() {
         try {
-            this.serialCommunicator = new SerialCommunicator(
-                this.config, 
-                this.database, 
-                this.mainWindow
-            );
+            for (const deviceConfig of this.deviceConfigs) {
+                const communicator = new SerialCommunicator(
+                    {
+                        ...deviceConfig,
+                        claimedPorts: () => this._claimedPorts(deviceConfig.deviceId)
+                    },
+                    this.database,
+                    this.mainWindow,
+                    this.services
+                );
+                this.devices.set(deviceConfig.deviceId, { config: deviceConfig, communicator });
+            }
+
+            // Dead-letter retries go back through the device's current parser and calibration
+            if (this.deadLetterStore) {
+                this.deadLetterStore.registerRetryHandler('serial', entry => {
+                    const device = this.devices.get(entry.sourceId);
+                    if (!device) {
+                        return { accepted: false, reason: `Unknown serial device '${entry.sourceId}'` };
+                    }
+                    return device.communicator.reprocessDeadLetter(entry);
+                });
+            }
 
             // In server mode (no window), connect immediately
             // In Electron mode, wait for window to load
+            // A configured replay file replaces the live device as the data source
             const delay = this.mainWindow ? 2000 : 500;
             setTimeout(() => {
-                this.serialCommunicator.connect();
+                for (const [deviceId, device] of this.devices) {
+                    if (device.config.replayFile) {
+                        device.communicator.replaySession(device.config.replayFile, { speed: device.config.replaySpeed })
+                            .catch(error => alert.error('SERIAL', `Startup replay failed for device ${deviceId}`, error));
+                    } else {
+                        device.communicator.connect();
+                    }
+                }
             }, delay);
 
             const mode = this.mainWindow ? 'Electron' : 'Server';
-            alert.system.ready(`Serial Manager (${mode} mode)`);
+            const simulated = this.deviceConfigs.filter(device => device.simulator).length;
+            alert.system.ready(`Serial Manager (${mode} mode, ${this.devices.size} device(s)${simulated > 0 ? `, ${simulated} simulated` : ''})`);
         } catch (error) {
             alert.error('SERIAL', 'Manager initialization failed', error);
             throw error;
         }
     }
 
-    getStatus() {
-        return this.serialCommunicator ? this.serialCommunicator.getStatus() : null;
+    // Communicator for a device ID (default device when omitted)
+    getCommunicator(deviceId = null) {
+        return this._getDevice(deviceId).communicator;
     }
 
-    async forceReconnect() {
-        if (this.serialCommunicator) {
-            await this.serialCommunicator.forceReconnect();
-        }
+    // Registered devices with their connection summary (for device pickers)
+    listDevices() {
+        return Array.from(this.devices.values()).map(({ config, communicator }) => ({
+            id: config.deviceId,
+            name: config.name,
+            isDefault: config.deviceId === this.defaultDeviceId,
+            portPath: communicator.currentPortPath || config.portPath,
+            baudRate: config.baudRate,
+            dataType: config.dataType,
+            dbTableName: config.dbTableName,
+            deviceIdField: config.deviceIdField,
+            simulator: config.simulator,
+            state: communicator.currentState,
+            isConnected: communicator.isConnected()
+        }));
     }
 
-    async disconnect() {
-        if (this.serialCommunicator) {
-            await this.serialCommunicator.disconnect();
-        }
+    // Registered frame parsers and the fields each one declares for a device's config
+    listParsers(deviceId = null) {
+        return frameParsers.listParsers(this._getDevice(deviceId).config);
     }
 
-    async scanForBetterPorts() {
-        if (this.serialCommunicator) {
-            await this.serialCommunicator.scanForBetterPorts();
-        }
+    // Dry run of port auto-detection for a device: the port it would pick and why
+    async previewPortSelection(deviceId = null) {
+        return await this.getCommunicator(deviceId).previewPortSelection();
     }
 
-    setDynamicPortSwitching(enabled) {
-        if (this.serialCommunicator) {
-            this.serialCommunicator.setDynamicPortSwitching(enabled);
+    // Status of one device, or of every device keyed by ID when no ID is given
+    getStatus(deviceId = null) {
+        if (deviceId) {
+            return this.getCommunicator(deviceId).getStatus();
+        }
+        const devices = {};
+        for (const [id, device] of this.devices) {
+            devices[id] = device.communicator.getStatus();
         }
+        return {
+            defaultDevice: this.defaultDeviceId,
+            deviceCount: this.devices.size,
+            devices
+        };
     }
 
-    sendData(data) {
-        if (this.serialCommunicator) {
-            this.serialCommunicator.sendData(data);
+    // Reconnect statistics of one device, or of every device keyed by ID
+    getReconnectStatus(deviceId = null) {
+        if (deviceId) {
+            return this.getCommunicator(deviceId).getReconnectStatus();
         }
+        const devices = {};
+        for (const [id, device] of this.devices) {
+            devices[id] = device.communicator.getReconnectStatus();
+        }
+        return devices;
+    }
+
+    async forceReconnect(deviceId = null) {
+        await this.getCommunicator(deviceId).forceReconnect();
+    }
+
+    async disconnect(deviceId = null) {
+        await this.getCommunicator(deviceId).disconnect();
+    }
+
+    async scanForBetterPorts(deviceId = null) {
+        await this.getCommunicator(deviceId).scanForBetterPorts();
+    }
+
+    setDynamicPortSwitching(enabled, deviceId = null) {
+        this.getCommunicator(deviceId).setDynamicPortSwitching(enabled);
+    }
+
+    startRecording(filePath, deviceId = null) {
+        return this.getCommunicator(deviceId).startRecording(filePath);
+    }
+
+    async stopRecording(deviceId = null) {
+        return await this.getCommunicator(deviceId).stopRecording();
+    }
+
+    // options: { speed, deviceId }
+    async replaySession(filePath, options = {}) {
+        const { deviceId, ...replayOptions } = options;
+        return await this.getCommunicator(deviceId).replaySession(filePath, replayOptions);
+    }
+
+    stopReplay(deviceId = null) {
+        return this.getCommunicator(deviceId).stopReplay();
+    }
+
+    async sendData(data, deviceId = null) {
+        return await this.getCommunicator(deviceId).sendData(data);
+    }
+
+    // Send a command and wait for the device acknowledgement
+    // options: { timeout, retries, deviceId }
+    async sendCommand(command, params = {}, options = {}) {
+        const { deviceId, ...commandOptions } = options;
+        return await this.getCommunicator(deviceId).sendCommand(command, params, commandOptions);
+    }
+
+    // Send a new setpoint for a control loop and wait for the device acknowledgement
+    async sendSetpoint(loop, value, options = {}) {
+        const { deviceId, ...commandOptions } = options;
+        return await this.getCommunicator(deviceId).sendSetpoint(loop, value, commandOptions);
     }
 
     async close() {
-        if (this.serialCommunicator) {
+        for (const [deviceId, device] of this.devices) {
             try {
-                await this.serialCommunicator.close();
-                console.log('Serial communicator closed');
+                await device.communicator.close();
+                console.log(`Serial communicator closed (${deviceId})`);
             } catch (error) {
-                console.error('Error closing serial communicator:', error);
+                console.error(`Error closing serial communicator ${deviceId}:`, error);
                 throw error;
             }
         }
     }
 
-    isConnected() {
-        return this.serialCommunicator ? this.serialCommunicator.isConnected() : false;
+    isConnected(deviceId = null) {
+        const device = this.devices.get(deviceId || this.defaultDeviceId);
+        return device ? device.communicator.isConnected() : false;
+    }
+
+    _getDevice(deviceId) {
+        const device = this.devices.get(deviceId || this.defaultDeviceId);
+        if (!device) {
+            const error = new Error(deviceId ? `Unknown serial device: ${deviceId}` : 'Serial communicator not initialized');
+            error.code = deviceId ? 'UNKNOWN_DEVICE' : 'NOT_CONNECTED';
+            throw error;
+        }
+        return device;
+    }
+
+    // Ports configured for or in use by every device except the given one
+    _claimedPorts(deviceId) {
+        const claimed = [];
+        for (const [id, device] of this.devices) {
+            if (id === deviceId) continue;
+            const portPath = device.communicator.currentPortPath || device.config.portPath;
+            if (portPath) claimed.push(portPath);
+        }
+        return claimed;
     }
 }
 
-module.exports = SerialManager;
\ No newline at end of file
+module.exports = SerialManager;
@@ -0,0 +1,82 @@
+// modules/setpoint/__tests__/setpointManager.test.js
+const SetpointManager = require('../setpointManager');
+const alert = require('../../../lib/alert');
+
+describe('SetpointManager', () => {
+    let database;
+    let serialManager;
+    let auditLog;
+    let spies;
+
+    beforeEach(() => {
+        database = {
+            postData: jest.fn(async () => ({ insertId: 1 })),
+            getDataByFilters: jest.fn(async () => [])
+        };
+        serialManager = { sendSetpoint: jest.fn(async () => ({ ack: 1, status: 'ok' })) };
+        auditLog = { record: jest.fn() };
+        spies = ['success', 'error', 'warning'].map(level => jest.spyOn(alert, level).mockImplementation(() => {}));
+    });
+
+    afterEach(() => {
+        spies.forEach(spy => spy.mockRestore());
+    });
+
+    const manager = () => new SetpointManager(database, serialManager, null, auditLog);
+
+    test('validates the value against the loop limits and rounds it', () => {
+        const setpoints = manager();
+
+        expect(setpoints.validateSetpoint('temperature', '21.46')).toBe(21.5);
+        expect(setpoints.validateSetpoint('pressure', 1.234)).toBe(1.23);
+        expect(() => setpoints.validateSetpoint('temperature', 'warm')).toThrow(expect.objectContaining({ code: 'SETPOINT_INVALID' }));
+        expect(() => setpoints.validateSetpoint('pressure', 11)).toThrow(expect.objectContaining({ code: 'SETPOINT_OUT_OF_RANGE' }));
+        expect(() => setpoints.validateSetpoint('flow', 1)).toThrow(expect.objectContaining({ code: 'UNKNOWN_LOOP' }));
+    });
+
+    test('sends the setpoint, records the history and audits the change', async () => {
+        database.getDataByFilters.mockResolvedValue([{ loop: 'temperature', value: '20', status: 'applied' }]);
+        const setpoints = manager();
+
+        const result = await setpoints.setSetpoint('temperature', 22, { changedBy: 'alice', actor: 'alice', ip: '10.0.0.5' });
+
+        expect(serialManager.sendSetpoint).toHaveBeenCalledWith('temperature', 22, { deviceId: null });
+        expect(result).toMatchObject({ value: 22, previous_value: 20, status: 'applied', changed_by: 'alice', persisted: true });
+        expect(database.postData).toHaveBeenCalledWith('setpoint_history', expect.objectContaining({ value: 22, status: 'applied' }));
+        expect(auditLog.record).toHaveBeenCalledWith('setpoint.change', expect.objectContaining({
+            actor: 'alice',
+            origin: 'http',
+            ip: '10.0.0.5',
+            before: { loop: 'temperature', value: 20 },
+            after: { loop: 'temperature', value: 22 }
+        }));
+        expect((await setpoints.getCurrentSetpoint('temperature')).value).toBe(22);
+    });
+
+    test('a refused command is recorded as failed and rethrown', async () => {
+        serialManager.sendSetpoint.mockRejectedValue(new Error('Command timed out'));
+        const setpoints = manager();
+
+        await expect(setpoints.setSetpoint('pressure', 2, { changedBy: 'bob' })).rejects.toThrow('Command timed out');
+
+        expect(database.postData).toHaveBeenCalledWith('setpoint_history', expect.objectContaining({ status: 'failed', error_message: 'Command timed out' }));
+        expect(auditLog.record.mock.calls[0][1].details).toMatchObject({ status: 'failed', error: 'Command timed out' });
+        expect(await setpoints.getCurrentSetpoint('pressure')).toBeNull();
+    });
+
+    test('a failed history insert does not undo the applied setpoint', async () => {
+        database.postData.mockRejectedValue(new Error('db down'));
+        jest.spyOn(alert.database, 'error').mockImplementation(() => {});
+
+        const result = await manager().setSetpoint('temperature', 30, { changedBy: 'alice' });
+
+        expect(result).toMatchObject({ status: 'applied', persisted: false });
+        alert.database.error.mockRestore();
+    });
+
+    test('getHistory filters by loop and caps the limit', async () => {
+        await manager().getHistory({ loop: 'pressure', limit: 5000 });
+
+        expect(database.getDataByFilters).toHaveBeenCalledWith('setpoint_history', { loop: 'pressure' }, { orderBy: 'timestamp DESC', limit: 1000 });
+    });
+});
@@ -0,0 +1,203 @@
+// modules/setpoint/setpointManager.js
+const alert = require('../../lib/alert');
+
+class SetpointManager {
+    constructor(database, serialManager, mainWindow, auditLog = null) {
+        this.database = database;
+        this.serialManager = serialManager;
+        this.mainWindow = mainWindow;
+        this.auditLog = auditLog; // Records every change attempt (lib/db/auditLog.js)
+        this.config = this.getSetpointConfig();
+        this.currentSetpoints = {}; // loop -> last applied history entry
+    }
+
+    getSetpointConfig() {
+        return {
+            historyTable: process.env.SETPOINT_HISTORY_TABLE || 'setpoint_history',
+            deviceId: process.env.SETPOINT_DEVICE_ID || null, // Serial device running the loops (default device if unset)
+            loops: {
+                temperature: {
+                    unit: '°C',
+                    min: this._parseNumberEnv('SETPOINT_TEMPERATURE_MIN', 0),
+                    max: this._parseNumberEnv('SETPOINT_TEMPERATURE_MAX', 100),
+                    precision: 1
+                },
+                pressure: {
+                    unit: 'Bar',
+                    min: this._parseNumberEnv('SETPOINT_PRESSURE_MIN', 0),
+                    max: this._parseNumberEnv('SETPOINT_PRESSURE_MAX', 10),
+                    precision: 2
+                }
+            }
+        };
+    }
+
+    _parseNumberEnv(name, fallback) {
+        const value = parseFloat(process.env[name]);
+        return Number.isFinite(value) ? value : fallback;
+    }
+
+    // Limits and last known setpoint of every control loop
+    async getSetpoints() {
+        const result = {};
+        for (const [loop, limits] of Object.entries(this.config.loops)) {
+            const current = await this.getCurrentSetpoint(loop);
+            result[loop] = {
+                ...limits,
+                value: current ? current.value : null,
+                changedBy: current ? current.changed_by : null,
+                changedAt: current ? current.timestamp : null
+            };
+        }
+        return result;
+    }
+
+    // Last applied setpoint for a loop (memory first, then the history table)
+    async getCurrentSetpoint(loop) {
+        this._getLoop(loop);
+        if (this.currentSetpoints[loop]) {
+            return this.currentSetpoints[loop];
+        }
+
+        try {
+            const rows = await this._query({ loop, status: 'applied' }, 1);
+            if (rows.length > 0) {
+                this.currentSetpoints[loop] = { ...rows[0], value: Number(rows[0].value) };
+            }
+        } catch (error) {
+            alert.warning('SETPOINT', `Could not load last ${loop} setpoint: ${error.message}`);
+        }
+        return this.currentSetpoints[loop] || null;
+    }
+
+    // Check a requested value against the loop limits, returns the rounded value
+    validateSetpoint(loop, value) {
+        const limits = this._getLoop(loop);
+        const numeric = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+
+        if (typeof numeric !== 'number' || !Number.isFinite(numeric)) {
+            const error = new Error(`Setpoint for '${loop}' must be a number`);
+            error.code = 'SETPOINT_INVALID';
+            throw error;
+        }
+        if (numeric < limits.min || numeric > limits.max) {
+            const error = new Error(`Setpoint ${numeric}${limits.unit} for '${loop}' is outside the allowed range ${limits.min}-${limits.max}${limits.unit}`);
+            error.code = 'SETPOINT_OUT_OF_RANGE';
+            throw error;
+        }
+        return Number(numeric.toFixed(limits.precision));
+    }
+
+    // Validate, send to the device and record the change
+    // options: { changedBy, source, reason, actor, ip }
+    // actor is the authenticated user for the audit log (changedBy when not given)
+    async setSetpoint(loop, value, options = {}) {
+        const newValue = this.validateSetpoint(loop, value);
+        const limits = this.config.loops[loop];
+        const previous = await this.getCurrentSetpoint(loop);
+        const changedBy = options.changedBy || 'unknown';
+
+        const entry = {
+            loop,
+            value: newValue,
+            previous_value: previous ? previous.value : null,
+            unit: limits.unit,
+            status: 'applied',
+            changed_by: changedBy,
+            source: options.source || 'api',
+            reason: options.reason || null,
+            error_message: null,
+            timestamp: new Date().toISOString()
+        };
+
+        let deviceError = null;
+        let ack = null;
+        try {
+            if (!this.serialManager) {
+                throw new Error('Serial communication is not available');
+            }
+            ack = await this.serialManager.sendSetpoint(loop, newValue, { deviceId: this.config.deviceId });
+        } catch (error) {
+            deviceError = error;
+            entry.status = 'failed';
+            entry.error_message = error.message;
+        }
+
+        const persisted = await this._recordHistory(entry);
+        this._audit(entry, options);
+
+        if (deviceError) {
+            alert.error('SETPOINT', `${loop} setpoint change to ${newValue}${limits.unit} by ${changedBy} failed`, deviceError);
+            throw deviceError;
+        }
+
+        this.currentSetpoints[loop] = entry;
+        alert.success('SETPOINT', `${loop} setpoint changed to ${newValue}${limits.unit} by ${changedBy}`);
+        this._sendToRenderer('setpoint-changed', entry);
+
+        return { ...entry, persisted, ack };
+    }
+
+    _audit(entry, options) {
+        if (!this.auditLog) {
+            return;
+        }
+        this.auditLog.record('setpoint.change', {
+            actor: options.actor || entry.changed_by,
+            origin: entry.source === 'api' ? 'http' : entry.source,
+            ip: options.ip || null,
+            table: this.config.historyTable,
+            before: { loop: entry.loop, value: entry.previous_value },
+            after: { loop: entry.loop, value: entry.value },
+            details: { unit: entry.unit, status: entry.status, reason: entry.reason, error: entry.error_message }
+        });
+    }
+
+    // Recent setpoint changes, newest first
+    // options: { loop, limit }
+    async getHistory(options = {}) {
+        const filters = {};
+        if (options.loop) {
+            this._getLoop(options.loop);
+            filters.loop = options.loop;
+        }
+        const limit = parseInt(options.limit) || 50;
+        return await this._query(filters, Math.min(limit, 1000));
+    }
+
+    async _recordHistory(entry) {
+        try {
+            await this.database.postData(this.config.historyTable, entry);
+            return true;
+        } catch (error) {
+            alert.database.error(`Setpoint history insert into ${this.config.historyTable}`, error);
+            return false;
+        }
+    }
+
+    async _query(filters, limit) {
+        const result = await this.database.getDataByFilters(this.config.historyTable, filters, {
+            orderBy: 'timestamp DESC',
+            limit
+        });
+        return Array.isArray(result) ? result : (result && result.data) || [];
+    }
+
+    _getLoop(loop) {
+        const limits = this.config.loops[loop];
+        if (!limits) {
+            const error = new Error(`Unknown control loop '${loop}'. Supported: ${Object.keys(this.config.loops).join(', ')}`);
+            error.code = 'UNKNOWN_LOOP';
+            throw error;
+        }
+        return limits;
+    }
+
+    _sendToRenderer(channel, data) {
+        if (this.mainWindow && this.mainWindow.webContents) {
+            this.mainWindow.webContents.send(channel, data);
+        }
+    }
+}
+
+module.exports = SetpointManager;
@@ -2,9 +2,13 @@ const WebSocketHandler = require('../../lib/com/webSocketCommunicator');
 const alert = require('../../lib/alert');
 
 class WebsocketManager {
-    constructor(database, mainWindow) {
+    // services: { writeBuffer, ingestionBatcher, schemaValidator, deadLetterStore, loginThrottle, auditLog, tokenService },
+    // each optional, handed on to the WebSocket handler
+    constructor(database, mainWindow, services = {}) {
         this.database = database;
         this.mainWindow = mainWindow;
+        this.services = services;
+        this.deadLetterStore = services.deadLetterStore || null;
         this.websocketHandler = null;
         this.config = this.getWebsocketConfig();
         this.databaseAdapter = null; // NEW: Enhanced database adapter support
@@ -15,7 +19,7 @@ class WebsocketManager {
             port: process.env.WEBSOCKET_PORT || 8080,
             host: process.env.WEBSOCKET_HOST || '0.0.0.0',
             enableAuthentication: process.env.WEBSOCKET_ENABLE_AUTH === 'true',
-            authToken: process.env.WEBSOCKET_AUTH_TOKEN || null,
+            authGracePeriod: parseInt(process.env.WEBSOCKET_AUTH_GRACE_MS) || 30000,
             dbTableName: process.env.WEBSOCKET_DB_TABLE_NAME || 'sensors_data',
             requiredFields: process.env.WEBSOCKET_REQUIRED_FIELDS ?
                 process.env.WEBSOCKET_REQUIRED_FIELDS.split(',') : [],
@@ -24,8 +28,25 @@ class WebsocketManager {
             enableHeartbeat: process.env.WEBSOCKET_ENABLE_HEARTBEAT !== 'false',
             heartbeatInterval: parseInt(process.env.WEBSOCKET_HEARTBEAT_INTERVAL) || 30000,
             maxConnections: parseInt(process.env.WEBSOCKET_MAX_CONNECTIONS) || 10,
+            maxPayload: parseInt(process.env.WEBSOCKET_MAX_PAYLOAD) || 1024 * 1024,
+            rateLimits: {
+                default: {
+                    burst: parseInt(process.env.WEBSOCKET_RATE_BURST) || 20,
+                    perSecond: parseFloat(process.env.WEBSOCKET_RATE_LIMIT) || 10
+                },
+                sensor_data: {
+                    burst: parseInt(process.env.WEBSOCKET_SENSOR_RATE_BURST) || 100,
+                    perSecond: parseFloat(process.env.WEBSOCKET_SENSOR_RATE_LIMIT) || 50
+                }
+            },
+            maxViolations: parseInt(process.env.WEBSOCKET_MAX_VIOLATIONS) || 20,
+            violationWindow: parseInt(process.env.WEBSOCKET_VIOLATION_WINDOW_MS) || 60000,
             enableDataValidation: process.env.WEBSOCKET_ENABLE_VALIDATION !== 'false',
-            logLevel: process.env.WEBSOCKET_LOG_LEVEL || 'info'
+            logLevel: process.env.WEBSOCKET_LOG_LEVEL || 'info',
+            staleWarningAfter: parseInt(process.env.WEBSOCKET_STALE_WARNING_MS) || 0,
+            staleCriticalAfter: parseInt(process.env.WEBSOCKET_STALE_CRITICAL_MS) || 0,
+            staleAction: process.env.WEBSOCKET_STALE_ACTION || 'none',
+            clientRole: process.env.WEBSOCKET_CLIENT_ROLE || 'operator'
         };
     }
 
@@ -37,11 +58,12 @@ class WebsocketManager {
                 alert.system.config('WebSocket', 'Enhanced database adapter mode enabled');
             }
 
-            this.websocketHandler = new WebSocketHandler(
-                this.config,
-                this.database,
-                this.mainWindow
-            );
+            this.websocketHandler = new WebSocketHandler(this.config, this.database, this.mainWindow, this.services);
+
+            // Dead-letter retries go back through the current validation and schema
+            if (this.deadLetterStore) {
+                this.deadLetterStore.registerRetryHandler('websocket', entry => this.websocketHandler.reprocessDeadLetter(entry));
+            }
 
             // In server mode (no window), start immediately
             // In Electron mode, wait for window to load
@@ -1,6 +1,11 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
 const validInvokeChannels = new Set([
+  'auth-login',
+  'auth-logout',
+  'auth-session',
+  'auth-register',
+  'auth-change-password',
   'get-data-by-filters',
   'delete-data',
   'insert-data',
@@ -8,9 +13,26 @@ const validInvokeChannels = new Set([
   'serial-force-reconnect',
   'serial-disconnect',
   'serial-scan-ports',
+  'serial-preview-ports',
+  'db-buffer-status',
+  'db-buffer-replay',
+  'dead-letter-list',
+  'dead-letter-retry',
+  'dead-letter-purge',
+  'serial-reconnect-status',
   'serial-toggle-dynamic-switching',
   'serial-get-status',
+  'serial-list-devices',
+  'serial-list-parsers',
   'serial-send-data',
+  'serial-start-recording',
+  'serial-stop-recording',
+  'serial-replay-session',
+  'serial-stop-replay',
+  // Setpoint control
+  'setpoint-get-all',
+  'setpoint-set',
+  'setpoint-get-history',
   // NEW: Enhanced database adapter channels
   'db-health-check',
   'db-get-config',
@@ -21,6 +43,13 @@ const validInvokeChannels = new Set([
   // NEW: User management
   'get-users',
   'insert-user',
+  'users-list',
+  'users-set-role',
+  'users-set-email',
+  'users-disable',
+  'users-enable',
+  'users-delete',
+  'users-reset-password',
   'post-data',
   // NEW: Monitoring-specific channels
   'check-database-connection',
@@ -43,11 +72,19 @@ const validReceiveChannels = new Set([
   'serial-reconnect-status',
   'serial-port-switched',
   'database-insert-success',
+  'database-buffer-status',
+  'dead-letter-added',
   'serial-data-sent',
+  'serial-session-status',
+  'serial-data-stale',
+  'serial-data-recovered',
+  'setpoint-changed',
   // NEW: Enhanced database adapter events
   'db-subscription-data',
   'db-health-status',
   'websocket-data-received',
+  'websocket-data-stale',
+  'websocket-data-recovered',
   'websocket-connection-status',
   'websocket-room-joined',
   'websocket-room-left',
@@ -77,23 +114,51 @@ contextBridge.exposeInMainWorld('api', {
     ipcRenderer.removeAllListeners(channel);
   },
 
+  // Session methods (each window logs in; permissions follow the user's role)
+  login: (username, password) => ipcRenderer.invoke('auth-login', username, password),
+  logout: () => ipcRenderer.invoke('auth-logout'),
+  getSession: () => ipcRenderer.invoke('auth-session'),
+  register: (user) => ipcRenderer.invoke('auth-register', user),
+  changePassword: (currentPassword, newPassword) => ipcRenderer.invoke('auth-change-password', currentPassword, newPassword),
+
   // Database convenience methods
   getDataByFilters: (table, filters, options) => ipcRenderer.invoke('get-data-by-filters', table, filters, options),
   deleteData: (table, whereClause, whereParams) => ipcRenderer.invoke('delete-data', table, whereClause, whereParams),
   insertData: (table, data) => ipcRenderer.invoke('insert-data', table, data),
   updateData: (table, data, whereClause, whereParams) => ipcRenderer.invoke('update-data', table, data, whereClause, whereParams),
 
-  // Serial convenience methods
-  getSerialStatus: () => ipcRenderer.invoke('serial-get-status'),
-  forceReconnect: () => ipcRenderer.invoke('serial-force-reconnect'),
-  disconnect: () => ipcRenderer.invoke('serial-disconnect'),
-  scanPorts: () => ipcRenderer.invoke('serial-scan-ports'),
-  setDynamicSwitching: (enabled) => ipcRenderer.invoke('serial-toggle-dynamic-switching', enabled),
-  sendData: (data) => ipcRenderer.invoke('serial-send-data', data),
+  // Serial convenience methods (deviceId is optional, the default device is used when omitted)
+  listSerialDevices: () => ipcRenderer.invoke('serial-list-devices'),
+  getSerialStatus: (deviceId) => ipcRenderer.invoke('serial-get-status', deviceId),
+  getReconnectStatus: (deviceId) => ipcRenderer.invoke('serial-reconnect-status', deviceId),
+  listSerialParsers: (deviceId) => ipcRenderer.invoke('serial-list-parsers', deviceId),
+  forceReconnect: (deviceId) => ipcRenderer.invoke('serial-force-reconnect', deviceId),
+  disconnect: (deviceId) => ipcRenderer.invoke('serial-disconnect', deviceId),
+  scanPorts: (deviceId) => ipcRenderer.invoke('serial-scan-ports', deviceId),
+  previewPorts: (deviceId) => ipcRenderer.invoke('serial-preview-ports', deviceId),
+  setDynamicSwitching: (enabled, deviceId) => ipcRenderer.invoke('serial-toggle-dynamic-switching', enabled, deviceId),
+  sendData: (data, options) => ipcRenderer.invoke('serial-send-data', data, options),
+  sendCommand: (command, params, options) => ipcRenderer.invoke('serial-send-data', { command, params }, options),
+  startRecording: (fileName, deviceId) => ipcRenderer.invoke('serial-start-recording', fileName, deviceId),
+  stopRecording: (deviceId) => ipcRenderer.invoke('serial-stop-recording', deviceId),
+  replaySession: (fileName, options) => ipcRenderer.invoke('serial-replay-session', fileName, options),
+  stopReplay: (deviceId) => ipcRenderer.invoke('serial-stop-replay', deviceId),
+
+  // Setpoint control methods
+  getSetpoints: () => ipcRenderer.invoke('setpoint-get-all'),
+  setSetpoint: (loop, value, options) => ipcRenderer.invoke('setpoint-set', loop, value, options),
+  getSetpointHistory: (options) => ipcRenderer.invoke('setpoint-get-history', options),
 
   // NEW: Enhanced database adapter methods
   getDatabaseHealth: () => ipcRenderer.invoke('db-health-check'),
   getDatabaseConfig: () => ipcRenderer.invoke('db-get-config'),
+  getWriteBufferStatus: () => ipcRenderer.invoke('db-buffer-status'),
+  replayWriteBuffer: () => ipcRenderer.invoke('db-buffer-replay'),
+  listDeadLetters: (filters) => ipcRenderer.invoke('dead-letter-list', filters),
+  retryDeadLetters: (ids) => ipcRenderer.invoke('dead-letter-retry', ids),
+  purgeDeadLetters: (ids) => ipcRenderer.invoke('dead-letter-purge', ids),
+  listAuditEntries: (filters) => ipcRenderer.invoke('audit-list', filters),
+  verifyAuditLog: () => ipcRenderer.invoke('audit-verify'),
   subscribeToTable: (tableName, filters) => ipcRenderer.invoke('db-subscribe', tableName, filters),
   unsubscribeFromTable: (subscriptionId) => ipcRenderer.invoke('db-unsubscribe', subscriptionId),
   executeQuery: (sql, params) => ipcRenderer.invoke('db-query', sql, params),
@@ -103,6 +168,13 @@ contextBridge.exposeInMainWorld('api', {
   getUsers: () => ipcRenderer.invoke('get-users'),
   insertUser: (name, email) => ipcRenderer.invoke('insert-user', name, email),
   postData: (table, data) => ipcRenderer.invoke('post-data', table, data),
+  listUsers: (filters) => ipcRenderer.invoke('users-list', filters),
+  setUserRole: (id, role) => ipcRenderer.invoke('users-set-role', id, role),
+  setUserEmail: (id, email) => ipcRenderer.invoke('users-set-email', id, email),
+  disableUser: (id) => ipcRenderer.invoke('users-disable', id),
+  enableUser: (id) => ipcRenderer.invoke('users-enable', id),
+  deleteUser: (id) => ipcRenderer.invoke('users-delete', id),
+  resetUserPassword: (id) => ipcRenderer.invoke('users-reset-password', id),
 
   // NEW: WebSocket client integration (for React frontend)
   websocket: {
@@ -0,0 +1,131 @@
+// Account calls of the HTML views (resource/view/auth). In Electron they go through IPC
+// (window.api, one session per window); in a browser through the REST API, with the
+// tokens kept in localStorage like the React frontend (src/authFetch.js).
+// Every call resolves { success, data, error, code }.
+
+const AUTH_API_URL = 'http://localhost:3001/api';
+const isElectronAuth = typeof window.api !== 'undefined';
+
+function storeAuthTokens({ accessToken, refreshToken }) {
+    localStorage.setItem('accessToken', accessToken);
+    localStorage.setItem('refreshToken', refreshToken);
+}
+
+function clearAuthTokens() {
+    localStorage.removeItem('accessToken');
+    localStorage.removeItem('refreshToken');
+}
+
+async function restCall(path, method = 'GET', body, retried = false) {
+    const headers = { 'Content-Type': 'application/json' };
+    const token = localStorage.getItem('accessToken');
+    if (token) {
+        headers.Authorization = `Bearer ${token}`;
+    }
+
+    const response = await fetch(`${AUTH_API_URL}${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const result = await response.json().catch(() => ({ success: false, error: `HTTP ${response.status}` }));
+
+    // Expired access token: exchange the refresh token once and repeat the call
+    if (response.status === 401 && result.code === 'TOKEN_EXPIRED' && !retried && localStorage.getItem('refreshToken')) {
+        const refreshed = await restCall('/auth/refresh', 'POST', { refreshToken: localStorage.getItem('refreshToken') }, true);
+        if (refreshed.success) {
+            storeAuthTokens(refreshed);
+            return restCall(path, method, body, true);
+        }
+        clearAuthTokens();
+    }
+    return result;
+}
+
+const authClient = {
+    async login(username, password) {
+        if (isElectronAuth) {
+            return window.api.login(username, password);
+        }
+        const result = await restCall('/auth/login', 'POST', { username, password });
+        if (result.success) {
+            storeAuthTokens(result);
+            return { success: true, data: { user: result.user } };
+        }
+        return result;
+    },
+
+    async logout() {
+        if (isElectronAuth) {
+            return window.api.logout();
+        }
+        const result = await restCall('/auth/logout', 'POST', { refreshToken: localStorage.getItem('refreshToken') });
+        clearAuthTokens();
+        return result;
+    },
+
+    // The logged-in user, or null
+    async currentUser() {
+        if (isElectronAuth) {
+            const session = await window.api.getSession();
+            return session.success ? session.data.user : null;
+        }
+        if (!localStorage.getItem('accessToken')) {
+            return null;
+        }
+        const result = await restCall('/auth/me');
+        return result.success ? result.user : null;
+    },
+
+    register(user) {
+        return isElectronAuth ? window.api.register(user) : restCall('/auth/register', 'POST', user);
+    },
+
+    async changePassword(currentPassword, newPassword) {
+        if (isElectronAuth) {
+            return window.api.changePassword(currentPassword, newPassword);
+        }
+        const result = await restCall('/auth/password', 'PUT', { currentPassword, newPassword });
+        if (result.success) {
+            storeAuthTokens(result);
+            return { success: true, data: result.user };
+        }
+        return result;
+    },
+
+    // Admin calls (users:manage)
+    listUsers(status) {
+        return isElectronAuth ?
+            window.api.listUsers({ status: status || undefined }) :
+            restCall(`/users${status ? `?status=${encodeURIComponent(status)}` : ''}`);
+    },
+
+    setRole(id, role) {
+        return isElectronAuth ? window.api.setUserRole(id, role) : restCall(`/users/${id}/role`, 'PUT', { role });
+    },
+
+    setEmail(id, email) {
+        return isElectronAuth ? window.api.setUserEmail(id, email) : restCall(`/users/${id}/email`, 'PUT', { email });
+    },
+
+    disable(id) {
+        return isElectronAuth ? window.api.disableUser(id) : restCall(`/users/${id}/disable`, 'POST');
+    },
+
+    enable(id) {
+        return isElectronAuth ? window.api.enableUser(id) : restCall(`/users/${id}/enable`, 'POST');
+    },
+
+    remove(id) {
+        return isElectronAuth ? window.api.deleteUser(id) : restCall(`/users/${id}`, 'DELETE');
+    },
+
+    // Resolves data: { user, temporaryPassword }
+    async resetPassword(id) {
+        if (isElectronAuth) {
+            return window.api.resetUserPassword(id);
+        }
+        const result = await restCall(`/users/${id}/reset-password`, 'POST');
+        return result.success ? { success: true, data: { user: result.data, temporaryPassword: result.temporaryPassword } } : result;
+    }
+};
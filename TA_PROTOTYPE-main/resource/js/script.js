@@ -22,6 +22,8 @@ document.addEventListener('DOMContentLoaded', function () {
 
         if (isElectron) {
             setupElectronListeners();
+            loadSerialDevices();
+            loadSetpoints();
         }
     }, 100);
 });
@@ -38,6 +40,26 @@ function setupElectronListeners() {
         showAlert('Database Error: ' + error.message, 'danger');
         updateConnectionStatus(false);
     });
+
+    // Data staleness watchdog (serial devices and WebSocket sensors)
+    const showStale = (event) => {
+        const seconds = Math.floor(event.silentMs / 1000);
+        showAlert(`No data from ${event.source} '${event.sourceId}' for ${seconds}s (${event.level})`,
+            event.level === 'critical' ? 'danger' : 'warning', 10000);
+    };
+    const showRecovered = (event) => {
+        showAlert(`Data from ${event.source} '${event.sourceId}' recovered`, 'success');
+    };
+    window.api.receive('serial-data-stale', showStale);
+    window.api.receive('serial-data-recovered', showRecovered);
+    window.api.receive('websocket-data-stale', showStale);
+    window.api.receive('websocket-data-recovered', showRecovered);
+
+    // Setpoint changes (from this window, another client or the REST API)
+    window.api.receive('setpoint-changed', (entry) => {
+        showAlert(`${entry.loop} setpoint changed to ${entry.value} ${entry.unit} by ${entry.changed_by}`, 'info');
+        loadSetpoints();
+    });
 }
 
 // Database connection and data loading functions
@@ -119,7 +141,7 @@ async function loadTemperatureData() {
 
         // Load recent temperature data
         const temperatureData = await window.api.getDataByFilters('sensor_readings',
-            { type: 'temperature' },
+            withDeviceFilter({ type: 'temperature' }),
             { orderBy: 'timestamp DESC', limit: 50 }
         );
 
@@ -153,7 +175,7 @@ async function loadPressureData() {
 
         // Load recent pressure data
         const pressureData = await window.api.getDataByFilters('sensor_readings',
-            { type: 'pressure' },
+            withDeviceFilter({ type: 'pressure' }),
             { orderBy: 'timestamp DESC', limit: 50 }
         );
 
@@ -546,6 +568,137 @@ function toggleAutoRefresh(type) {
     }
 }
 
+// Serial device selection (records are tagged with the device they came from)
+let serialDevices = [];
+let selectedDeviceId = '';
+
+async function loadSerialDevices() {
+    try {
+        const result = await window.api.listSerialDevices();
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        serialDevices = result.data;
+
+        // Only worth showing with more than one device
+        const wrapper = document.getElementById('deviceSelectWrapper');
+        if (serialDevices.length < 2) {
+            wrapper.classList.add('d-none');
+            return;
+        }
+
+        const select = document.getElementById('deviceSelect');
+        select.innerHTML = '<option value="">All devices</option>' + serialDevices.map(device =>
+            `<option value="${device.id}">${device.name}${device.isConnected ? '' : ' (offline)'}</option>`
+        ).join('');
+        select.value = selectedDeviceId;
+        wrapper.classList.remove('d-none');
+    } catch (error) {
+        console.error('Error loading serial devices:', error);
+    }
+}
+
+function selectDevice(deviceId) {
+    selectedDeviceId = deviceId;
+    loadInitialData();
+}
+
+function withDeviceFilter(filters = {}) {
+    if (!selectedDeviceId) {
+        return filters;
+    }
+    const device = serialDevices.find(d => d.id === selectedDeviceId);
+    return { ...filters, [(device && device.deviceIdField) || 'device_id']: selectedDeviceId };
+}
+
+// Setpoint control functions
+const SETPOINT_LOOPS = ['temperature', 'pressure'];
+let setpointLimits = {};
+
+async function loadSetpoints() {
+    try {
+        const result = await window.api.getSetpoints();
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        setpointLimits = result.data;
+
+        for (const loop of SETPOINT_LOOPS) {
+            const limits = setpointLimits[loop];
+            if (!limits) continue;
+
+            const input = document.getElementById(`${loop}SetpointInput`);
+            input.min = limits.min;
+            input.max = limits.max;
+            if (limits.value !== null) {
+                input.placeholder = limits.value;
+            }
+            document.getElementById(`${loop}SetpointLimits`).textContent =
+                `Range: ${limits.min}-${limits.max} ${limits.unit}` +
+                (limits.value !== null ? ` | Current: ${limits.value} ${limits.unit}` : '');
+
+            await loadSetpointHistory(loop);
+        }
+    } catch (error) {
+        console.error('Error loading setpoints:', error);
+    }
+}
+
+async function loadSetpointHistory(loop) {
+    const result = await window.api.getSetpointHistory({ loop, limit: 3 });
+    const container = document.getElementById(`${loop}SetpointHistory`);
+    if (!result.success || result.data.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = result.data.map(item => `
+                <div class="d-flex justify-content-between">
+                    <span>${new Date(item.timestamp).toLocaleTimeString()}</span>
+                    <span>${item.value} ${item.unit}</span>
+                    <span>${item.changed_by}</span>
+                    <span class="${item.status === 'applied' ? 'text-success' : 'text-danger'}">${item.status}</span>
+                </div>
+            `).join('');
+}
+
+async function applySetpoint(loop) {
+    if (!isElectron) {
+        showAlert('Setpoint control is not available in demo mode', 'warning');
+        return;
+    }
+
+    const input = document.getElementById(`${loop}SetpointInput`);
+    const button = document.getElementById(`${loop}SetpointButton`);
+    const value = parseFloat(input.value);
+    const limits = setpointLimits[loop];
+
+    if (isNaN(value)) {
+        showAlert('Enter a numeric setpoint', 'danger');
+        return;
+    }
+    if (limits && (value < limits.min || value > limits.max)) {
+        showAlert(`Setpoint must be between ${limits.min} and ${limits.max} ${limits.unit}`, 'danger');
+        return;
+    }
+
+    button.disabled = true;
+    try {
+        const result = await window.api.setSetpoint(loop, value);
+        if (result.success) {
+            input.value = '';
+        } else {
+            showAlert('Setpoint Error: ' + result.error, 'danger', 5000);
+            await loadSetpoints();
+        }
+    } catch (error) {
+        console.error('Error setting setpoint:', error);
+        showAlert('Error sending setpoint', 'danger');
+    } finally {
+        button.disabled = false;
+    }
+}
+
 // Database management functions
 async function loadAllTemperatureRecords() {
     try {
@@ -555,7 +708,7 @@ async function loadAllTemperatureRecords() {
         }
 
         const records = await window.api.getDataByFilters('sensor_readings',
-            { type: 'temperature' },
+            withDeviceFilter({ type: 'temperature' }),
             { orderBy: 'timestamp DESC' }
         );
 
@@ -575,7 +728,7 @@ async function loadAllPressureRecords() {
         }
 
         const records = await window.api.getDataByFilters('sensor_readings',
-            { type: 'pressure' },
+            withDeviceFilter({ type: 'pressure' }),
             { orderBy: 'timestamp DESC' }
         );
 
@@ -595,7 +748,7 @@ async function loadRecentRecords(type, limit) {
         }
 
         const records = await window.api.getDataByFilters('sensor_readings',
-            { type: type },
+            withDeviceFilter({ type: type }),
             { orderBy: 'timestamp DESC', limit: limit }
         );
 
@@ -658,7 +811,7 @@ async function applyDatabaseFilters() {
         // For date filtering, we'd need to use raw queries or modify the backend
         // For now, just filter by type
         const records = await window.api.getDataByFilters('sensor_readings',
-            filters,
+            withDeviceFilter(filters),
             { orderBy: 'timestamp DESC', limit: 500 }
         );
 
@@ -742,7 +895,7 @@ async function exportTemperatureData() {
         }
 
         const data = await window.api.getDataByFilters('sensor_readings',
-            { type: 'temperature' },
+            withDeviceFilter({ type: 'temperature' }),
             { orderBy: 'timestamp DESC' }
         );
 
@@ -760,7 +913,7 @@ async function exportPressureData() {
         }
 
         const data = await window.api.getDataByFilters('sensor_readings',
-            { type: 'pressure' },
+            withDeviceFilter({ type: 'pressure' }),
             { orderBy: 'timestamp DESC' }
         );
 
@@ -815,8 +968,8 @@ async function updateDataCounts() {
     if (!databaseConnected) return;
 
     try {
-        const tempCount = await window.api.getDataByFilters('sensor_readings', { type: 'temperature' });
-        const pressureCount = await window.api.getDataByFilters('sensor_readings', { type: 'pressure' });
+        const tempCount = await window.api.getDataByFilters('sensor_readings', withDeviceFilter({ type: 'temperature' }));
+        const pressureCount = await window.api.getDataByFilters('sensor_readings', withDeviceFilter({ type: 'pressure' }));
 
         document.getElementById('tempTotalRecords').textContent = tempCount.length;
         document.getElementById('pressureTotalRecords').textContent = pressureCount.length;
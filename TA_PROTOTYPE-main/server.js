@@ -7,6 +7,7 @@ const DatabaseManager = require('./modules/database/databaseManager');
 const APIServer = require('./modules/api/apiServer');
 const SerialManager = require('./modules/serial/serialManager');
 const WebsocketManager = require('./modules/websocket/websocketManager');
+const SetpointManager = require('./modules/setpoint/setpointManager');
 
 class BackendServer {
     constructor() {
@@ -14,6 +15,7 @@ class BackendServer {
         this.apiServer = null;
         this.serialManager = null;
         this.websocketManager = null;
+        this.setpointManager = null;
     }
 
     async initialize() {
@@ -26,19 +28,49 @@ class BackendServer {
 
             // Initialize API server
             this.apiServer = new APIServer(this.databaseManager.getDatabase());
+            this.apiServer.setWriteBuffer(this.databaseManager.getWriteBuffer());
+            this.apiServer.setIngestionBatcher(this.databaseManager.getIngestionBatcher());
+            this.apiServer.setSchemaValidator(this.databaseManager.getSchemaValidator());
+            this.apiServer.setDeadLetterStore(this.databaseManager.getDeadLetterStore());
+            this.apiServer.setAuditLog(this.databaseManager.getAuditLog());
             this.apiServer.start();
 
             // Initialize serial manager (no window needed)
             this.serialManager = new SerialManager(
                 this.databaseManager.getDatabase(),
-                null // No main window in server mode
+                null, // No main window in server mode
+                {
+                    writeBuffer: this.databaseManager.getWriteBuffer(),
+                    ingestionBatcher: this.databaseManager.getIngestionBatcher(),
+                    schemaValidator: this.databaseManager.getSchemaValidator(),
+                    deadLetterStore: this.databaseManager.getDeadLetterStore()
+                }
             );
             await this.serialManager.initialize();
+            this.apiServer.setSerialManager(this.serialManager);
+
+            // Initialize setpoint control (sends setpoints through the serial manager)
+            this.setpointManager = new SetpointManager(
+                this.databaseManager.getDatabase(),
+                this.serialManager,
+                null, // No main window in server mode
+                this.databaseManager.getAuditLog()
+            );
+            this.apiServer.setSetpointManager(this.setpointManager);
             
             // Initialize WebSocket manager (no window needed)
             this.websocketManager = new WebsocketManager(
                 this.databaseManager.getDatabase(),
-                null // No main window in server mode
+                null, // No main window in server mode
+                {
+                    writeBuffer: this.databaseManager.getWriteBuffer(),
+                    ingestionBatcher: this.databaseManager.getIngestionBatcher(),
+                    schemaValidator: this.databaseManager.getSchemaValidator(),
+                    deadLetterStore: this.databaseManager.getDeadLetterStore(),
+                    loginThrottle: this.apiServer.getLoginThrottle(),
+                    auditLog: this.databaseManager.getAuditLog(),
+                    tokenService: this.apiServer.getTokenService()
+                }
             );
             await this.websocketManager.initialize();
 
@@ -0,0 +1,57 @@
+// Fetch wrapper for the REST API (web mode; Electron uses IPC).
+// Sends the stored access token and, when it has expired, exchanges the
+// refresh token for a new pair once and repeats the request.
+
+const API_URL = 'http://localhost:3001';
+const ACCESS_TOKEN_KEY = 'accessToken';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+export const storeTokens = ({ accessToken, refreshToken }) => {
+  localStorage.setItem(ACCESS_TOKEN_KEY, accessToken);
+  localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+};
+
+export const clearTokens = () => {
+  localStorage.removeItem(ACCESS_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
+const withToken = (init = {}) => {
+  const token = localStorage.getItem(ACCESS_TOKEN_KEY);
+  return token ?
+    { ...init, headers: { ...(init.headers || {}), Authorization: `Bearer ${token}` } } :
+    init;
+};
+
+const refreshTokens = async () => {
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+  if (!refreshToken) return false;
+
+  const response = await fetch(`${API_URL}/api/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken })
+  });
+  const result = await response.json();
+  if (!result.success) {
+    clearTokens();
+    return false;
+  }
+  storeTokens(result);
+  return true;
+};
+
+const authFetch = async (url, init = {}) => {
+  const response = await fetch(url, withToken(init));
+  if (response.status !== 401) {
+    return response;
+  }
+
+  const body = await response.clone().json().catch(() => ({}));
+  if (body.code === 'TOKEN_EXPIRED' && await refreshTokens()) {
+    return fetch(url, withToken(init));
+  }
+  return response;
+};
+
+export default authFetch;
@@ -0,0 +1,59 @@
+import React, { useState, useEffect } from 'react';
+import authFetch from '../authFetch';
+
+const DevicePicker = ({ isElectron, value, onChange }) => {
+  const [devices, setDevices] = useState([]);
+
+  useEffect(() => {
+    loadDevices();
+  }, [isElectron]);
+
+  const loadDevices = async () => {
+    try {
+      let result;
+
+      if (isElectron && window.api) {
+        // Use Electron IPC
+        result = await window.api.listSerialDevices();
+      } else {
+        // Use HTTP API
+        const response = await authFetch('http://localhost:3001/api/serial/devices');
+        result = await response.json();
+      }
+
+      if (result.success) {
+        setDevices(result.data);
+      }
+    } catch (error) {
+      console.error('Error loading serial devices:', error);
+    }
+  };
+
+  // Nothing to pick with a single device
+  if (devices.length < 2) {
+    return null;
+  }
+
+  return (
+    <div className="d-flex align-items-center justify-content-end my-2">
+      <label className="form-label mb-0 me-2" style={{ fontSize: '12px' }}>
+        <i className="fas fa-microchip"></i> Device:
+      </label>
+      <select
+        className="form-select form-select-sm"
+        style={{ width: 'auto' }}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+      >
+        <option value="">All devices</option>
+        {devices.map(device => (
+          <option key={device.id} value={device.id}>
+            {device.name}{device.isConnected ? '' : ' (offline)'}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default DevicePicker;
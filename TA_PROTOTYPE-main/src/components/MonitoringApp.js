@@ -4,6 +4,8 @@ import TemperaturePanel from './TemperaturePanel';
 import PressurePanel from './PressurePanel';
 import DatabasePanel from './DatabasePanel';
 import ConnectionStatus from './ConnectionStatus';
+import DevicePicker from './DevicePicker';
+import UsersPanel from './UsersPanel';
 import './MonitoringApp.css';
 
 const TabNavigation = () => {
@@ -35,6 +37,14 @@ const TabNavigation = () => {
           <i className="fas fa-database"></i> Database
         </Link>
       </li>
+      <li className="nav-item" role="presentation">
+        <Link
+          className={`nav-link ${location.pathname === '/users' ? 'active' : ''}`}
+          to="/users"
+        >
+          <i className="fas fa-users-cog"></i> Users
+        </Link>
+      </li>
     </ul>
   );
 };
@@ -42,6 +52,8 @@ const TabNavigation = () => {
 function MonitoringApp() {
   const [databaseConnected, setDatabaseConnected] = useState(false);
   const [isElectron, setIsElectron] = useState(false);
+  const [deviceId, setDeviceId] = useState('');
+  const [staleSources, setStaleSources] = useState({});
 
   useEffect(() => {
     // Check if running in Electron
@@ -83,6 +95,22 @@ function MonitoringApp() {
         console.error('Database error:', error);
         setDatabaseConnected(false);
       });
+
+      // Data staleness watchdog: one banner per silent source until it recovers
+      const handleStale = (event) => {
+        setStaleSources(prev => ({ ...prev, [`${event.source}:${event.sourceId}`]: event }));
+      };
+      const handleRecovered = (event) => {
+        setStaleSources(prev => {
+          const next = { ...prev };
+          delete next[`${event.source}:${event.sourceId}`];
+          return next;
+        });
+      };
+      window.api.receive('serial-data-stale', handleStale);
+      window.api.receive('serial-data-recovered', handleRecovered);
+      window.api.receive('websocket-data-stale', handleStale);
+      window.api.receive('websocket-data-recovered', handleRecovered);
     }
   };
 
@@ -93,13 +121,24 @@ function MonitoringApp() {
 
         <div className="container-fluid">
           <TabNavigation />
+          <DevicePicker isElectron={isElectron} value={deviceId} onChange={setDeviceId} />
+          {Object.values(staleSources).map(event => (
+            <div
+              key={`${event.source}:${event.sourceId}`}
+              className={`alert alert-${event.level === 'critical' ? 'danger' : 'warning'} py-1 px-2 my-2`}
+              style={{ fontSize: '12px' }}
+            >
+              <i className="fas fa-exclamation-triangle"></i> No data from {event.source} '{event.sourceId}' since {new Date(event.lastDataAt).toLocaleTimeString()} ({event.level})
+            </div>
+          ))}
 
           <div className="tab-content" id="mainTabContent">
             <Routes>
-              <Route path="/" element={<TemperaturePanel isElectron={isElectron} />} />
-              <Route path="/temperature" element={<TemperaturePanel isElectron={isElectron} />} />
-              <Route path="/pressure" element={<PressurePanel isElectron={isElectron} />} />
+              <Route path="/" element={<TemperaturePanel isElectron={isElectron} deviceId={deviceId} />} />
+              <Route path="/temperature" element={<TemperaturePanel isElectron={isElectron} deviceId={deviceId} />} />
+              <Route path="/pressure" element={<PressurePanel isElectron={isElectron} deviceId={deviceId} />} />
               <Route path="/database" element={<DatabasePanel isElectron={isElectron} />} />
+              <Route path="/users" element={<UsersPanel isElectron={isElectron} />} />
             </Routes>
           </div>
         </div>
@@ -1,7 +1,8 @@
 import React, { useState, useEffect, useRef } from 'react';
 import Chart from 'chart.js/auto';
+import SetpointControl from './SetpointControl';
 
-const PressurePanel = ({ isElectron }) => {
+const PressurePanel = ({ isElectron, deviceId = '' }) => {
   const [pressureData, setPressureData] = useState([]);
   const [currentPressure, setCurrentPressure] = useState('--');
   const [pressureSetpoint, setPressureSetpoint] = useState('--');
@@ -15,6 +16,7 @@ const PressurePanel = ({ isElectron }) => {
   const chartRef = useRef(null);
   const chartInstance = useRef(null);
   const refreshIntervalRef = useRef(null);
+  const deviceIdRef = useRef(deviceId);
 
   useEffect(() => {
     initChart();
@@ -34,6 +36,14 @@ const PressurePanel = ({ isElectron }) => {
     };
   }, []);
 
+  // Reload when another device is picked (auto refresh reads the ref, not the prop)
+  useEffect(() => {
+    if (deviceIdRef.current !== deviceId) {
+      deviceIdRef.current = deviceId;
+      loadPressureData();
+    }
+  }, [deviceId]);
+
   useEffect(() => {
     if (autoRefresh) {
       setupAutoRefresh();
@@ -100,10 +110,11 @@ const PressurePanel = ({ isElectron }) => {
 
       if (isElectron && window.api) {
         // Use Electron IPC
-        data = await window.api.invoke('get-pressure-data');
+        data = await window.api.invoke('get-pressure-data', 50, deviceIdRef.current || null);
       } else {
         // Use HTTP API
-        const response = await fetch('http://localhost:3001/api/pressure');
+        const query = deviceIdRef.current ? `?deviceId=${encodeURIComponent(deviceIdRef.current)}` : '';
+        const response = await fetch(`http://localhost:3001/api/pressure${query}`);
         data = await response.json();
       }
 
@@ -273,6 +284,7 @@ const PressurePanel = ({ isElectron }) => {
                 {autoRefresh ? ' Stop Auto' : ' Start Auto'}
               </button>
             </div>
+            <SetpointControl isElectron={isElectron} loop="pressure" />
           </div>
 
           {/* Center: Status Information */}
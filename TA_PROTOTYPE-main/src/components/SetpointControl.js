@@ -0,0 +1,153 @@
+import React, { useState, useEffect } from 'react';
+import authFetch from '../authFetch';
+
+const SETPOINT_API_URL = 'http://localhost:3001/api/setpoints';
+
+const SetpointControl = ({ isElectron, loop }) => {
+  const [limits, setLimits] = useState(null);
+  const [newValue, setNewValue] = useState('');
+  const [history, setHistory] = useState([]);
+  const [message, setMessage] = useState(null);
+  const [isSending, setIsSending] = useState(false);
+
+  useEffect(() => {
+    loadSetpoint();
+  }, [loop]);
+
+  // Electron IPC and the REST API both answer with { success, data, error }
+  const callApi = async (ipcCall, path, init) => {
+    if (isElectron && window.api) {
+      return ipcCall();
+    }
+    const response = await authFetch(`${SETPOINT_API_URL}${path}`, init);
+    return response.json();
+  };
+
+  const loadSetpoint = async () => {
+    try {
+      const setpoints = await callApi(() => window.api.getSetpoints(), '');
+      if (setpoints.success && setpoints.data[loop]) {
+        setLimits(setpoints.data[loop]);
+      }
+
+      const recent = await callApi(
+        () => window.api.getSetpointHistory({ loop, limit: 5 }),
+        `/history?loop=${loop}&limit=5`
+      );
+      if (recent.success) {
+        setHistory(recent.data);
+      }
+    } catch (error) {
+      console.error(`Error loading ${loop} setpoint:`, error);
+      setMessage({ type: 'warning', text: 'Setpoint control unavailable' });
+    }
+  };
+
+  const applySetpoint = async () => {
+    const value = parseFloat(newValue);
+    if (isNaN(value)) {
+      setMessage({ type: 'danger', text: 'Enter a numeric setpoint' });
+      return;
+    }
+    if (limits && (value < limits.min || value > limits.max)) {
+      setMessage({ type: 'danger', text: `Setpoint must be between ${limits.min} and ${limits.max} ${limits.unit}` });
+      return;
+    }
+
+    setIsSending(true);
+    setMessage(null);
+    try {
+      const result = await callApi(
+        () => window.api.setSetpoint(loop, value),
+        `/${loop}`,
+        {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ value })
+        }
+      );
+
+      if (result.success) {
+        setMessage({ type: 'success', text: `Setpoint applied: ${result.data.value} ${result.data.unit}` });
+        setNewValue('');
+      } else {
+        setMessage({ type: 'danger', text: result.error });
+      }
+      await loadSetpoint();
+    } catch (error) {
+      console.error(`Error setting ${loop} setpoint:`, error);
+      setMessage({ type: 'danger', text: 'Error sending setpoint' });
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      applySetpoint();
+    }
+  };
+
+  return (
+    <div className="status-panel mt-3">
+      <h6 className="mb-2"><i className="fas fa-sliders-h"></i> Setpoint Control</h6>
+      <div className="input-group input-group-sm mb-1">
+        <input
+          type="number"
+          className="form-control"
+          placeholder={limits && limits.value !== null ? String(limits.value) : 'New setpoint'}
+          value={newValue}
+          min={limits ? limits.min : undefined}
+          max={limits ? limits.max : undefined}
+          step={limits ? Math.pow(10, -limits.precision) : 0.1}
+          onChange={(e) => setNewValue(e.target.value)}
+          onKeyDown={handleKeyDown}
+          disabled={isSending}
+        />
+        <span className="input-group-text">{limits ? limits.unit : ''}</span>
+        <button
+          className="btn btn-success btn-sm"
+          onClick={applySetpoint}
+          disabled={isSending || newValue === ''}
+        >
+          {isSending ? <div className="loading-spinner"></div> : <i className="fas fa-check"></i>} Apply
+        </button>
+      </div>
+      {limits && (
+        <small className="text-muted">
+          Range: {limits.min}-{limits.max} {limits.unit}
+          {limits.value !== null && ` | Current: ${limits.value} ${limits.unit}`}
+        </small>
+      )}
+      {message && (
+        <div className={`alert alert-${message.type} py-1 px-2 mt-2 mb-0`} style={{ fontSize: '11px' }}>
+          {message.text}
+        </div>
+      )}
+      {history.length > 0 && (
+        <table className="table table-sm table-bordered data-table mt-2 mb-0" style={{ fontSize: '11px' }}>
+          <thead>
+            <tr>
+              <th>Time</th>
+              <th>Value</th>
+              <th>By</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {history.map((item, index) => (
+              <tr key={item.id || index}>
+                <td>{new Date(item.timestamp).toLocaleTimeString()}</td>
+                <td>{item.value}</td>
+                <td>{item.changed_by}</td>
+                <td>{item.status}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default SetpointControl;
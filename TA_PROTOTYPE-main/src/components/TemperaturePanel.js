@@ -1,7 +1,8 @@
 import React, { useState, useEffect, useRef } from 'react';
 import Chart from 'chart.js/auto';
+import SetpointControl from './SetpointControl';
 
-const TemperaturePanel = ({ isElectron }) => {
+const TemperaturePanel = ({ isElectron, deviceId = '' }) => {
   const [temperatureData, setTemperatureData] = useState([]);
   const [currentTemp, setCurrentTemp] = useState('--');
   const [lastSetpoint, setLastSetpoint] = useState('--');
@@ -17,6 +18,7 @@ const TemperaturePanel = ({ isElectron }) => {
   const chartRef = useRef(null);
   const chartInstance = useRef(null);
   const refreshIntervalRef = useRef(null);
+  const deviceIdRef = useRef(deviceId);
 
   useEffect(() => {
     initChart();
@@ -36,6 +38,14 @@ const TemperaturePanel = ({ isElectron }) => {
     };
   }, []);
 
+  // Reload when another device is picked (auto refresh reads the ref, not the prop)
+  useEffect(() => {
+    if (deviceIdRef.current !== deviceId) {
+      deviceIdRef.current = deviceId;
+      loadTemperatureData();
+    }
+  }, [deviceId]);
+
   useEffect(() => {
     if (autoRefresh && refreshInterval > 0) {
       setupAutoRefresh();
@@ -108,10 +118,11 @@ const TemperaturePanel = ({ isElectron }) => {
 
       if (isElectron && window.api) {
         // Use Electron IPC
-        data = await window.api.invoke('get-temperature-data');
+        data = await window.api.invoke('get-temperature-data', 50, deviceIdRef.current || null);
       } else {
         // Use HTTP API
-        const response = await fetch('http://localhost:3001/api/temperature');
+        const query = deviceIdRef.current ? `?deviceId=${encodeURIComponent(deviceIdRef.current)}` : '';
+        const response = await fetch(`http://localhost:3001/api/temperature${query}`);
         data = await response.json();
       }
 
@@ -296,6 +307,7 @@ const TemperaturePanel = ({ isElectron }) => {
                 {autoRefresh ? ' Stop Auto' : ' Start Auto'}
               </button>
             </div>
+            <SetpointControl isElectron={isElectron} loop="temperature" />
           </div>
 
           {/* Center: Control Parameters */}